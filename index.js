@@ -54,7 +54,7 @@ import {
     generateSeparateUpdatePrompt
 } from './src/systems/generation/promptBuilder.js';
 import { parseResponse, parseUserStats } from './src/systems/generation/parser.js';
-import { updateRPGData, testExternalAPIConnection } from './src/systems/generation/apiClient.js';
+import { updateRPGData, testExternalAPIConnection, cancelTrackerGeneration } from './src/systems/generation/apiClient.js';
 import { onGenerationStarted } from './src/systems/generation/injector.js';
 
 // Rendering modules
@@ -101,12 +101,20 @@ import {
 import {
     initPromptsEditor
 } from './src/systems/ui/promptsEditor.js';
+import {
+    initTrackerTimeline
+} from './src/systems/ui/trackerTimelineUI.js';
+import { registerSlashCommands } from './src/systems/integration/slashCommands.js';
+import { registerTrackerMacros, refreshTrackerMacros } from './src/systems/integration/macros.js';
 import {
     initPromptBuilderUI
 } from './src/systems/ui/promptBuilderUI.js';
 import {
     initEncounterProfilesUI
 } from './src/systems/ui/encounterProfilesUI.js';
+import {
+    initEncounterHistoryUI
+} from './src/systems/ui/encounterHistoryUI.js';
 import {
     initChapterCheckpointUI,
     injectCheckpointButton,
@@ -121,7 +129,8 @@ import {
     updatePanelVisibility,
     updateSectionVisibility,
     applyPanelPosition,
-    updateGenerationModeUI
+    updateGenerationModeUI,
+    updateTrackerValidationUI
 } from './src/systems/ui/layout.js';
 import {
     setupMobileToggle,
@@ -342,6 +351,53 @@ async function initUI() {
         saveSettings();
     });
 
+    $('#rpg-stream-tracker-generation').on('change', function() {
+        extensionSettings.streamTrackerGeneration = $(this).prop('checked');
+        saveSettings();
+    });
+
+    $('#rpg-validate-trackers').on('change', function() {
+        if (!extensionSettings.trackerValidation) {
+            extensionSettings.trackerValidation = {};
+        }
+        extensionSettings.trackerValidation.enabled = $(this).prop('checked');
+        saveSettings();
+        updateTrackerValidationUI();
+    });
+
+    $('#rpg-validation-retries').on('change', function() {
+        if (!extensionSettings.trackerValidation) {
+            extensionSettings.trackerValidation = {};
+        }
+        const value = Math.max(0, Math.min(5, parseInt(String($(this).val())) || 0));
+        extensionSettings.trackerValidation.maxRetries = value;
+        $(this).val(value);
+        saveSettings();
+    });
+
+    $('#rpg-validation-fallback').on('change', function() {
+        if (!extensionSettings.trackerValidation) {
+            extensionSettings.trackerValidation = {};
+        }
+        extensionSettings.trackerValidation.fallback = String($(this).val());
+        saveSettings();
+        updateTrackerValidationUI();
+        updateGenerationModeUI();
+    });
+
+    $('#rpg-validation-fallback-profile').on('change', function() {
+        if (!extensionSettings.trackerValidation) {
+            extensionSettings.trackerValidation = {};
+        }
+        extensionSettings.trackerValidation.fallbackProfileId = String($(this).val());
+        saveSettings();
+    });
+
+    // Connection profiles may have changed since the settings were loaded
+    $('#rpg-open-settings').on('click', function() {
+        updateTrackerValidationUI();
+    });
+
     $('#rpg-toggle-user-stats').on('change', function() {
         extensionSettings.showUserStats = $(this).prop('checked');
         saveSettings();
@@ -436,6 +492,11 @@ async function initUI() {
         saveSettings();
     });
 
+    $('#rpg-tracker-format').on('change', function() {
+        extensionSettings.trackerFormat = String($(this).val());
+        saveSettings();
+    });
+
     $('#rpg-toggle-plot-buttons').on('change', function() {
         extensionSettings.enablePlotButtons = $(this).prop('checked');
         // console.log('[RPG Companion] Toggle enablePlotButtons changed to:', extensionSettings.enablePlotButtons);
@@ -619,6 +680,10 @@ async function initUI() {
         await updateRPGData(renderUserStats, renderInfoBox, renderThoughts, renderInventory);
     });
 
+    $('#rpg-cancel-update').on('click', function() {
+        cancelTrackerGeneration();
+    });
+
     $('#rpg-stat-bar-color-low').on('change', function() {
         extensionSettings.statBarColorLow = String($(this).val());
         saveSettings();
@@ -781,6 +846,11 @@ async function initUI() {
     $('#rpg-update-depth').val(extensionSettings.updateDepth);
     $('#rpg-memory-messages').val(extensionSettings.memoryMessagesToProcess || 16);
     $('#rpg-use-separate-preset').prop('checked', extensionSettings.useSeparatePreset);
+    $('#rpg-stream-tracker-generation').prop('checked', extensionSettings.streamTrackerGeneration === true);
+    $('#rpg-validate-trackers').prop('checked', extensionSettings.trackerValidation?.enabled === true);
+    $('#rpg-validation-retries').val(extensionSettings.trackerValidation?.maxRetries ?? 1);
+    $('#rpg-validation-fallback').val(extensionSettings.trackerValidation?.fallback || 'none');
+    updateTrackerValidationUI();
     $('#rpg-toggle-user-stats').prop('checked', extensionSettings.showUserStats);
     $('#rpg-toggle-info-box').prop('checked', extensionSettings.showInfoBox);
     $('#rpg-toggle-thoughts').prop('checked', extensionSettings.showCharacterThoughts);
@@ -863,6 +933,7 @@ async function initUI() {
     $('#rpg-generation-mode').val(extensionSettings.generationMode);
     $('#rpg-skip-guided-mode').val(extensionSettings.skipInjectionsForGuided);
     $('#rpg-save-tracker-history').prop('checked', extensionSettings.saveTrackerHistory);
+    $('#rpg-tracker-format').val(extensionSettings.trackerFormat || 'text');
 
     updatePanelVisibility();
     updateSectionVisibility();
@@ -898,6 +969,7 @@ async function initUI() {
     setupSettingsPopup();
     initTrackerEditor();
     initPromptsEditor();
+    initTrackerTimeline();
 
     // Initialize Prompt Builder UI
     try {
@@ -915,6 +987,14 @@ async function initUI() {
         // Non-critical - continue without it
     }
 
+    // Initialize Encounter History UI
+    try {
+        initEncounterHistoryUI();
+    } catch (error) {
+        console.error('[RPG Companion] Encounter History UI initialization failed:', error);
+        // Non-critical - continue without it
+    }
+
     addDiceQuickReply();
     setupPlotButtons(sendPlotProgression, openEncounterModal);
     setupCharacterCreatorButton(); // Add character creator button
@@ -1092,11 +1172,11 @@ jQuery(async () => {
         try {
             registerAllEvents({
                 [event_types.MESSAGE_SENT]: onMessageSent,
-                [event_types.GENERATION_STARTED]: onGenerationStarted,
+                [event_types.GENERATION_STARTED]: [refreshTrackerMacros, onGenerationStarted],
                 [event_types.MESSAGE_RECEIVED]: onMessageReceived,
                 [event_types.GENERATION_STOPPED]: onGenerationEnded,
                 [event_types.GENERATION_ENDED]: onGenerationEnded,
-                [event_types.CHAT_CHANGED]: [onCharacterChanged, updatePersonaAvatar, restoreCheckpointOnLoad, clearSessionAvatarPrompts],
+                [event_types.CHAT_CHANGED]: [onCharacterChanged, updatePersonaAvatar, restoreCheckpointOnLoad, clearSessionAvatarPrompts, refreshTrackerMacros],
                 [event_types.MESSAGE_SWIPED]: onMessageSwiped,
                 [event_types.USER_MESSAGE_RENDERED]: updatePersonaAvatar,
                 [event_types.SETTINGS_UPDATED]: updatePersonaAvatar
@@ -1106,6 +1186,22 @@ jQuery(async () => {
             throw error; // This is critical - can't continue without events
         }
 
+        // Register /rpg-* slash commands
+        try {
+            registerSlashCommands();
+        } catch (error) {
+            console.error('[RPG Companion] Slash command registration failed:', error);
+            // Non-critical - continue without them
+        }
+
+        // Register {{rpg...}} tracker macros
+        try {
+            registerTrackerMacros();
+        } catch (error) {
+            console.error('[RPG Companion] Macro registration failed:', error);
+            // Non-critical - continue without them
+        }
+
         // Restore checkpoint state if one exists
         await restoreCheckpointOnLoad();
 
@@ -4,7 +4,7 @@
  */
 
 // Type imports
-/** @typedef {import('../types/inventory.js').InventoryV2} InventoryV2 */
+/** @typedef {import('../types/inventory.js').InventoryV4} InventoryV4 */
 
 export const extensionName = 'third-party/rpg-companion-sillytavern';
 
@@ -27,6 +27,13 @@ export const defaultSettings = {
     updateDepth: 4, // How many messages to include in the context
     generationMode: 'together', // 'together', 'separate', or 'external' - how to generate tracker data
     useSeparatePreset: false, // Use 'RPG Companion Trackers' preset for tracker generation instead of main API model
+    streamTrackerGeneration: false, // Show tracker sections as they are generated (separate/external mode)
+    trackerValidation: {
+        enabled: false, // Check generated sections against trackerConfig and request invalid ones again (extra requests)
+        maxRetries: 1, // Re-requests per invalid section before the fallback
+        fallback: 'none', // 'none', 'profile' (secondary connection profile) or 'external' (external API)
+        fallbackProfileId: '' // Connection profile used by the 'profile' fallback
+    },
     showUserStats: true,
     showInfoBox: true,
     showCharacterThoughts: true,
@@ -46,6 +53,7 @@ export const defaultSettings = {
     skipInjectionsForGuided: 'none',
     enablePlotButtons: true, // Show plot progression buttons above chat input
     saveTrackerHistory: false, // Save tracker data in chat history for each message
+    trackerFormat: 'text', // 'text' (line-based code blocks) or 'json' (structured JSON object)
     panelPosition: 'right', // 'left', 'right', or 'top'
     // Per-section custom prompts for regeneration
     customUserStatsPrompt: '', // Custom prompt for User Stats section (empty = use default)
@@ -101,12 +109,12 @@ export const defaultSettings = {
         arousal: 0,
         mood: '😐',
         conditions: 'None',
-        /** @type {InventoryV3} */
+        /** @type {InventoryV4} */
         inventory: {
-            version: 3,
+            version: 4,
             onPerson: {},
             stored: {},
-            assets: "None"
+            assets: []
         }
     },
     classicStats: {
@@ -16,7 +16,7 @@ import {
     FEATURE_FLAGS
 } from './state.js';
 import { migrateInventory } from '../utils/migration.js';
-import { validateStoredInventory, cleanItemString } from '../utils/security.js';
+import { normalizeItemList, normalizeItemLocations } from '../utils/inventoryItems.js';
 
 const extensionName = 'third-party/rpg-companion-sillytavern';
 
@@ -52,7 +52,7 @@ function validateSettings(settings) {
 
 /**
  * Loads the extension settings from the global settings object.
- * Automatically migrates v1 inventory to v2 format if needed.
+ * Automatically migrates older inventory formats to v4 if needed.
  */
 export function loadSettings() {
     try {
@@ -87,7 +87,7 @@ export function loadSettings() {
         if (FEATURE_FLAGS.useNewInventory) {
             const migrationResult = migrateInventory(extensionSettings.userStats.inventory);
             if (migrationResult.migrated) {
-                console.log(`[RPG Companion] Inventory migrated from ${migrationResult.source} to v2 format`);
+                console.log(`[RPG Companion] Inventory migrated from ${migrationResult.source} to v4 format`);
                 extensionSettings.userStats.inventory = migrationResult.inventory;
                 saveSettings(); // Persist migrated inventory
             }
@@ -200,7 +200,7 @@ export function updateMessageSwipeData() {
 
 /**
  * Loads RPG data from the current chat's metadata.
- * Automatically migrates v1 inventory to v2 format if needed.
+ * Automatically migrates older inventory formats to v4 if needed.
  */
 export function loadChatData() {
     if (!chat_metadata || !chat_metadata.rpg_companion) {
@@ -214,17 +214,18 @@ export function loadChatData() {
                 arousal: 0,
                 mood: '😐',
                 conditions: 'None',
-                // Use v3 inventory format for defaults
+                // Use v4 inventory format for defaults
                 inventory: {
-                    version: 3,
+                    version: 4,
                     onPerson: {},
                     stored: {},
-                    assets: "None"
+                    assets: []
                 }
             },
             quests: {
                 main: "None",
-                optional: []
+                optional: [],
+                list: []
             }
         });
         setLastGeneratedData({
@@ -260,7 +261,8 @@ export function loadChatData() {
         // Initialize with defaults if not present
         extensionSettings.quests = {
             main: "None",
-            optional: []
+            optional: [],
+            list: []
         };
     }
 
@@ -278,7 +280,7 @@ export function loadChatData() {
     if (FEATURE_FLAGS.useNewInventory && extensionSettings.userStats.inventory) {
         const migrationResult = migrateInventory(extensionSettings.userStats.inventory);
         if (migrationResult.migrated) {
-            console.log(`[RPG Companion] Chat inventory migrated from ${migrationResult.source} to v2 format`);
+            console.log(`[RPG Companion] Chat inventory migrated from ${migrationResult.source} to v4 format`);
             extensionSettings.userStats.inventory = migrationResult.inventory;
             saveChatData(); // Persist migrated inventory to chat metadata
         }
@@ -292,7 +294,7 @@ export function loadChatData() {
 
 /**
  * Validates and repairs inventory structure to prevent corruption.
- * Ensures all v2 fields exist and are the correct type.
+ * Ensures all v4 fields exist and hold clean item arrays.
  * Fixes Bug #3: Location disappears when switching tabs
  *
  * @param {Object} inventory - Inventory object to validate
@@ -303,10 +305,10 @@ function validateInventoryStructure(inventory, source) {
     if (!inventory || typeof inventory !== 'object') {
         console.error(`[RPG Companion] Invalid inventory from ${source}, resetting to defaults`);
         extensionSettings.userStats.inventory = {
-            version: 3,
+            version: 4,
             onPerson: {},
             stored: {},
-            assets: "None"
+            assets: []
         };
         saveSettings();
         return;
@@ -314,21 +316,22 @@ function validateInventoryStructure(inventory, source) {
 
     let needsSave = false;
 
-    // Ensure v3 structure
-    if (inventory.version !== 3) {
-        console.warn(`[RPG Companion] Inventory from ${source} missing version or old version, setting to 3`);
-        inventory.version = 3;
+    // Ensure v4 structure (older versions are converted rather than relabeled)
+    if (inventory.version !== 4) {
+        console.warn(`[RPG Companion] Inventory from ${source} missing version or old version, migrating to 4`);
+        inventory = migrateInventory(inventory).inventory;
+        extensionSettings.userStats.inventory = inventory;
         needsSave = true;
     }
 
-    // Validate onPerson field (v3: should be object)
+    // Validate onPerson field (should be object of item arrays)
     if (!inventory.onPerson || typeof inventory.onPerson !== 'object' || Array.isArray(inventory.onPerson)) {
         console.warn(`[RPG Companion] Invalid onPerson from ${source}, resetting to empty object`);
         inventory.onPerson = {};
         needsSave = true;
     } else {
-        // Validate onPerson object keys/values (same as stored)
-        const cleanedOnPerson = validateStoredInventory(inventory.onPerson);
+        // Validate onPerson object keys/items (same as stored)
+        const cleanedOnPerson = normalizeItemLocations(inventory.onPerson);
         if (JSON.stringify(cleanedOnPerson) !== JSON.stringify(inventory.onPerson)) {
             console.warn(`[RPG Companion] Cleaned dangerous/invalid onPerson locations from ${source}`);
             inventory.onPerson = cleanedOnPerson;
@@ -342,8 +345,8 @@ function validateInventoryStructure(inventory, source) {
         inventory.stored = {};
         needsSave = true;
     } else {
-        // Validate stored object keys/values
-        const cleanedStored = validateStoredInventory(inventory.stored);
+        // Validate stored object keys/items
+        const cleanedStored = normalizeItemLocations(inventory.stored);
         if (JSON.stringify(cleanedStored) !== JSON.stringify(inventory.stored)) {
             console.warn(`[RPG Companion] Cleaned dangerous/invalid stored locations from ${source}`);
             inventory.stored = cleanedStored;
@@ -352,14 +355,14 @@ function validateInventoryStructure(inventory, source) {
     }
 
     // Validate assets field
-    if (typeof inventory.assets !== 'string') {
-        console.warn(`[RPG Companion] Invalid assets from ${source}, resetting to "None"`);
-        inventory.assets = "None";
+    if (!Array.isArray(inventory.assets)) {
+        console.warn(`[RPG Companion] Invalid assets from ${source}, converting to item list`);
+        inventory.assets = normalizeItemList(inventory.assets);
         needsSave = true;
     } else {
-        // Clean items in assets (removes corrupted/dangerous items)
-        const cleanedAssets = cleanItemString(inventory.assets);
-        if (cleanedAssets !== inventory.assets) {
+        // Clean asset items (removes corrupted/dangerous items)
+        const cleanedAssets = normalizeItemList(inventory.assets);
+        if (JSON.stringify(cleanedAssets) !== JSON.stringify(inventory.assets)) {
             console.warn(`[RPG Companion] Cleaned corrupted items from assets inventory (${source})`);
             inventory.assets = cleanedAssets;
             needsSave = true;
@@ -4,7 +4,7 @@
  */
 
 // Type imports
-/** @typedef {import('../types/inventory.js').InventoryV2} InventoryV2 */
+/** @typedef {import('../types/inventory.js').InventoryV4} InventoryV4 */
 
 /**
  * Extension settings - persisted to SillyTavern settings
@@ -15,6 +15,13 @@ export let extensionSettings = {
     updateDepth: 4, // How many messages to include in the context
     generationMode: 'together', // 'separate' or 'together' - whether to generate with main response or separately
     useSeparatePreset: false, // Use 'RPG Companion Trackers' preset for tracker generation instead of main API model
+    streamTrackerGeneration: false, // Show tracker sections as they are generated (separate/external mode)
+    trackerValidation: {
+        enabled: false, // Check generated sections against trackerConfig and request invalid ones again (extra requests)
+        maxRetries: 1, // Re-requests per invalid section before the fallback
+        fallback: 'none', // 'none', 'profile' (secondary connection profile) or 'external' (external API)
+        fallbackProfileId: '' // Connection profile used by the 'profile' fallback
+    },
     showUserStats: true,
     showInfoBox: true,
     showCharacterThoughts: true,
@@ -36,6 +43,7 @@ export let extensionSettings = {
     skipInjectionsForGuided: 'none', // skip injections for instruct injections and quiet prompts (GuidedGenerations compatibility)
     enablePlotButtons: true, // Show plot progression buttons above chat input
     saveTrackerHistory: false, // Save tracker data in chat history for each message
+    trackerFormat: 'text', // 'text' (line-based code blocks) or 'json' (structured JSON object)
     panelPosition: 'right', // 'left', 'right', or 'top'
     // Per-section custom prompts for regeneration
     customUserStatsPrompt: '', // Custom prompt for User Stats section (empty = use default)
@@ -87,12 +95,12 @@ export let extensionSettings = {
         arousal: 0,
         mood: '😐',
         conditions: 'None',
-        /** @type {InventoryV3} */
+        /** @type {InventoryV4} */
         inventory: {
-            version: 3,
+            version: 4,
             onPerson: {},
             stored: {},
-            assets: "None"
+            assets: []
         }
     },
     statNames: {
@@ -184,9 +192,12 @@ export let extensionSettings = {
     },
     quests: {
         main: "None",        // Current main quest title
-        optional: []         // Array of optional quest titles
+        optional: [],        // Array of optional quest titles
+        list: []             // Quest objects with objectives, status and history (see types/quests.js)
     },
     level: 1, // User's character level
+    experience: 0, // XP towards the next level (earned in encounters)
+    attributePoints: 0, // Unspent attribute points from level-ups
     classicStats: {
         str: 10,
         dex: 10,
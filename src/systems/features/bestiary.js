@@ -0,0 +1,297 @@
+/**
+ * Bestiary Module
+ * A reusable enemy library kept in extension settings, so creatures built or tuned in
+ * one encounter can be added to later encounters in any chat. Entries can be exported
+ * and imported as JSON, and creatures whose location tags fit the current scene can be
+ * suggested to the AI when an encounter starts.
+ */
+
+import { extensionSettings, committedTrackerData } from '../../core/state.js';
+import { trackerSectionsToJson } from '../generation/jsonTrackerParser.js';
+
+/**
+ * Marker of exported bestiary files
+ */
+const EXPORT_TYPE = 'rpg-companion-bestiary';
+
+/**
+ * Creatures suggested to the AI at most per encounter
+ */
+const MAX_PROMPT_ENTRIES = 8;
+
+/**
+ * @typedef {Object} BestiaryEntry
+ * @property {string} id - Unique ID
+ * @property {string} name - Creature name
+ * @property {string} sprite - Emoji or text sprite
+ * @property {number} maxHp - Maximum HP (enemies start at full HP)
+ * @property {Array<Object>} attacks - Attacks ({name, type} plus rules-mode dice fields if set)
+ * @property {Array<Object>} statuses - Statuses the creature starts with
+ * @property {Array<Object>} customBars - Custom bars ({name, current, max, color})
+ * @property {string} notes - Free-form notes (also used as the enemy description)
+ * @property {string[]} locations - Location tags used to suggest the creature (e.g. "forest", "crypt")
+ * @property {number} [defense] - Defense for rules mode
+ * @property {number} [initiativeBonus] - Initiative bonus
+ * @property {LootTableRow[]} loot - Items the creature can drop when defeated
+ * @property {number} updated - Last change (timestamp)
+ */
+
+/**
+ * @typedef {Object} LootTableRow
+ * @property {string} item - Item entry, e.g. "2x Wolf Pelt"
+ * @property {number} chance - Drop chance in percent (1-100)
+ */
+
+/**
+ * Returns the bestiary, creating it if needed
+ * @returns {BestiaryEntry[]} Bestiary entries
+ */
+export function getBestiary() {
+    if (!Array.isArray(extensionSettings.bestiary)) {
+        extensionSettings.bestiary = [];
+    }
+    return extensionSettings.bestiary;
+}
+
+/**
+ * Finds a bestiary entry by ID
+ * @param {string} entryId - Entry ID
+ * @returns {BestiaryEntry|null} The entry
+ */
+export function getBestiaryEntry(entryId) {
+    return getBestiary().find(entry => entry.id === entryId) || null;
+}
+
+/**
+ * Splits location tags given as a comma-separated string or array
+ * @param {string|string[]} value - Tags
+ * @returns {string[]} Trimmed, non-empty tags
+ */
+export function parseLocationTags(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return list.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+/**
+ * Reads a loot table given as rows or as text like "2x Wolf Pelt (50%), Fang"
+ * (items without a chance always drop)
+ * @param {string|Array<Object>} value - Loot table
+ * @returns {LootTableRow[]} Rows
+ */
+export function parseLootTable(value) {
+    const rows = Array.isArray(value)
+        ? value.map(row => typeof row === 'string' ? row : `${row?.item || ''} (${row?.chance ?? 100}%)`)
+        : String(value || '').split(',');
+
+    return rows.map(row => {
+        const match = String(row).trim().match(/^(.*?)\s*(?:\((\d{1,3})\s*%\))?$/);
+        const item = match?.[1]?.trim();
+        if (!item) return null;
+        const chance = parseInt(match[2]);
+        return { item, chance: Number.isFinite(chance) ? Math.max(1, Math.min(100, chance)) : 100 };
+    }).filter(Boolean);
+}
+
+/**
+ * Writes a loot table as editable text
+ * @param {LootTableRow[]} loot - Rows
+ * @returns {string} Text like "2x Wolf Pelt (50%), Fang"
+ */
+export function formatLootTable(loot) {
+    return (loot || []).map(row => row.chance < 100 ? `${row.item} (${row.chance}%)` : row.item).join(', ');
+}
+
+/**
+ * Builds a clean bestiary entry from an enemy or imported data. Only the reusable fields
+ * are kept; current HP, turn ids and the like stay with the encounter.
+ * @param {Object} source - Enemy or imported entry
+ * @returns {BestiaryEntry|null} Entry, or null if the source has no name
+ */
+function toBestiaryEntry(source) {
+    const name = String(source?.name || '').trim();
+    if (!name) return null;
+
+    const entry = {
+        id: `beast-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        name,
+        sprite: String(source.sprite || '👹'),
+        maxHp: Math.max(1, parseInt(source.maxHp ?? source.hp) || 1),
+        attacks: (Array.isArray(source.attacks) ? source.attacks : [])
+            .map(attack => typeof attack === 'string' ? { name: attack, type: 'single-target' } : { ...attack })
+            .filter(attack => attack.name)
+            .map(attack => ({ ...attack, name: String(attack.name), type: String(attack.type || 'single-target') })),
+        statuses: (Array.isArray(source.statuses) ? source.statuses : [])
+            .filter(status => status && status.name)
+            .map(status => ({ name: String(status.name), emoji: String(status.emoji || ''), duration: parseInt(status.duration) || 0 })),
+        customBars: (Array.isArray(source.customBars) ? source.customBars : [])
+            .filter(bar => bar && bar.name)
+            .map(bar => ({
+                name: String(bar.name),
+                current: parseInt(bar.current) || 0,
+                max: parseInt(bar.max) || 100,
+                // Imported colors end up in style attributes
+                color: /^#[0-9a-f]{3,8}$/i.test(bar.color) ? bar.color : '#4a7ba7'
+            })),
+        notes: String(source.notes ?? source.description ?? ''),
+        locations: parseLocationTags(source.locations),
+        loot: parseLootTable(source.loot),
+        updated: Date.now()
+    };
+
+    if (Number.isFinite(Number(source.defense)) && Number(source.defense) > 0) {
+        entry.defense = Number(source.defense);
+    }
+    if (Number.isFinite(Number(source.initiativeBonus))) {
+        entry.initiativeBonus = Number(source.initiativeBonus);
+    }
+    if (entry.attacks.length === 0) {
+        entry.attacks = [{ name: 'Attack', type: 'single-target' }];
+    }
+    return entry;
+}
+
+/**
+ * Saves an enemy to the bestiary. An existing entry with the same name (case-insensitive)
+ * is updated in place, keeping its ID, location tags and loot unless new ones are given.
+ * Caller saves settings.
+ * @param {Object} enemy - Enemy from the encounter (or entry data)
+ * @param {Object} [extra={}] - Optional notes/locations overriding the enemy's
+ * @returns {{entry: BestiaryEntry, updated: boolean}|null} Saved entry, or null if the enemy has no name
+ */
+export function saveToBestiary(enemy, extra = {}) {
+    const entry = toBestiaryEntry({ ...enemy, ...extra });
+    if (!entry) return null;
+
+    const bestiary = getBestiary();
+    const index = bestiary.findIndex(existing => existing.name.toLowerCase() === entry.name.toLowerCase());
+    if (index === -1) {
+        bestiary.push(entry);
+        return { entry, updated: false };
+    }
+
+    const existing = bestiary[index];
+    entry.id = existing.id;
+    if (extra.locations === undefined && !enemy.locations) {
+        entry.locations = existing.locations || [];
+    }
+    if (!extra.notes && !entry.notes) {
+        entry.notes = existing.notes || '';
+    }
+    if (extra.loot === undefined && !enemy.loot) {
+        entry.loot = existing.loot || [];
+    }
+    bestiary[index] = entry;
+    return { entry, updated: true };
+}
+
+/**
+ * Finds the bestiary entry of an enemy by name. Numbered copies ("Wolf 2") match their
+ * creature ("Wolf").
+ * @param {string} name - Enemy name
+ * @returns {BestiaryEntry|null} The entry
+ */
+export function findBestiaryEntryByName(name) {
+    const wanted = String(name || '').trim().toLowerCase();
+    if (!wanted) return null;
+    const base = wanted.replace(/\s+\d+$/, '');
+    const bestiary = getBestiary();
+    return bestiary.find(entry => entry.name.toLowerCase() === wanted)
+        || bestiary.find(entry => entry.name.toLowerCase() === base)
+        || null;
+}
+
+/**
+ * Deletes a bestiary entry. Caller saves settings.
+ * @param {string} entryId - Entry ID
+ * @returns {boolean} True if an entry was removed
+ */
+export function deleteBestiaryEntry(entryId) {
+    const bestiary = getBestiary();
+    const index = bestiary.findIndex(entry => entry.id === entryId);
+    if (index === -1) return false;
+    bestiary.splice(index, 1);
+    return true;
+}
+
+/**
+ * Creates a fresh enemy (full HP, copied lists) from a bestiary entry
+ * @param {BestiaryEntry} entry - Bestiary entry
+ * @returns {Object} Enemy data for addEnemy()/showEditModal()
+ */
+export function bestiaryEntryToEnemy(entry) {
+    const enemy = {
+        name: entry.name,
+        hp: entry.maxHp,
+        maxHp: entry.maxHp,
+        sprite: entry.sprite || '👹',
+        description: entry.notes || '',
+        attacks: (entry.attacks || []).map(attack => ({ ...attack })),
+        statuses: (entry.statuses || []).map(status => ({ ...status })),
+        customBars: (entry.customBars || []).map(bar => ({ ...bar }))
+    };
+    if (entry.defense !== undefined) enemy.defense = entry.defense;
+    if (entry.initiativeBonus !== undefined) enemy.initiativeBonus = entry.initiativeBonus;
+    return enemy;
+}
+
+/**
+ * Exports the whole bestiary (or some entries) as JSON
+ * @param {string[]} [entryIds] - IDs to export; all entries if omitted
+ * @returns {string} JSON string
+ */
+export function exportBestiary(entryIds) {
+    const entries = getBestiary()
+        .filter(entry => !entryIds || entryIds.includes(entry.id))
+        .map(({ id, updated, ...entry }) => entry);
+    return JSON.stringify({ type: EXPORT_TYPE, version: 1, entries }, null, 2);
+}
+
+/**
+ * Imports bestiary entries from JSON (an export file, a plain array of entries or a single
+ * entry). Entries whose name already exists replace the existing entry. Caller saves settings.
+ * @param {string} jsonString - JSON to import
+ * @returns {{added: number, updated: number}} Import counts
+ * @throws {Error} If the JSON is invalid or contains no creatures
+ */
+export function importBestiary(jsonString) {
+    const data = JSON.parse(jsonString);
+    const list = Array.isArray(data) ? data : (Array.isArray(data?.entries) ? data.entries : [data]);
+
+    const result = { added: 0, updated: 0 };
+    for (const item of list) {
+        const saved = saveToBestiary(item, { locations: parseLocationTags(item?.locations) });
+        if (saved) {
+            result[saved.updated ? 'updated' : 'added']++;
+        }
+    }
+
+    if (result.added + result.updated === 0) {
+        throw new Error('No creatures found in file');
+    }
+    return result;
+}
+
+/**
+ * Current location from the committed Info Box
+ * @returns {string} Location, or an empty string if none is tracked
+ */
+export function getCurrentLocation() {
+    const location = trackerSectionsToJson(committedTrackerData).infoBox?.location;
+    return typeof location === 'string' ? location.trim() : '';
+}
+
+/**
+ * Picks bestiary creatures that fit a scene: entries with a location tag that appears in
+ * the scene text come first, untagged entries (usable anywhere) fill the remaining slots.
+ * @param {string} sceneText - Current location and/or scene description
+ * @param {number} [limit=MAX_PROMPT_ENTRIES] - Maximum number of entries
+ * @returns {BestiaryEntry[]} Matching entries
+ */
+export function getBestiaryForScene(sceneText, limit = MAX_PROMPT_ENTRIES) {
+    const text = String(sceneText || '').toLowerCase();
+    const bestiary = getBestiary();
+
+    const tagged = bestiary.filter(entry => (entry.locations || []).some(tag => text.includes(tag.toLowerCase())));
+    const anywhere = bestiary.filter(entry => !entry.locations || entry.locations.length === 0);
+    return [...tagged, ...anywhere].slice(0, limit);
+}
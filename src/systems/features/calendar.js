@@ -0,0 +1,707 @@
+/**
+ * Calendar Module
+ * In-game calendar and clock engine for the Info Box. Parses the free-text
+ * Date/Time lines into a canonical timestamp (minutes since the first day of
+ * year 1), detects time running backwards in new tracker output, measures
+ * elapsed in-game time and rewrites the Date/Time lines consistently when the
+ * time is advanced.
+ *
+ * The calendar lives in trackerConfig.infoBox.calendar. Weekdays are derived
+ * from the day number, so the default calendar (Gregorian months and leap
+ * years, weeks starting on Monday) yields real-world weekdays.
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { extensionSettings, committedTrackerData } from '../../core/state.js';
+
+/**
+ * @typedef {Object} CalendarMonth
+ * @property {string} name - Month name
+ * @property {number} days - Days in the month
+ */
+
+/**
+ * @typedef {Object} CalendarConfig
+ * @property {boolean} enabled - Whether new tracker output is checked and corrected
+ * @property {CalendarMonth[]} months - Months of the year
+ * @property {string[]} weekdays - Weekday names
+ * @property {number} hoursPerDay - Hours in a day
+ * @property {boolean} leapYears - Gregorian leap years (one extra day in the second month)
+ * @property {number} epochWeekday - Weekday index of the first day of year 1
+ * @property {string} era - Suffix written after the year number (e.g. "DR")
+ * @property {string[]} yearNames - Names cycled through by year (year 1 = first name)
+ * @property {boolean} preventRegression - Keep the previous time when new output goes backwards
+ */
+
+/**
+ * @typedef {Object} CalendarDate
+ * @property {number|null} year - Year number
+ * @property {number|null} monthIndex - Zero-based month index
+ * @property {number|null} day - Day of the month (1-based)
+ * @property {number|null} weekdayIndex - Zero-based weekday index as written
+ */
+
+/**
+ * @typedef {Object} ClockTime
+ * @property {number} hour - Hour of the day
+ * @property {number} minute - Minute of the hour
+ */
+
+/**
+ * Default calendar (Gregorian)
+ * @type {CalendarConfig}
+ */
+export const DEFAULT_CALENDAR = {
+    enabled: true,
+    months: [
+        { name: 'January', days: 31 },
+        { name: 'February', days: 28 },
+        { name: 'March', days: 31 },
+        { name: 'April', days: 30 },
+        { name: 'May', days: 31 },
+        { name: 'June', days: 30 },
+        { name: 'July', days: 31 },
+        { name: 'August', days: 31 },
+        { name: 'September', days: 30 },
+        { name: 'October', days: 31 },
+        { name: 'November', days: 30 },
+        { name: 'December', days: 31 }
+    ],
+    weekdays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+    hoursPerDay: 24,
+    leapYears: true,
+    epochWeekday: 0,
+    era: '',
+    yearNames: [],
+    preventRegression: true
+};
+
+const DATE_LINE_REGEX = /^\s*(Date:|🗓️:)\s*(.*)$/;
+const TIME_LINE_REGEX = /^\s*(Time:|🕒:)\s*(.*)$/;
+
+/**
+ * Floor modulo (works for negative numbers)
+ * @param {number} a - Dividend
+ * @param {number} n - Divisor
+ * @returns {number} Remainder in [0, n)
+ */
+function mod(a, n) {
+    return ((a % n) + n) % n;
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} s - String
+ * @returns {string} Escaped string
+ */
+function escapeRegex(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Returns the normalized calendar config (defaults filled in)
+ * @returns {CalendarConfig} Calendar
+ */
+export function getCalendarConfig() {
+    const config = extensionSettings.trackerConfig?.infoBox?.calendar || {};
+    const months = (Array.isArray(config.months) ? config.months : [])
+        .filter(m => m && String(m.name || '').trim() && Number(m.days) > 0)
+        .map(m => ({ name: String(m.name).trim(), days: Math.floor(Number(m.days)) }));
+    const weekdays = (Array.isArray(config.weekdays) ? config.weekdays : [])
+        .map(w => String(w || '').trim())
+        .filter(Boolean);
+    const hoursPerDay = Math.floor(Number(config.hoursPerDay));
+
+    return {
+        enabled: config.enabled ?? DEFAULT_CALENDAR.enabled,
+        months: months.length > 0 ? months : DEFAULT_CALENDAR.months,
+        weekdays: weekdays.length > 0 ? weekdays : DEFAULT_CALENDAR.weekdays,
+        hoursPerDay: hoursPerDay > 0 ? hoursPerDay : DEFAULT_CALENDAR.hoursPerDay,
+        leapYears: config.leapYears ?? (months.length === 0),
+        epochWeekday: Math.floor(Number(config.epochWeekday)) || 0,
+        era: String(config.era || '').trim(),
+        yearNames: (Array.isArray(config.yearNames) ? config.yearNames : []).map(n => String(n || '').trim()).filter(Boolean),
+        preventRegression: config.preventRegression ?? DEFAULT_CALENDAR.preventRegression
+    };
+}
+
+/**
+ * Whether a year is a leap year under the calendar
+ * @param {number} year - Year
+ * @param {CalendarConfig} calendar - Calendar
+ * @returns {boolean} True for leap years
+ */
+function isLeapYear(year, calendar) {
+    return calendar.leapYears && calendar.months.length > 1 &&
+        year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+}
+
+/**
+ * Returns the day counts of the months of a year
+ * @param {number} year - Year
+ * @param {CalendarConfig} calendar - Calendar
+ * @returns {number[]} Days per month
+ */
+function getMonthLengths(year, calendar) {
+    const lengths = calendar.months.map(m => m.days);
+    if (isLeapYear(year, calendar)) {
+        lengths[1] += 1;
+    }
+    return lengths;
+}
+
+/**
+ * Number of days before the first day of a year (year 1 starts at day 0)
+ * @param {number} year - Year
+ * @param {CalendarConfig} calendar - Calendar
+ * @returns {number} Days
+ */
+function daysBeforeYear(year, calendar) {
+    const base = calendar.months.reduce((sum, m) => sum + m.days, 0);
+    const previous = year - 1;
+    const leapDays = calendar.leapYears && calendar.months.length > 1
+        ? Math.floor(previous / 4) - Math.floor(previous / 100) + Math.floor(previous / 400)
+        : 0;
+    return previous * base + leapDays;
+}
+
+/**
+ * Converts a calendar date and clock time into a timestamp
+ * @param {{year: number, monthIndex: number, day: number}} date - Calendar date
+ * @param {ClockTime} time - Clock time
+ * @param {CalendarConfig} [calendar] - Calendar
+ * @returns {number} Minutes since the first day of year 1
+ */
+export function toTimestamp(date, time, calendar = getCalendarConfig()) {
+    const lengths = getMonthLengths(date.year, calendar);
+    let dayNumber = daysBeforeYear(date.year, calendar);
+    for (let i = 0; i < date.monthIndex; i++) {
+        dayNumber += lengths[i];
+    }
+    dayNumber += date.day - 1;
+    return dayNumber * calendar.hoursPerDay * 60 + time.hour * 60 + time.minute;
+}
+
+/**
+ * Converts a timestamp back into calendar date and clock time
+ * @param {number} timestamp - Minutes since the first day of year 1
+ * @param {CalendarConfig} [calendar] - Calendar
+ * @returns {{year: number, monthIndex: number, day: number, weekdayIndex: number, hour: number, minute: number}} Date and time
+ */
+export function fromTimestamp(timestamp, calendar = getCalendarConfig()) {
+    const minutesPerDay = calendar.hoursPerDay * 60;
+    const dayNumber = Math.floor(timestamp / minutesPerDay);
+    const minuteOfDay = timestamp - dayNumber * minutesPerDay;
+
+    const daysPerYear = calendar.months.reduce((sum, m) => sum + m.days, 0);
+    let year = Math.floor(dayNumber / daysPerYear) + 1;
+    while (daysBeforeYear(year, calendar) > dayNumber) {
+        year--;
+    }
+    while (daysBeforeYear(year + 1, calendar) <= dayNumber) {
+        year++;
+    }
+
+    let dayOfYear = dayNumber - daysBeforeYear(year, calendar);
+    const lengths = getMonthLengths(year, calendar);
+    let monthIndex = 0;
+    while (monthIndex < lengths.length - 1 && dayOfYear >= lengths[monthIndex]) {
+        dayOfYear -= lengths[monthIndex];
+        monthIndex++;
+    }
+
+    return {
+        year,
+        monthIndex,
+        day: dayOfYear + 1,
+        weekdayIndex: mod(dayNumber + calendar.epochWeekday, calendar.weekdays.length),
+        hour: Math.floor(minuteOfDay / 60),
+        minute: minuteOfDay % 60
+    };
+}
+
+/**
+ * Finds the first of the given names inside a text (whole words, case-insensitive)
+ * @param {string} text - Text to search
+ * @param {string[]} names - Candidate names
+ * @returns {{index: number, match: string}|null} Index of the matched name and the matched text
+ */
+function findName(text, names) {
+    const candidates = names
+        .map((name, index) => ({ name, index }))
+        .sort((a, b) => b.name.length - a.name.length);
+
+    for (const { name, index } of candidates) {
+        const match = text.match(new RegExp(`(?:^|[^\\p{L}])(${escapeRegex(name)})(?![\\p{L}])`, 'iu'));
+        if (match) {
+            return { index, match: match[1] };
+        }
+    }
+    // Three-letter abbreviations ("Mar", "Tue") when they are unambiguous
+    for (const { name, index } of candidates) {
+        const short = name.substring(0, 3);
+        if (name.length > 3 && names.filter(n => n.substring(0, 3).toLowerCase() === short.toLowerCase()).length === 1) {
+            const match = text.match(new RegExp(`(?:^|[^\\p{L}])(${escapeRegex(short)})\\.?(?![\\p{L}])`, 'iu'));
+            if (match) {
+                return { index, match: match[1] };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns the value of the first Date or Time line of an Info Box text
+ * @param {string|null} infoBoxText - Info Box text
+ * @param {RegExp} regex - Line regex
+ * @returns {string|null} Line value
+ */
+function getLineValue(infoBoxText, regex) {
+    for (const line of String(infoBoxText || '').split('\n')) {
+        const match = line.match(regex);
+        if (match) {
+            return match[2].trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * Parses the Date line of an Info Box text.
+ * Understands "Weekday, Month Day, Year", "Weekday, Day Month, Year",
+ * "14th of March" as well as numeric yyyy-mm-dd and dd/mm/yyyy (or mm/dd/yyyy,
+ * following the date widget format).
+ * @param {string|null} infoBoxText - Info Box text
+ * @param {CalendarConfig} [calendar] - Calendar
+ * @returns {CalendarDate|null} Parsed date (fields are null when missing)
+ */
+export function parseInfoBoxDate(infoBoxText, calendar = getCalendarConfig()) {
+    const dateStr = getLineValue(infoBoxText, DATE_LINE_REGEX);
+    if (!dateStr) {
+        return null;
+    }
+
+    const weekday = findName(dateStr, calendar.weekdays);
+    const result = { year: null, monthIndex: null, day: null, weekdayIndex: weekday ? weekday.index : null };
+
+    const iso = dateStr.match(/(-?\d{1,6})-(\d{1,2})-(\d{1,2})/);
+    const slashed = dateStr.match(/(\d{1,2})\/(\d{1,2})\/(-?\d{1,6})/);
+    if (iso) {
+        result.year = parseInt(iso[1], 10);
+        result.monthIndex = parseInt(iso[2], 10) - 1;
+        result.day = parseInt(iso[3], 10);
+    } else if (slashed) {
+        const usOrder = extensionSettings.trackerConfig?.infoBox?.widgets?.date?.format === 'mm/dd/yyyy';
+        result.monthIndex = parseInt(usOrder ? slashed[1] : slashed[2], 10) - 1;
+        result.day = parseInt(usOrder ? slashed[2] : slashed[1], 10);
+        result.year = parseInt(slashed[3], 10);
+    } else {
+        const month = findName(dateStr, calendar.months.map(m => m.name));
+        if (!month) {
+            return result;
+        }
+        result.monthIndex = month.index;
+
+        // Drop the weekday and month names, then read "day ... year" from the remaining numbers
+        let rest = dateStr;
+        if (weekday) {
+            rest = rest.replace(weekday.match, ' ');
+        }
+        const monthPos = rest.indexOf(month.match);
+        const before = rest.substring(0, monthPos);
+        const after = rest.substring(monthPos + month.match.length);
+        const numbers = (s) => (s.match(/-?\d+/g) || []).map(n => parseInt(n, 10));
+
+        const dayBefore = before.match(/(\d{1,3})(?:st|nd|rd|th)?(?:\s+of)?\s*$/i);
+        const afterNumbers = numbers(after.replace(/(\d+)(?:st|nd|rd|th)\b/gi, '$1'));
+        if (dayBefore) {
+            result.day = parseInt(dayBefore[1], 10);
+            result.year = afterNumbers.length > 0 ? afterNumbers[0] : null;
+        } else if (/^\s*\d/.test(after)) {
+            result.day = afterNumbers[0];
+            result.year = afterNumbers.length > 1 ? afterNumbers[1] : null;
+        } else {
+            result.year = afterNumbers.length > 0 ? afterNumbers[0] : null;
+        }
+    }
+
+    const monthLength = result.monthIndex !== null && calendar.months[result.monthIndex]
+        ? getMonthLengths(result.year ?? 1, calendar)[result.monthIndex]
+        : null;
+    if (monthLength === null) {
+        result.monthIndex = null;
+        result.day = null;
+    } else if (result.day !== null && (result.day < 1 || result.day > monthLength)) {
+        result.day = null;
+    }
+    return result;
+}
+
+/**
+ * Parses a clock time ("14:30", "2:30 pm")
+ * @param {string} text - Time text
+ * @param {CalendarConfig} [calendar] - Calendar
+ * @returns {ClockTime|null} Time
+ */
+export function parseClockTime(text, calendar = getCalendarConfig()) {
+    const match = String(text || '').match(/(\d{1,2}):(\d{2})\s*([ap]\.?m\.?)?/i);
+    if (!match) {
+        return null;
+    }
+    let hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2], 10);
+    const meridiem = (match[3] || '').toLowerCase();
+    if (meridiem.startsWith('p') && hour < 12) {
+        hour += 12;
+    } else if (meridiem.startsWith('a') && hour === 12) {
+        hour = 0;
+    }
+    if (minute > 59) {
+        return null;
+    }
+    return { hour: hour % calendar.hoursPerDay, minute };
+}
+
+/**
+ * Parses the Time line ("start → end") of an Info Box text
+ * @param {string|null} infoBoxText - Info Box text
+ * @param {CalendarConfig} [calendar] - Calendar
+ * @returns {{start: ClockTime|null, end: ClockTime|null}|null} Start and end time (end falls back to start)
+ */
+export function parseInfoBoxTime(infoBoxText, calendar = getCalendarConfig()) {
+    const timeStr = getLineValue(infoBoxText, TIME_LINE_REGEX);
+    if (!timeStr) {
+        return null;
+    }
+    const parts = timeStr.split(/→|->/);
+    const start = parseClockTime(parts[0], calendar);
+    const end = parts.length > 1 ? parseClockTime(parts[parts.length - 1], calendar) : null;
+    if (!start && !end) {
+        return null;
+    }
+    return { start: start || end, end: end || start };
+}
+
+/**
+ * Returns the canonical timestamp of an Info Box (the end of its time range)
+ * @param {string|null} infoBoxText - Info Box text
+ * @param {CalendarConfig} [calendar] - Calendar
+ * @returns {number|null} Timestamp, or null if the date or time is incomplete
+ */
+export function getInfoBoxTimestamp(infoBoxText, calendar = getCalendarConfig()) {
+    const date = parseInfoBoxDate(infoBoxText, calendar);
+    const time = parseInfoBoxTime(infoBoxText, calendar);
+    if (!date || date.year === null || date.monthIndex === null || date.day === null || !time) {
+        return null;
+    }
+    return toTimestamp(date, time.end, calendar);
+}
+
+/**
+ * Computes the in-game minutes between two Info Box texts.
+ * Uses full timestamps when both dates are known (negative = time went backwards);
+ * otherwise only the clocks are compared and going backwards counts as crossing midnight.
+ * @param {string|null} previousInfoBox - Earlier Info Box text
+ * @param {string|null} nextInfoBox - Later Info Box text
+ * @param {CalendarConfig} [calendar] - Calendar
+ * @returns {number|null} Elapsed minutes, or null when unknown
+ */
+export function getElapsedMinutes(previousInfoBox, nextInfoBox, calendar = getCalendarConfig()) {
+    const before = getInfoBoxTimestamp(previousInfoBox, calendar);
+    const after = getInfoBoxTimestamp(nextInfoBox, calendar);
+    if (before !== null && after !== null) {
+        return after - before;
+    }
+
+    const beforeTime = parseInfoBoxTime(previousInfoBox, calendar);
+    const afterTime = parseInfoBoxTime(nextInfoBox, calendar);
+    if (!beforeTime || !afterTime) {
+        return null;
+    }
+    const minutesPerDay = calendar.hoursPerDay * 60;
+    const toMinutes = (t) => t.hour * 60 + t.minute;
+    return mod(toMinutes(afterTime.end) - toMinutes(beforeTime.end), minutesPerDay);
+}
+
+/**
+ * Computes how many in-game hours passed between two Info Box texts
+ * @param {string|null} previousInfoBox - Previous Info Box text
+ * @param {string|null} nextInfoBox - New Info Box text
+ * @returns {number} Elapsed hours (0 when unknown or when time went backwards)
+ */
+export function getElapsedHours(previousInfoBox, nextInfoBox) {
+    const minutes = getElapsedMinutes(previousInfoBox, nextInfoBox);
+    return minutes && minutes > 0 ? minutes / 60 : 0;
+}
+
+/**
+ * Formats a duration as "2 days, 3 hours, 15 minutes"
+ * @param {number|null} minutes - Duration in minutes
+ * @param {CalendarConfig} [calendar] - Calendar
+ * @returns {string} Formatted duration ("" when unknown)
+ */
+export function formatDuration(minutes, calendar = getCalendarConfig()) {
+    if (minutes === null || minutes === undefined || !Number.isFinite(minutes)) {
+        return '';
+    }
+    const sign = minutes < 0 ? '-' : '';
+    let rest = Math.abs(Math.round(minutes));
+    const minutesPerDay = calendar.hoursPerDay * 60;
+    const days = Math.floor(rest / minutesPerDay);
+    rest -= days * minutesPerDay;
+    const hours = Math.floor(rest / 60);
+    const mins = rest % 60;
+
+    const parts = [];
+    if (days) parts.push(`${days} ${days === 1 ? 'day' : 'days'}`);
+    if (hours) parts.push(`${hours} ${hours === 1 ? 'hour' : 'hours'}`);
+    if (mins || parts.length === 0) parts.push(`${mins} ${mins === 1 ? 'minute' : 'minutes'}`);
+    return sign + parts.join(', ');
+}
+
+/**
+ * Formats a clock time as HH:MM
+ * @param {ClockTime} time - Time
+ * @returns {string} Formatted time
+ */
+function formatClock(time) {
+    return `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}`;
+}
+
+/**
+ * Formats a year with the era suffix and cycled year name
+ * @param {number} year - Year
+ * @param {CalendarConfig} calendar - Calendar
+ * @returns {string} Formatted year
+ */
+function formatYear(year, calendar) {
+    let text = calendar.era ? `${year} ${calendar.era}` : String(year);
+    if (calendar.yearNames.length > 0) {
+        text += ` (${calendar.yearNames[mod(year - 1, calendar.yearNames.length)]})`;
+    }
+    return text;
+}
+
+/**
+ * Formats the value of the Date line ("Weekday, Month Day, Year")
+ * @param {number} timestamp - Timestamp
+ * @param {CalendarConfig} [calendar] - Calendar
+ * @returns {string} Date text
+ */
+export function formatDate(timestamp, calendar = getCalendarConfig()) {
+    const parts = fromTimestamp(timestamp, calendar);
+    return `${calendar.weekdays[parts.weekdayIndex]}, ${calendar.months[parts.monthIndex].name} ${parts.day}, ${formatYear(parts.year, calendar)}`;
+}
+
+/**
+ * Rewrites (or inserts) the Date and Time lines of an Info Box text
+ * @param {string|null} infoBoxText - Info Box text
+ * @param {{date: string|null, time: string}} values - New line values (date null = leave unchanged)
+ * @returns {string} Updated Info Box text
+ */
+function writeDateAndTime(infoBoxText, values) {
+    const lines = String(infoBoxText || 'Info Box\n---\n').split('\n');
+    let dateFound = false;
+    let timeFound = false;
+
+    const updated = lines.map(line => {
+        const dateMatch = !dateFound && line.match(DATE_LINE_REGEX);
+        if (dateMatch) {
+            dateFound = true;
+            return values.date !== null ? `${dateMatch[1]} ${values.date}` : line;
+        }
+        const timeMatch = !timeFound && line.match(TIME_LINE_REGEX);
+        if (timeMatch) {
+            timeFound = true;
+            return `${timeMatch[1]} ${values.time}`;
+        }
+        return line;
+    });
+
+    const dividerIndex = updated.findIndex(line => line.includes('---'));
+    const insertAt = dividerIndex >= 0 ? dividerIndex + 1 : updated.length;
+    if (!timeFound) {
+        updated.splice(insertAt, 0, `Time: ${values.time}`);
+    }
+    if (!dateFound && values.date !== null) {
+        updated.splice(insertAt, 0, `Date: ${values.date}`);
+    }
+    return updated.join('\n');
+}
+
+/**
+ * Advances the Info Box time. The new scene starts where the previous one
+ * ended, and the date (including the weekday) rolls over as needed.
+ * Without a complete date only the clock is advanced.
+ * @param {string|null} infoBoxText - Info Box text
+ * @param {number} minutes - Minutes to advance
+ * @returns {string} Updated Info Box text
+ */
+export function advanceInfoBoxTime(infoBoxText, minutes) {
+    const calendar = getCalendarConfig();
+    const time = parseInfoBoxTime(infoBoxText, calendar);
+    const start = time ? time.end : { hour: 0, minute: 0 };
+    const timestamp = getInfoBoxTimestamp(infoBoxText, calendar);
+
+    if (timestamp !== null) {
+        const next = timestamp + minutes;
+        return writeDateAndTime(infoBoxText, {
+            date: formatDate(next, calendar),
+            time: `${formatClock(start)} → ${formatClock(fromTimestamp(next, calendar))}`
+        });
+    }
+
+    const minuteOfDay = mod(start.hour * 60 + start.minute + minutes, calendar.hoursPerDay * 60);
+    const end = { hour: Math.floor(minuteOfDay / 60), minute: minuteOfDay % 60 };
+    return writeDateAndTime(infoBoxText, { date: null, time: `${formatClock(start)} → ${formatClock(end)}` });
+}
+
+/**
+ * Checks freshly generated Info Box text against the committed one before it is stored.
+ * - The clock passing midnight while the date stays the same (a late time followed by an
+ *   early one, more than half a day back) moves the date forward a day.
+ * - The date going backwards is a regression; with preventRegression the previous
+ *   date and time are kept.
+ * @param {string|null} infoBoxText - Generated Info Box text
+ * @returns {string|null} Corrected Info Box text
+ */
+export function reconcileGeneratedInfoBox(infoBoxText) {
+    const calendar = getCalendarConfig();
+    const previousText = committedTrackerData.infoBox;
+    if (!calendar.enabled || !infoBoxText || !previousText) {
+        return infoBoxText;
+    }
+
+    const previous = getInfoBoxTimestamp(previousText, calendar);
+    const next = getInfoBoxTimestamp(infoBoxText, calendar);
+    if (previous === null || next === null || next >= previous) {
+        return infoBoxText;
+    }
+
+    const minutesPerDay = calendar.hoursPerDay * 60;
+    const halfDay = minutesPerDay / 2;
+    const sameDay = Math.floor(previous / minutesPerDay) === Math.floor(next / minutesPerDay);
+    // Only a late clock followed by an early one, more than half a day back, is a real
+    // midnight crossing. Smaller backward steps are model mistakes (regressions).
+    const passedMidnight = sameDay &&
+        mod(previous, minutesPerDay) >= halfDay &&
+        mod(next, minutesPerDay) < halfDay &&
+        previous - next > halfDay;
+    if (passedMidnight) {
+        // Clock went past midnight but the model kept the date
+        const time = parseInfoBoxTime(infoBoxText, calendar);
+        const corrected = next + minutesPerDay;
+        console.log('[RPG Companion] Info Box clock passed midnight, moving the date forward');
+        return writeDateAndTime(infoBoxText, {
+            date: formatDate(corrected, calendar),
+            time: `${formatClock(time.start)} → ${formatClock(time.end)}`
+        });
+    }
+
+    console.warn(`[RPG Companion] Info Box time went backwards by ${formatDuration(previous - next, calendar)}`);
+    if (!calendar.preventRegression) {
+        return infoBoxText;
+    }
+    toastr.warning(`In-game time went backwards by ${formatDuration(previous - next, calendar)}; keeping the previous date and time.`, 'RPG Companion');
+    const time = formatClock(fromTimestamp(previous, calendar));
+    return writeDateAndTime(infoBoxText, {
+        date: formatDate(previous, calendar),
+        time: `${time} → ${time}`
+    });
+}
+
+/**
+ * Returns the Info Box text stored for a chat message (active swipe)
+ * @param {Object} message - Chat message
+ * @returns {string|null} Info Box text
+ */
+function getMessageInfoBox(message) {
+    if (message?.extra?.rpg_companion_swipes) {
+        return message.extra.rpg_companion_swipes[message.swipe_id || 0]?.infoBox || null;
+    }
+    return message?.extra?.rpg_companion_data?.infoBox || null;
+}
+
+/**
+ * In-game minutes passed since a chat message, measured against the committed Info Box
+ * @param {number} messageIndex - Chat message index
+ * @returns {number|null} Elapsed minutes, or null when unknown
+ */
+export function getElapsedSinceMessage(messageIndex) {
+    const message = getContext().chat?.[messageIndex];
+    const infoBox = getMessageInfoBox(message);
+    if (!infoBox || !committedTrackerData.infoBox) {
+        return null;
+    }
+    return getElapsedMinutes(infoBox, committedTrackerData.infoBox);
+}
+
+/**
+ * In-game minutes passed since the first message of the chat that has a dated Info Box
+ * @returns {number|null} Elapsed minutes, or null when unknown
+ */
+export function getElapsedSinceStart() {
+    const chat = getContext().chat || [];
+    const index = chat.findIndex(message => getInfoBoxTimestamp(getMessageInfoBox(message)) !== null);
+    return index >= 0 ? getElapsedSinceMessage(index) : null;
+}
+
+/**
+ * In-game minutes passed during the latest tracker update (previous assistant message → committed)
+ * @returns {number|null} Elapsed minutes, or null when unknown
+ */
+export function getElapsedSinceLastUpdate() {
+    const chat = getContext().chat || [];
+    const current = committedTrackerData.infoBox;
+    for (let i = chat.length - 1; i >= 0; i--) {
+        const infoBox = getMessageInfoBox(chat[i]);
+        if (!chat[i].is_user && infoBox && infoBox !== current) {
+            return getElapsedMinutes(infoBox, current);
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether the Info Box clock is at night (before 6:00 or from 20:00, scaled to the day length)
+ * @param {string|null} infoBoxText - Info Box text
+ * @returns {boolean|null} True at night, null when the time is unknown
+ */
+export function isNightTime(infoBoxText) {
+    const calendar = getCalendarConfig();
+    const time = parseInfoBoxTime(infoBoxText, calendar);
+    if (!time) {
+        return null;
+    }
+    const dayFraction = (time.end.hour * 60 + time.end.minute) / (calendar.hoursPerDay * 60);
+    return dayFraction < 0.25 || dayFraction >= 20 / 24;
+}
+
+/**
+ * Describes a custom calendar for the tracker instructions
+ * @returns {string} Calendar note, or an empty string for the default calendar
+ */
+export function buildCalendarNote() {
+    const calendar = getCalendarConfig();
+    // Compared by value: the editor stores a copy of the default calendar on the first change
+    const monthsText = months => JSON.stringify(months.map(m => [m.name, m.days]));
+    const isDefault = monthsText(calendar.months) === monthsText(DEFAULT_CALENDAR.months) &&
+        calendar.weekdays.join(',') === DEFAULT_CALENDAR.weekdays.join(',') &&
+        calendar.hoursPerDay === DEFAULT_CALENDAR.hoursPerDay &&
+        !calendar.era && calendar.yearNames.length === 0;
+    if (isDefault) {
+        return '';
+    }
+
+    const parts = [
+        `Months: ${calendar.months.map(m => `${m.name} (${m.days} days)`).join(', ')}`,
+        `Weekdays: ${calendar.weekdays.join(', ')}`
+    ];
+    if (calendar.hoursPerDay !== 24) {
+        parts.push(`A day has ${calendar.hoursPerDay} hours`);
+    }
+    if (calendar.era) {
+        parts.push(`Years are written as "<number> ${calendar.era}"`);
+    }
+    return `Use the world's calendar. ${parts.join('. ')}`;
+}
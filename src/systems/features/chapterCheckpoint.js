@@ -1,15 +1,45 @@
 /**
  * Chapter Checkpoint Module
- * Allows users to mark messages as "chapter start" points to filter context
- * Uses SillyTavern's /hide and /unhide commands to exclude messages from context
+ * Splits a chat into named chapters. Each chapter starts at a message, has a title and an
+ * auto-generated summary, and can be hidden from context with SillyTavern's /hide command.
+ * Summaries of hidden chapters are injected in their place, so the context shrinks
+ * without the model forgetting what happened.
+ *
+ * Chapters are stored in chat_metadata.rpg_companion_chapters. The single checkpoint of
+ * older versions (chat_metadata.rpg_companion_chapter_checkpoint) is migrated on first use.
  */
 
 import { getContext } from '../../../../../../extensions.js';
-import { chat_metadata, saveChatDebounced } from '../../../../../../../script.js';
+import {
+    chat_metadata,
+    saveChatDebounced,
+    generateRaw,
+    setExtensionPrompt,
+    extension_prompt_types,
+    extension_prompt_roles
+} from '../../../../../../../script.js';
 import { executeSlashCommandsOnChatInput } from '../../../../../../../scripts/slash-commands.js';
 
-// Track the message range that is currently hidden
-let currentlyHiddenRange = null;
+/**
+ * @typedef {Object} Chapter
+ * @property {string} id - Unique chapter id
+ * @property {string} title - Chapter title
+ * @property {number} messageId - Index of the first message of the chapter
+ * @property {string} summary - Summary injected while the chapter is hidden
+ * @property {boolean} hidden - Whether the chapter's messages are hidden from context
+ * @property {boolean} [prologue] - Created automatically for the messages before the first chapter
+ */
+
+/**
+ * Longest chapter transcript sent to the summarizer (characters)
+ */
+const MAX_SUMMARY_SOURCE_LENGTH = 24000;
+
+// Extension prompt keys set by the last summary injection
+const injectedSummaryKeys = new Set();
+
+// Chapters whose summary is being generated
+const summarizing = new Set();
 
 // Debounce restore to prevent loops
 let isRestoring = false;
@@ -17,111 +47,333 @@ let restoreTimeout = null;
 let pendingResolve = null;
 
 /**
- * Gets the current chapter checkpoint message ID for the active chat
- * @returns {number|null} Message ID of the checkpoint, or null if none set
+ * Notifies the UI that the chapters changed
+ */
+function emitChaptersChanged() {
+    if (typeof document !== 'undefined') {
+        document.dispatchEvent(new CustomEvent('rpg-companion-checkpoint-changed', {
+            detail: { chapters: getChapters() }
+        }));
+    }
+}
+
+/**
+ * Creates a chapter object
+ * @param {number} messageId - First message of the chapter
+ * @param {string} title - Chapter title
+ * @returns {Chapter} Chapter
+ */
+function createChapter(messageId, title) {
+    return {
+        id: `chapter_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 7)}`,
+        title,
+        messageId,
+        summary: '',
+        hidden: false
+    };
+}
+
+/**
+ * Returns the chapters of the active chat, sorted by their first message.
+ * Migrates the legacy single checkpoint the first time.
+ * @returns {Chapter[]} Chapters (the stored array)
+ */
+export function getChapters() {
+    if (!chat_metadata) {
+        return [];
+    }
+
+    if (!Array.isArray(chat_metadata.rpg_companion_chapters)) {
+        const chapters = [];
+        const legacy = chat_metadata.rpg_companion_chapter_checkpoint;
+        if (Number.isInteger(legacy)) {
+            if (legacy > 0) {
+                chapters.push({ ...createChapter(0, 'Prologue'), hidden: true, prologue: true });
+            }
+            chapters.push(createChapter(legacy, 'Chapter 1'));
+        }
+        chat_metadata.rpg_companion_chapters = chapters;
+        delete chat_metadata.rpg_companion_chapter_checkpoint;
+    }
+
+    chat_metadata.rpg_companion_chapters.sort((a, b) => a.messageId - b.messageId);
+    return chat_metadata.rpg_companion_chapters;
+}
+
+/**
+ * Returns the message range of every chapter that starts inside the current chat
+ * @returns {Array<{chapter: Chapter, start: number, end: number}>} Ranges (inclusive)
+ */
+export function getChapterRanges() {
+    const chat = getContext().chat || [];
+    const chapters = getChapters().filter(c => c.messageId >= 0 && c.messageId < chat.length);
+    return chapters.map((chapter, index) => ({
+        chapter,
+        start: chapter.messageId,
+        end: index < chapters.length - 1 ? chapters[index + 1].messageId - 1 : chat.length - 1
+    }));
+}
+
+/**
+ * Finds a chapter by id
+ * @param {string} id - Chapter id
+ * @returns {Chapter|undefined} Chapter
+ */
+export function getChapter(id) {
+    return getChapters().find(c => c.id === id);
+}
+
+/**
+ * Gets the start message of the latest chapter
+ * @returns {number|null} Message ID, or null if the chat has no chapters
  */
 export function getChapterCheckpoint() {
-    const context = getContext();
-    if (!context || !chat_metadata) return null;
+    const chapters = getChapters();
+    return chapters.length > 0 ? chapters[chapters.length - 1].messageId : null;
+}
 
-    return chat_metadata.rpg_companion_chapter_checkpoint || null;
+/**
+ * Checks if a chapter starts at a message
+ * @param {number} messageId - The message index to check
+ * @returns {boolean} True if a chapter starts at this message
+ */
+export function isCheckpointMessage(messageId) {
+    return getChapters().some(c => c.messageId === messageId);
 }
 
 /**
- * Sets a message as the chapter checkpoint
- * Automatically clears any previous checkpoint (only one checkpoint allowed at a time)
- * Hides all messages before the checkpoint
- * @param {number} messageId - The chat message index to set as checkpoint
- * @returns {Promise<boolean>} True if successful
+ * Returns the chapter starting at a message
+ * @param {number} messageId - Message index
+ * @returns {Chapter|undefined} Chapter
  */
-export async function setChapterCheckpoint(messageId) {
-    const context = getContext();
-    const chat = context.chat;
+export function getChapterAtMessage(messageId) {
+    return getChapters().find(c => c.messageId === messageId);
+}
 
-    if (!chat || messageId < 0 || messageId >= chat.length) {
-        console.error('[RPG Companion] Invalid message ID for checkpoint:', messageId);
-        return false;
+/**
+ * Hides or unhides a message range with the /hide and /unhide commands
+ * @param {number} start - First message
+ * @param {number} end - Last message
+ * @param {boolean} hidden - Hide or unhide
+ */
+async function setRangeHidden(start, end, hidden) {
+    if (end < start) {
+        return;
     }
+    await executeSlashCommandsOnChatInput(`/${hidden ? 'hide' : 'unhide'} ${start}-${end}`, { quiet: true });
+    console.log(`[RPG Companion] ${hidden ? 'Hid' : 'Unhid'} messages ${start}-${end}`);
+}
 
-    const previousCheckpoint = chat_metadata.rpg_companion_chapter_checkpoint;
+/**
+ * Starts a new chapter at a message. Like the old single checkpoint, earlier chapters
+ * are hidden by default; a "Prologue" chapter is created for the messages before the
+ * first chapter.
+ * @param {number} messageId - The chat message index the chapter starts at
+ * @param {Object} [options] - Options
+ * @param {string} [options.title] - Chapter title (defaults to "Chapter N")
+ * @param {boolean} [options.hidePrevious=true] - Hide the earlier chapters
+ * @returns {Promise<Chapter|null>} The new chapter, or null if the message is invalid
+ */
+export async function addChapter(messageId, { title, hidePrevious = true } = {}) {
+    const chat = getContext().chat;
+    if (!chat || messageId < 0 || messageId >= chat.length) {
+        console.error('[RPG Companion] Invalid message ID for chapter:', messageId);
+        return null;
+    }
 
-    // If moving checkpoint, unhide the old range first
-    if (previousCheckpoint !== null && previousCheckpoint !== undefined && previousCheckpoint !== messageId && currentlyHiddenRange !== null) {
-        const { start, end } = currentlyHiddenRange;
-        await executeSlashCommandsOnChatInput(`/unhide ${start}-${end}`, { quiet: true });
-        console.log(`[RPG Companion] Unhid previous range: ${start}-${end}`);
+    const chapters = getChapters();
+    const existing = chapters.find(c => c.messageId === messageId);
+    if (existing) {
+        return existing;
     }
 
-    // Store in chat metadata (this automatically overrides any previous checkpoint)
-    chat_metadata.rpg_companion_chapter_checkpoint = messageId;
+    if (chapters.length === 0 && messageId > 0) {
+        chapters.push({ ...createChapter(0, 'Prologue'), prologue: true });
+    }
+    const number = chapters.filter(c => c.messageId < messageId && !c.prologue).length + 1;
+    const chapter = createChapter(messageId, title?.trim() || `Chapter ${number}`);
+    chapters.push(chapter);
+    chapters.sort((a, b) => a.messageId - b.messageId);
     saveChatDebounced();
+    console.log(`[RPG Companion] Chapter "${chapter.title}" started at message ${messageId}`);
 
-    // Hide all messages before the checkpoint
-    if (messageId > 0) {
-        const rangeEnd = messageId - 1;
-        await executeSlashCommandsOnChatInput(`/hide 0-${rangeEnd}`, { quiet: true });
-        currentlyHiddenRange = { start: 0, end: rangeEnd };
-        console.log(`[RPG Companion] Hidden messages 0-${rangeEnd} (checkpoint at ${messageId})`);
+    if (hidePrevious) {
+        for (const { chapter: previous } of getChapterRanges().filter(r => r.chapter.messageId < messageId && !r.chapter.hidden)) {
+            await setChapterHidden(previous.id, true);
+        }
     }
 
-    if (previousCheckpoint !== null && previousCheckpoint !== undefined && previousCheckpoint !== messageId) {
-        console.log(`[RPG Companion] Chapter checkpoint moved from message ${previousCheckpoint} to ${messageId}`);
-    } else {
-        console.log('[RPG Companion] Chapter checkpoint set at message', messageId);
+    emitChaptersChanged();
+    return chapter;
+}
+
+/**
+ * Removes a chapter. Its messages join the previous chapter, which is shown again
+ * (removing the only chapter restores the full chat, like clearing the old checkpoint).
+ * @param {string} id - Chapter id
+ */
+export async function removeChapter(id) {
+    const chapters = getChapters();
+    const index = chapters.findIndex(c => c.id === id);
+    if (index < 0) {
+        return;
     }
 
-    // Emit event for UI updates
-    if (typeof document !== 'undefined') {
-        const event = new CustomEvent('rpg-companion-checkpoint-changed', {
-            detail: { messageId, previousCheckpoint }
-        });
-        document.dispatchEvent(event);
+    const ranges = getChapterRanges();
+    const range = ranges.find(r => r.chapter.id === id);
+    if (range && range.chapter.hidden) {
+        await setRangeHidden(range.start, range.end, false);
+    }
+    const previous = chapters[index - 1];
+    if (previous?.hidden) {
+        await setChapterHidden(previous.id, false);
+    }
+
+    chapters.splice(index, 1);
+
+    // Drop the automatic prologue once it is the only chapter left
+    if (chapters.length === 1 && chapters[0].prologue) {
+        if (chapters[0].hidden) {
+            await setChapterHidden(chapters[0].id, false);
+        }
+        chapters.splice(0, 1);
     }
 
-    return true;
+    saveChatDebounced();
+    applyChapterSummaries();
+    console.log('[RPG Companion] Chapter removed:', id);
+    emitChaptersChanged();
 }
 
 /**
- * Clears the chapter checkpoint and unhides all hidden messages
+ * Updates the title or summary of a chapter
+ * @param {string} id - Chapter id
+ * @param {{title?: string, summary?: string}} changes - New values
  */
-export async function clearChapterCheckpoint() {
-    if (!chat_metadata) return;
+export function updateChapter(id, changes) {
+    const chapter = getChapter(id);
+    if (!chapter) {
+        return;
+    }
+    if (typeof changes.title === 'string' && changes.title.trim()) {
+        chapter.title = changes.title.trim();
+    }
+    if (typeof changes.summary === 'string') {
+        chapter.summary = changes.summary.trim();
+    }
+    saveChatDebounced();
+    applyChapterSummaries();
+    emitChaptersChanged();
+}
 
-    // Unhide any hidden messages
-    if (currentlyHiddenRange !== null) {
-        const { start, end } = currentlyHiddenRange;
-        await executeSlashCommandsOnChatInput(`/unhide ${start}-${end}`, { quiet: true });
-        console.log(`[RPG Companion] Unhid messages ${start}-${end}`);
-        currentlyHiddenRange = null;
+/**
+ * Hides or shows a chapter's messages. Hiding a chapter without a summary
+ * generates one in the background.
+ * @param {string} id - Chapter id
+ * @param {boolean} hidden - Hide or show
+ */
+export async function setChapterHidden(id, hidden) {
+    const range = getChapterRanges().find(r => r.chapter.id === id);
+    if (!range) {
+        return;
     }
 
-    delete chat_metadata.rpg_companion_chapter_checkpoint;
+    await setRangeHidden(range.start, range.end, hidden);
+    range.chapter.hidden = hidden;
     saveChatDebounced();
+    applyChapterSummaries();
+    emitChaptersChanged();
 
-    console.log('[RPG Companion] Chapter checkpoint cleared');
-
-    // Emit event for UI updates
-    if (typeof document !== 'undefined') {
-        const event = new CustomEvent('rpg-companion-checkpoint-changed', {
-            detail: { messageId: null }
+    if (hidden && !range.chapter.summary) {
+        generateChapterSummary(id).catch(error => {
+            console.error('[RPG Companion] Chapter summary failed:', error);
+            toastr.error(`Could not summarize "${range.chapter.title}": ${error.message}`, 'RPG Companion');
         });
-        document.dispatchEvent(event);
     }
 }
 
 /**
- * Checks if a message is the current checkpoint
- * @param {number} messageId - The message index to check
- * @returns {boolean} True if this is the checkpoint message
+ * Whether a summary is currently being generated for a chapter
+ * @param {string} id - Chapter id
+ * @returns {boolean} True while generating
  */
-export function isCheckpointMessage(messageId) {
-    const checkpointId = getChapterCheckpoint();
-    return checkpointId === messageId;
+export function isSummarizing(id) {
+    return summarizing.has(id);
 }
 
 /**
- * Restores checkpoint state after page reload or generation events
- * Checks if a checkpoint exists and re-applies the /hide command
+ * Generates (or regenerates) the summary of a chapter from its messages
+ * @param {string} id - Chapter id
+ * @returns {Promise<string>} The summary
+ */
+export async function generateChapterSummary(id) {
+    const range = getChapterRanges().find(r => r.chapter.id === id);
+    if (!range || summarizing.has(id)) {
+        return range?.chapter.summary || '';
+    }
+
+    const chat = getContext().chat;
+    let transcript = chat.slice(range.start, range.end + 1)
+        .filter(message => message && message.mes)
+        .map(message => `${message.name}: ${message.mes}`)
+        .join('\n\n');
+    if (transcript.length > MAX_SUMMARY_SOURCE_LENGTH) {
+        transcript = transcript.substring(transcript.length - MAX_SUMMARY_SOURCE_LENGTH);
+    }
+    if (!transcript) {
+        return '';
+    }
+
+    summarizing.add(id);
+    emitChaptersChanged();
+    try {
+        const prompt = `Summarize the following roleplay chapter "${range.chapter.title}" in one paragraph of at most six sentences. ` +
+            'Cover the key events, decisions, changes in relationships and any unresolved threads. ' +
+            'Write in past tense and third person, without any preamble.\n\n' +
+            `${transcript}\n\nSummary:`;
+        const response = await generateRaw(prompt, '', false, false);
+        const summary = String(response || '').trim();
+        if (!summary) {
+            throw new Error('No response from AI');
+        }
+
+        range.chapter.summary = summary;
+        saveChatDebounced();
+        applyChapterSummaries();
+        console.log(`[RPG Companion] Summarized chapter "${range.chapter.title}"`);
+        return summary;
+    } finally {
+        summarizing.delete(id);
+        emitChaptersChanged();
+    }
+}
+
+/**
+ * Injects the summaries of hidden chapters at the position of their messages.
+ * The depth of each summary is the number of visible messages after the chapter.
+ */
+export function applyChapterSummaries() {
+    for (const key of injectedSummaryKeys) {
+        setExtensionPrompt(key, '', extension_prompt_types.IN_CHAT, 0, false);
+    }
+    injectedSummaryKeys.clear();
+
+    const chat = getContext().chat || [];
+    for (const { chapter, end } of getChapterRanges()) {
+        if (!chapter.hidden || !chapter.summary) {
+            continue;
+        }
+        const depth = chat.slice(end + 1).filter(message => message && !message.is_system).length;
+        const key = `rpg-companion-chapter-${chapter.id}`;
+        setExtensionPrompt(key, `[Summary of ${chapter.title}: ${chapter.summary}]`, extension_prompt_types.IN_CHAT, depth, false, extension_prompt_roles.SYSTEM);
+        injectedSummaryKeys.add(key);
+    }
+}
+
+/**
+ * Restores chapter state after page reload or generation events.
+ * Re-applies /hide to hidden chapters whose messages became visible and
+ * refreshes the injected summaries.
  * Debounced to prevent loops when called from multiple events
  */
 export async function restoreCheckpointOnLoad() {
@@ -146,39 +398,20 @@ export async function restoreCheckpointOnLoad() {
         restoreTimeout = setTimeout(async () => {
             isRestoring = true;
             try {
-                const checkpointId = getChapterCheckpoint();
-
-                if (checkpointId !== null && checkpointId !== undefined && checkpointId > 0) {
-                    const context = getContext();
-                    const chat = context.chat;
-
-                    if (chat && checkpointId < chat.length) {
-                        const rangeEnd = checkpointId - 1;
-
-                        // Check if messages are already hidden
-                        let needsRestore = false;
-                        let hiddenCount = 0;
-                        let visibleCount = 0;
-                        for (let i = 0; i <= rangeEnd; i++) {
-                            if (chat[i]) {
-                                if (chat[i].is_system) {
-                                    hiddenCount++;
-                                } else {
-                                    visibleCount++;
-                                    needsRestore = true;
-                                }
-                            }
+                const chat = getContext().chat;
+                if (chat) {
+                    for (const { chapter, start, end } of getChapterRanges()) {
+                        if (!chapter.hidden) {
+                            continue;
                         }
-
+                        const needsRestore = chat.slice(start, end + 1).some(message => message && !message.is_system);
                         if (needsRestore) {
-                            await executeSlashCommandsOnChatInput(`/hide 0-${rangeEnd}`, { quiet: true });
-                            currentlyHiddenRange = { start: 0, end: rangeEnd };
-                            console.log(`[RPG Companion] Restored checkpoint: Hidden messages 0-${rangeEnd}`);
-                        } else {
-                            currentlyHiddenRange = { start: 0, end: rangeEnd };
+                            await setRangeHidden(start, end, true);
+                            console.log(`[RPG Companion] Restored hidden chapter "${chapter.title}"`);
                         }
                     }
                 }
+                applyChapterSummaries();
             } finally {
                 isRestoring = false;
                 pendingResolve = null;
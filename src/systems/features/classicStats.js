@@ -1,6 +1,7 @@
 /**
  * Classic Stats Module
- * Handles classic RPG stat buttons (STR, DEX, CON, INT, WIS, CHA) +/- controls
+ * Handles classic RPG stat buttons (STR, DEX, CON, INT, WIS, CHA) +/- controls.
+ * While the user has attribute points from level-ups, + spends one of them.
  */
 
 import {
@@ -8,6 +9,7 @@ import {
     $userStatsContainer
 } from '../../core/state.js';
 import { saveSettings, saveChatData } from '../../core/persistence.js';
+import { spendAttributePoint } from './encounterRewards.js';
 
 /**
  * Sets up event listeners for classic stat +/- buttons using delegation.
@@ -19,7 +21,20 @@ export function setupClassicStatsButtons() {
     // Delegated event listener for increase buttons
     $userStatsContainer.on('click', '.rpg-stat-increase', function() {
         const stat = $(this).data('stat');
-        if (extensionSettings.classicStats[stat] < 100) {
+        if (extensionSettings.attributePoints > 0) {
+            if (spendAttributePoint(stat)) {
+                saveSettings();
+                saveChatData();
+                $(this).closest('.rpg-classic-stat').find('.rpg-classic-stat-value').text(extensionSettings.classicStats[stat]);
+                // Update the remaining points
+                const $points = $userStatsContainer.find('.rpg-attribute-points');
+                if (extensionSettings.attributePoints > 0) {
+                    $points.text(`+${extensionSettings.attributePoints} pts`);
+                } else {
+                    $points.remove();
+                }
+            }
+        } else if (extensionSettings.classicStats[stat] < 100) {
             extensionSettings.classicStats[stat]++;
             saveSettings();
             saveChatData();
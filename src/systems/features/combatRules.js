@@ -0,0 +1,405 @@
+/**
+ * Combat Rules Module
+ * Deterministic resolution for encounters ("rules mode"). Attacks carry a to-hit bonus
+ * and a damage formula, hits are rolled locally against the target's defense and
+ * HP/status changes are applied to the combat stats mechanically. The AI is then only
+ * asked to narrate the outcome that was already decided here.
+ */
+
+import { extensionSettings } from '../../core/state.js';
+import { rollDiceFormula } from './dice.js';
+
+/**
+ * Combat resolution modes stored in encounterSettings.combatMode
+ */
+export const COMBAT_MODES = {
+    NARRATIVE: 'narrative',
+    RULES: 'rules'
+};
+
+/**
+ * @typedef {Object} RulesAttack
+ * @property {string} name - Attack name
+ * @property {string} type - single-target, AoE or both
+ * @property {number} toHit - Bonus added to the d20 attack roll
+ * @property {string} damage - Damage (or healing) dice formula, e.g. "1d8+2"
+ * @property {string} effect - "damage" or "heal" (heals never miss)
+ * @property {Object|null} status - Status applied on hit ({name, emoji, duration})
+ */
+
+/**
+ * @typedef {Object} RulesOutcome
+ * @property {string} actor - Name of the acting combatant
+ * @property {string} action - Attack or item used
+ * @property {string} target - Name of the target
+ * @property {string} effect - "damage" or "heal"
+ * @property {number|null} roll - Natural d20 roll (null for heals)
+ * @property {number} toHit - To-hit bonus
+ * @property {number} defense - Defense of the target
+ * @property {boolean} hit - Whether the action landed
+ * @property {boolean} critical - Natural 20
+ * @property {number} amount - Damage dealt or HP healed
+ * @property {number} hp - Target HP after the action
+ * @property {number} maxHp - Target max HP
+ * @property {boolean} defeated - Whether the target dropped to 0 HP from this action
+ * @property {Object|null} status - Status applied by this action
+ */
+
+/**
+ * Whether new encounters should use rules mode
+ * @returns {boolean} True if the combat mode setting is "rules"
+ */
+export function isRulesModeEnabled() {
+    return extensionSettings.encounterSettings?.combatMode === COMBAT_MODES.RULES;
+}
+
+/**
+ * Modifier of one of the user's attributes (classic d20 formula: (value - 10) / 2, rounded down)
+ * @param {string} attributeId - Attribute id (str, dex, con, int, wis, cha)
+ * @returns {number} Attribute modifier
+ */
+export function getAttributeModifier(attributeId) {
+    const value = Number(extensionSettings.classicStats?.[attributeId]);
+    return Math.floor(((Number.isFinite(value) ? value : 10) - 10) / 2);
+}
+
+/**
+ * Proficiency bonus for the user's level (+2 at level 1, +1 every four levels)
+ * @returns {number} Proficiency bonus
+ */
+export function getProficiencyBonus() {
+    const level = Math.max(1, Number(extensionSettings.level) || 1);
+    return 2 + Math.floor((level - 1) / 4);
+}
+
+/**
+ * Formats a modifier with its sign ("+2", "-1", "" for zero)
+ * @param {number} value - Modifier
+ * @returns {string} Signed modifier
+ */
+function formatModifier(value) {
+    if (!value) return '';
+    return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * Whether a value is a usable dice formula or flat number
+ * @param {*} value - Value to check
+ * @returns {boolean} True if rollDiceFormula() understands it
+ */
+function isDiceFormula(value) {
+    return /^(\d*d\d+([+-]\d+)?|\d+)$/i.test(String(value ?? '').replace(/\s+/g, ''));
+}
+
+/**
+ * Fills in the rules fields of an attack. Attacks may be plain strings (older data)
+ * or objects with only some of the fields; missing values get sensible defaults.
+ * The player's defaults are derived from STR/DEX and level.
+ * @param {string|Object} attack - Attack as stored on the combatant
+ * @param {Object} combatant - Party member or enemy owning the attack
+ * @returns {RulesAttack} Attack with all rules fields
+ */
+export function normalizeAttack(attack, combatant) {
+    const source = typeof attack === 'string' ? { name: attack } : (attack || {});
+
+    let defaultToHit = 3;
+    let defaultDamage = '1d6+1';
+    if (combatant?.isPlayer) {
+        const modifier = Math.max(getAttributeModifier('str'), getAttributeModifier('dex'));
+        defaultToHit = getProficiencyBonus() + modifier;
+        defaultDamage = `1d8${formatModifier(modifier)}`;
+    }
+
+    const toHit = Number(source.toHit);
+    return {
+        name: source.name || 'Attack',
+        type: source.type || 'single-target',
+        toHit: Number.isFinite(toHit) ? toHit : defaultToHit,
+        damage: isDiceFormula(source.damage) ? String(source.damage).replace(/\s+/g, '') : defaultDamage,
+        effect: source.effect === 'heal' ? 'heal' : 'damage',
+        status: source.status && source.status.name ? source.status : null
+    };
+}
+
+/**
+ * Defense of a combatant (the number an attack roll has to reach).
+ * Defaults to 10, plus the DEX modifier for the player.
+ * @param {Object} combatant - Party member or enemy
+ * @returns {number} Defense
+ */
+export function getDefense(combatant) {
+    const defense = Number(combatant?.defense);
+    if (Number.isFinite(defense) && defense > 0) {
+        return defense;
+    }
+    return combatant?.isPlayer ? 10 + getAttributeModifier('dex') : 10;
+}
+
+/**
+ * Prepares freshly generated combat stats for rules mode: every combatant gets a defense
+ * and every attack gets its to-hit/damage fields, so they can be seen and edited in the UI.
+ * @param {Object} combatStats - Combat stats from the init prompt (mutated)
+ * @returns {Object} The same combat stats, marked with rulesMode
+ */
+export function prepareRulesCombatants(combatStats) {
+    for (const combatant of [...(combatStats.party || []), ...(combatStats.enemies || [])]) {
+        combatant.defense = getDefense(combatant);
+        combatant.attacks = (combatant.attacks || []).map(attack => normalizeAttack(attack, combatant));
+    }
+    combatStats.rulesMode = true;
+    return combatStats;
+}
+
+/**
+ * Combatants that are still standing
+ * @param {Array} list - Party or enemy list
+ * @returns {Array} Combatants with HP above 0
+ */
+function living(list) {
+    return (list || []).filter(c => c && c.hp > 0);
+}
+
+/**
+ * Picks a random element
+ * @param {Array} list - Candidates
+ * @returns {*} Random element, or undefined for an empty list
+ */
+function pickRandom(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+/**
+ * Applies a status to a combatant, replacing an existing status of the same name
+ * @param {Object} target - Combatant (mutated)
+ * @param {Object} status - Status to apply
+ */
+function applyStatus(target, status) {
+    const statuses = (target.statuses || []).filter(s => s?.name !== status.name);
+    statuses.push({ name: status.name, emoji: status.emoji || '✨', duration: Number(status.duration) || 0 });
+    target.statuses = statuses;
+}
+
+/**
+ * Resolves one attack (or healing ability) against one target and applies the result.
+ * Damage needs d20 + toHit >= defense; a natural 20 always hits and doubles the damage
+ * dice, a natural 1 always misses. Healing always lands.
+ * @param {Object} attacker - Acting combatant
+ * @param {RulesAttack} attack - Normalized attack
+ * @param {Object} target - Target combatant (mutated)
+ * @returns {RulesOutcome} What happened
+ */
+export function resolveAttack(attacker, attack, target) {
+    const maxHp = Number(target.maxHp) || 0;
+    const outcome = {
+        actor: attacker.name,
+        action: attack.name,
+        target: target.name,
+        effect: attack.effect,
+        roll: null,
+        toHit: attack.toHit,
+        defense: getDefense(target),
+        hit: true,
+        critical: false,
+        amount: 0,
+        hp: target.hp,
+        maxHp,
+        defeated: false,
+        status: null
+    };
+
+    if (attack.effect === 'heal') {
+        outcome.amount = Math.max(0, rollDiceFormula(attack.damage).total);
+        target.hp = Math.min(maxHp || Infinity, target.hp + outcome.amount);
+    } else {
+        const roll = rollDiceFormula('1d20').total;
+        outcome.roll = roll;
+        outcome.critical = roll === 20;
+        outcome.hit = roll !== 1 && (outcome.critical || roll + attack.toHit >= outcome.defense);
+
+        if (outcome.hit) {
+            const wasStanding = target.hp > 0;
+            outcome.amount = Math.max(1, rollDiceFormula(attack.damage, outcome.critical ? 2 : 1).total);
+            target.hp = Math.max(0, target.hp - outcome.amount);
+            outcome.defeated = wasStanding && target.hp <= 0;
+        }
+    }
+
+    if (outcome.hit && attack.status && target.hp > 0) {
+        applyStatus(target, attack.status);
+        outcome.status = attack.status;
+    }
+
+    outcome.hp = target.hp;
+    return outcome;
+}
+
+/**
+ * Extracts the healing formula from an item name, e.g. "Healing Potion (2d4+2)"
+ * @param {string} item - Item name
+ * @returns {string|null} Dice formula, or null if the item has no mechanical effect
+ */
+export function getItemHealFormula(item) {
+    const match = String(item || '').match(/\((\d*d\d+(?:\s*[+-]\s*\d+)?|\d+)\)/i);
+    return match ? match[1].replace(/\s+/g, '') : null;
+}
+
+/**
+ * Finds the combatant a player action was aimed at
+ * @param {Object} combatStats - Combat stats
+ * @param {{name: string, type: string, index: number}} target - Target picked in the UI
+ * @returns {Object|null} The combatant
+ */
+function findTarget(combatStats, target) {
+    if (!target) return null;
+    const list = target.type === 'party' ? combatStats.party : combatStats.enemies;
+    const byIndex = list?.[target.index];
+    if (byIndex && byIndex.name === target.name) {
+        return byIndex;
+    }
+    return (list || []).find(c => c.name === target.name) || null;
+}
+
+/**
+ * Resolves the action the user picked for a controllable combatant. Attacks are rolled;
+ * items heal when their name carries a dice formula in parentheses; custom actions have
+ * no mechanical effect and are only narrated.
+ * @param {Object} combatStats - Combat stats (mutated)
+ * @param {Object} actor - Acting party member
+ * @param {{kind: string, name?: string, target?: Object|string}} playerAction - Structured action from the UI
+ * @returns {RulesOutcome[]} Outcomes
+ */
+export function resolveControlledAction(combatStats, actor, playerAction) {
+    if (!actor || actor.hp <= 0 || !playerAction) {
+        return [];
+    }
+
+    if (playerAction.kind === 'attack') {
+        const stored = (actor.attacks || []).find(a => (typeof a === 'string' ? a : a?.name) === playerAction.name);
+        const attack = normalizeAttack(stored || playerAction.name, actor);
+        const targets = playerAction.target === 'all-enemies'
+            ? living(combatStats.enemies)
+            : [findTarget(combatStats, playerAction.target)].filter(Boolean);
+        return targets
+            .filter(target => target.hp > 0 || attack.effect === 'heal')
+            .map(target => resolveAttack(actor, attack, target));
+    }
+
+    if (playerAction.kind === 'item') {
+        const formula = getItemHealFormula(playerAction.name);
+        const target = findTarget(combatStats, playerAction.target);
+        if (formula && target) {
+            const item = { name: playerAction.name, type: 'single-target', toHit: 0, damage: formula, effect: 'heal', status: null };
+            return [resolveAttack(actor, item, target)];
+        }
+    }
+
+    return [];
+}
+
+/**
+ * Lets one AI-controlled combatant act: picks a random attack, heals the most hurt ally
+ * for healing abilities, hits every opponent with AoE attacks, otherwise a random opponent.
+ * @param {Object} combatStats - Combat stats (mutated)
+ * @param {Object} actor - Acting combatant
+ * @param {string} type - Side of the actor ("party" or "enemy")
+ * @returns {RulesOutcome[]} Outcomes
+ */
+export function resolveAutomaticTurn(combatStats, actor, type) {
+    if (!actor || actor.hp <= 0) return [];
+    const allies = type === 'party' ? combatStats.party : combatStats.enemies;
+    const opponents = type === 'party' ? combatStats.enemies : combatStats.party;
+
+    const attacks = (actor.attacks || []).map(a => normalizeAttack(a, actor));
+    const attack = attacks.length > 0 ? pickRandom(attacks) : normalizeAttack('Attack', actor);
+
+    if (attack.effect === 'heal') {
+        const hurt = living(allies).sort((a, b) => (a.hp / (a.maxHp || 1)) - (b.hp / (b.maxHp || 1)))[0];
+        return hurt ? [resolveAttack(actor, attack, hurt)] : [];
+    }
+
+    const targets = living(opponents);
+    if (targets.length === 0) return [];
+    if (attack.type === 'AoE') {
+        return targets.map(target => resolveAttack(actor, attack, target));
+    }
+    return [resolveAttack(actor, attack, pickRandom(targets))];
+}
+
+/**
+ * Counts down status durations at the end of a round. Statuses with a duration of 0 are
+ * permanent until removed by hand.
+ * @param {Object} combatStats - Combat stats (mutated)
+ * @returns {Array<{target: string, status: string}>} Statuses that wore off
+ */
+export function tickStatuses(combatStats) {
+    const expired = [];
+    for (const combatant of [...combatStats.party, ...combatStats.enemies]) {
+        if (!Array.isArray(combatant.statuses)) continue;
+        combatant.statuses = combatant.statuses.filter(status => {
+            if (!status || !(Number(status.duration) > 0)) return true;
+            status.duration = Number(status.duration) - 1;
+            if (status.duration <= 0) {
+                expired.push({ target: combatant.name, status: status.name });
+                return false;
+            }
+            return true;
+        });
+    }
+    return expired;
+}
+
+/**
+ * Checks whether one side has been wiped out
+ * @param {Object} combatStats - Combat stats
+ * @returns {string|null} "victory", "defeat" or null while the fight goes on
+ */
+export function checkCombatEnd(combatStats) {
+    if (combatStats.enemies.length > 0 && living(combatStats.enemies).length === 0) {
+        return 'victory';
+    }
+    if (combatStats.party.length > 0 && living(combatStats.party).length === 0) {
+        return 'defeat';
+    }
+    return null;
+}
+
+/**
+ * Formats an outcome as one log line
+ * @param {RulesOutcome} outcome - Outcome to format
+ * @param {string} [resourceLabel='HP'] - Label of the HP resource (from the encounter profile)
+ * @returns {string} Log line
+ */
+export function formatOutcome(outcome, resourceLabel = 'HP') {
+    const state = `(${outcome.target}: ${outcome.hp}/${outcome.maxHp} ${resourceLabel})`;
+
+    if (outcome.effect === 'heal') {
+        return `🎲 ${outcome.actor} uses ${outcome.action} on ${outcome.target}: +${outcome.amount} ${resourceLabel} ${state}`;
+    }
+
+    const check = `${outcome.roll}${formatModifier(outcome.toHit)} vs DEF ${outcome.defense}`;
+    if (!outcome.hit) {
+        return `🎲 ${outcome.actor} uses ${outcome.action} on ${outcome.target}: ${check}, ${outcome.roll === 1 ? 'natural 1, miss' : 'miss'}`;
+    }
+
+    let line = `🎲 ${outcome.actor} uses ${outcome.action} on ${outcome.target}: ${check}, ${outcome.critical ? 'CRITICAL HIT' : 'hit'} for ${outcome.amount} ${resourceLabel} ${state}`;
+    if (outcome.status) {
+        line += `, ${outcome.status.emoji || ''} ${outcome.status.name}`.replace(/\s+/g, ' ');
+    }
+    if (outcome.defeated) {
+        line += `. ${outcome.target} is defeated!`;
+    }
+    return line;
+}
+
+/**
+ * Formats a resolved turn step for the log and the narration prompt
+ * @param {{outcomes: RulesOutcome[], expired: Array}} round - Outcomes and expired statuses of the step
+ * @param {string} [resourceLabel='HP'] - Label of the HP resource
+ * @returns {string[]} One line per outcome and expired status
+ */
+export function formatRound(round, resourceLabel = 'HP') {
+    return [
+        ...round.outcomes.map(outcome => formatOutcome(outcome, resourceLabel)),
+        ...round.expired.map(e => `🎲 ${e.status} wears off ${e.target}`)
+    ];
+}
@@ -81,6 +81,34 @@ export async function executeRollCommand(command) {
     }
 }
 
+/**
+ * Rolls a dice formula such as "1d20", "2d6+3" or "d8-1". A plain number is returned as-is.
+ * @param {string|number} formula - Dice formula (NdS, NdS+M, NdS-M or a flat number)
+ * @param {number} [diceMultiplier=1] - Multiplies the number of dice (2 for critical hits)
+ * @returns {{total: number, rolls: Array<number>, modifier: number, formula: string}} The roll result
+ */
+export function rollDiceFormula(formula, diceMultiplier = 1) {
+    const text = String(formula ?? '').replace(/\s+/g, '').toLowerCase();
+    const match = text.match(/^(\d*)d(\d+)([+-]\d+)?$/);
+
+    if (!match) {
+        const flat = parseInt(text) || 0;
+        return { total: flat, rolls: [], modifier: flat, formula: String(flat) };
+    }
+
+    const count = Math.min(100, (parseInt(match[1]) || 1) * diceMultiplier);
+    const sides = Math.max(1, parseInt(match[2]));
+    const modifier = parseInt(match[3]) || 0;
+    const rolls = [];
+
+    for (let i = 0; i < count; i++) {
+        rolls.push(Math.floor(Math.random() * sides) + 1);
+    }
+
+    const total = rolls.reduce((sum, roll) => sum + roll, 0) + modifier;
+    return { total, rolls, modifier, formula: text };
+}
+
 /**
  * Updates the dice display in the sidebar.
  */
@@ -0,0 +1,156 @@
+/**
+ * Encounter Difficulty Module
+ * Local encounter budget from the difficulty chosen for an encounter, the user's level
+ * and CON, and the party size. The budget (total enemy HP, enemy count and damage per
+ * hit) is given to the AI when it creates the encounter, and enemies it proposes later
+ * are checked against it.
+ */
+
+import { selected_group, getGroupMembers, groups } from '../../../../../../group-chats.js';
+import { extensionSettings } from '../../core/state.js';
+import { getAttributeModifier } from './combatRules.js';
+
+/**
+ * Difficulty levels, from the easiest. hpMultiplier scales the party's total HP into the
+ * enemy HP budget, countFactor the party size into the enemy count range and damagePercent
+ * a party member's max HP into the damage range of one hit. xpMultiplier scales the XP
+ * of defeated enemies.
+ */
+export const DIFFICULTY_LEVELS = {
+    trivial: { label: 'Trivial', hpMultiplier: 0.25, countFactor: [0.5, 1], damagePercent: [5, 10], xpMultiplier: 0.5 },
+    easy: { label: 'Easy', hpMultiplier: 0.5, countFactor: [0.5, 1], damagePercent: [8, 15], xpMultiplier: 0.75 },
+    medium: { label: 'Medium', hpMultiplier: 0.75, countFactor: [1, 1.5], damagePercent: [10, 20], xpMultiplier: 1 },
+    hard: { label: 'Hard', hpMultiplier: 1, countFactor: [1, 2], damagePercent: [15, 25], xpMultiplier: 1.25 },
+    deadly: { label: 'Deadly', hpMultiplier: 1.5, countFactor: [1.5, 2.5], damagePercent: [20, 35], xpMultiplier: 1.5 }
+};
+
+export const DEFAULT_DIFFICULTY = 'medium';
+
+/**
+ * @typedef {Object} EncounterBudget
+ * @property {string} difficulty - Difficulty key (see DIFFICULTY_LEVELS)
+ * @property {number} level - User's level the budget was calculated for
+ * @property {number} partySize - Party size the budget was calculated for
+ * @property {number} memberHp - Estimated max HP of one party member
+ * @property {number} totalHp - Total max HP of all enemies
+ * @property {{min: number, max: number}} enemyCount - Number of enemies
+ * @property {{min: number, max: number}} damage - Damage of a single enemy hit
+ */
+
+/**
+ * Difficulty chosen for new encounters
+ * @returns {string} Difficulty key
+ */
+export function getEncounterDifficulty() {
+    const difficulty = extensionSettings.encounterSettings?.difficulty;
+    return DIFFICULTY_LEVELS[difficulty] ? difficulty : DEFAULT_DIFFICULTY;
+}
+
+/**
+ * Party size when none is set: the user plus every unmuted member of a group chat,
+ * or the user and the character in a one-on-one chat
+ * @returns {number} Estimated party size
+ */
+export function estimatePartySize() {
+    if (selected_group) {
+        const group = groups.find(g => g.id === selected_group);
+        const disabledMembers = group?.disabled_members || [];
+        const members = (getGroupMembers(selected_group) || [])
+            .filter(member => member && !(member.avatar && disabledMembers.includes(member.avatar)));
+        return 1 + members.length;
+    }
+    return 2;
+}
+
+/**
+ * Party size for new encounters (the configured size, or the estimate)
+ * @returns {number} Party size
+ */
+export function getPartySize() {
+    const configured = parseInt(extensionSettings.encounterSettings?.partySize);
+    return configured > 0 ? Math.min(configured, 12) : estimatePartySize();
+}
+
+/**
+ * Calculates the encounter budget. A party member's HP is estimated like a d20 character
+ * of the user's level (10 + CON modifier at level 1, 6 + CON modifier per further level).
+ * @param {Object} [options] - Overrides for the current settings
+ * @param {string} [options.difficulty] - Difficulty key
+ * @param {number} [options.level] - User's level
+ * @param {number} [options.partySize] - Party size
+ * @returns {EncounterBudget} Budget
+ */
+export function calculateEncounterBudget(options = {}) {
+    const difficulty = DIFFICULTY_LEVELS[options.difficulty] ? options.difficulty : getEncounterDifficulty();
+    const settings = DIFFICULTY_LEVELS[difficulty];
+    const level = Math.max(1, parseInt(options.level ?? extensionSettings.level) || 1);
+    const partySize = Math.max(1, parseInt(options.partySize) || getPartySize());
+
+    const conModifier = getAttributeModifier('con');
+    const memberHp = Math.max(1, 10 + conModifier + (level - 1) * Math.max(1, 6 + conModifier));
+
+    const minCount = Math.max(1, Math.round(partySize * settings.countFactor[0]));
+    const maxCount = Math.max(minCount, Math.round(partySize * settings.countFactor[1]));
+    const minDamage = Math.max(1, Math.round(memberHp * settings.damagePercent[0] / 100));
+    const maxDamage = Math.max(minDamage, Math.round(memberHp * settings.damagePercent[1] / 100));
+
+    return {
+        difficulty,
+        level,
+        partySize,
+        memberHp,
+        totalHp: Math.max(1, Math.round(memberHp * partySize * settings.hpMultiplier)),
+        enemyCount: { min: minCount, max: maxCount },
+        damage: { min: minDamage, max: maxDamage }
+    };
+}
+
+/**
+ * Highest result of a damage formula ("2d6+3" = 15, "7" = 7)
+ * @param {string} formula - Dice formula or flat number
+ * @returns {number|null} Maximum, or null if it is not a formula
+ */
+function getFormulaMaximum(formula) {
+    const match = String(formula ?? '').replace(/\s+/g, '').match(/^(\d*)d(\d+)([+-]\d+)?$/i);
+    if (match) {
+        return (parseInt(match[1]) || 1) * parseInt(match[2]) + (parseInt(match[3]) || 0);
+    }
+    return /^\d+$/.test(String(formula ?? '').trim()) ? parseInt(formula) : null;
+}
+
+/**
+ * Checks an AI-proposed enemy against the budget, counting the enemies already in the fight
+ * @param {Object} enemy - Proposed enemy
+ * @param {Array<Object>} enemies - Enemies already in the fight
+ * @param {EncounterBudget|null} budget - Budget of the encounter
+ * @param {string} [resourceLabel='HP'] - Label of the HP resource
+ * @returns {string[]} Why the enemy is over budget (empty if it fits)
+ */
+export function getBudgetWarnings(enemy, enemies, budget, resourceLabel = 'HP') {
+    if (!budget) return [];
+
+    const warnings = [];
+    const maxHp = Number(enemy.maxHp) || 0;
+    const activeEnemies = (enemies || []).filter(other => other.hp > 0);
+    const currentHp = activeEnemies.reduce((total, other) => total + (Number(other.maxHp) || 0), 0);
+
+    if (maxHp > budget.totalHp) {
+        warnings.push(`Max ${resourceLabel} ${maxHp} alone is over the budget of ${budget.totalHp}`);
+    } else if (currentHp + maxHp > budget.totalHp) {
+        warnings.push(`Brings the enemy ${resourceLabel} to ${currentHp + maxHp} (budget ${budget.totalHp})`);
+    }
+
+    if (activeEnemies.length + 1 > budget.enemyCount.max) {
+        warnings.push(`Makes ${activeEnemies.length + 1} enemies (budget up to ${budget.enemyCount.max})`);
+    }
+
+    for (const attack of enemy.attacks || []) {
+        if (typeof attack !== 'object' || attack.effect === 'heal') continue;
+        const highest = getFormulaMaximum(attack.damage);
+        if (highest !== null && highest > budget.damage.max) {
+            warnings.push(`${attack.name || 'Attack'} hits for up to ${highest} (budget up to ${budget.damage.max})`);
+        }
+    }
+
+    return warnings;
+}
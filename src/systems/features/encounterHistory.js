@@ -0,0 +1,218 @@
+/**
+ * Encounter History Module
+ * Reads the encounter logs saved with the open chat for the Encounter History view:
+ * result terms of the profile that was used, per-combatant damage totals and
+ * Markdown/HTML exports for keeping a campaign record of fights.
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { getEncounterLogs, deleteEncounterLog } from './encounterState.js';
+import { escapeHtml } from '../../utils/security.js';
+
+/**
+ * Icon of each encounter result (same as the combat over screen)
+ */
+export const RESULT_ICONS = {
+    victory: 'fa-trophy',
+    defeat: 'fa-skull-crossbones',
+    fled: 'fa-person-running',
+    interrupted: 'fa-flag-checkered'
+};
+
+/**
+ * Past encounters of the open chat, newest first
+ * @returns {Array<Object>} Encounter records
+ */
+export function getEncounterHistory() {
+    const chatId = getContext().chatId;
+    return chatId ? [...getEncounterLogs(chatId)].reverse() : [];
+}
+
+/**
+ * Deletes a past encounter of the open chat
+ * @param {Object} record - Encounter record from getEncounterHistory()
+ * @returns {boolean} True if it was deleted
+ */
+export function deleteEncounterRecord(record) {
+    const chatId = getContext().chatId;
+    return chatId ? deleteEncounterLog(chatId, record) : false;
+}
+
+/**
+ * Result of an encounter in the terms of its profile (e.g. "Persuaded" instead of "Victory")
+ * @param {Object} record - Encounter record
+ * @returns {string} Result term
+ */
+export function getResultTerm(record) {
+    const profile = record.profile || {};
+    switch (record.result) {
+        case 'victory': return profile.VICTORY_TERM || 'Victory';
+        case 'defeat': return profile.DEFEAT_TERM || 'Defeat';
+        case 'fled': return profile.FLED_TERM || 'Fled';
+        default: {
+            const result = String(record.result || 'unknown');
+            return result.charAt(0).toUpperCase() + result.slice(1);
+        }
+    }
+}
+
+/**
+ * Date and time an encounter ended
+ * @param {Object} record - Encounter record
+ * @returns {string} Localized date and time
+ */
+export function formatEncounterDate(record) {
+    const date = new Date(record.timestamp);
+    return isNaN(date.getTime()) ? 'Unknown date' : date.toLocaleString();
+}
+
+/**
+ * Name of the profile an encounter used
+ * @param {Object} record - Encounter record
+ * @returns {string} Profile name
+ */
+export function getProfileName(record) {
+    return record.profile?.name || record.profile?.ENCOUNTER_TYPE || 'Combat';
+}
+
+/**
+ * Damage totals of an encounter, party first, then by the most damage dealt and taken
+ * @param {Object} record - Encounter record
+ * @returns {Array<{name: string, type: string, dealt: number, taken: number, healed: number}>} Totals per combatant
+ */
+export function getDamageTotalsList(record) {
+    return Object.values(record.damageTotals || {})
+        .sort((a, b) => ((a.type === 'party' ? 0 : 1) - (b.type === 'party' ? 0 : 1))
+            || ((b.dealt + b.taken) - (a.dealt + a.taken)));
+}
+
+/**
+ * Text of a log entry as it was shown (the selected swipe, if it has swipes)
+ * @param {Object} entry - Log entry from getLogEntries()
+ * @returns {string} Text
+ */
+function getShownMessage(entry) {
+    return entry.swipes?.[entry.swipeIndex || 0] ?? entry.message ?? '';
+}
+
+/**
+ * Display log of an encounter. Records saved before the display log was kept
+ * fall back to the summary log.
+ * @param {Object} record - Encounter record
+ * @returns {Array<{message: string, type: string, swipes?: string[], swipeIndex?: number}>} Log entries
+ */
+export function getLogEntries(record) {
+    if (Array.isArray(record?.displayLog) && record.displayLog.length > 0) {
+        return record.displayLog;
+    }
+
+    return (record?.log || []).flatMap(entry => [
+        { message: entry.action || '', type: 'player-action' },
+        { message: entry.result || '', type: 'narrative', swipes: entry.swipes, swipeIndex: entry.swipeIndex }
+    ]).filter(entry => getShownMessage(entry));
+}
+
+/**
+ * Title line of an encounter for exports
+ * @param {Object} record - Encounter record
+ * @returns {string} Title
+ */
+function getExportTitle(record) {
+    return `${getProfileName(record)} Encounter: ${getResultTerm(record)}`;
+}
+
+/**
+ * Exports an encounter as Markdown
+ * @param {Object} record - Encounter record
+ * @returns {string} Markdown document
+ */
+export function encounterToMarkdown(record) {
+    const resourceLabel = record.profile?.RESOURCE_LABEL || 'HP';
+    let md = `# ${getExportTitle(record)}\n\n`;
+    md += `- **Date:** ${formatEncounterDate(record)}\n`;
+    md += `- **Profile:** ${getProfileName(record)}\n`;
+    md += `- **Result:** ${getResultTerm(record)}\n`;
+    if (record.rounds) md += `- **Rounds:** ${record.rounds}\n`;
+    if (record.loot?.length > 0) md += `- **Loot:** ${record.loot.join(', ')}\n`;
+
+    if (record.summary) {
+        md += `\n## Summary\n\n${record.summary}\n`;
+    }
+
+    const totals = getDamageTotalsList(record);
+    if (totals.length > 0) {
+        md += `\n## Damage Totals\n\n| Combatant | Side | Dealt | Taken | ${resourceLabel} Restored |\n|---|---|---|---|---|\n`;
+        for (const total of totals) {
+            md += `| ${total.name} | ${total.type === 'party' ? 'Party' : 'Enemy'} | ${total.dealt} | ${total.taken} | ${total.healed} |\n`;
+        }
+    }
+
+    const entries = getLogEntries(record);
+    if (entries.length > 0) {
+        md += `\n## Log\n\n`;
+        for (const entry of entries) {
+            const text = String(getShownMessage(entry)).trim().replace(/\n+/g, '  \n');
+            md += entry.type === 'narrative' ? `${text}\n\n` : `**${text}**\n\n`;
+        }
+    }
+
+    return md.trim() + '\n';
+}
+
+/**
+ * Exports an encounter as a standalone HTML page
+ * @param {Object} record - Encounter record
+ * @returns {string} HTML document
+ */
+export function encounterToHTML(record) {
+    const resourceLabel = record.profile?.RESOURCE_LABEL || 'HP';
+    const title = escapeHtml(getExportTitle(record));
+    const totals = getDamageTotalsList(record);
+    const entries = getLogEntries(record);
+
+    const details = [
+        `<li><strong>Date:</strong> ${escapeHtml(formatEncounterDate(record))}</li>`,
+        `<li><strong>Profile:</strong> ${escapeHtml(getProfileName(record))}</li>`,
+        `<li><strong>Result:</strong> ${escapeHtml(getResultTerm(record))}</li>`,
+        record.rounds ? `<li><strong>Rounds:</strong> ${record.rounds}</li>` : '',
+        record.loot?.length > 0 ? `<li><strong>Loot:</strong> ${escapeHtml(record.loot.join(', '))}</li>` : ''
+    ].filter(Boolean).join('\n');
+
+    const totalsTable = totals.length > 0 ? `
+<h2>Damage Totals</h2>
+<table>
+<tr><th>Combatant</th><th>Side</th><th>Dealt</th><th>Taken</th><th>${escapeHtml(resourceLabel)} Restored</th></tr>
+${totals.map(total => `<tr><td>${escapeHtml(total.name)}</td><td>${total.type === 'party' ? 'Party' : 'Enemy'}</td><td>${total.dealt}</td><td>${total.taken}</td><td>${total.healed}</td></tr>`).join('\n')}
+</table>` : '';
+
+    const log = entries.length > 0 ? `
+<h2>Log</h2>
+${entries.map(entry => `<p class="${escapeHtml(entry.type || '')}">${escapeHtml(getShownMessage(entry)).replace(/\n/g, '<br>')}</p>`).join('\n')}` : '';
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+body { font-family: Georgia, serif; max-width: 760px; margin: 2em auto; padding: 0 1em; line-height: 1.5; color: #222; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+.player-action, .party-action { color: #1f7a3a; font-weight: bold; }
+.enemy-action { color: #b3263e; font-weight: bold; }
+.rules-roll { font-family: monospace; color: #8a6d1a; }
+.system { color: #4a7ba7; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<ul>
+${details}
+</ul>
+${record.summary ? `<h2>Summary</h2>\n<p>${escapeHtml(record.summary).replace(/\n+/g, '</p>\n<p>')}</p>` : ''}
+${totalsTable}
+${log}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,235 @@
+/**
+ * Encounter Outcome Module
+ * Works out what a finished encounter changes in the main trackers: the user's final HP
+ * becomes the Health stat, items used during the fight leave the inventory, loot (named in
+ * the summary or dropped by bestiary creatures) is added to the items on person, lasting
+ * statuses become Conditions and the XP of defeated enemies goes to the user's level.
+ * The changes are proposed first and only applied once the user confirms them.
+ */
+
+import {
+    extensionSettings,
+    lastGeneratedData,
+    committedTrackerData
+} from '../../core/state.js';
+import { saveSettings, saveChatData, updateMessageSwipeData } from '../../core/persistence.js';
+import { addInventoryItem, removeInventoryItem } from '../interaction/inventoryActions.js';
+import { buildUserStatsText, renderUserStats } from '../rendering/userStats.js';
+import { parseItemEntry, formatItemEntry } from '../../utils/inventoryItems.js';
+import { awardExperience, getXpForNextLevel } from './encounterRewards.js';
+
+/**
+ * Loot line the summary prompt asks for, e.g. "[LOOT: 2x Gold Coin, Rusty Key]"
+ */
+const LOOT_TAG_REGEX = /\[LOOT:\s*([^\]]*)\]\s*/gi;
+
+/**
+ * @typedef {Object} OutcomeChange
+ * @property {string} type - "health", "useItem", "loot", "conditions" or "xp"
+ * @property {string} label - Human-readable description for the confirm dialog
+ * @property {string} [statId] - Health stat id (health)
+ * @property {number} [value] - New stat value (health), XP gained (xp)
+ * @property {string} [item] - Item entry such as "2x Healing Potion" (useItem, loot)
+ * @property {string} [location] - On-person location the item is taken from (useItem)
+ * @property {string} [conditions] - New Conditions text (conditions)
+ */
+
+/**
+ * Removes the loot line from a combat summary
+ * @param {string} summary - Summary text from the AI
+ * @returns {{summary: string, loot: string[]}} Summary without the tag and the looted item entries
+ */
+export function extractSummaryLoot(summary) {
+    const loot = [];
+    const text = String(summary || '').replace(LOOT_TAG_REGEX, (_match, list) => {
+        loot.push(...list.split(',').map(item => item.trim()).filter(item => item && item.toLowerCase() !== 'none'));
+        return '';
+    });
+    return { summary: text.trim(), loot };
+}
+
+/**
+ * Finds the Health stat of the tracker (by id, or a stat named "Health"/"HP")
+ * @returns {{id: string, name: string}|null} Enabled stat config
+ */
+function findHealthStat() {
+    const stats = extensionSettings.trackerConfig?.userStats?.customStats || [];
+    return stats.find(s => s && s.enabled && s.id === 'health')
+        || stats.find(s => s && s.enabled && /^(health|hp)$/i.test(s.name || ''))
+        || null;
+}
+
+/**
+ * Item name without quantity or a healing formula suffix ("Healing Potion (2d4+2)")
+ * @param {string} entry - Item entry
+ * @returns {string} Lower-case base name
+ */
+function baseItemName(entry) {
+    const item = parseItemEntry(String(entry || '').replace(/\s*\(\s*\d*d\d+\s*([+-]\s*\d+)?\s*\)\s*$/i, ''));
+    return item ? item.name.toLowerCase() : '';
+}
+
+/**
+ * Finds a carried (on person) inventory item by name
+ * @param {string} name - Item name as used in the encounter
+ * @returns {{location: string, item: Object}|null} Location and item
+ */
+function findCarriedItem(name) {
+    const onPerson = extensionSettings.userStats?.inventory?.onPerson;
+    const wanted = baseItemName(name);
+    if (!wanted || !onPerson || typeof onPerson !== 'object') return null;
+
+    for (const [location, items] of Object.entries(onPerson)) {
+        if (!Array.isArray(items)) continue;
+        const item = items.find(i => baseItemName(i.name) === wanted);
+        if (item) return { location, item };
+    }
+    return null;
+}
+
+/**
+ * Counts the items the user's character used, from the encounter log
+ * @param {Array<Object>} encounterLog - Encounter log entries
+ * @returns {Array<{name: string, count: number}>} Used items in order of first use
+ */
+export function getUsedItems(encounterLog) {
+    const counts = new Map();
+    for (const entry of encounterLog || []) {
+        if (!entry?.usedItem) continue;
+        const key = baseItemName(entry.usedItem);
+        if (!key) continue;
+        const used = counts.get(key) || { name: entry.usedItem, count: 0 };
+        used.count++;
+        counts.set(key, used);
+    }
+    return [...counts.values()];
+}
+
+/**
+ * Proposes the tracker changes for a finished encounter
+ * @param {Object} combatStats - Final combat stats
+ * @param {Array<Object>} encounterLog - Encounter log entries
+ * @param {Array<string|{item: string, source: string}>} [loot=[]] - Loot: item entries from the summary, or drops with their source
+ * @param {number} [xp=0] - XP earned in the encounter
+ * @returns {OutcomeChange[]} Proposed changes (empty if nothing changes)
+ */
+export function buildOutcomeChanges(combatStats, encounterLog, loot = [], xp = 0) {
+    const changes = [];
+    const userStats = extensionSettings.userStats || {};
+    const player = (combatStats?.party || []).find(member => member.isPlayer);
+
+    // Final HP → Health (%)
+    const healthStat = findHealthStat();
+    if (player && healthStat && player.maxHp > 0) {
+        const value = Math.max(0, Math.min(100, Math.round((player.hp / player.maxHp) * 100)));
+        const current = Number(userStats[healthStat.id] ?? 100);
+        if (value !== current) {
+            changes.push({
+                type: 'health',
+                statId: healthStat.id,
+                value,
+                label: `${healthStat.name}: ${current}% → ${value}%`
+            });
+        }
+    }
+
+    // Used items leave the inventory (only items the user actually carries)
+    for (const used of getUsedItems(encounterLog)) {
+        const carried = findCarriedItem(used.name);
+        if (!carried) continue;
+        const count = Math.min(used.count, carried.item.quantity || 1);
+        const item = formatItemEntry({ name: carried.item.name, quantity: count, equipped: false });
+        changes.push({
+            type: 'useItem',
+            item,
+            location: carried.location,
+            label: `Remove ${item} (used, from ${carried.location})`
+        });
+    }
+
+    // Loot goes to the items on person
+    for (const entry of loot) {
+        const item = parseItemEntry(typeof entry === 'string' ? entry : entry.item);
+        if (!item) continue;
+        changes.push({
+            type: 'loot',
+            item: formatItemEntry(item),
+            label: `Add ${formatItemEntry(item)} (${entry.source ? `dropped by ${entry.source}` : 'loot'})`
+        });
+    }
+
+    // XP of the defeated enemies
+    if (xp > 0) {
+        const level = Math.max(1, parseInt(extensionSettings.level) || 1);
+        const experience = (parseInt(extensionSettings.experience) || 0) + xp;
+        const needed = getXpForNextLevel(level);
+        changes.push({
+            type: 'xp',
+            value: xp,
+            label: `Gain ${xp} XP (${Math.min(experience, needed)}/${needed} to level ${level + 1}${experience >= needed ? ', level up!' : ''})`
+        });
+    }
+
+    // Statuses the user still has become Conditions
+    const statuses = (player?.statuses || []).map(status => status?.name?.trim()).filter(Boolean);
+    if (statuses.length > 0) {
+        const currentText = String(userStats.conditions || '').trim();
+        const current = currentText && currentText.toLowerCase() !== 'none'
+            ? currentText.split(',').map(c => c.trim()).filter(Boolean)
+            : [];
+        const added = statuses.filter((name, index) => statuses.indexOf(name) === index
+            && !current.some(c => c.toLowerCase() === name.toLowerCase()));
+        if (added.length > 0) {
+            const conditions = [...current, ...added].join(', ');
+            changes.push({
+                type: 'conditions',
+                conditions,
+                label: `Conditions: ${currentText || 'None'} → ${conditions}`
+            });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Applies confirmed encounter outcome changes to the trackers
+ * @param {OutcomeChange[]} changes - Changes to apply
+ * @returns {{xp: number, levelsGained: number, level: number, points: number}|null} Level progress if XP was gained
+ */
+export function applyOutcomeChanges(changes) {
+    if (!changes || changes.length === 0) return null;
+
+    let progress = null;
+    for (const change of changes) {
+        switch (change.type) {
+            case 'health':
+                extensionSettings.userStats[change.statId] = change.value;
+                break;
+            case 'conditions':
+                extensionSettings.userStats.conditions = change.conditions;
+                break;
+            case 'useItem':
+                if (!removeInventoryItem('onPerson', change.item, change.location)) {
+                    console.warn('[RPG Companion] Used item no longer in inventory:', change.item);
+                }
+                break;
+            case 'loot':
+                addInventoryItem('onPerson', change.item);
+                break;
+            case 'xp':
+                progress = awardExperience(change.value);
+                break;
+        }
+    }
+
+    // Persist the stats the same way manual edits in the stats panel are
+    const statsText = buildUserStatsText();
+    lastGeneratedData.userStats = statsText;
+    committedTrackerData.userStats = statsText;
+    saveSettings();
+    saveChatData();
+    updateMessageSwipeData();
+    renderUserStats();
+    return progress;
+}
@@ -0,0 +1,189 @@
+/**
+ * Encounter Phases Module
+ * Authored phases for boss fights and other escalating encounters. Phases are reached in
+ * order when their trigger fires (an enemy's HP dropping below a percentage, or a round
+ * starting). Reaching a phase brings in reinforcements from the bestiary (as pending
+ * enemies the user approves), can swap the environment and its styling, and adds a
+ * phase instruction to the action prompts.
+ */
+
+import { currentEncounter } from './encounterState.js';
+import { getBestiaryEntry, bestiaryEntryToEnemy } from './bestiary.js';
+
+/**
+ * Styling a phase can switch to (same values the init prompt asks the AI for)
+ */
+export const STYLE_NOTE_OPTIONS = {
+    environmentType: ['forest', 'dungeon', 'desert', 'cave', 'city', 'ruins', 'snow', 'water', 'castle', 'wasteland', 'plains', 'mountains', 'swamp', 'volcanic'],
+    atmosphere: ['bright', 'dark', 'foggy', 'stormy', 'calm', 'eerie', 'chaotic', 'peaceful'],
+    timeOfDay: ['dawn', 'day', 'dusk', 'night', 'twilight'],
+    weather: ['clear', 'rainy', 'snowy', 'windy', 'stormy', 'overcast']
+};
+
+/**
+ * @typedef {Object} PhaseTrigger
+ * @property {string} type - "enemyHp" or "round"
+ * @property {string} [enemy] - enemyHp: enemy name (empty = the enemy with the highest max HP)
+ * @property {number} [percent] - enemyHp: triggers when the enemy's HP drops below this percentage
+ * @property {number} [round] - round: triggers when this round starts
+ */
+
+/**
+ * @typedef {Object} EncounterPhase
+ * @property {string} id - Unique ID
+ * @property {string} name - Phase name (e.g., "Enraged")
+ * @property {PhaseTrigger} trigger - When the phase starts
+ * @property {string[]} reinforcements - Bestiary entry IDs to spawn (repeat an ID for several copies)
+ * @property {string} environment - New environment description (empty = keep the current one)
+ * @property {Object|null} styleNotes - New styling ({environmentType, atmosphere, timeOfDay, weather}), null = keep
+ * @property {string} instruction - Instruction for the AI while the phase lasts
+ * @property {boolean} reached - Whether the phase has started
+ */
+
+/**
+ * Builds a clean phase from editor or saved data
+ * @param {Object} data - Phase data
+ * @returns {EncounterPhase} Phase
+ */
+export function createPhase(data = {}) {
+    const trigger = data.trigger?.type === 'round'
+        ? { type: 'round', round: Math.max(1, parseInt(data.trigger.round) || 2) }
+        : {
+            type: 'enemyHp',
+            enemy: String(data.trigger?.enemy || '').trim(),
+            percent: Math.max(1, Math.min(100, parseInt(data.trigger?.percent) || 50))
+        };
+
+    const styleNotes = data.styleNotes && typeof data.styleNotes === 'object'
+        ? Object.fromEntries(Object.entries(data.styleNotes).filter(([, value]) => value))
+        : null;
+
+    return {
+        id: data.id || `phase-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        name: String(data.name || '').trim() || 'New Phase',
+        trigger,
+        reinforcements: Array.isArray(data.reinforcements) ? data.reinforcements.filter(Boolean) : [],
+        environment: String(data.environment || '').trim(),
+        styleNotes: styleNotes && Object.keys(styleNotes).length > 0 ? styleNotes : null,
+        instruction: String(data.instruction || '').trim(),
+        reached: data.reached === true
+    };
+}
+
+/**
+ * Replaces the phase list of the current encounter. Phases that were already reached
+ * keep that state; the current phase index follows the reached phases.
+ * @param {Array<Object>} phases - Phase data in order
+ */
+export function setEncounterPhases(phases) {
+    const previous = new Map((currentEncounter.phases || []).map(phase => [phase.id, phase]));
+    currentEncounter.phases = phases.map(data => createPhase({ ...data, reached: previous.get(data.id)?.reached === true }));
+
+    let index = -1;
+    currentEncounter.phases.forEach((phase, i) => {
+        if (phase.reached) index = i;
+    });
+    currentEncounter.phaseIndex = index;
+}
+
+/**
+ * The phase the encounter is in
+ * @returns {EncounterPhase|null} Current phase, or null before the first phase
+ */
+export function getActivePhase() {
+    const phases = currentEncounter.phases || [];
+    return phases[currentEncounter.phaseIndex] || null;
+}
+
+/**
+ * The enemy an enemyHp trigger watches
+ * @param {PhaseTrigger} trigger - Trigger
+ * @param {Array<Object>} enemies - Enemies in the fight
+ * @returns {Object|null} Enemy
+ */
+function findTriggerEnemy(trigger, enemies) {
+    if (enemies.length === 0) return null;
+
+    const name = (trigger.enemy || '').toLowerCase();
+    if (name) {
+        return enemies.find(enemy => enemy.name?.toLowerCase() === name)
+            || enemies.find(enemy => enemy.name?.toLowerCase().includes(name))
+            || null;
+    }
+    return enemies.reduce((strongest, enemy) => (Number(enemy.maxHp) || 0) > (Number(strongest.maxHp) || 0) ? enemy : strongest);
+}
+
+/**
+ * Checks a phase trigger against the combat state
+ * @param {PhaseTrigger} trigger - Trigger
+ * @param {Object} combatStats - Combat stats
+ * @param {number} round - Current round
+ * @returns {boolean} True if the trigger fires
+ */
+export function isPhaseTriggered(trigger, combatStats, round) {
+    if (trigger.type === 'round') {
+        return round >= trigger.round;
+    }
+
+    const enemy = findTriggerEnemy(trigger, combatStats?.enemies || []);
+    if (!enemy || !(Number(enemy.maxHp) > 0)) return false;
+    return (Number(enemy.hp) / Number(enemy.maxHp)) * 100 < trigger.percent;
+}
+
+/**
+ * Describes a phase trigger in plain words
+ * @param {PhaseTrigger} trigger - Trigger
+ * @param {string} [resourceLabel='HP'] - Label of the HP resource
+ * @returns {string} Description, e.g. "Dragon below 50% HP"
+ */
+export function describePhaseTrigger(trigger, resourceLabel = 'HP') {
+    if (trigger.type === 'round') {
+        return `round ${trigger.round} starts`;
+    }
+    return `${trigger.enemy || 'strongest enemy'} below ${trigger.percent}% ${resourceLabel}`;
+}
+
+/**
+ * Moves the encounter into the next phase if its trigger fires: marks it reached, puts
+ * its reinforcements into the pending enemies and swaps the environment. Only one phase
+ * starts per check, so chained phases follow each other round by round.
+ * @param {Object} combatStats - Combat stats (environment and styling are updated in place)
+ * @returns {{phase: EncounterPhase, reinforcements: Array<Object>}|null} Started phase, or null
+ */
+export function advanceEncounterPhase(combatStats) {
+    const phases = currentEncounter.phases || [];
+    const index = (currentEncounter.phaseIndex ?? -1) + 1;
+    const phase = phases[index];
+    if (!phase || !combatStats || !isPhaseTriggered(phase.trigger, combatStats, currentEncounter.round || 1)) {
+        return null;
+    }
+
+    phase.reached = true;
+    currentEncounter.phaseIndex = index;
+
+    const reinforcements = [];
+    for (const entryId of phase.reinforcements) {
+        const entry = getBestiaryEntry(entryId);
+        if (!entry) {
+            console.warn('[RPG Companion] Phase reinforcement not in the bestiary anymore:', entryId);
+            continue;
+        }
+        const enemy = bestiaryEntryToEnemy(entry);
+        const copies = combatStats.enemies.concat(currentEncounter.pendingEnemies, reinforcements)
+            .filter(other => other.name === enemy.name || other.name?.startsWith(`${enemy.name} `)).length;
+        if (copies > 0) {
+            enemy.name = `${enemy.name} ${copies + 1}`;
+        }
+        reinforcements.push(enemy);
+    }
+    currentEncounter.pendingEnemies.push(...reinforcements);
+
+    if (phase.environment) {
+        combatStats.environment = phase.environment;
+    }
+    if (phase.styleNotes) {
+        combatStats.styleNotes = { ...(combatStats.styleNotes || {}), ...phase.styleNotes };
+    }
+
+    return { phase, reinforcements };
+}
@@ -29,6 +29,31 @@ import { extensionSettings } from '../../core/state.js';
  * @property {string} VICTORY_TERM - Term for winning (e.g., "Victory", "Success", "Persuaded")
  * @property {string} DEFEAT_TERM - Term for losing (e.g., "Defeat", "Failure", "Exposed")
  * @property {string} FLED_TERM - Term for fleeing (e.g., "Fled", "Withdrew", "Retreated")
+ *
+ * Optional extensions:
+ * @property {ProfileResource[]} [RESOURCES] - Extra resource tracks every combatant has besides the main resource bar
+ * @property {Object<string, string>} [VARIABLES] - Extra template variables, used as {NAME} in the encounter prompts
+ * @property {EndCondition[]} [END_CONDITIONS] - When the extension ends the encounter (instead of the AI)
+ */
+
+/**
+ * @typedef {Object} EndCondition
+ * @property {string} type - "enemiesDefeated", "playerDefeated", "partyDefeated", "barThreshold" or "rounds"
+ * @property {string} result - Result the encounter ends with: "victory", "defeat", "fled" or "interrupted"
+ * @property {string} [bar] - barThreshold: name of the custom bar or profile resource
+ * @property {string} [side] - barThreshold: whose bar counts: "player", "anyParty", "allParty", "anyEnemy" or "allEnemies"
+ * @property {string} [comparison] - barThreshold: "atLeast" or "atMost"
+ * @property {number} [value] - barThreshold: threshold; rounds: number of rounds that have to pass
+ */
+
+/**
+ * @typedef {Object} ProfileResource
+ * @property {string} name - Resource name (e.g., "Leverage", "Suspicion")
+ * @property {number} min - Lowest value
+ * @property {number} max - Highest value
+ * @property {number} [start] - Value combatants start with (defaults to max)
+ * @property {string} color - Bar color (hex, e.g. "#4a7ba7")
+ * @property {string} [description] - What the resource represents, for the AI
  */
 
 /**
@@ -55,6 +80,10 @@ export const DEFAULT_COMBAT_PROFILE = {
     VICTORY_TERM: 'Victory',
     DEFEAT_TERM: 'Defeat',
     FLED_TERM: 'Fled',
+    END_CONDITIONS: [
+        { type: 'enemiesDefeated', result: 'victory' },
+        { type: 'partyDefeated', result: 'defeat' }
+    ],
     isPreset: true,
     description: 'Traditional combat encounter with HP representing physical health'
 };
@@ -242,6 +271,55 @@ const REQUIRED_FIELDS = [
     'FLED_TERM'
 ];
 
+/**
+ * Profile fields that can be used as {VARIABLE} placeholders in prompt templates
+ */
+const TEMPLATE_FIELDS = [
+    'ENCOUNTER_TYPE',
+    'ENCOUNTER_GOAL',
+    'ENCOUNTER_STAKES',
+    'RESOURCE_INTERPRETATION',
+    'ACTION_INTERPRETATION',
+    'STATUS_INTERPRETATION',
+    'SUMMARY_FRAMING'
+];
+
+/**
+ * Limits for the optional resources and variables of a profile
+ */
+const MAX_RESOURCES = 4;
+const MAX_VARIABLES = 12;
+const MAX_RESOURCE_NAME_LENGTH = 30;
+
+const MAX_END_CONDITIONS = 8;
+
+/**
+ * End condition types, results and the sides a bar threshold can look at
+ */
+export const END_CONDITION_TYPES = ['enemiesDefeated', 'playerDefeated', 'partyDefeated', 'barThreshold', 'rounds'];
+export const END_CONDITION_RESULTS = ['victory', 'defeat', 'fled', 'interrupted'];
+export const END_CONDITION_SIDES = ['player', 'anyParty', 'allParty', 'anyEnemy', 'allEnemies'];
+
+/**
+ * Custom variable names: upper case, digits and underscores (e.g. HEIST_TARGET)
+ */
+const VARIABLE_NAME_REGEX = /^[A-Z][A-Z0-9_]{1,39}$/;
+
+/**
+ * Resource bar colors: #rgb or #rrggbb
+ */
+const COLOR_REGEX = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Checks a value for forbidden keywords
+ * @param {string} value - The value to check
+ * @returns {boolean} True if the value contains a forbidden keyword
+ */
+function hasForbiddenKeyword(value) {
+    const lower = String(value).toLowerCase();
+    return FORBIDDEN_KEYWORDS.some(keyword => lower.includes(keyword.toLowerCase()));
+}
+
 /**
  * Sanitizes a profile field value by removing potentially dangerous content
  * @param {string} value - The value to sanitize
@@ -324,12 +402,240 @@ export function validateProfile(profile) {
         }
     });
 
+    if (profile.RESOURCES !== undefined) {
+        errors.push(...validateResources(profile.RESOURCES));
+    }
+    if (profile.VARIABLES !== undefined) {
+        errors.push(...validateVariables(profile.VARIABLES));
+    }
+    if (profile.END_CONDITIONS !== undefined) {
+        errors.push(...validateEndConditions(profile.END_CONDITIONS));
+    }
+
     return {
         valid: errors.length === 0,
         errors
     };
 }
 
+/**
+ * Validates the extra resource tracks of a profile
+ * @param {ProfileResource[]} resources - Resources to validate
+ * @returns {string[]} Validation errors
+ */
+function validateResources(resources) {
+    if (!Array.isArray(resources)) {
+        return ['RESOURCES must be a list'];
+    }
+
+    const errors = [];
+    if (resources.length > MAX_RESOURCES) {
+        errors.push(`A profile can define at most ${MAX_RESOURCES} resources`);
+    }
+
+    const names = new Set();
+    resources.forEach((resource, index) => {
+        const label = `Resource ${index + 1}`;
+        if (!resource || typeof resource !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+
+        const name = typeof resource.name === 'string' ? resource.name.trim() : '';
+        if (!name) {
+            errors.push(`${label} needs a name`);
+        } else if (name.length > MAX_RESOURCE_NAME_LENGTH) {
+            errors.push(`${label} name exceeds maximum length of ${MAX_RESOURCE_NAME_LENGTH} characters`);
+        } else if (hasForbiddenKeyword(name)) {
+            errors.push(`${label} name contains forbidden keywords`);
+        } else if (names.has(name.toLowerCase())) {
+            errors.push(`Resource "${name}" is defined twice`);
+        }
+        names.add(name.toLowerCase());
+
+        const { min, max, start } = resource;
+        if (!Number.isFinite(min) || !Number.isFinite(max)) {
+            errors.push(`${label} min and max must be numbers`);
+        } else if (min >= max) {
+            errors.push(`${label} min must be lower than max`);
+        } else if (start !== undefined && (!Number.isFinite(start) || start < min || start > max)) {
+            errors.push(`${label} start must be between min and max`);
+        }
+
+        if (!COLOR_REGEX.test(resource.color || '')) {
+            errors.push(`${label} color must be a hex color like #4a7ba7`);
+        }
+
+        if (resource.description !== undefined) {
+            if (typeof resource.description !== 'string') {
+                errors.push(`${label} description must be a string`);
+            } else if (resource.description.length > MAX_FIELD_LENGTH) {
+                errors.push(`${label} description exceeds maximum length of ${MAX_FIELD_LENGTH} characters`);
+            } else if (hasForbiddenKeyword(resource.description)) {
+                errors.push(`${label} description contains forbidden keywords`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validates the extra template variables of a profile
+ * @param {Object<string, string>} variables - Variables to validate
+ * @returns {string[]} Validation errors
+ */
+function validateVariables(variables) {
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+        return ['VARIABLES must be an object of NAME: value pairs'];
+    }
+
+    const errors = [];
+    const entries = Object.entries(variables);
+    if (entries.length > MAX_VARIABLES) {
+        errors.push(`A profile can define at most ${MAX_VARIABLES} variables`);
+    }
+
+    entries.forEach(([name, value]) => {
+        if (!VARIABLE_NAME_REGEX.test(name)) {
+            errors.push(`Variable name ${name} must be upper case letters, digits and underscores (e.g. HEIST_TARGET)`);
+        } else if (REQUIRED_FIELDS.includes(name)) {
+            errors.push(`Variable ${name} would replace a built-in profile field`);
+        }
+
+        if (typeof value !== 'string') {
+            errors.push(`Variable ${name} must be a string`);
+        } else if (value.trim().length === 0) {
+            errors.push(`Variable ${name} cannot be empty`);
+        } else if (value.length > MAX_FIELD_LENGTH) {
+            errors.push(`Variable ${name} exceeds maximum length of ${MAX_FIELD_LENGTH} characters`);
+        } else if (hasForbiddenKeyword(value)) {
+            errors.push(`Variable ${name} contains forbidden keywords`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validates the end conditions of a profile
+ * @param {EndCondition[]} conditions - Conditions to validate
+ * @returns {string[]} Validation errors
+ */
+function validateEndConditions(conditions) {
+    if (!Array.isArray(conditions)) {
+        return ['END_CONDITIONS must be a list'];
+    }
+
+    const errors = [];
+    if (conditions.length > MAX_END_CONDITIONS) {
+        errors.push(`A profile can define at most ${MAX_END_CONDITIONS} end conditions`);
+    }
+
+    conditions.forEach((condition, index) => {
+        const label = `End condition ${index + 1}`;
+        if (!condition || typeof condition !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (!END_CONDITION_TYPES.includes(condition.type)) {
+            errors.push(`${label} has an unknown type`);
+        }
+        if (!END_CONDITION_RESULTS.includes(condition.result)) {
+            errors.push(`${label} result must be one of ${END_CONDITION_RESULTS.join(', ')}`);
+        }
+
+        if (condition.type === 'rounds' && (!Number.isInteger(condition.value) || condition.value < 1)) {
+            errors.push(`${label} needs a number of rounds of at least 1`);
+        }
+        if (condition.type === 'barThreshold') {
+            const bar = typeof condition.bar === 'string' ? condition.bar.trim() : '';
+            if (!bar) {
+                errors.push(`${label} needs a bar name`);
+            } else if (bar.length > MAX_RESOURCE_NAME_LENGTH || hasForbiddenKeyword(bar)) {
+                errors.push(`${label} has an invalid bar name`);
+            }
+            if (!END_CONDITION_SIDES.includes(condition.side)) {
+                errors.push(`${label} side must be one of ${END_CONDITION_SIDES.join(', ')}`);
+            }
+            if (!['atLeast', 'atMost'].includes(condition.comparison)) {
+                errors.push(`${label} comparison must be "atLeast" or "atMost"`);
+            }
+            if (!Number.isFinite(condition.value)) {
+                errors.push(`${label} threshold must be a number`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Sanitizes the end conditions of a profile (non-lists are left for validation)
+ * @param {EndCondition[]} conditions - Conditions to sanitize
+ * @returns {EndCondition[]} Sanitized conditions
+ */
+function sanitizeEndConditions(conditions) {
+    if (!Array.isArray(conditions)) return conditions;
+
+    return conditions.map(condition => {
+        if (!condition || typeof condition !== 'object') return condition;
+
+        const sanitized = { type: condition.type, result: condition.result };
+        if (condition.type === 'rounds') {
+            sanitized.value = Number(condition.value);
+        } else if (condition.type === 'barThreshold') {
+            sanitized.bar = sanitizeProfileValue(condition.bar).substring(0, MAX_RESOURCE_NAME_LENGTH);
+            sanitized.side = condition.side;
+            sanitized.comparison = condition.comparison;
+            sanitized.value = Number(condition.value);
+        }
+        return sanitized;
+    });
+}
+
+/**
+ * Sanitizes the extra resource tracks of a profile (non-lists are left for validation)
+ * @param {ProfileResource[]} resources - Resources to sanitize
+ * @returns {ProfileResource[]} Sanitized resources
+ */
+function sanitizeResources(resources) {
+    if (!Array.isArray(resources)) return resources;
+
+    return resources.map(resource => {
+        if (!resource || typeof resource !== 'object') return resource;
+
+        const sanitized = {
+            name: sanitizeProfileValue(resource.name).substring(0, MAX_RESOURCE_NAME_LENGTH),
+            min: Number(resource.min),
+            max: Number(resource.max),
+            color: String(resource.color || '').trim()
+        };
+        if (resource.start !== undefined && resource.start !== '' && resource.start !== null) {
+            sanitized.start = Number(resource.start);
+        }
+        if (resource.description) {
+            sanitized.description = sanitizeProfileValue(resource.description);
+        }
+        return sanitized;
+    });
+}
+
+/**
+ * Sanitizes the extra template variables of a profile (non-objects are left for validation)
+ * @param {Object<string, string>} variables - Variables to sanitize
+ * @returns {Object<string, string>} Sanitized variables
+ */
+function sanitizeVariables(variables) {
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) return variables;
+
+    const sanitized = {};
+    Object.entries(variables).forEach(([name, value]) => {
+        sanitized[String(name).trim().toUpperCase()] = sanitizeProfileValue(value);
+    });
+    return sanitized;
+}
+
 /**
  * Sanitizes an entire profile by cleaning all field values
  * @param {EncounterProfile} profile - The profile to sanitize
@@ -357,9 +663,223 @@ export function sanitizeProfile(profile) {
         sanitized.ENCOUNTER_STAKES = sanitized.ENCOUNTER_STAKES.toLowerCase();
     }
 
+    if (sanitized.RESOURCES !== undefined) {
+        sanitized.RESOURCES = sanitizeResources(sanitized.RESOURCES);
+    }
+    if (sanitized.VARIABLES !== undefined) {
+        sanitized.VARIABLES = sanitizeVariables(sanitized.VARIABLES);
+    }
+    if (sanitized.END_CONDITIONS !== undefined) {
+        sanitized.END_CONDITIONS = sanitizeEndConditions(sanitized.END_CONDITIONS);
+    }
+
     return sanitized;
 }
 
+/**
+ * Gets the template variables of a profile: the built-in prompt fields plus its custom variables
+ * @param {EncounterProfile} profile - The profile
+ * @returns {Object<string, string>} Variable values by name
+ */
+export function getProfileVariables(profile) {
+    const variables = {};
+    TEMPLATE_FIELDS.forEach(field => {
+        variables[field] = profile?.[field] || '';
+    });
+
+    const custom = profile?.VARIABLES;
+    if (custom && typeof custom === 'object' && !Array.isArray(custom)) {
+        Object.entries(custom).forEach(([name, value]) => {
+            if (!REQUIRED_FIELDS.includes(name) && typeof value === 'string') {
+                variables[name] = value;
+            }
+        });
+    }
+
+    return variables;
+}
+
+/**
+ * Replaces {VARIABLE} placeholders in a prompt template with the profile's values.
+ * Unknown placeholders are left as they are.
+ * @param {string} template - The prompt template
+ * @param {EncounterProfile} profile - The profile
+ * @returns {string} The prompt with variables replaced
+ */
+export function applyProfileVariables(template, profile) {
+    if (!template) return template || '';
+
+    const variables = getProfileVariables(profile);
+    return template.replace(/{([A-Z][A-Z0-9_]*)}/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match
+    );
+}
+
+/**
+ * Gets the valid extra resource tracks of a profile
+ * @param {EncounterProfile} profile - The profile
+ * @returns {ProfileResource[]} Resources (empty if the profile defines none)
+ */
+export function getProfileResources(profile) {
+    const resources = profile?.RESOURCES;
+    if (!Array.isArray(resources) || validateResources(resources).length > 0) {
+        return [];
+    }
+    return resources;
+}
+
+/**
+ * Makes sure every combatant has a bar for each resource of the profile, with the
+ * profile's range and color. Missing bars start at the resource's start value,
+ * existing values are kept within the range. Bars that are not profile resources stay as they are.
+ * @param {Object} combatStats - Combat stats ({party, enemies})
+ * @param {EncounterProfile} profile - The profile
+ */
+export function applyProfileResources(combatStats, profile) {
+    const resources = getProfileResources(profile);
+    if (!combatStats || resources.length === 0) return;
+
+    const combatants = [...(combatStats.party || []), ...(combatStats.enemies || [])];
+    combatants.forEach(combatant => {
+        if (!Array.isArray(combatant.customBars)) {
+            combatant.customBars = [];
+        }
+
+        resources.forEach(resource => {
+            let bar = combatant.customBars.find(b => b?.name?.toLowerCase() === resource.name.toLowerCase());
+            if (!bar) {
+                bar = { name: resource.name, current: resource.start ?? resource.max };
+                combatant.customBars.push(bar);
+            }
+
+            const current = Number(bar.current);
+            bar.name = resource.name;
+            bar.min = resource.min;
+            bar.max = resource.max;
+            bar.color = resource.color;
+            bar.current = Math.max(resource.min, Math.min(resource.max, Number.isFinite(current) ? current : (resource.start ?? resource.max)));
+        });
+    });
+}
+
+/**
+ * Gets the valid end conditions of a profile
+ * @param {EncounterProfile} profile - The profile
+ * @returns {EndCondition[]} Conditions (empty if the AI decides when the encounter ends)
+ */
+export function getEndConditions(profile) {
+    const conditions = profile?.END_CONDITIONS;
+    if (!Array.isArray(conditions) || validateEndConditions(conditions).length > 0) {
+        return [];
+    }
+    return conditions;
+}
+
+/**
+ * Describes an end condition in plain words (for the log and the AI)
+ * @param {EndCondition} condition - The condition
+ * @param {EncounterProfile} profile - The profile (for its labels)
+ * @returns {string} Description, e.g. "all Guards are at 0 Cover"
+ */
+export function describeEndCondition(condition, profile) {
+    const resourceLabel = profile?.RESOURCE_LABEL || 'HP';
+    const enemies = profile?.ENEMY_LABEL_PLURAL || 'Enemies';
+    const party = profile?.PARTY_LABEL_PLURAL || 'Party';
+
+    switch (condition.type) {
+        case 'enemiesDefeated':
+            return `all ${enemies} are at 0 ${resourceLabel}`;
+        case 'playerDefeated':
+            return `{userName} is at 0 ${resourceLabel}`;
+        case 'partyDefeated':
+            return `the whole ${party} is at 0 ${resourceLabel}`;
+        case 'rounds':
+            return `${condition.value} round(s) have passed`;
+        case 'barThreshold': {
+            const enemy = profile?.ENEMY_LABEL_SINGULAR || 'Enemy';
+            const who = {
+                player: '{userName}\'s',
+                anyParty: `any ${party} member's`,
+                allParty: `every ${party} member's`,
+                anyEnemy: `any ${enemy}'s`,
+                allEnemies: `every ${enemy}'s`
+            }[condition.side];
+            return `${who} ${condition.bar} is ${condition.comparison === 'atMost' ? 'at most' : 'at least'} ${condition.value}`;
+        }
+        default:
+            return condition.type;
+    }
+}
+
+/**
+ * Checks whether a bar threshold is reached by the combatants of one side
+ * @param {EndCondition} condition - barThreshold condition
+ * @param {Object} combatStats - Combat stats ({party, enemies})
+ * @returns {boolean} True if the threshold is reached
+ */
+function isBarThresholdReached(condition, combatStats) {
+    const party = combatStats.party || [];
+    const enemies = combatStats.enemies || [];
+    const combatants = {
+        player: party.filter(member => member.isPlayer),
+        anyParty: party,
+        allParty: party,
+        anyEnemy: enemies,
+        allEnemies: enemies
+    }[condition.side] || [];
+
+    const name = condition.bar.toLowerCase();
+    const reached = combatants
+        .map(combatant => (combatant.customBars || []).find(bar => bar?.name?.toLowerCase() === name))
+        .filter(Boolean)
+        .map(bar => condition.comparison === 'atMost' ? Number(bar.current) <= condition.value : Number(bar.current) >= condition.value);
+
+    if (reached.length === 0) return false;
+    return condition.side.startsWith('all') ? reached.every(Boolean) : reached.some(Boolean);
+}
+
+/**
+ * Evaluates the end conditions of a profile against the combat state. The first
+ * condition that is met decides the result.
+ * @param {Object} combatStats - Combat stats ({party, enemies})
+ * @param {EncounterProfile} profile - The profile
+ * @param {number} roundsPassed - Completed rounds
+ * @returns {{result: string, condition: EndCondition}|null} Triggered condition, or null if the encounter goes on
+ */
+export function evaluateEndConditions(combatStats, profile, roundsPassed) {
+    if (!combatStats) return null;
+
+    const party = combatStats.party || [];
+    const enemies = combatStats.enemies || [];
+    const isDown = combatant => (Number(combatant.hp) || 0) <= 0;
+
+    for (const condition of getEndConditions(profile)) {
+        let met = false;
+        switch (condition.type) {
+            case 'enemiesDefeated':
+                met = enemies.length > 0 && enemies.every(isDown);
+                break;
+            case 'playerDefeated':
+                met = party.some(member => member.isPlayer && isDown(member));
+                break;
+            case 'partyDefeated':
+                met = party.length > 0 && party.every(isDown);
+                break;
+            case 'rounds':
+                met = roundsPassed >= condition.value;
+                break;
+            case 'barThreshold':
+                met = isBarThresholdReached(condition, combatStats);
+                break;
+        }
+        if (met) {
+            return { result: condition.result, condition };
+        }
+    }
+
+    return null;
+}
+
 /**
  * Gets the active encounter profile with fallback to default combat
  * Checks currentEncounterProfileId first (set per-encounter), then activeProfileId (global default)
@@ -671,6 +1191,15 @@ export function exportProfile(profileId) {
             SUMMARY_FRAMING: profile.SUMMARY_FRAMING,
             description: profile.description || ''
         };
+        if (profile.RESOURCES?.length > 0) {
+            exportData.RESOURCES = profile.RESOURCES;
+        }
+        if (profile.VARIABLES && Object.keys(profile.VARIABLES).length > 0) {
+            exportData.VARIABLES = profile.VARIABLES;
+        }
+        if (profile.END_CONDITIONS?.length > 0) {
+            exportData.END_CONDITIONS = profile.END_CONDITIONS;
+        }
 
         return JSON.stringify(exportData, null, 2);
     } catch (error) {
@@ -702,6 +1231,15 @@ export function importProfile(jsonString) {
             description: data.description || '',
             isPreset: false
         };
+        if (data.RESOURCES !== undefined) {
+            profile.RESOURCES = data.RESOURCES;
+        }
+        if (data.VARIABLES !== undefined) {
+            profile.VARIABLES = data.VARIABLES;
+        }
+        if (data.END_CONDITIONS !== undefined) {
+            profile.END_CONDITIONS = data.END_CONDITIONS;
+        }
 
         return saveProfile(profile);
     } catch (error) {
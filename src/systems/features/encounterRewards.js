@@ -0,0 +1,133 @@
+/**
+ * Encounter Rewards Module
+ * Progression from finished encounters: defeated enemies give an XP pool (scaled by the
+ * difficulty of the encounter), XP raises the user's level and level-ups can grant
+ * attribute points to spend on the RPG attributes. Defeated bestiary creatures also
+ * roll their loot tables.
+ */
+
+import { extensionSettings } from '../../core/state.js';
+import { findBestiaryEntryByName } from './bestiary.js';
+import { DIFFICULTY_LEVELS, DEFAULT_DIFFICULTY } from './encounterDifficulty.js';
+
+/**
+ * XP per point of max HP of a defeated enemy (before the difficulty multiplier)
+ */
+const XP_PER_MAX_HP = 2;
+
+/**
+ * XP needed per level: reaching level N + 1 takes N * XP_PER_LEVEL
+ */
+const XP_PER_LEVEL = 100;
+
+const MAX_LEVEL = 100;
+const MAX_ATTRIBUTE_VALUE = 100;
+
+/**
+ * Whether finished encounters award XP
+ * @returns {boolean} True unless turned off in the encounter settings
+ */
+export function isExperienceEnabled() {
+    return extensionSettings.encounterSettings?.awardExperience !== false;
+}
+
+/**
+ * Attribute points granted per level-up
+ * @returns {number} Points (0 = none)
+ */
+export function getAttributePointsPerLevel() {
+    const points = parseInt(extensionSettings.encounterSettings?.attributePointsPerLevel);
+    return Number.isFinite(points) ? Math.max(0, Math.min(10, points)) : 1;
+}
+
+/**
+ * XP needed to go from a level to the next one
+ * @param {number} level - Current level
+ * @returns {number} XP needed
+ */
+export function getXpForNextLevel(level) {
+    return Math.max(1, parseInt(level) || 1) * XP_PER_LEVEL;
+}
+
+/**
+ * Enemies that were defeated in the encounter
+ * @param {Object} combatStats - Final combat stats
+ * @returns {Array<Object>} Defeated enemies
+ */
+function getDefeatedEnemies(combatStats) {
+    return (combatStats?.enemies || []).filter(enemy => enemy && enemy.hp <= 0);
+}
+
+/**
+ * XP pool of a finished encounter: every defeated enemy is worth its max HP times
+ * XP_PER_MAX_HP, scaled by the difficulty the encounter was built for
+ * @param {Object} combatStats - Final combat stats
+ * @param {Object|null} budget - Encounter budget (see encounterDifficulty.js)
+ * @returns {{total: number, enemies: Array<{name: string, xp: number}>}} XP pool
+ */
+export function calculateEncounterXp(combatStats, budget) {
+    const multiplier = DIFFICULTY_LEVELS[budget?.difficulty || DEFAULT_DIFFICULTY].xpMultiplier;
+    const enemies = getDefeatedEnemies(combatStats).map(enemy => ({
+        name: enemy.name,
+        xp: Math.max(1, Math.round((Number(enemy.maxHp) || 1) * XP_PER_MAX_HP * multiplier))
+    }));
+    return { total: enemies.reduce((total, enemy) => total + enemy.xp, 0), enemies };
+}
+
+/**
+ * Rolls the bestiary loot tables of the defeated enemies
+ * @param {Object} combatStats - Final combat stats
+ * @returns {Array<{item: string, source: string}>} Dropped items and who dropped them
+ */
+export function rollBestiaryLoot(combatStats) {
+    const drops = [];
+    for (const enemy of getDefeatedEnemies(combatStats)) {
+        const entry = findBestiaryEntryByName(enemy.name);
+        for (const row of entry?.loot || []) {
+            if (Math.random() * 100 < row.chance) {
+                drops.push({ item: row.item, source: enemy.name });
+            }
+        }
+    }
+    return drops;
+}
+
+/**
+ * Adds XP to the user's character and levels up as often as the XP allows.
+ * Caller saves settings.
+ * @param {number} xp - XP gained
+ * @returns {{xp: number, levelsGained: number, level: number, points: number}} Progress
+ */
+export function awardExperience(xp) {
+    let level = Math.max(1, parseInt(extensionSettings.level) || 1);
+    let experience = Math.max(0, parseInt(extensionSettings.experience) || 0) + Math.max(0, parseInt(xp) || 0);
+    let levelsGained = 0;
+
+    while (level < MAX_LEVEL && experience >= getXpForNextLevel(level)) {
+        experience -= getXpForNextLevel(level);
+        level++;
+        levelsGained++;
+    }
+
+    const points = levelsGained * getAttributePointsPerLevel();
+    extensionSettings.level = level;
+    extensionSettings.experience = experience;
+    extensionSettings.attributePoints = (parseInt(extensionSettings.attributePoints) || 0) + points;
+
+    return { xp, levelsGained, level, points };
+}
+
+/**
+ * Spends an attribute point on an attribute. Caller saves settings.
+ * @param {string} attributeId - Attribute id (see rpgAttributes)
+ * @returns {boolean} True if a point was spent
+ */
+export function spendAttributePoint(attributeId) {
+    const points = parseInt(extensionSettings.attributePoints) || 0;
+    const value = Number(extensionSettings.classicStats?.[attributeId] ?? 10);
+    if (points <= 0 || value >= MAX_ATTRIBUTE_VALUE) return false;
+
+    extensionSettings.classicStats[attributeId] = value + 1;
+    extensionSettings.attributePoints = points - 1;
+    return true;
+}
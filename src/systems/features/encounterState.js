@@ -3,6 +3,8 @@
  * Manages combat encounter state and history
  */
 
+import { getContext } from '../../../../../../extensions.js';
+import { chat_metadata, saveChatDebounced } from '../../../../../../../script.js';
 import { extensionSettings } from '../../core/state.js';
 import { saveSettings } from '../../core/persistence.js';
 
@@ -19,19 +21,32 @@ export let currentEncounter = {
     encounterLog: [], // Full log of combat actions for final summary
     displayLog: [], // Visual log entries shown in UI: {message: string, type: string}
     pendingEnemies: [], // Enemies suggested by AI but not yet approved by user
-    pendingParty: [] // Party members suggested by AI but not yet approved by user
+    pendingParty: [], // Party members suggested by AI but not yet approved by user
+    round: 0, // Current combat round (0 = initiative not rolled yet)
+    turnOrder: [], // Initiative order: {id, name, type: 'party'|'enemy', initiative}
+    currentTurn: 0, // Index into turnOrder of the combatant whose turn it is
+    damageTotals: {}, // Per combatant name: {name, type, dealt, taken, healed}
+    phases: [], // Authored phases (see encounterPhases.js)
+    phaseIndex: -1, // Index of the phase the encounter is in (-1 = before the first phase)
+    budget: null // Enemy budget from the chosen difficulty (see encounterDifficulty.js)
 };
 
 /**
- * Encounter logs storage (per chat)
+ * Encounter logs storage (per chat). Logs of the open chat are kept in its
+ * chat_metadata.rpg_companion_encounters (when "Auto-save Combat Logs" is on), this
+ * object only holds logs that are not saved with a chat.
  */
 export let encounterLogs = {
     // chatId: [
     //   {
-    //     timestamp: Date,
+    //     timestamp: number,
     //     log: [],
+    //     displayLog: [],
     //     summary: string,
-    //     result: 'victory'|'defeat'|'fled'
+    //     result: 'victory'|'defeat'|'fled',
+    //     profile: {name, VICTORY_TERM, ...},
+    //     damageTotals: {},
+    //     rounds: number
     //   }
     // ]
 };
@@ -66,7 +81,14 @@ export function resetEncounter() {
         encounterLog: [],
         displayLog: [],
         pendingEnemies: [],
-        pendingParty: []
+        pendingParty: [],
+        round: 0,
+        turnOrder: [],
+        currentTurn: 0,
+        damageTotals: {},
+        phases: [],
+        phaseIndex: -1,
+        budget: null
     };
 }
 
@@ -83,15 +105,41 @@ export function addCombatMessage(role, content) {
  * Adds an entry to the encounter log
  * @param {string} action - The action taken
  * @param {string} result - The result of the action
+ * @param {string|null} [resolution=null] - Dice results of the round (rules mode only)
+ * @param {string|null} [usedItem=null] - Item the user's character used this round (written back to the inventory afterwards)
  */
-export function addEncounterLogEntry(action, result) {
-    currentEncounter.encounterLog.push({
+export function addEncounterLogEntry(action, result, resolution = null, usedItem = null) {
+    const entry = {
         timestamp: Date.now(),
         action,
         result,
         swipes: [result], // Store all alternative results
         swipeIndex: 0 // Currently selected swipe
-    });
+    };
+    if (resolution) {
+        entry.resolution = resolution; // Kept so regenerated narration describes the same rolls
+    }
+    if (usedItem) {
+        entry.usedItem = usedItem;
+    }
+    currentEncounter.encounterLog.push(entry);
+}
+
+/**
+ * Adds to a combatant's damage totals for the encounter record
+ * @param {string} name - Combatant name
+ * @param {string} type - "party" or "enemy"
+ * @param {{dealt?: number, taken?: number, healed?: number}} amounts - Amounts to add
+ */
+export function addDamageTotals(name, type, amounts) {
+    if (!name) return;
+    if (!currentEncounter.damageTotals) {
+        currentEncounter.damageTotals = {};
+    }
+    const totals = currentEncounter.damageTotals[name] || (currentEncounter.damageTotals[name] = { name, type, dealt: 0, taken: 0, healed: 0 });
+    totals.dealt += Math.max(0, amounts.dealt || 0);
+    totals.taken += Math.max(0, amounts.taken || 0);
+    totals.healed += Math.max(0, amounts.healed || 0);
 }
 
 /**
@@ -190,30 +238,93 @@ export function setDisplayLogSwipe(entryIndex, swipeIndex) {
     entry.message = entry.swipes[swipeIndex];
 }
 
+/**
+ * Whether logs of a chat are stored in the open chat's metadata
+ * @param {string} chatId - The chat identifier
+ * @returns {boolean} True for the open chat with "Auto-save Combat Logs" on
+ */
+function isSavedWithChat(chatId) {
+    return !!chat_metadata
+        && extensionSettings.encounterSettings?.autoSaveLogs !== false
+        && chatId === getContext().chatId;
+}
+
 /**
  * Saves an encounter log for a specific chat
  * @param {string} chatId - The chat identifier
  * @param {object} logData - The encounter log data
  */
 export function saveEncounterLog(chatId, logData) {
+    const record = {
+        timestamp: Date.now(),
+        log: logData.log || [],
+        displayLog: logData.displayLog || [],
+        summary: logData.summary || '',
+        result: logData.result || 'unknown',
+        // Only what the history view needs: the profile may change or be deleted later
+        profile: logData.profile ? {
+            id: logData.profile.id,
+            name: logData.profile.name,
+            ENCOUNTER_TYPE: logData.profile.ENCOUNTER_TYPE,
+            RESOURCE_LABEL: logData.profile.RESOURCE_LABEL,
+            VICTORY_TERM: logData.profile.VICTORY_TERM,
+            DEFEAT_TERM: logData.profile.DEFEAT_TERM,
+            FLED_TERM: logData.profile.FLED_TERM
+        } : null,
+        damageTotals: logData.damageTotals || {},
+        rounds: logData.rounds || 0
+    };
+    if (logData.loot) {
+        record.loot = logData.loot;
+    }
+
+    if (isSavedWithChat(chatId)) {
+        if (!Array.isArray(chat_metadata.rpg_companion_encounters)) {
+            chat_metadata.rpg_companion_encounters = [];
+        }
+        chat_metadata.rpg_companion_encounters.push(record);
+        saveChatDebounced();
+        return;
+    }
+
     if (!encounterLogs[chatId]) {
         encounterLogs[chatId] = [];
     }
-    encounterLogs[chatId].push({
-        timestamp: new Date(),
-        log: logData.log || [],
-        summary: logData.summary || '',
-        result: logData.result || 'unknown'
-    });
+    encounterLogs[chatId].push(record);
 }
 
 /**
- * Gets encounter logs for a specific chat
+ * Gets encounter logs for a specific chat (saved logs first, then unsaved ones of this session)
  * @param {string} chatId - The chat identifier
  * @returns {Array} Array of encounter logs
  */
 export function getEncounterLogs(chatId) {
-    return encounterLogs[chatId] || [];
+    const saved = chat_metadata && chatId === getContext().chatId && Array.isArray(chat_metadata.rpg_companion_encounters)
+        ? chat_metadata.rpg_companion_encounters
+        : [];
+    return [...saved, ...(encounterLogs[chatId] || [])];
+}
+
+/**
+ * Deletes one encounter log of a chat
+ * @param {string} chatId - The chat identifier
+ * @param {object} record - The log to delete (as returned by getEncounterLogs)
+ * @returns {boolean} True if the log was found and deleted
+ */
+export function deleteEncounterLog(chatId, record) {
+    const saved = chat_metadata && chatId === getContext().chatId ? chat_metadata.rpg_companion_encounters : null;
+    if (Array.isArray(saved) && saved.includes(record)) {
+        saved.splice(saved.indexOf(record), 1);
+        saveChatDebounced();
+        return true;
+    }
+
+    const unsaved = encounterLogs[chatId];
+    if (Array.isArray(unsaved) && unsaved.includes(record)) {
+        unsaved.splice(unsaved.indexOf(record), 1);
+        return true;
+    }
+    return false;
 }
 
 /**
@@ -224,6 +335,10 @@ export function clearEncounterLogs(chatId) {
     if (encounterLogs[chatId]) {
         delete encounterLogs[chatId];
     }
+    if (chat_metadata && chatId === getContext().chatId && chat_metadata.rpg_companion_encounters) {
+        delete chat_metadata.rpg_companion_encounters;
+        saveChatDebounced();
+    }
 }
 
 /**
@@ -382,6 +497,14 @@ export function saveEncounterState() {
         encounterStartMessage: currentEncounter.encounterStartMessage,
         encounterLog: currentEncounter.encounterLog,
         displayLog: currentEncounter.displayLog,
+        pendingEnemies: currentEncounter.pendingEnemies,
+        round: currentEncounter.round,
+        turnOrder: currentEncounter.turnOrder,
+        currentTurn: currentEncounter.currentTurn,
+        damageTotals: currentEncounter.damageTotals,
+        phases: currentEncounter.phases,
+        phaseIndex: currentEncounter.phaseIndex,
+        budget: currentEncounter.budget,
         timestamp: Date.now()
     };
 
@@ -412,6 +535,13 @@ export function loadEncounterState() {
     currentEncounter.displayLog = saved.displayLog || [];
     currentEncounter.pendingEnemies = saved.pendingEnemies || [];
     currentEncounter.pendingParty = saved.pendingParty || [];
+    currentEncounter.round = saved.round || 0;
+    currentEncounter.turnOrder = saved.turnOrder || [];
+    currentEncounter.currentTurn = saved.currentTurn || 0;
+    currentEncounter.damageTotals = saved.damageTotals || {};
+    currentEncounter.phases = saved.phases || [];
+    currentEncounter.phaseIndex = saved.phaseIndex ?? -1;
+    currentEncounter.budget = saved.budget || null;
 
     console.log('[RPG Companion] Encounter state loaded from', new Date(saved.timestamp));
     return true;
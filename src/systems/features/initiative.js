@@ -0,0 +1,262 @@
+/**
+ * Initiative Module
+ * Turn order for encounters. Everyone rolls initiative when the encounter starts
+ * (d20 + DEX modifier for the user, d20 + the AI-supplied initiative bonus for everyone
+ * else) and the encounter then steps through that order. Party members under the user's
+ * control each get their own action choice; enemies and uncontrolled allies act
+ * automatically between those turns.
+ */
+
+import { extensionSettings } from '../../core/state.js';
+import { currentEncounter } from './encounterState.js';
+import { rollDiceFormula } from './dice.js';
+import { getAttributeModifier } from './combatRules.js';
+
+/**
+ * @typedef {Object} TurnEntry
+ * @property {string} id - turnId of the combatant
+ * @property {string} name - Combatant name (kept in sync for display)
+ * @property {string} type - "party" or "enemy"
+ * @property {number} roll - Natural d20 roll
+ * @property {number} bonus - Initiative bonus added to the roll
+ * @property {number} initiative - Total initiative
+ */
+
+/**
+ * @typedef {Object} TurnStep
+ * @property {TurnEntry[]} before - Automatic turns that come before the actor (e.g. enemies faster than everyone)
+ * @property {TurnEntry|null} actor - The controllable combatant the user picks an action for
+ * @property {TurnEntry[]} after - Automatic turns between the actor and the next controllable combatant
+ * @property {number} nextTurn - Index in the turn order where the next step starts
+ * @property {number} roundsPassed - How many times the order wraps around during this step
+ */
+
+/**
+ * Initiative modifier of the user: the modifier of the DEX attribute. The attribute is
+ * looked up in the configured RPG attributes (by id or by a name starting with "DEX"),
+ * so a renamed attribute still counts; a disabled DEX gives no bonus.
+ * @returns {number} Initiative modifier
+ */
+export function getUserInitiativeModifier() {
+    const attributes = extensionSettings.trackerConfig?.userStats?.rpgAttributes || [];
+    if (attributes.length === 0) {
+        return getAttributeModifier('dex');
+    }
+
+    const dex = attributes.find(a => a && (a.id === 'dex' || /^dex/i.test(a.name || '')));
+    return dex && dex.enabled !== false ? getAttributeModifier(dex.id) : 0;
+}
+
+/**
+ * Gives a combatant a stable id for the turn order (names can repeat, indexes shift)
+ * @param {Object} combatant - Party member or enemy (mutated)
+ * @param {string} type - "party" or "enemy"
+ * @returns {string} The turnId
+ */
+function ensureTurnId(combatant, type) {
+    if (!combatant.turnId) {
+        combatant.turnId = `${type}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+    return combatant.turnId;
+}
+
+/**
+ * Rolls initiative for one combatant
+ * @param {Object} combatant - Party member or enemy
+ * @param {string} type - "party" or "enemy"
+ * @returns {TurnEntry} Turn order entry
+ */
+function createTurnEntry(combatant, type) {
+    const bonus = combatant.isPlayer ? getUserInitiativeModifier() : (parseInt(combatant.initiativeBonus) || 0);
+    const roll = rollDiceFormula('1d20').total;
+    return {
+        id: ensureTurnId(combatant, type),
+        name: combatant.name,
+        type,
+        roll,
+        bonus,
+        initiative: roll + bonus
+    };
+}
+
+/**
+ * Sort order: highest initiative first, ties go to the higher bonus, then to the party
+ * @param {TurnEntry} a - Entry
+ * @param {TurnEntry} b - Entry
+ * @returns {number} Comparison result
+ */
+function compareEntries(a, b) {
+    return (b.initiative - a.initiative) || (b.bonus - a.bonus) || ((a.type === 'party' ? 0 : 1) - (b.type === 'party' ? 0 : 1));
+}
+
+/**
+ * Rolls initiative for every combatant and starts round 1
+ * @param {Object} combatStats - Combat stats
+ * @returns {TurnEntry[]} The new turn order
+ */
+export function rollInitiative(combatStats) {
+    const entries = [
+        ...(combatStats.party || []).map(member => createTurnEntry(member, 'party')),
+        ...(combatStats.enemies || []).map(enemy => createTurnEntry(enemy, 'enemy'))
+    ].sort(compareEntries);
+
+    currentEncounter.turnOrder = entries;
+    currentEncounter.currentTurn = 0;
+    currentEncounter.round = 1;
+    return entries;
+}
+
+/**
+ * Finds the combatant a turn entry belongs to
+ * @param {TurnEntry} entry - Turn order entry
+ * @param {Object} combatStats - Combat stats
+ * @returns {Object|null} The combatant, or null if it was removed
+ */
+export function findTurnCombatant(entry, combatStats) {
+    if (!entry || !combatStats) return null;
+    const list = entry.type === 'party' ? combatStats.party : combatStats.enemies;
+    return (list || []).find(c => c.turnId === entry.id) || null;
+}
+
+/**
+ * Whether the user picks actions for a combatant. The user's own character always is;
+ * other party members are unless their "controlled by you" option was turned off.
+ * @param {Object} combatant - Party member or enemy
+ * @param {string} type - "party" or "enemy"
+ * @returns {boolean} True if controllable
+ */
+export function isControllable(combatant, type) {
+    return type === 'party' && (!!combatant.isPlayer || combatant.controllable !== false);
+}
+
+/**
+ * Brings the turn order in line with the combat stats: combatants added since the last
+ * roll (by hand or from the AI's suggestions) roll initiative and are slotted in, removed
+ * combatants are dropped, renamed ones are updated. Rolls a fresh order if there is none
+ * yet (e.g. encounters saved before initiative existed).
+ * @param {Object} combatStats - Combat stats
+ */
+export function syncTurnOrder(combatStats) {
+    if (!combatStats) return;
+
+    if (!Array.isArray(currentEncounter.turnOrder) || currentEncounter.turnOrder.length === 0) {
+        rollInitiative(combatStats);
+        return;
+    }
+
+    const order = currentEncounter.turnOrder;
+    const currentId = order[currentEncounter.currentTurn]?.id;
+
+    // Drop removed combatants, refresh names
+    for (let i = order.length - 1; i >= 0; i--) {
+        const combatant = findTurnCombatant(order[i], combatStats);
+        if (!combatant) {
+            order.splice(i, 1);
+        } else {
+            order[i].name = combatant.name;
+        }
+    }
+
+    // Slot in new combatants by initiative
+    const known = new Set(order.map(entry => entry.id));
+    const sides = [['party', combatStats.party || []], ['enemy', combatStats.enemies || []]];
+    for (const [type, list] of sides) {
+        for (const combatant of list) {
+            if (combatant.turnId && known.has(combatant.turnId)) continue;
+            const entry = createTurnEntry(combatant, type);
+            const position = order.findIndex(other => compareEntries(entry, other) < 0);
+            order.splice(position === -1 ? order.length : position, 0, entry);
+            known.add(entry.id);
+        }
+    }
+
+    // Keep the turn with whoever had it
+    const index = order.findIndex(entry => entry.id === currentId);
+    currentEncounter.currentTurn = index !== -1 ? index : Math.min(currentEncounter.currentTurn, Math.max(0, order.length - 1));
+    if (!currentEncounter.round) {
+        currentEncounter.round = 1;
+    }
+}
+
+/**
+ * Plans the next step of the encounter: the automatic turns up to the next controllable
+ * combatant, that combatant's turn, and the automatic turns after it until the next
+ * controllable combatant. Defeated combatants are skipped.
+ * @param {Object} combatStats - Combat stats
+ * @returns {TurnStep|null} The step, or null if there is no turn order
+ */
+export function planTurnStep(combatStats) {
+    const order = currentEncounter.turnOrder || [];
+    const count = order.length;
+    if (count === 0) return null;
+
+    let index = Math.min(currentEncounter.currentTurn || 0, count - 1);
+    let roundsPassed = 0;
+    const advance = () => {
+        index++;
+        if (index >= count) {
+            index = 0;
+            roundsPassed++;
+        }
+    };
+
+    const before = [];
+    let actor = null;
+    for (let i = 0; i < count; i++) {
+        const entry = order[index];
+        const combatant = findTurnCombatant(entry, combatStats);
+        if (combatant && combatant.hp > 0) {
+            if (isControllable(combatant, entry.type)) {
+                actor = entry;
+                break;
+            }
+            before.push(entry);
+        }
+        advance();
+    }
+
+    const after = [];
+    if (actor) {
+        advance();
+        for (let i = 0; i < count - 1; i++) {
+            const entry = order[index];
+            const combatant = findTurnCombatant(entry, combatStats);
+            if (combatant && combatant.hp > 0) {
+                if (isControllable(combatant, entry.type)) break;
+                after.push(entry);
+            }
+            advance();
+        }
+    }
+
+    return { before, actor, after, nextTurn: index, roundsPassed };
+}
+
+/**
+ * Moves the encounter past a planned step (next controllable turn, round counter)
+ * @param {TurnStep} step - Step from planTurnStep()
+ */
+export function commitTurnStep(step) {
+    if (!step) return;
+    currentEncounter.currentTurn = step.nextTurn;
+    currentEncounter.round = (currentEncounter.round || 1) + step.roundsPassed;
+}
+
+/**
+ * Describes the turn order and the turns of a step for the action prompt
+ * @param {TurnStep} step - Step from planTurnStep()
+ * @returns {string} Prompt text (empty without a step)
+ */
+export function describeTurnStep(step) {
+    if (!step || !step.actor) return '';
+
+    const order = currentEncounter.turnOrder.map(entry => `${entry.name} (${entry.initiative})`).join(', ');
+    const sequence = [
+        ...step.before.map(entry => entry.name),
+        `${step.actor.name} (the action below)`,
+        ...step.after.map(entry => entry.name)
+    ];
+
+    return `Round ${currentEncounter.round || 1}. Initiative order: ${order}.\n` +
+        `Turns resolved in this response, in this order: ${sequence.join(', then ')}. Combatants not listed here do not act yet.`;
+}
@@ -1,13 +1,18 @@
 /**
  * Memory Recollection Module
- * Handles generation of lorebook entries from chat history
+ * Handles generation of lorebook entries from chat history.
+ *
+ * Runs are incremental per chat: chat_metadata.rpg_companion_memory keeps a high-water
+ * mark of the messages already processed and the chat's target lorebook, so later runs
+ * only read new messages and an interrupted run resumes where it stopped.
  */
 
-import { chat, characters, this_chid, generateRaw, substituteParams, eventSource, event_types } from '../../../../../../../script.js';
+import { getContext } from '../../../../../../extensions.js';
+import { chat, chat_metadata, saveChatDebounced, characters, this_chid, generateRaw, substituteParams, eventSource, event_types } from '../../../../../../../script.js';
 import { selected_group } from '../../../../../../group-chats.js';
 import { extensionSettings, addDebugLog } from '../../core/state.js';
 import { saveSettings } from '../../core/persistence.js';
-import { checkWorldInfo, createNewWorldInfo, openWorldInfoEditor, saveWorldInfo, setWorldInfoSettings } from '../../../../../../world-info.js';
+import { checkWorldInfo, createNewWorldInfo, loadWorldInfo, openWorldInfoEditor, saveWorldInfo, setWorldInfoSettings, world_names } from '../../../../../../world-info.js';
 
 /**
  * Helper to log to both console and debug logs array
@@ -24,11 +29,70 @@ function debugLog(message, data = null) {
 }
 
 /**
- * Get or create the Memory Recollection lorebook
- * @returns {Promise<string>} The UID of the Memory Recollection lorebook
+ * Lorebook used when a chat has not chosen one
  */
-async function getOrCreateMemoryLorebook() {
-    const lorebookName = 'Memory Recollection';
+const DEFAULT_LOREBOOK_NAME = 'Memory Recollection';
+
+/**
+ * Comment of the constant "Relevant Memories:" header entry
+ */
+const HEADER_COMMENT = 'Relevant Memories Header';
+
+// Whether a run is in progress, and whether the user asked it to pause
+let isRunning = false;
+let pauseRequested = false;
+
+/**
+ * @typedef {Object} MemoryRecollectionState
+ * @property {number} processedCount - Number of chat messages already turned into memories (high-water mark)
+ * @property {Array<Array<number>>} skippedRanges - [start, end) message ranges below the mark whose batch was skipped after an error
+ * @property {string|null} lorebook - Target lorebook of this chat (null = default)
+ * @property {boolean} paused - Whether the last run stopped before reaching the end of the chat
+ */
+
+/**
+ * Returns the Memory Recollection state of the active chat (stored in chat_metadata)
+ * @returns {MemoryRecollectionState} The stored state object
+ */
+function getMemoryState() {
+    if (!chat_metadata.rpg_companion_memory || typeof chat_metadata.rpg_companion_memory !== 'object') {
+        chat_metadata.rpg_companion_memory = { processedCount: 0, skippedRanges: [], lorebook: null, paused: false };
+    }
+    const state = chat_metadata.rpg_companion_memory;
+    state.processedCount = Math.max(0, Number(state.processedCount) || 0);
+    state.skippedRanges = (Array.isArray(state.skippedRanges) ? state.skippedRanges : [])
+        .filter(range => Array.isArray(range) && range[0] >= 0 && range[1] > range[0]);
+    return state;
+}
+
+/**
+ * Number of messages in the skipped ranges that still exist in the chat
+ * @param {MemoryRecollectionState} state - Memory state
+ * @param {number} chatLength - Number of chat messages
+ * @returns {number}
+ */
+function countSkippedMessages(state, chatLength) {
+    const limit = Math.min(state.processedCount, chatLength);
+    return state.skippedRanges.reduce((sum, [start, end]) => sum + Math.max(0, Math.min(end, limit) - start), 0);
+}
+
+/**
+ * Asks a running memory recollection to stop after the current batch.
+ * The run can be resumed later from the chat's high-water mark.
+ */
+export function pauseMemoryRecollection() {
+    if (isRunning) {
+        pauseRequested = true;
+        debugLog('[Memory Recollection] Pause requested');
+    }
+}
+
+/**
+ * Get or create the target lorebook
+ * @param {string} lorebookName - Name of the lorebook
+ * @returns {Promise<{name: string, created: boolean}>} The lorebook name and whether it was just created
+ */
+async function getOrCreateMemoryLorebook(lorebookName) {
 
     try {
         debugLog('[Memory Recollection] Checking for existing lorebook...');
@@ -38,11 +102,11 @@ async function getOrCreateMemoryLorebook() {
 
         if (exists) {
             debugLog('[Memory Recollection] Found existing lorebook:', lorebookName);
-            return lorebookName;
+            return { name: lorebookName, created: false };
         }
 
         // Create new lorebook using SillyTavern's imported function
-        debugLog('[Memory Recollection] Creating new Memory Recollection lorebook');
+        debugLog('[Memory Recollection] Creating new lorebook:', lorebookName);
 
         // Call the imported createNewWorldInfo function
         await createNewWorldInfo(lorebookName, true);
@@ -52,7 +116,7 @@ async function getOrCreateMemoryLorebook() {
         // Wait for the file system to settle
         await new Promise(resolve => setTimeout(resolve, 500));
 
-        return lorebookName;
+        return { name: lorebookName, created: true };
     } catch (error) {
         console.error('[Memory Recollection] Error in getOrCreateMemoryLorebook:', error);
         throw error;
@@ -60,15 +124,15 @@ async function getOrCreateMemoryLorebook() {
 }
 /**
  * Create the constant "Relevant Memories:" header entry
- * @param {string} lorebookUid - The UID of the lorebook
+ * @param {number} uid - UID of the entry (1 unless the lorebook already uses it)
  * @returns {Object} The header entry object
  */
-function createConstantHeaderEntry() {
+function createConstantHeaderEntry(uid) {
     const entry = {
-        uid: 1, // Fixed UID so it's always first
+        uid,
         key: [],
         keysecondary: [],
-        comment: 'Relevant Memories Header',
+        comment: HEADER_COMMENT,
         content: 'Relevant Memories:',
         constant: true, // Always inserted
         vectorized: false,
@@ -180,54 +244,131 @@ async function saveWorldInfoEntry(lorebookUid, entry) {
 }
 
 /**
- * Save multiple world info entries to a lorebook at once
- * @param {string} lorebookUid - The filename/UID of the lorebook
- * @param {Array} newEntries - Array of entry objects to add
+ * Splits text into a set of lowercase words (for similarity checks)
+ * @param {string} text - Text to split
+ * @returns {Set<string>} Words
  */
-async function saveWorldInfoEntries(lorebookUid, newEntries) {
-    try {
-        debugLog(`[Memory Recollection] Saving ${newEntries.length} entries to lorebook:`, lorebookUid);
+function toWordSet(text) {
+    return new Set(String(text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || []);
+}
 
-        // Open the world info editor for this lorebook to load its data
-        await openWorldInfoEditor(lorebookUid);
+/**
+ * Lowercased, trimmed keys of a world info entry
+ * @param {Object} entry - World info entry
+ * @returns {string[]} Keys
+ */
+function getEntryKeys(entry) {
+    return (entry.key || []).map(k => String(k).trim().toLowerCase()).filter(Boolean);
+}
 
-        // Wait for it to load
-        await new Promise(resolve => setTimeout(resolve, 500));
+/**
+ * Whether two memory entries describe the same thing: enough shared keywords
+ * (at least two, or every key of a smaller set) and at least one shared character.
+ * @param {Object} existing - Entry already in the lorebook
+ * @param {Object} entry - New entry
+ * @returns {boolean} True if the entries overlap
+ */
+function isOverlappingMemory(existing, entry) {
+    const existingKeys = getEntryKeys(existing);
+    const newKeys = getEntryKeys(entry);
+    if (existingKeys.length === 0 || newKeys.length === 0) {
+        return false;
+    }
 
-        // Now access the loaded world info data
-        const worldInfo = window.world_info;
+    const shared = newKeys.filter(k => existingKeys.includes(k)).length;
+    const smaller = Math.min(existingKeys.length, newKeys.length);
+    if (shared < Math.min(2, smaller) || shared / smaller < 0.5) {
+        return false;
+    }
 
-        // Try different structures - it might be an array or might have different properties
-        let entries = {};
-        if (worldInfo && typeof worldInfo === 'object') {
-            if (worldInfo.entries) {
-                entries = { ...worldInfo.entries }; // Clone existing entries
-            } else if (Array.isArray(worldInfo)) {
-                // If it's an array, convert to entries object
-                worldInfo.forEach((e, i) => {
-                    if (e && e.uid) {
-                        entries[e.uid] = e;
-                    }
-                });
+    const existingNames = (existing.characterFilter?.names || []).map(n => n.toLowerCase());
+    const newNames = (entry.characterFilter?.names || []).map(n => n.toLowerCase());
+    if (existingNames.length === 0 || newNames.length === 0) {
+        return existingNames.length === newNames.length;
+    }
+    return newNames.some(n => existingNames.includes(n));
+}
+
+/**
+ * Merges a new memory into an overlapping entry. Keys and characters are combined;
+ * the content is only extended when the new memory adds something the entry does not
+ * already say (word overlap below 60%).
+ * @param {Object} existing - Entry already in the lorebook (mutated)
+ * @param {Object} entry - New entry
+ * @returns {boolean} True if the content was extended, false if the memory was a duplicate
+ */
+function mergeMemoryEntry(existing, entry) {
+    const union = (a, b) => {
+        const result = [...a];
+        for (const value of b) {
+            if (!result.some(r => r.toLowerCase() === value.toLowerCase())) {
+                result.push(value);
             }
         }
+        return result;
+    };
 
-        // Add all new entries
-        for (const entry of newEntries) {
-            entries[entry.uid] = entry;
-        }
+    existing.key = union(existing.key || [], entry.key || []);
+    if (existing.characterFilter && entry.characterFilter) {
+        existing.characterFilter.names = union(existing.characterFilter.names || [], entry.characterFilter.names || []);
+        existing.comment = `Memory: ${existing.characterFilter.names.join(', ')}`;
+    }
 
-        debugLog(`[Memory Recollection] ${newEntries.length} entries added, total entries: ${Object.keys(entries).length}, saving...`);
+    const existingWords = toWordSet(existing.content);
+    const newWords = toWordSet(entry.content);
+    const common = [...newWords].filter(w => existingWords.has(w)).length;
+    const similarity = newWords.size > 0 ? common / Math.min(existingWords.size || 1, newWords.size) : 1;
+    if (similarity >= 0.6) {
+        return false;
+    }
 
-        // Save using the imported saveWorldInfo function
-        await saveWorldInfo(lorebookUid, { entries });
+    existing.content = `${existing.content} ${entry.content}`.trim();
+    return true;
+}
 
-        debugLog('[Memory Recollection] All entries saved successfully');
-        return { success: true };
-    } catch (error) {
-        console.error('[Memory Recollection] Error saving entries:', error);
-        throw error;
+/**
+ * Saves new memory entries to a lorebook, merging them into overlapping memory entries
+ * instead of adding near-duplicates. Only entries created by Memory Recollection
+ * (comment "Memory: ...") are considered for merging, so hand-written entries of a
+ * user-chosen lorebook are never changed. Adds the "Relevant Memories:" header if missing.
+ * @param {string} lorebookName - Name of the lorebook
+ * @param {Array<Object>} newEntries - Entries created by createMemoryEntry()
+ * @returns {Promise<{added: number, merged: number, duplicates: number}>} What happened to the entries
+ */
+async function saveMemoryEntries(lorebookName, newEntries) {
+    const data = await loadWorldInfo(lorebookName) || {};
+    const entries = { ...(data.entries || {}) };
+    const result = { added: 0, merged: 0, duplicates: 0 };
+
+    let nextUid = Math.max(0, ...Object.keys(entries).map(Number).filter(Number.isFinite)) + 1;
+    const memoryEntries = Object.values(entries).filter(e => String(e?.comment || '').startsWith('Memory:'));
+
+    for (const entry of newEntries) {
+        const existing = memoryEntries.find(e => isOverlappingMemory(e, entry));
+        if (existing) {
+            if (mergeMemoryEntry(existing, entry)) {
+                result.merged++;
+            } else {
+                result.duplicates++;
+            }
+            continue;
+        }
+
+        entry.uid = nextUid++;
+        entry.displayIndex = entry.uid;
+        entries[entry.uid] = entry;
+        memoryEntries.push(entry);
+        result.added++;
+    }
+
+    if (!Object.values(entries).some(e => e?.comment === HEADER_COMMENT)) {
+        const uid = entries[1] ? nextUid++ : 1;
+        entries[uid] = createConstantHeaderEntry(uid);
     }
+
+    debugLog(`[Memory Recollection] Saving to ${lorebookName}:`, result);
+    await saveWorldInfo(lorebookName, { ...data, entries }, true);
+    return result;
 }
 /**
  * Generate memory recollection prompt for a batch of messages
@@ -454,117 +595,158 @@ async function processBatch(messages, lorebookUid, isUpdate, startIndex) {
 }
 
 /**
- * Main function to start memory recollection process
+ * Shows the retry prompt for a failed batch
+ * @param {Error} error - Batch error
+ * @param {number} batchNumber - 1-based number of the failed batch
+ * @param {number} totalBatches - Number of batches in this run
+ * @returns {Promise<boolean>} True to retry, false to skip the batch
+ */
+function askRetryBatch(error, batchNumber, totalBatches) {
+    return new Promise(resolve => {
+        const retryModal = document.createElement('div');
+        retryModal.className = 'rpg-memory-modal-overlay';
+        retryModal.innerHTML = `
+            <div class="rpg-memory-modal">
+                <div class="rpg-memory-modal-header">
+                    <h3>⚠️ Generation Failed</h3>
+                </div>
+                <div class="rpg-memory-modal-body">
+                    <p><strong>Error:</strong> ${error.message}</p>
+                    <p>Batch ${batchNumber} of ${totalBatches} failed to process.</p>
+                    <p>Would you like to retry this batch?</p>
+                </div>
+                <div class="rpg-memory-modal-footer">
+                    <button class="rpg-memory-modal-btn rpg-memory-cancel">Skip Batch</button>
+                    <button class="rpg-memory-modal-btn rpg-memory-proceed">Retry</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(retryModal);
+
+        retryModal.querySelector('.rpg-memory-cancel').addEventListener('click', () => {
+            document.body.removeChild(retryModal);
+            resolve(false);
+        });
+
+        retryModal.querySelector('.rpg-memory-proceed').addEventListener('click', () => {
+            document.body.removeChild(retryModal);
+            resolve(true);
+        });
+    });
+}
+
+/**
+ * Main function to start (or resume) memory recollection for the active chat.
+ * Only the messages after the chat's high-water mark are processed. Every batch is
+ * saved to the lorebook as soon as it is done and moves the mark forward, so a run
+ * that is paused, interrupted by a chat switch or a page reload continues where it stopped.
+ * Batches skipped after an error are remembered and processed first on the next run.
  * @param {Function} onProgress - Callback for progress updates (current, total)
- * @param {Function} onComplete - Callback when complete
+ * @param {Function} onComplete - Callback when the run ends: ({added, merged, duplicates, skipped, paused, lorebook, created})
  * @param {Function} onError - Callback for errors
  */
 export async function startMemoryRecollection(onProgress, onComplete, onError) {
+    if (isRunning) {
+        onError(new Error('Memory Recollection is already running.'));
+        return;
+    }
+
+    isRunning = true;
+    pauseRequested = false;
+
     try {
         debugLog('[Memory Recollection] Starting memory recollection process');
 
-        // Get or create the lorebook
-        const lorebookUid = await getOrCreateMemoryLorebook();
+        const chatId = getContext().chatId;
+        const state = getMemoryState();
+        const { name: lorebookName, created } = await getOrCreateMemoryLorebook(state.lorebook || DEFAULT_LOREBOOK_NAME);
+        state.lorebook = lorebookName;
 
-        // Get messages to process count from settings
-        const messagesToProcess = extensionSettings.memoryMessagesToProcess || 16;
+        // Messages may have been deleted since the last run
+        state.processedCount = Math.min(state.processedCount, chat.length);
+        state.skippedRanges = state.skippedRanges
+            .map(([start, end]) => [start, Math.min(end, state.processedCount)])
+            .filter(([start, end]) => start < end);
 
-        // Check if this is an update (lorebook already exists with entries)
-        const world_info = window.world_info;
-        const lorebook = world_info.globalSelect?.find(book => book.uid === lorebookUid);
-        const existingEntryCount = lorebook?.entries ? Object.keys(lorebook.entries).length : 0;
-        const isUpdate = existingEntryCount > 1; // More than just the header
-
-        let messagesToProcessArray;
-        if (isUpdate) {
-            // Process only the last batch
-            const totalMessages = chat.length;
-            const startIdx = Math.max(0, totalMessages - messagesToProcess);
-            messagesToProcessArray = chat.slice(startIdx);
-            debugLog(`[Memory Recollection] Update mode: Processing last ${messagesToProcess} messages`);
-        } else {
-            // Process entire chat in batches
-            messagesToProcessArray = chat;
-            debugLog(`[Memory Recollection] Initial mode: Processing all ${chat.length} messages`);
+        // Batches skipped by earlier runs come first, then the new messages
+        const messagesToProcess = extensionSettings.memoryMessagesToProcess || 16;
+        const startIndex = state.processedCount;
+        const batches = state.skippedRanges.map(([start, end]) => ({ start, end, isRetry: true }));
+        for (let start = startIndex; start < chat.length; start += messagesToProcess) {
+            batches.push({ start, end: Math.min(start + messagesToProcess, chat.length), isRetry: false });
         }
+        const totalBatches = batches.length;
+        const totals = { added: 0, merged: 0, duplicates: 0, skipped: 0, paused: false, lorebook: lorebookName, created };
 
-        const totalBatches = Math.ceil(messagesToProcessArray.length / messagesToProcess);
-        let entryIndex = existingEntryCount;
-        const allEntries = []; // Accumulate all entries here
+        debugLog(`[Memory Recollection] Processing messages ${startIndex}-${chat.length - 1} and ${state.skippedRanges.length} skipped ranges in ${totalBatches} batches`);
 
         for (let i = 0; i < totalBatches; i++) {
-            const batchStart = i * messagesToProcess;
-            const batchEnd = Math.min(batchStart + messagesToProcess, messagesToProcessArray.length);
-            const batch = messagesToProcessArray.slice(batchStart, batchEnd);
+            if (pauseRequested || getContext().chatId !== chatId) {
+                totals.paused = true;
+                break;
+            }
+
+            const { start: batchStart, end: batchEnd, isRetry } = batches[i];
+            const batch = chat.slice(batchStart, batchEnd);
+            let skipped = false;
 
             onProgress(i + 1, totalBatches);
 
             try {
-                const batchEntries = await processBatch(batch, lorebookUid, isUpdate && i === 0, entryIndex);
-                allEntries.push(...batchEntries); // Add to accumulator
-                entryIndex += batchEntries.length;
+                const isUpdate = batchStart > 0;
+                const batchEntries = await processBatch(batch, lorebookName, isUpdate, batchStart);
+
+                // The chat changed while generating: the batch belongs to another chat's metadata
+                if (getContext().chatId !== chatId) {
+                    totals.paused = true;
+                    break;
+                }
+
+                const result = await saveMemoryEntries(lorebookName, batchEntries);
+                totals.added += result.added;
+                totals.merged += result.merged;
+                totals.duplicates += result.duplicates;
             } catch (error) {
-                // Batch failed - ask user if they want to retry
                 debugLog('[Memory Recollection] Batch failed:', error.message);
 
-                const retry = await new Promise(resolve => {
-                    const retryModal = document.createElement('div');
-                    retryModal.className = 'rpg-memory-modal-overlay';
-                    retryModal.innerHTML = `
-                        <div class="rpg-memory-modal">
-                            <div class="rpg-memory-modal-header">
-                                <h3>⚠️ Generation Failed</h3>
-                            </div>
-                            <div class="rpg-memory-modal-body">
-                                <p><strong>Error:</strong> ${error.message}</p>
-                                <p>Batch ${i + 1} of ${totalBatches} failed to process.</p>
-                                <p>Would you like to retry this batch?</p>
-                            </div>
-                            <div class="rpg-memory-modal-footer">
-                                <button class="rpg-memory-modal-btn rpg-memory-cancel">Skip Batch</button>
-                                <button class="rpg-memory-modal-btn rpg-memory-proceed">Retry</button>
-                            </div>
-                        </div>
-                    `;
-
-                    document.body.appendChild(retryModal);
-
-                    retryModal.querySelector('.rpg-memory-cancel').addEventListener('click', () => {
-                        document.body.removeChild(retryModal);
-                        resolve(false);
-                    });
-
-                    retryModal.querySelector('.rpg-memory-proceed').addEventListener('click', () => {
-                        document.body.removeChild(retryModal);
-                        resolve(true);
-                    });
-                });
-
-                if (retry) {
-                    // Retry the same batch
+                if (await askRetryBatch(error, i + 1, totalBatches)) {
                     i--;
                     continue;
                 }
-                // Otherwise skip this batch and continue
+                // Otherwise skip this batch for now; the next run tries it again
+                skipped = true;
+                totals.skipped += batchEnd - batchStart;
             }
 
+            if (isRetry) {
+                state.skippedRanges = state.skippedRanges.filter(([start]) => start !== batchStart);
+            } else {
+                state.processedCount = batchEnd;
+            }
+            if (skipped) {
+                state.skippedRanges.push([batchStart, batchEnd]);
+            }
+            state.paused = state.processedCount < chat.length;
+            saveChatDebounced();
+
             // Small delay between batches to avoid rate limiting
             if (i < totalBatches - 1) {
                 await new Promise(resolve => setTimeout(resolve, 1000));
             }
         }
 
-        // Add the constant header entry at the end
-        const headerEntry = createConstantHeaderEntry();
-        allEntries.push(headerEntry); // Add to end of array
-
-        // Save all entries at once
-        if (allEntries.length > 0) {
-            debugLog(`[Memory Recollection] Saving ${allEntries.length} total entries (including header) to lorebook...`);
-            await saveWorldInfoEntries(lorebookUid, allEntries);
+        if (totals.paused && getContext().chatId === chatId) {
+            state.paused = true;
+            saveChatDebounced();
+        } else if (!totals.paused) {
+            state.paused = false;
+            saveChatDebounced();
+        }
 
+        if (totals.added + totals.merged > 0) {
             // Trigger world info refresh by simulating the WI button click to reload the list
-            // This ensures the newly created lorebook appears in the dropdown
+            // This ensures a newly created lorebook appears in the dropdown
             const wiButton = document.querySelector('#WIDrawerIcon');
             if (wiButton) {
                 // Close and reopen to force refresh
@@ -576,30 +758,54 @@ export async function startMemoryRecollection(onProgress, onComplete, onError) {
 
             // Also emit the update event
             eventSource.emit(event_types.WORLDINFO_SETTINGS_UPDATED);
-        }
-
-        debugLog('[Memory Recollection] Process complete');
 
-        // Open the World Info editor with the Memory Recollection lorebook
-        try {
-            await openWorldInfoEditor(lorebookUid);
-            debugLog('[Memory Recollection] Opened World Info editor with Memory Recollection lorebook');
-        } catch (err) {
-            debugLog('[Memory Recollection] Could not open World Info editor:', err);
+            try {
+                await openWorldInfoEditor(lorebookName);
+                debugLog(`[Memory Recollection] Opened World Info editor with ${lorebookName}`);
+            } catch (err) {
+                debugLog('[Memory Recollection] Could not open World Info editor:', err);
+            }
         }
 
-        onComplete(allEntries.length);
+        debugLog('[Memory Recollection] Process finished:', totals);
+        onComplete(totals);
 
     } catch (error) {
         debugLog('[Memory Recollection] Error:', error);
         onError(error);
+    } finally {
+        isRunning = false;
+        pauseRequested = false;
     }
 }
 
 /**
- * Show memory recollection confirmation modal
+ * Show memory recollection confirmation modal, with the target lorebook of the
+ * active chat and how far previous runs got
  */
 export function showMemoryRecollectionModal() {
+    const state = getMemoryState();
+    const processed = Math.min(state.processedCount, chat.length);
+    const skipped = countSkippedMessages(state, chat.length);
+    const remaining = chat.length - processed + skipped;
+    const target = state.lorebook || DEFAULT_LOREBOOK_NAME;
+    const lorebooks = [...new Set([DEFAULT_LOREBOOK_NAME, ...(world_names || []), target])].sort((a, b) => a.localeCompare(b));
+
+    const escape = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    const options = lorebooks
+        .map(name => `<option value="${escape(name)}" ${name === target ? 'selected' : ''}>${escape(name)}</option>`)
+        .join('');
+
+    let progressText;
+    if (processed === 0) {
+        progressText = `No messages of this chat have been processed yet (${chat.length} messages).`;
+    } else if (remaining === 0) {
+        progressText = `All ${chat.length} messages of this chat have already been processed.`;
+    } else {
+        const skippedText = skipped > 0 ? ` ${skipped} messages of skipped batches will be processed again.` : '';
+        progressText = `${processed - skipped} of ${chat.length} messages processed${state.paused ? ' (paused run)' : ''}. ${chat.length - processed} new messages will be processed.${skippedText}`;
+    }
+
     const modal = document.createElement('div');
     modal.className = 'rpg-memory-modal-overlay';
     modal.innerHTML = `
@@ -610,27 +816,53 @@ export function showMemoryRecollectionModal() {
             <div class="rpg-memory-modal-body">
                 <p><strong>Warning!</strong> This process will trigger multiple generation requests and will take time.</p>
                 <p>Ensure your currently selected model is the one you want to use for this task.</p>
+                <label class="rpg-memory-lorebook-label">
+                    Target lorebook for this chat:
+                    <select class="rpg-memory-lorebook-select text_pole">${options}</select>
+                </label>
                 <p class="rpg-memory-modal-info">
+                    ${progressText}
+                    <br>
                     Messages per batch: <strong>${extensionSettings.memoryMessagesToProcess || 16}</strong>
                     <br>
                     <span class="rpg-memory-modal-hint">(You can change this in the extension settings)</span>
                 </p>
+                ${processed > 0 ? `
+                <label class="rpg-memory-restart-label">
+                    <input type="checkbox" class="rpg-memory-restart">
+                    Start over from the first message
+                </label>` : ''}
             </div>
             <div class="rpg-memory-modal-footer">
                 <button class="rpg-memory-modal-btn rpg-memory-cancel">Cancel</button>
-                <button class="rpg-memory-modal-btn rpg-memory-proceed">Proceed</button>
+                <button class="rpg-memory-modal-btn rpg-memory-proceed">${state.paused && remaining > 0 ? 'Resume' : 'Proceed'}</button>
             </div>
         </div>
     `;
 
     document.body.appendChild(modal);
 
+    const proceedButton = modal.querySelector('.rpg-memory-proceed');
+    const restartCheckbox = modal.querySelector('.rpg-memory-restart');
+    const updateProceed = () => {
+        proceedButton.disabled = remaining === 0 && !restartCheckbox?.checked;
+    };
+    restartCheckbox?.addEventListener('change', updateProceed);
+    updateProceed();
+
     // Event listeners
     modal.querySelector('.rpg-memory-cancel').addEventListener('click', () => {
         document.body.removeChild(modal);
     });
 
-    modal.querySelector('.rpg-memory-proceed').addEventListener('click', () => {
+    proceedButton.addEventListener('click', () => {
+        state.lorebook = modal.querySelector('.rpg-memory-lorebook-select').value || DEFAULT_LOREBOOK_NAME;
+        if (restartCheckbox?.checked) {
+            state.processedCount = 0;
+            state.skippedRanges = [];
+            state.paused = false;
+        }
+        saveChatDebounced();
         document.body.removeChild(modal);
         showMemoryProgressModal();
     });
@@ -661,6 +893,9 @@ function showMemoryProgressModal() {
                 </div>
                 <p class="rpg-memory-status">Initializing...</p>
             </div>
+            <div class="rpg-memory-modal-footer">
+                <button class="rpg-memory-modal-btn rpg-memory-cancel rpg-memory-pause">Pause</button>
+            </div>
         </div>
     `;
 
@@ -670,6 +905,24 @@ function showMemoryProgressModal() {
     const totalSpan = modal.querySelector('.rpg-memory-total');
     const progressFill = modal.querySelector('.rpg-memory-progress-fill');
     const statusText = modal.querySelector('.rpg-memory-status');
+    const pauseButton = modal.querySelector('.rpg-memory-pause');
+
+    pauseButton.addEventListener('click', () => {
+        pauseMemoryRecollection();
+        pauseButton.disabled = true;
+        statusText.textContent = 'Pausing after the current batch...';
+    });
+
+    const addCloseButton = () => {
+        pauseButton.remove();
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'rpg-memory-modal-btn rpg-memory-close';
+        closeBtn.textContent = 'Close';
+        closeBtn.addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+        modal.querySelector('.rpg-memory-modal-footer').appendChild(closeBtn);
+    };
 
     // Start the process
     startMemoryRecollection(
@@ -678,25 +931,25 @@ function showMemoryProgressModal() {
             totalSpan.textContent = total;
             const percentage = (current / total) * 100;
             progressFill.style.width = `${percentage}%`;
-            statusText.textContent = `Processing memories from batch ${current}...`;
+            if (!pauseButton.disabled) {
+                statusText.textContent = `Processing memories from batch ${current}...`;
+            }
         },
-        (entriesCreated) => {
-            statusText.innerHTML = `
-                <strong>✅ Complete!</strong> Created ${entriesCreated} memory entries.<br>
-                <small>The "Memory Recollection" lorebook has been created.</small><br>
-                <strong style="color: #ffa500; margin-top: 10px; display: block;">⚠️ Please refresh SillyTavern to see the lorebook in the World Info dropdown.</strong>
-            `;
-            progressFill.style.width = '100%';
-
-            // Add close button
-            const closeBtn = document.createElement('button');
-            closeBtn.className = 'rpg-memory-modal-btn rpg-memory-close';
-            closeBtn.textContent = 'Close';
-            closeBtn.style.marginTop = '15px';
-            closeBtn.addEventListener('click', () => {
-                document.body.removeChild(modal);
-            });
-            modal.querySelector('.rpg-memory-modal-body').appendChild(closeBtn);
+        (result) => {
+            let summary = `${result.added} new, ${result.merged} merged into existing entries, ${result.duplicates} duplicates skipped.`;
+            if (result.skipped > 0) {
+                summary += ` ${result.skipped} messages of failed batches were skipped and will be processed again on the next run.`;
+            }
+            statusText.innerHTML = result.paused
+                ? `<strong>⏸️ Paused.</strong> ${summary}<br><small>Run Memory Recollection again to resume from where it stopped.</small>`
+                : `<strong>✅ Complete!</strong> ${summary}<br><small>Memories were saved to the "${result.lorebook}" lorebook.</small>`;
+            if (result.created) {
+                statusText.innerHTML += '<br><strong style="color: #ffa500; margin-top: 10px; display: block;">⚠️ Please refresh SillyTavern to see the lorebook in the World Info dropdown.</strong>';
+            }
+            if (!result.paused) {
+                progressFill.style.width = '100%';
+            }
+            addCloseButton();
         },
         (error) => {
             statusText.textContent = `Error: ${error.message}`;
@@ -704,7 +957,9 @@ function showMemoryProgressModal() {
 
             // Close after 5 seconds
             setTimeout(() => {
-                document.body.removeChild(modal);
+                if (modal.parentNode) {
+                    document.body.removeChild(modal);
+                }
             }, 5000);
         }
     );
@@ -0,0 +1,440 @@
+/**
+ * Quest Log Module
+ * Quest objects with objectives, status and history on top of the legacy
+ * `quests.main` / `quests.optional` title fields (which are kept in sync so the
+ * tracker text format, macros and slash commands keep working).
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { extensionSettings } from '../../core/state.js';
+
+// Type imports
+/** @typedef {import('../../types/quests.js').Quest} Quest */
+/** @typedef {import('../../types/quests.js').QuestObjective} QuestObjective */
+/** @typedef {import('../../types/quests.js').QuestStatus} QuestStatus */
+
+/**
+ * Valid quest statuses
+ * @type {QuestStatus[]}
+ */
+export const QUEST_STATUSES = ['active', 'completed', 'failed', 'abandoned'];
+
+/**
+ * Regex matching the quest lines of the tracker text format
+ */
+const QUEST_LINE_REGEX = /^\s*(Main Quests?|Optional Quests|Quest Objectives\s*-[^:]*|Completed Quests|Failed Quests):/i;
+
+/**
+ * Returns the index of the latest chat message (used for quest start/end markers)
+ * @returns {number|null} Message index
+ */
+function getCurrentMessageIndex() {
+    const chat = getContext().chat;
+    return chat && chat.length > 0 ? chat.length - 1 : null;
+}
+
+/**
+ * Creates a new quest object
+ * @param {Partial<Quest>} data - Quest fields
+ * @returns {Quest} Quest
+ */
+function createQuest(data) {
+    return {
+        id: `quest_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 7)}`,
+        title: String(data.title || '').trim(),
+        type: data.type === 'main' ? 'main' : 'optional',
+        description: data.description || '',
+        objectives: Array.isArray(data.objectives) ? data.objectives : [],
+        status: QUEST_STATUSES.includes(data.status) ? data.status : 'active',
+        giver: data.giver || '',
+        reward: data.reward || '',
+        startMessage: data.startMessage ?? getCurrentMessageIndex(),
+        endMessage: data.endMessage ?? null
+    };
+}
+
+/**
+ * Ensures extensionSettings.quests has a quest list, building it from the
+ * legacy title fields the first time (or for chats saved before the quest log existed).
+ * @returns {Quest[]} The quest list
+ */
+export function ensureQuestLog() {
+    if (!extensionSettings.quests || typeof extensionSettings.quests !== 'object') {
+        extensionSettings.quests = { main: 'None', optional: [] };
+    }
+    const quests = extensionSettings.quests;
+
+    if (!Array.isArray(quests.list)) {
+        quests.list = [];
+        if (quests.main && quests.main !== 'None') {
+            quests.list.push(createQuest({ title: quests.main, type: 'main', startMessage: null }));
+        }
+        for (const title of quests.optional || []) {
+            if (title && title !== 'None') {
+                quests.list.push(createQuest({ title, type: 'optional', startMessage: null }));
+            }
+        }
+    }
+
+    return quests.list;
+}
+
+/**
+ * Rebuilds the legacy `main` / `optional` title fields from the active quests
+ */
+export function syncLegacyQuestFields() {
+    const list = ensureQuestLog();
+    const active = list.filter(q => q.status === 'active');
+    const main = active.find(q => q.type === 'main');
+    extensionSettings.quests.main = main ? main.title : 'None';
+    extensionSettings.quests.optional = active.filter(q => q.type === 'optional').map(q => q.title);
+}
+
+/**
+ * Finds a quest by title (case-insensitive), preferring active quests
+ * @param {string} title - Quest title
+ * @returns {Quest|undefined} Quest
+ */
+export function findQuestByTitle(title) {
+    const wanted = String(title || '').trim().toLowerCase();
+    if (!wanted) {
+        return undefined;
+    }
+    const matches = ensureQuestLog().filter(q => q.title.toLowerCase() === wanted);
+    return matches.find(q => q.status === 'active') || matches[matches.length - 1];
+}
+
+/**
+ * Finds a quest by id
+ * @param {string} id - Quest id
+ * @returns {Quest|undefined} Quest
+ */
+export function getQuest(id) {
+    return ensureQuestLog().find(q => q.id === id);
+}
+
+/**
+ * Returns active quests, optionally filtered by type
+ * @param {'main'|'optional'} [type] - Quest type
+ * @returns {Quest[]} Active quests
+ */
+export function getActiveQuests(type) {
+    return ensureQuestLog().filter(q => q.status === 'active' && (!type || q.type === type));
+}
+
+/**
+ * Returns completed, failed and abandoned quests, most recently ended first
+ * @returns {Quest[]} Archived quests
+ */
+export function getArchivedQuests() {
+    return ensureQuestLog()
+        .filter(q => q.status !== 'active')
+        .sort((a, b) => (b.endMessage ?? -1) - (a.endMessage ?? -1));
+}
+
+/**
+ * Adds a quest. A new active main quest replaces (completes) the previous one.
+ * @param {Partial<Quest>} data - Quest fields (title required)
+ * @returns {Quest|null} The new quest, or null without a title
+ */
+export function addQuest(data) {
+    const quest = createQuest(data);
+    if (!quest.title) {
+        return null;
+    }
+    if (quest.type === 'main' && quest.status === 'active') {
+        getActiveQuests('main').forEach(q => setQuestStatus(q.id, 'completed'));
+    }
+    ensureQuestLog().push(quest);
+    syncLegacyQuestFields();
+    return quest;
+}
+
+/**
+ * Updates quest fields (title, description, giver, reward, type)
+ * @param {string} id - Quest id
+ * @param {Partial<Quest>} updates - Fields to change
+ * @returns {Quest|undefined} Updated quest
+ */
+export function updateQuest(id, updates) {
+    const quest = getQuest(id);
+    if (!quest) {
+        return undefined;
+    }
+    for (const key of ['title', 'description', 'giver', 'reward']) {
+        if (updates[key] !== undefined) {
+            quest[key] = String(updates[key]).trim();
+        }
+    }
+    if (updates.type === 'main' || updates.type === 'optional') {
+        quest.type = updates.type;
+    }
+    syncLegacyQuestFields();
+    return quest;
+}
+
+/**
+ * Changes a quest's status, recording where it ended (or clearing that when reactivated).
+ * Reactivating a main quest completes the currently active one.
+ * @param {string} id - Quest id
+ * @param {QuestStatus} status - New status
+ * @returns {Quest|undefined} Updated quest
+ */
+export function setQuestStatus(id, status) {
+    const quest = getQuest(id);
+    if (!quest || !QUEST_STATUSES.includes(status) || quest.status === status) {
+        return quest;
+    }
+    if (status === 'active' && quest.type === 'main') {
+        getActiveQuests('main').forEach(q => setQuestStatus(q.id, 'completed'));
+    }
+    quest.status = status;
+    quest.endMessage = status === 'active' ? null : getCurrentMessageIndex();
+    syncLegacyQuestFields();
+    return quest;
+}
+
+/**
+ * Deletes a quest entirely
+ * @param {string} id - Quest id
+ */
+export function deleteQuest(id) {
+    const list = ensureQuestLog();
+    const index = list.findIndex(q => q.id === id);
+    if (index !== -1) {
+        list.splice(index, 1);
+        syncLegacyQuestFields();
+    }
+}
+
+/**
+ * Adds an objective to a quest
+ * @param {string} id - Quest id
+ * @param {string} text - Objective text
+ */
+export function addObjective(id, text) {
+    const quest = getQuest(id);
+    const objective = String(text || '').trim();
+    if (quest && objective) {
+        quest.objectives.push({ text: objective, done: false });
+    }
+}
+
+/**
+ * Toggles an objective's done state
+ * @param {string} id - Quest id
+ * @param {number} index - Objective index
+ */
+export function toggleObjective(id, index) {
+    const objective = getQuest(id)?.objectives[index];
+    if (objective) {
+        objective.done = !objective.done;
+    }
+}
+
+/**
+ * Removes an objective from a quest
+ * @param {string} id - Quest id
+ * @param {number} index - Objective index
+ */
+export function removeObjective(id, index) {
+    const quest = getQuest(id);
+    if (quest && quest.objectives[index]) {
+        quest.objectives.splice(index, 1);
+    }
+}
+
+/**
+ * Parses an objective checklist in tracker format: "[x] Done thing; [ ] Open thing"
+ * @param {string} text - Checklist text
+ * @returns {QuestObjective[]} Objectives
+ */
+export function parseObjectiveList(text) {
+    return String(text || '')
+        .split(';')
+        .map(part => part.trim())
+        .filter(part => part && part.toLowerCase() !== 'none')
+        .map(part => {
+            const match = part.match(/^\[([ xX✓✔]?)\]\s*(.+)$/);
+            return match
+                ? { text: match[2].trim(), done: match[1].trim() !== '' }
+                : { text: part, done: false };
+        });
+}
+
+/**
+ * Formats objectives in tracker format
+ * @param {QuestObjective[]} objectives - Objectives
+ * @param {boolean} [openOnly=false] - Only include objectives that are not done
+ * @returns {string} Checklist text
+ */
+export function formatObjectiveList(objectives, openOnly = false) {
+    return (objectives || [])
+        .filter(o => !openOnly || !o.done)
+        .map(o => `[${o.done ? 'x' : ' '}] ${o.text}`)
+        .join('; ');
+}
+
+/**
+ * Ensures an active quest with this title exists, reactivating an archived one if needed
+ * @param {string} title - Quest title
+ * @param {'main'|'optional'} type - Quest type
+ * @returns {Quest} The active quest
+ */
+function ensureActiveQuest(title, type) {
+    const existing = findQuestByTitle(title);
+    if (existing) {
+        existing.type = type;
+        if (existing.status !== 'active') {
+            setQuestStatus(existing.id, 'active');
+        }
+        return existing;
+    }
+    const quest = createQuest({ title, type });
+    ensureQuestLog().push(quest);
+    return quest;
+}
+
+/**
+ * Applies quest data parsed from the model's tracker output to the quest log.
+ * Fields that are undefined were not present in the output and are left untouched.
+ *
+ * - Titles listed as active are created (or reactivated) as needed
+ * - Quests only end when the output lists them under completed or failed quests;
+ *   active quests the output omits are left untouched
+ * - A new main quest moves the previous one (if it didn't end) to the optional quests
+ * - Objective checklists are merged: matching objectives get their done state,
+ *   new ones are appended, ones the model omitted are kept
+ *
+ * @param {Object} data - Parsed quest data
+ * @param {string} [data.main] - Active main quest title or "None"
+ * @param {string[]} [data.optional] - Active optional quest titles
+ * @param {Object<string, QuestObjective[]>} [data.objectives] - Objectives per quest title
+ * @param {string[]} [data.completed] - Titles of quests completed in this update
+ * @param {string[]} [data.failed] - Titles of quests failed in this update
+ */
+export function applyTrackerQuests(data) {
+    ensureQuestLog();
+
+    const endQuests = (titles, status) => {
+        for (const title of titles || []) {
+            const quest = findQuestByTitle(title);
+            if (quest && quest.status === 'active') {
+                setQuestStatus(quest.id, status);
+            }
+        }
+    };
+    endQuests(data.failed, 'failed');
+    endQuests(data.completed, 'completed');
+
+    const ended = new Set([...(data.failed || []), ...(data.completed || [])].map(t => t.toLowerCase()));
+
+    const updateActive = (type, titles) => {
+        // Only one main quest can be active
+        if (type === 'main' && titles.length > 0 && !ended.has(titles[0].toLowerCase())) {
+            for (const quest of getActiveQuests('main')) {
+                if (quest.title.toLowerCase() !== titles[0].toLowerCase()) {
+                    quest.type = 'optional';
+                }
+            }
+        }
+        for (const title of titles) {
+            if (!ended.has(title.toLowerCase())) {
+                ensureActiveQuest(title, type);
+            }
+        }
+    };
+
+    if (data.main !== undefined) {
+        const main = String(data.main || '').trim();
+        updateActive('main', main && main !== 'None' ? [main] : []);
+    }
+    if (data.optional !== undefined) {
+        updateActive('optional', data.optional.filter(t => t && t !== 'None'));
+    }
+
+    for (const [title, objectives] of Object.entries(data.objectives || {})) {
+        const quest = findQuestByTitle(title);
+        if (!quest) {
+            continue;
+        }
+        for (const objective of objectives) {
+            const existing = quest.objectives.find(o => o.text.toLowerCase() === objective.text.toLowerCase());
+            if (existing) {
+                existing.done = objective.done;
+            } else {
+                quest.objectives.push({ text: objective.text, done: objective.done });
+            }
+        }
+    }
+
+    syncLegacyQuestFields();
+}
+
+/**
+ * Collects the active quests and their open objectives (the only quest data the model needs)
+ * @returns {{main: string, optional: string[], objectives: Object<string, string>}} Quest summary data
+ */
+export function getQuestSummaryData() {
+    const main = getActiveQuests('main')[0];
+    const optional = getActiveQuests('optional');
+    const objectives = {};
+
+    for (const quest of [main, ...optional].filter(Boolean)) {
+        const open = formatObjectiveList(quest.objectives, true);
+        if (open) {
+            objectives[quest.title] = open;
+        }
+    }
+
+    return {
+        main: main ? main.title : 'None',
+        optional: optional.map(q => q.title),
+        objectives
+    };
+}
+
+/**
+ * Builds the compact quest summary sent to the model: active quest titles and
+ * only the objectives that are still open.
+ * @returns {string} Quest lines in tracker format
+ */
+export function buildQuestSummary() {
+    const data = getQuestSummaryData();
+    const lines = [
+        `Main Quests: ${data.main}`,
+        `Optional Quests: ${data.optional.length > 0 ? data.optional.join(', ') : 'None'}`
+    ];
+    for (const [title, objectives] of Object.entries(data.objectives)) {
+        lines.push(`Quest Objectives - ${title}: ${objectives}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Removes the quest lines from a User Stats tracker text
+ * @param {string} statsText - User Stats tracker text
+ * @returns {string} Text without quest lines
+ */
+export function stripQuestLines(statsText) {
+    if (!statsText) {
+        return statsText;
+    }
+    return statsText
+        .split('\n')
+        .filter(line => !QUEST_LINE_REGEX.test(line))
+        .join('\n')
+        .trim();
+}
+
+/**
+ * Replaces the quest lines of a User Stats tracker text with the compact quest summary
+ * @param {string} statsText - User Stats tracker text
+ * @returns {string} Text with only active quests and open objectives
+ */
+export function withQuestSummary(statsText) {
+    if (!statsText) {
+        return statsText;
+    }
+    return `${stripQuestLines(statsText)}\n${buildQuestSummary()}`;
+}
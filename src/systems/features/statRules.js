@@ -0,0 +1,315 @@
+/**
+ * Stat Rules Module
+ * Deterministic rules for the numeric User Stats: min/max bounds, a cap on how far a
+ * single response may move a value, passive decay per message or per in-game hour,
+ * and threshold triggers that add conditions and inject notes into the prompt.
+ *
+ * Rules live on each stat config: trackerConfig.userStats.customStats[i].rules.
+ * They run on freshly generated tracker output, after parseUserStats() and before
+ * the data is stored/committed, and are never re-applied when restoring saved data.
+ */
+
+import { extensionSettings, committedTrackerData } from '../../core/state.js';
+import { parseUserStats } from '../generation/parser.js';
+import { getElapsedHours } from './calendar.js';
+
+/**
+ * @typedef {Object} StatThreshold
+ * @property {'<'|'<='|'>'|'>='} operator - Comparison operator
+ * @property {number} value - Threshold value
+ * @property {string} condition - Condition added to the status while the threshold is met
+ * @property {string} note - Note injected into the prompt while the threshold is met
+ */
+
+/**
+ * @typedef {Object} StatRules
+ * @property {number} min - Lowest allowed value
+ * @property {number} max - Highest allowed value
+ * @property {number|null} maxChange - Largest change allowed per response (null = unlimited)
+ * @property {number} decayPerMessage - Amount subtracted per generated response
+ * @property {number} decayPerHour - Amount subtracted per in-game hour passed
+ * @property {StatThreshold[]} thresholds - Threshold triggers
+ */
+
+/**
+ * Default rules (no effect besides the usual 0-100 range)
+ * @type {StatRules}
+ */
+export const DEFAULT_STAT_RULES = {
+    min: 0,
+    max: 100,
+    maxChange: null,
+    decayPerMessage: 0,
+    decayPerHour: 0,
+    thresholds: []
+};
+
+/**
+ * Threshold comparison operators
+ */
+const OPERATORS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b
+};
+
+/**
+ * Converts a value to a finite number, or returns the fallback
+ * @param {*} value - Value to convert
+ * @param {number|null} fallback - Fallback value
+ * @returns {number|null} Number
+ */
+function toNumber(value, fallback) {
+    if (value === '' || value === null || value === undefined) {
+        return fallback;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Returns the normalized rules of a stat config (defaults filled in)
+ * @param {Object} stat - Stat config from trackerConfig.userStats.customStats
+ * @returns {StatRules} Rules
+ */
+export function getStatRules(stat) {
+    const rules = stat?.rules || {};
+    return {
+        min: toNumber(rules.min, DEFAULT_STAT_RULES.min),
+        max: toNumber(rules.max, DEFAULT_STAT_RULES.max),
+        maxChange: toNumber(rules.maxChange, null),
+        decayPerMessage: toNumber(rules.decayPerMessage, 0),
+        decayPerHour: toNumber(rules.decayPerHour, 0),
+        thresholds: (rules.thresholds || []).filter(t => t && OPERATORS[t.operator] && toNumber(t.value, null) !== null)
+    };
+}
+
+/**
+ * Whether a stat has any rule besides the default range
+ * @param {Object} stat - Stat config
+ * @returns {boolean} True if rules are configured
+ */
+export function hasStatRules(stat) {
+    const rules = getStatRules(stat);
+    return rules.min !== DEFAULT_STAT_RULES.min ||
+        rules.max !== DEFAULT_STAT_RULES.max ||
+        rules.maxChange !== null ||
+        rules.decayPerMessage !== 0 ||
+        rules.decayPerHour !== 0 ||
+        rules.thresholds.length > 0;
+}
+
+/**
+ * Returns the enabled stats of the User Stats tracker
+ * @returns {Array<Object>} Enabled stat configs
+ */
+function getEnabledStats() {
+    return (extensionSettings.trackerConfig?.userStats?.customStats || []).filter(s => s && s.enabled && s.name && s.id);
+}
+
+/**
+ * Splits the conditions string into a list
+ * @param {string} conditions - Comma-separated conditions
+ * @returns {string[]} Conditions
+ */
+function splitConditions(conditions) {
+    return String(conditions || '')
+        .split(',')
+        .map(c => c.trim())
+        .filter(c => c && c.toLowerCase() !== 'none');
+}
+
+/**
+ * Evaluates the threshold triggers against the current stat values
+ * @returns {Array<{stat: Object, threshold: StatThreshold, met: boolean}>} Evaluated thresholds
+ */
+function evaluateThresholds() {
+    const results = [];
+    for (const stat of getEnabledStats()) {
+        const value = Number(extensionSettings.userStats[stat.id]);
+        if (!Number.isFinite(value)) {
+            continue;
+        }
+        for (const threshold of getStatRules(stat).thresholds) {
+            const met = OPERATORS[threshold.operator](value, Number(threshold.value));
+            results.push({ stat, threshold, met });
+        }
+    }
+    return results;
+}
+
+/**
+ * Adds the conditions of met thresholds to the status and removes them once no longer met
+ */
+function updateThresholdConditions() {
+    const thresholds = evaluateThresholds().filter(r => r.threshold.condition);
+    if (thresholds.length > 0) {
+        const met = new Set(thresholds.filter(r => r.met).map(r => r.threshold.condition.trim().toLowerCase()));
+        const unmet = new Set(thresholds.filter(r => !r.met).map(r => r.threshold.condition.trim().toLowerCase()));
+        const conditions = splitConditions(extensionSettings.userStats.conditions)
+            .filter(c => met.has(c.toLowerCase()) || !unmet.has(c.toLowerCase()));
+
+        for (const { threshold } of thresholds.filter(r => r.met)) {
+            const name = threshold.condition.trim();
+            if (!conditions.some(c => c.toLowerCase() === name.toLowerCase())) {
+                conditions.push(name);
+            }
+        }
+        extensionSettings.userStats.conditions = conditions.length > 0 ? conditions.join(', ') : 'None';
+    }
+}
+
+/**
+ * Applies the rules to the stat values in extensionSettings.userStats.
+ * Must run right after parseUserStats() for a new tracker update.
+ *
+ * @param {Object<string, number>} previousValues - Stat values before the update, keyed by stat id
+ * @param {number} [elapsedHours=0] - In-game hours passed during the update
+ * @returns {Array<{id: string, name: string, from: number, to: number}>} Stats whose value the rules changed
+ */
+export function applyStatRules(previousValues, elapsedHours = 0) {
+    const adjustments = [];
+
+    for (const stat of getEnabledStats()) {
+        const rules = getStatRules(stat);
+        const generated = Number(extensionSettings.userStats[stat.id]);
+        if (!Number.isFinite(generated)) {
+            continue;
+        }
+
+        let value = generated;
+        const previous = Number(previousValues?.[stat.id]);
+
+        if (Number.isFinite(previous)) {
+            // Cap the change the model may make in a single response
+            if (rules.maxChange !== null) {
+                const delta = Math.max(-rules.maxChange, Math.min(rules.maxChange, value - previous));
+                value = previous + delta;
+            }
+
+            // Passive decay on top of the model's change
+            value -= rules.decayPerMessage + rules.decayPerHour * elapsedHours;
+        }
+
+        value = Math.round(Math.max(rules.min, Math.min(rules.max, value)));
+
+        if (value !== generated) {
+            extensionSettings.userStats[stat.id] = value;
+            adjustments.push({ id: stat.id, name: stat.name, from: generated, to: value });
+        }
+    }
+
+    updateThresholdConditions();
+
+    if (adjustments.length > 0) {
+        console.log('[RPG Companion] Stat rules adjusted values:', adjustments);
+    }
+
+    return adjustments;
+}
+
+/**
+ * Applies the per-hour decay for in-game time passed outside a tracker update
+ * (e.g. when the time is advanced manually from the Info Box).
+ * @param {number} elapsedHours - In-game hours passed
+ * @returns {Array<{id: string, name: string, from: number, to: number}>} Stats whose value changed
+ */
+export function applyHourlyDecay(elapsedHours) {
+    const adjustments = [];
+    if (!(elapsedHours > 0)) {
+        return adjustments;
+    }
+
+    for (const stat of getEnabledStats()) {
+        const rules = getStatRules(stat);
+        const current = Number(extensionSettings.userStats[stat.id]);
+        if (rules.decayPerHour === 0 || !Number.isFinite(current)) {
+            continue;
+        }
+        const value = Math.round(Math.max(rules.min, Math.min(rules.max, current - rules.decayPerHour * elapsedHours)));
+        if (value !== current) {
+            extensionSettings.userStats[stat.id] = value;
+            adjustments.push({ id: stat.id, name: stat.name, from: current, to: value });
+        }
+    }
+
+    if (adjustments.length > 0) {
+        updateThresholdConditions();
+        console.log('[RPG Companion] Hourly stat decay applied:', adjustments);
+    }
+    return adjustments;
+}
+
+/**
+ * Rewrites the stat values and status conditions of a User Stats text so the
+ * stored tracker matches the values after the rules were applied.
+ * @param {string} statsText - User Stats tracker text as generated
+ * @returns {string} Corrected tracker text
+ */
+function writeRulesToText(statsText) {
+    let text = statsText;
+    const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    for (const stat of getEnabledStats()) {
+        const value = extensionSettings.userStats[stat.id];
+        if (value !== undefined) {
+            text = text.replace(new RegExp(`(${escape(stat.name)}:\\s*)\\d+%`, 'i'), `$1${value}%`);
+        }
+    }
+
+    const statusConfig = extensionSettings.trackerConfig?.userStats?.statusSection;
+    if (statusConfig?.enabled && /Status:\s*.+/i.test(text)) {
+        const mood = statusConfig.showMoodEmoji ? extensionSettings.userStats.mood : '';
+        const conditions = extensionSettings.userStats.conditions || 'None';
+        text = text.replace(/Status:\s*.+/i, () => `Status: ${mood ? `${mood}, ` : ''}${conditions}`);
+    }
+
+    return text;
+}
+
+/**
+ * Parses a freshly generated User Stats text and applies the stat rules.
+ * Replaces a bare parseUserStats() call for new model output.
+ *
+ * @param {string} statsText - Generated User Stats tracker text
+ * @param {string|null} [infoBoxText] - Generated Info Box text (for per-hour decay)
+ * @returns {string} User Stats text with the rule-adjusted values
+ */
+export function parseGeneratedUserStats(statsText, infoBoxText = null) {
+    const previousValues = {};
+    for (const stat of getEnabledStats()) {
+        previousValues[stat.id] = extensionSettings.userStats[stat.id];
+    }
+
+    parseUserStats(statsText);
+
+    if (!getEnabledStats().some(hasStatRules)) {
+        return statsText;
+    }
+
+    const elapsedHours = getElapsedHours(committedTrackerData.infoBox, infoBoxText);
+    applyStatRules(previousValues, elapsedHours);
+    return writeRulesToText(statsText);
+}
+
+/**
+ * Builds the prompt note for the currently met thresholds and the stats the
+ * extension decays automatically.
+ * @returns {string} Note text, or an empty string when nothing applies
+ */
+export function buildStatRuleNotes() {
+    const lines = evaluateThresholds()
+        .filter(r => r.met && r.threshold.note)
+        .map(r => `- ${r.threshold.note.trim()}`);
+
+    const decaying = getEnabledStats().filter(stat => {
+        const rules = getStatRules(stat);
+        return rules.decayPerMessage !== 0 || rules.decayPerHour !== 0;
+    });
+    if (decaying.length > 0) {
+        lines.push(`- Passive decay of ${decaying.map(s => s.name).join(', ')} is applied automatically; only change these stats for explicit in-story events.`);
+    }
+
+    return lines.length > 0 ? `Current condition notes:\n${lines.join('\n')}` : '';
+}
@@ -0,0 +1,338 @@
+/**
+ * Tracker Timeline Module
+ * Builds a per-message history of tracker snapshots from chat messages,
+ * computes field-level diffs between snapshots and restores a past state.
+ *
+ * Snapshots come from the data the extension already stores on messages:
+ * - message.extra.rpg_companion_swipes[swipeId] (assistant messages, every mode)
+ * - message.extra.rpg_companion_data (user messages, when saveTrackerHistory is on)
+ * - message.extra.rpg_companion_pre_restore[swipeId] (the snapshot a restore replaced)
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import {
+    committedTrackerData,
+    lastGeneratedData
+} from '../../core/state.js';
+import { saveChatData, updateMessageSwipeData } from '../../core/persistence.js';
+import { parseUserStats } from '../generation/parser.js';
+import { trackerSectionsToJson } from '../generation/jsonTrackerParser.js';
+import { renderUserStats } from '../rendering/userStats.js';
+import { renderInfoBox } from '../rendering/infoBox.js';
+import { renderThoughts, updateChatThoughts } from '../rendering/thoughts.js';
+import { renderInventory } from '../rendering/inventory.js';
+import { renderQuests } from '../rendering/quests.js';
+
+/**
+ * Identifier used for the current committed state in the timeline
+ */
+export const COMMITTED_ENTRY_ID = 'committed';
+
+/**
+ * Suffix of the entry id of a snapshot that was replaced by a restore
+ */
+const PRE_RESTORE_SUFFIX = '-before-restore';
+
+/**
+ * Checks whether a stored snapshot has any tracker content
+ * @param {Object} snapshot - Snapshot with userStats/infoBox/characterThoughts
+ * @returns {boolean} True if at least one section is present
+ */
+function hasTrackerContent(snapshot) {
+    return !!(snapshot && (snapshot.userStats || snapshot.infoBox || snapshot.characterThoughts));
+}
+
+/**
+ * Collects every tracker snapshot stored in the current chat, oldest first.
+ * Only the active swipe of each assistant message is included.
+ *
+ * A snapshot replaced by a restore is listed right before its message's current snapshot.
+ *
+ * @returns {Array<{id: string, messageId: number, swipeId: number|null, name: string, isUser: boolean, isPreRestore: boolean, preview: string, snapshot: Object}>}
+ */
+export function collectTrackerTimeline() {
+    const chat = getContext().chat || [];
+    const entries = [];
+
+    chat.forEach((message, messageId) => {
+        if (!message || !message.extra) {
+            return;
+        }
+
+        let snapshot = null;
+        let swipeId = null;
+
+        if (message.is_user) {
+            snapshot = message.extra.rpg_companion_data;
+        } else if (message.extra.rpg_companion_swipes) {
+            swipeId = message.swipe_id || 0;
+            snapshot = message.extra.rpg_companion_swipes[swipeId];
+        }
+
+        const preRestore = swipeId !== null ? message.extra.rpg_companion_pre_restore?.[swipeId] : null;
+        const addEntry = (data, isPreRestore) => entries.push({
+            id: isPreRestore ? `${messageId}${PRE_RESTORE_SUFFIX}` : String(messageId),
+            messageId,
+            swipeId,
+            name: message.name || (message.is_user ? 'User' : 'Assistant'),
+            isUser: !!message.is_user,
+            isPreRestore,
+            preview: (message.mes || '').replace(/<[^>]*>/g, '').replace(/```[\s\S]*?```/g, '').trim().substring(0, 80),
+            snapshot: {
+                userStats: data.userStats || null,
+                infoBox: data.infoBox || null,
+                characterThoughts: data.characterThoughts || null
+            }
+        });
+
+        if (hasTrackerContent(preRestore)) {
+            addEntry(preRestore, true);
+        }
+        if (hasTrackerContent(snapshot)) {
+            addEntry(snapshot, false);
+        }
+    });
+
+    return entries;
+}
+
+/**
+ * Returns the snapshot for a timeline entry id (a message index or COMMITTED_ENTRY_ID)
+ * @param {string} entryId - Timeline entry id
+ * @returns {Object|null} Snapshot with userStats/infoBox/characterThoughts, or null
+ */
+export function getTimelineSnapshot(entryId) {
+    if (entryId === COMMITTED_ENTRY_ID) {
+        return {
+            userStats: committedTrackerData.userStats,
+            infoBox: committedTrackerData.infoBox,
+            characterThoughts: committedTrackerData.characterThoughts
+        };
+    }
+
+    const entry = collectTrackerTimeline().find(e => e.id === String(entryId));
+    return entry ? entry.snapshot : null;
+}
+
+/**
+ * Splits a comma-separated list into trimmed items ("None" counts as empty)
+ * @param {string|Array} value - List value
+ * @returns {Array<string>} Items
+ */
+function toList(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return items.map(item => String(item).trim()).filter(item => item && item.toLowerCase() !== 'none');
+}
+
+/**
+ * Flattens a snapshot into comparable fields keyed by a stable path.
+ * List-like values (inventory, skills, optional quests, recent events) are kept as arrays
+ * so item additions/removals can be reported individually.
+ *
+ * @param {Object} snapshot - Snapshot with userStats/infoBox/characterThoughts text
+ * @returns {Object<string, {section: string, label: string, value: string|number|Array<string>}>} Flattened fields
+ */
+export function flattenTrackerSnapshot(snapshot) {
+    const fields = {};
+    const data = trackerSectionsToJson(snapshot || {});
+
+    const add = (key, section, label, value) => {
+        if (value === undefined || value === null || value === '') {
+            return;
+        }
+        fields[key] = { section, label, value };
+    };
+
+    if (data.userStats) {
+        const stats = data.userStats;
+        for (const [name, value] of Object.entries(stats.stats || {})) {
+            add(`stats.${name}`, 'User Stats', name, value);
+        }
+        for (const [name, value] of Object.entries(stats.status || {})) {
+            add(`status.${name}`, 'User Stats', name === 'mood' ? 'Mood' : name, value);
+        }
+        if (stats.skills) {
+            add('skills', 'User Stats', 'Skills', toList(stats.skills));
+        }
+        if (stats.inventory) {
+            for (const [location, items] of Object.entries(stats.inventory.onPerson || {})) {
+                add(`inventory.onPerson.${location}`, 'Inventory', `On Person - ${location}`, toList(items));
+            }
+            for (const [location, items] of Object.entries(stats.inventory.stored || {})) {
+                add(`inventory.stored.${location}`, 'Inventory', `Stored - ${location}`, toList(items));
+            }
+            add('inventory.assets', 'Inventory', 'Assets', toList(stats.inventory.assets));
+        }
+        if (stats.quests) {
+            add('quests.main', 'Quests', 'Main Quest', stats.quests.main);
+            add('quests.optional', 'Quests', 'Optional Quests', toList(stats.quests.optional));
+        }
+    }
+
+    if (data.infoBox) {
+        const info = data.infoBox;
+        const labels = {
+            date: 'Date',
+            weather: 'Weather',
+            temperature: 'Temperature',
+            time: 'Time',
+            location: 'Location',
+            recentEvents: 'Recent Events'
+        };
+        for (const [key, label] of Object.entries(labels)) {
+            let value = info[key];
+            if (key === 'weather' && value && typeof value === 'object') {
+                value = [value.emoji, value.forecast].filter(Boolean).join(' ');
+            } else if (key === 'time' && value && typeof value === 'object') {
+                value = [value.start, value.end].filter(Boolean).join(' → ');
+            } else if (key === 'recentEvents') {
+                value = toList(value);
+            }
+            add(`infoBox.${key}`, 'Info Box', label, value);
+        }
+    }
+
+    if (data.characters) {
+        for (const character of data.characters) {
+            const base = `characters.${character.name}`;
+            const section = `Character: ${character.name}`;
+            add(`${base}`, section, 'Present', 'Yes');
+            add(`${base}.emoji`, section, 'Emoji', character.emoji);
+            for (const [name, value] of Object.entries(character.fields || {})) {
+                add(`${base}.fields.${name}`, section, name, value);
+            }
+            add(`${base}.relationship`, section, 'Relationship', character.relationship);
+            for (const [name, value] of Object.entries(character.stats || {})) {
+                add(`${base}.stats.${name}`, section, name, value);
+            }
+            add(`${base}.thoughts`, section, 'Thoughts', character.thoughts);
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Computes a field-level diff between two snapshots.
+ *
+ * @param {Object} fromSnapshot - Older snapshot
+ * @param {Object} toSnapshot - Newer snapshot
+ * @returns {Array<{key: string, section: string, label: string, type: 'added'|'removed'|'changed', before: *, after: *, addedItems: Array<string>, removedItems: Array<string>}>}
+ */
+export function diffTrackerSnapshots(fromSnapshot, toSnapshot) {
+    const before = flattenTrackerSnapshot(fromSnapshot);
+    const after = flattenTrackerSnapshot(toSnapshot);
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    const changes = [];
+
+    for (const key of keys) {
+        const oldField = before[key];
+        const newField = after[key];
+        const field = newField || oldField;
+        const oldValue = oldField ? oldField.value : undefined;
+        const newValue = newField ? newField.value : undefined;
+
+        const change = {
+            key,
+            section: field.section,
+            label: field.label,
+            type: 'changed',
+            before: oldValue,
+            after: newValue,
+            addedItems: [],
+            removedItems: []
+        };
+
+        if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+            const oldItems = Array.isArray(oldValue) ? oldValue : [];
+            const newItems = Array.isArray(newValue) ? newValue : [];
+            const oldLower = oldItems.map(item => item.toLowerCase());
+            const newLower = newItems.map(item => item.toLowerCase());
+            change.addedItems = newItems.filter(item => !oldLower.includes(item.toLowerCase()));
+            change.removedItems = oldItems.filter(item => !newLower.includes(item.toLowerCase()));
+            if (change.addedItems.length === 0 && change.removedItems.length === 0) {
+                continue;
+            }
+        } else if (String(oldValue ?? '') === String(newValue ?? '')) {
+            continue;
+        }
+
+        if (oldField === undefined) {
+            change.type = 'added';
+        } else if (newField === undefined) {
+            change.type = 'removed';
+        }
+
+        changes.push(change);
+    }
+
+    return changes;
+}
+
+/**
+ * Keeps the current snapshot of the latest assistant message before a restore overwrites it,
+ * so the newest state stays in the timeline and the restore can be undone.
+ * Only the first restore on a swipe is kept (the later ones replace restored data).
+ */
+function keepPreRestoreSnapshot() {
+    const chat = getContext().chat || [];
+    for (let i = chat.length - 1; i >= 0; i--) {
+        const message = chat[i];
+        if (message.is_user) {
+            continue;
+        }
+
+        const swipeId = message.swipe_id || 0;
+        const snapshot = message.extra?.rpg_companion_swipes?.[swipeId];
+        if (hasTrackerContent(snapshot)) {
+            message.extra.rpg_companion_pre_restore = message.extra.rpg_companion_pre_restore || {};
+            if (!message.extra.rpg_companion_pre_restore[swipeId]) {
+                message.extra.rpg_companion_pre_restore[swipeId] = { ...snapshot };
+            }
+        }
+        return;
+    }
+}
+
+/**
+ * Restores a past tracker snapshot as the current state.
+ * Rewrites committedTrackerData (what the next generation sees) and the displayed data,
+ * stores it on the latest assistant message so swipes/reloads keep it, and re-renders everything.
+ * The snapshot it replaces on that message stays in the timeline as its own entry.
+ *
+ * @param {string} entryId - Timeline entry id
+ * @returns {boolean} True if the snapshot was restored
+ */
+export function restoreTrackerSnapshot(entryId) {
+    const snapshot = getTimelineSnapshot(entryId);
+    if (!hasTrackerContent(snapshot)) {
+        console.warn('[RPG Companion] No tracker snapshot found for timeline entry:', entryId);
+        return false;
+    }
+
+    committedTrackerData.userStats = snapshot.userStats;
+    committedTrackerData.infoBox = snapshot.infoBox;
+    committedTrackerData.characterThoughts = snapshot.characterThoughts;
+
+    lastGeneratedData.userStats = snapshot.userStats;
+    lastGeneratedData.infoBox = snapshot.infoBox;
+    lastGeneratedData.characterThoughts = snapshot.characterThoughts;
+
+    if (snapshot.userStats) {
+        parseUserStats(snapshot.userStats);
+    }
+
+    keepPreRestoreSnapshot();
+    updateMessageSwipeData();
+    saveChatData();
+
+    renderUserStats();
+    renderInfoBox();
+    renderThoughts();
+    renderInventory();
+    renderQuests();
+    updateChatThoughts();
+
+    console.log(`[RPG Companion] Restored tracker state from timeline entry ${entryId}`);
+    return true;
+}
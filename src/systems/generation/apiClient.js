@@ -4,6 +4,7 @@
  */
 
 import { generateRaw, chat } from '../../../../../../../script.js';
+import { getContext } from '../../../../../../extensions.js';
 import { executeSlashCommandsOnChatInput } from '../../../../../../../scripts/slash-commands.js';
 import {
     extensionSettings,
@@ -13,13 +14,23 @@ import {
     lastActionWasSwipe,
     setIsGenerating,
     setLastActionWasSwipe,
-    $musicPlayerContainer
+    $musicPlayerContainer,
+    addDebugLog
 } from '../../core/state.js';
 import { saveChatData } from '../../core/persistence.js';
 import {
     generateSeparateUpdatePrompt
 } from './promptBuilder.js';
-import { parseResponse, parseUserStats } from './parser.js';
+import { parseResponse } from './parser.js';
+import { createStreamingTrackerParser } from './streamingParser.js';
+import {
+    getTrackerValidationSettings,
+    validateTrackerSection,
+    validateTrackerSections,
+    SECTION_LABELS
+} from './trackerValidation.js';
+import { parseGeneratedUserStats } from '../features/statRules.js';
+import { reconcileGeneratedInfoBox } from '../features/calendar.js';
 import { parseAndStoreSpotifyUrl } from '../features/musicPlayer.js';
 import { renderUserStats } from '../rendering/userStats.js';
 import { renderInfoBox } from '../rendering/infoBox.js';
@@ -33,6 +44,29 @@ import { generateAvatarsForCharacters } from '../features/avatarGenerator.js';
 // Store the original preset name to restore after tracker generation
 let originalPresetName = null;
 
+// Aborts the tracker generation in progress (see cancelTrackerGeneration)
+let trackerAbortController = null;
+
+/**
+ * Max tokens for tracker updates through the Connection Manager when the
+ * selected preset has no response length (same default as the external API)
+ */
+const TRACKER_MAX_TOKENS = 2048;
+
+/**
+ * Helper to log to both console and debug logs array
+ */
+function debugLog(message, data = null) {
+    if (data !== null && data !== undefined) {
+        console.log(message, data);
+    } else {
+        console.log(message);
+    }
+    if (extensionSettings.debugMode) {
+        addDebugLog(message, data);
+    }
+}
+
 /**
  * Generates tracker data using an external OpenAI-compatible API.
  * Used when generationMode is 'external'.
@@ -41,6 +75,8 @@ let originalPresetName = null;
  * @param {Object} options - Optional generation parameters
  * @param {number} options.maxTokens - Override max tokens (default: from settings or 2048)
  * @param {Array<string>} options.stop - Stop sequences to halt generation
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {Function} [options.onText] - Streams the response: called with the full text received so far
  * @returns {Promise<string>} The generated response content
  * @throws {Error} If the API call fails or configuration is invalid
  */
@@ -79,6 +115,10 @@ export async function generateWithExternalAPI(messages, options = {}) {
         requestBody.stop = options.stop;
     }
 
+    if (options.onText) {
+        requestBody.stream = true;
+    }
+
     try {
         const response = await fetch(endpoint, {
             method: 'POST',
@@ -86,7 +126,8 @@ export async function generateWithExternalAPI(messages, options = {}) {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${apiKey.trim()}`
             },
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal: options.signal
         });
 
         if (!response.ok) {
@@ -106,6 +147,13 @@ export async function generateWithExternalAPI(messages, options = {}) {
             throw new Error(errorMessage);
         }
 
+        // Some endpoints ignore stream: true and answer with a regular JSON response
+        if (options.onText && (response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+            const content = await readEventStream(response, options.onText);
+            console.log('[RPG Companion] External API stream finished');
+            return content;
+        }
+
         const data = await response.json();
 
         if (!data.choices || !data.choices[0] || !data.choices[0].message) {
@@ -115,6 +163,9 @@ export async function generateWithExternalAPI(messages, options = {}) {
         const content = data.choices[0].message.content;
         console.log('[RPG Companion] External API response received successfully');
 
+        if (options.onText && content) {
+            options.onText(content);
+        }
         return content;
     } catch (error) {
         if (error.name === 'TypeError' && (error.message.includes('fetch') || error.message.includes('Failed to fetch') || error.message.includes('NetworkError'))) {
@@ -124,6 +175,63 @@ export async function generateWithExternalAPI(messages, options = {}) {
     }
 }
 
+/**
+ * Reads a server-sent event stream from an OpenAI-compatible endpoint
+ * @param {Response} response - Streaming fetch response
+ * @param {Function} onText - Called with the full text received so far
+ * @returns {Promise<string>} The complete response content
+ */
+async function readEventStream(response, onText) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let finished = false;
+
+    while (!finished) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        // The last line may still be incomplete
+        buffer = lines.pop();
+
+        let changed = false;
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+
+            const payload = trimmed.slice(5).trim();
+            if (payload === '[DONE]') {
+                finished = true;
+                break;
+            }
+
+            try {
+                const event = JSON.parse(payload);
+                if (event.error?.message) {
+                    throw new Error(`External API error: ${event.error.message}`);
+                }
+                const delta = event.choices?.[0]?.delta?.content;
+                if (delta) {
+                    content += delta;
+                    changed = true;
+                }
+            } catch (error) {
+                if (!(error instanceof SyntaxError)) throw error;
+                // Keep-alive comments and malformed events are skipped
+            }
+        }
+
+        if (changed) {
+            onText(content);
+        }
+    }
+
+    return content;
+}
+
 /**
  * Tests the external API connection with a simple request.
  * @returns {Promise<{success: boolean, message: string, model?: string}>}
@@ -211,10 +319,358 @@ export async function switchToPreset(presetName) {
 }
 
 
+/**
+ * Creates the error a cancelled tracker generation ends with
+ * @returns {DOMException} Abort error
+ */
+function createAbortError() {
+    return new DOMException('Tracker generation was cancelled', 'AbortError');
+}
+
+/**
+ * Rejects as soon as the signal aborts. generateRaw can't be aborted itself,
+ * so its late result is ignored instead.
+ * @param {Promise} promise - Pending generation
+ * @param {AbortSignal} signal - Cancel signal
+ * @returns {Promise} The generation result
+ */
+function raceAbort(promise, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        const onAbort = () => reject(createAbortError());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Response length for tracker updates through the Connection Manager, taken from the
+ * selected preset like generateRaw does
+ * @returns {number} Max tokens
+ */
+function getTrackerMaxTokens() {
+    try {
+        const preset = getContext().getPresetManager?.()?.getSelectedPreset?.();
+        const maxTokens = parseInt(preset?.openai_max_tokens ?? preset?.max_tokens ?? preset?.genamt);
+        if (maxTokens > 0) {
+            return maxTokens;
+        }
+    } catch (error) {
+        debugLog('[RPG Companion] Could not read the preset response length:', error.message);
+    }
+    return TRACKER_MAX_TOKENS;
+}
+
+/**
+ * Generates the tracker response through SillyTavern (separate mode).
+ * Streams through the Connection Manager's active profile when streaming is turned on;
+ * with the separate preset it has to go through generateRaw, which doesn't stream.
+ *
+ * @param {Array<{role: string, content: string}>} prompt - Messages for the tracker update
+ * @param {Object} options - Generation options
+ * @param {AbortSignal} options.signal - Cancel signal
+ * @param {Function} [options.onText] - Called with the full text received so far
+ * @returns {Promise<string>} The generated response content
+ */
+async function generateWithSillyTavern(prompt, { signal, onText }) {
+    const context = getContext();
+    const connectionManager = context.ConnectionManagerRequestService;
+    const activeProfile = (context.extensionSettings?.connectionManager?.profiles || []).find(p => p.isActive);
+
+    if (onText && connectionManager?.sendRequest && activeProfile && !extensionSettings.useSeparatePreset) {
+        console.log('[RPG Companion] Streaming tracker generation with profile:', activeProfile.name);
+        const result = await connectionManager.sendRequest(
+            activeProfile.id,
+            prompt,
+            getTrackerMaxTokens(),
+            { stream: true, signal, extractData: true, includePreset: true, includeInstruct: true }
+        );
+
+        // Streaming requests return a generator function yielding the full text so far
+        if (typeof result === 'function') {
+            let content = '';
+            for await (const chunk of result()) {
+                if (signal.aborted) {
+                    throw createAbortError();
+                }
+                if (chunk?.text && chunk.text !== content) {
+                    content = chunk.text;
+                    onText(content);
+                }
+            }
+            return content;
+        }
+
+        const content = typeof result === 'string' ? result : result?.content;
+        if (content) {
+            onText(content);
+        }
+        return content;
+    }
+
+    return raceAbort(generateRaw({
+        prompt: prompt,
+        quietToLoud: false
+    }), signal);
+}
+
+/**
+ * Generates with a secondary Connection Manager profile
+ * @param {Array<{role: string, content: string}>} prompt - Messages to send
+ * @param {string} profileId - Connection profile ID
+ * @param {AbortSignal} signal - Cancel signal
+ * @returns {Promise<string>} The generated response content
+ */
+async function generateWithProfile(prompt, profileId, signal) {
+    const context = getContext();
+    if (!context.ConnectionManagerRequestService?.sendRequest) {
+        throw new Error('Connection Manager is not available');
+    }
+
+    const profile = (context.extensionSettings?.connectionManager?.profiles || []).find(p => p.id === profileId);
+    if (!profile) {
+        throw new Error('Fallback connection profile not found. Please select one in the settings.');
+    }
+
+    const response = await raceAbort(context.ConnectionManagerRequestService.sendRequest(
+        profile.id,
+        prompt,
+        getTrackerMaxTokens(),
+        { stream: false, signal, extractData: true, includePreset: true, includeInstruct: true }
+    ), signal);
+    return typeof response === 'string' ? response : response?.content;
+}
+
+/**
+ * Generates a tracker response from one of the validation sources
+ * @param {Array<{role: string, content: string}>} prompt - Messages to send
+ * @param {string} source - 'primary' (the generation mode's own API), 'profile' or 'external'
+ * @param {AbortSignal} signal - Cancel signal
+ * @returns {Promise<string>} The generated response content
+ */
+function generateFromSource(prompt, source, signal) {
+    if (source === 'profile') {
+        return generateWithProfile(prompt, getTrackerValidationSettings().fallbackProfileId, signal);
+    }
+    if (source === 'external' || extensionSettings.generationMode === 'external') {
+        return generateWithExternalAPI(prompt, { signal });
+    }
+    return generateWithSillyTavern(prompt, { signal });
+}
+
+/**
+ * Fallback source for the current generation mode
+ * (the external API is no fallback when it is the main source already)
+ * @returns {string} 'none', 'profile' or 'external'
+ */
+function getFallbackSource() {
+    const { fallback } = getTrackerValidationSettings();
+    return fallback === 'external' && extensionSettings.generationMode === 'external' ? 'none' : fallback;
+}
+
+/**
+ * Requests the tracker sections that failed validation again, one section at a time:
+ * first from the update's own API (up to the configured retry count), then once from
+ * the fallback. Sections that stay invalid keep the version with the fewest issues.
+ *
+ * @param {Object} sections - Parsed sections, updated in place
+ * @param {Object} appliedSections - Sections already shown (from the stream), not checked again
+ * @param {AbortSignal} signal - Cancel signal
+ */
+async function retryInvalidSections(sections, appliedSections, signal) {
+    const failures = validateTrackerSections(sections);
+    for (const section of Object.keys(appliedSections)) {
+        delete failures[section];
+    }
+    if (Object.keys(failures).length === 0) {
+        return;
+    }
+
+    for (const [section, issues] of Object.entries(failures)) {
+        debugLog(`[RPG Validation] ✗ ${SECTION_LABELS[section]} failed validation`, issues.join('\n'));
+    }
+
+    const { maxRetries } = getTrackerValidationSettings();
+    const sources = Array(maxRetries).fill('primary');
+    const fallback = getFallbackSource();
+    if (fallback !== 'none') {
+        sources.push(fallback);
+    }
+
+    for (let attempt = 0; attempt < sources.length && Object.keys(failures).length > 0; attempt++) {
+        const source = sources[attempt];
+
+        for (const section of Object.keys(failures)) {
+            if (signal.aborted) {
+                throw createAbortError();
+            }
+
+            debugLog(`[RPG Validation] Requesting ${SECTION_LABELS[section]} again (attempt ${attempt + 1}/${sources.length}, ${source === 'primary' ? 'retry' : `${source} fallback`})`);
+
+            try {
+                const prompt = await generateSeparateUpdatePrompt(section);
+                const response = await generateFromSource(prompt, source, signal);
+                const text = response ? parseResponse(response)[section] : null;
+                const issues = validateTrackerSection(section, text);
+
+                if (issues.length === 0) {
+                    sections[section] = text;
+                    delete failures[section];
+                    debugLog(`[RPG Validation] ✓ ${SECTION_LABELS[section]} is valid now`);
+                    continue;
+                }
+
+                // Keep the more complete version for when all attempts fail
+                if (text && (!sections[section] || issues.length < failures[section].length)) {
+                    sections[section] = text;
+                    failures[section] = issues;
+                }
+                debugLog(`[RPG Validation] ✗ ${SECTION_LABELS[section]} is still invalid`, issues.join('\n'));
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                debugLog(`[RPG Validation] ✗ ${SECTION_LABELS[section]} request failed`, error.message);
+            }
+        }
+    }
+
+    const remaining = Object.keys(failures);
+    if (remaining.length > 0) {
+        console.warn('[RPG Companion] Tracker sections still invalid after retries:', failures);
+        toastr.warning(
+            `Incomplete tracker sections: ${remaining.map(section => SECTION_LABELS[section]).join(', ')}`,
+            'RPG Companion',
+            { timeOut: 5000 }
+        );
+    }
+}
+
+/**
+ * Cancels the tracker generation in progress (if any).
+ * Sections that were already completed are kept.
+ */
+export function cancelTrackerGeneration() {
+    if (trackerAbortController && !trackerAbortController.signal.aborted) {
+        console.log('[RPG Companion] Cancelling tracker generation');
+        trackerAbortController.abort();
+    }
+}
+
+/**
+ * Applies generated tracker sections to the panel, each one only once.
+ * Stat rules use the Info Box for per-hour decay, so User Stats wait for the
+ * Info Box while it can still arrive.
+ *
+ * @param {Object} sections - Parsed sections (userStats, infoBox, characterThoughts)
+ * @param {{pending: Object, applied: Object}} state - Sections received and applied so far
+ * @param {boolean} isFinal - True once the response is complete (or cancelled)
+ */
+function applyTrackerSections(sections, state, isFinal) {
+    const { pending, applied } = state;
+    for (const key of ['userStats', 'infoBox', 'characterThoughts']) {
+        if (!pending[key] && sections[key] && sections[key].trim()) {
+            pending[key] = sections[key];
+        }
+    }
+
+    if (pending.infoBox && !applied.infoBox) {
+        // Keep the in-game clock consistent (midnight rollover, no going backwards)
+        applied.infoBox = reconcileGeneratedInfoBox(pending.infoBox);
+        lastGeneratedData.infoBox = applied.infoBox;
+        renderInfoBox();
+    }
+
+    const infoBoxSettled = applied.infoBox || !extensionSettings.showInfoBox || isFinal;
+    if (pending.userStats && !applied.userStats && infoBoxSettled) {
+        // Apply stat rules (bounds, change caps, decay, thresholds) before storing
+        applied.userStats = parseGeneratedUserStats(pending.userStats, applied.infoBox || null);
+        lastGeneratedData.userStats = applied.userStats;
+        renderUserStats();
+        renderInventory();
+        renderQuests();
+    }
+
+    if (pending.characterThoughts && !applied.characterThoughts) {
+        applied.characterThoughts = pending.characterThoughts;
+        lastGeneratedData.characterThoughts = applied.characterThoughts;
+        renderThoughts();
+    }
+}
+
+/**
+ * Stores generated tracker data on the last message and commits it on the very first generation
+ * @param {Object} trackerData - Applied sections (userStats, infoBox, characterThoughts)
+ */
+function storeGeneratedTrackers(trackerData) {
+    const userStats = trackerData.userStats || null;
+    const infoBox = trackerData.infoBox || null;
+    const characterThoughts = trackerData.characterThoughts || null;
+
+    // DON'T update lastGeneratedData here - it should only reflect the data
+    // from the assistant message the user replied to, not auto-generated updates
+    // This ensures swipes/regenerations use consistent source data
+
+    // Store RPG data for the last assistant message (separate mode)
+    const lastMessage = chat && chat.length > 0 ? chat[chat.length - 1] : null;
+
+    // When saveTrackerHistory is enabled, store tracker data on the user's message too
+    // This allows scrolling through history and seeing trackers at each point
+    if (extensionSettings.saveTrackerHistory && lastMessage && lastMessage.is_user) {
+        if (!lastMessage.extra) {
+            lastMessage.extra = {};
+        }
+        lastMessage.extra.rpg_companion_data = {
+            userStats,
+            infoBox,
+            characterThoughts,
+            timestamp: Date.now()
+        };
+    }
+
+    // Also store on assistant message if present (existing behavior)
+    if (lastMessage && !lastMessage.is_user) {
+        if (!lastMessage.extra) {
+            lastMessage.extra = {};
+        }
+        if (!lastMessage.extra.rpg_companion_swipes) {
+            lastMessage.extra.rpg_companion_swipes = {};
+        }
+
+        const currentSwipeId = lastMessage.swipe_id || 0;
+        lastMessage.extra.rpg_companion_swipes[currentSwipeId] = {
+            userStats,
+            infoBox,
+            characterThoughts
+        };
+    }
+
+    // Only commit on TRULY first generation (no committed data exists at all)
+    // This prevents auto-commit after refresh when we have saved committed data
+    const hasAnyCommittedContent = (
+        (committedTrackerData.userStats && committedTrackerData.userStats.trim() !== '') ||
+        (committedTrackerData.infoBox && committedTrackerData.infoBox.trim() !== '' && committedTrackerData.infoBox !== 'Info Box\n---\n') ||
+        (committedTrackerData.characterThoughts && committedTrackerData.characterThoughts.trim() !== '' && committedTrackerData.characterThoughts !== 'Present Characters\n---\n')
+    );
+
+    // Only commit if we have NO committed content at all (truly first time ever)
+    if (!hasAnyCommittedContent) {
+        committedTrackerData.userStats = userStats;
+        committedTrackerData.infoBox = infoBox;
+        committedTrackerData.characterThoughts = characterThoughts;
+    }
+}
+
 /**
  * Updates RPG tracker data using separate API call (separate mode only).
  * Makes a dedicated API call to generate tracker data, then stores it
- * in the last assistant message's swipe data.
+ * in the last assistant message's swipe data. With streaming enabled, each
+ * section is shown as soon as it is complete. With tracker validation, sections
+ * that are missing or incomplete are requested again (see retryInvalidSections).
+ * The generation can be cancelled with cancelTrackerGeneration().
  *
  * @param {Function} renderUserStats - UI function to render user stats
  * @param {Function} renderInfoBox - UI function to render info box
@@ -237,6 +693,11 @@ export async function updateRPGData(renderUserStats, renderInfoBox, renderThough
     }
 
     const isExternalMode = extensionSettings.generationMode === 'external';
+    const abortController = new AbortController();
+    trackerAbortController = abortController;
+
+    // Sections received from the model and sections already shown in the panel
+    const sectionState = { pending: {}, applied: {} };
 
     try {
         setIsGenerating(true);
@@ -245,6 +706,7 @@ export async function updateRPGData(renderUserStats, renderInfoBox, renderThough
         const $updateBtn = $('#rpg-manual-update');
         const updatingText = i18n.getTranslation('template.mainPanel.updating') || 'Updating...';
         $updateBtn.html(`<i class="fa-solid fa-spinner fa-spin"></i> ${updatingText}`).prop('disabled', true);
+        $('#rpg-cancel-update').show();
 
         // Save current preset name before switching (if we're going to switch)
         // Note: Preset switching is only used in separate mode, not external mode
@@ -263,154 +725,156 @@ export async function updateRPGData(renderUserStats, renderInfoBox, renderThough
         }
 
         const prompt = await generateSeparateUpdatePrompt();
+        if (abortController.signal.aborted) {
+            throw createAbortError();
+        }
+
+        const validation = getTrackerValidationSettings();
+        const signal = abortController.signal;
+
+        // Show sections in the panel as soon as the stream completes them
+        // (with validation, only the ones that pass it)
+        let onText;
+        if (extensionSettings.streamTrackerGeneration === true) {
+            const streamParser = createStreamingTrackerParser();
+            onText = (text) => {
+                const sections = streamParser.update(text);
+                if (validation.enabled) {
+                    for (const section of Object.keys(sections)) {
+                        if (validateTrackerSection(section, sections[section]).length > 0) {
+                            delete sections[section];
+                        }
+                    }
+                }
+                applyTrackerSections(sections, sectionState, false);
+            };
+        }
 
         // Generate response based on mode
         let response;
-        if (isExternalMode) {
-            // External mode: Use external OpenAI-compatible API directly
-            console.log('[RPG Companion] Using external API for tracker generation');
-            response = await generateWithExternalAPI(prompt);
-        } else {
-            // Separate mode: Use SillyTavern's generateRaw
-            response = await generateRaw({
-                prompt: prompt,
-                quietToLoud: false
-            });
+        try {
+            if (isExternalMode) {
+                // External mode: Use external OpenAI-compatible API directly
+                console.log('[RPG Companion] Using external API for tracker generation');
+                response = await generateWithExternalAPI(prompt, { signal, onText });
+            } else {
+                // Separate mode: Use SillyTavern's API connection
+                response = await generateWithSillyTavern(prompt, { signal, onText });
+            }
+        } catch (error) {
+            const fallback = getFallbackSource();
+            if (error.name === 'AbortError' || !validation.enabled || fallback === 'none') {
+                throw error;
+            }
+            debugLog(`[RPG Validation] ✗ Tracker request failed, using the ${fallback} fallback`, error.message);
+            response = await generateFromSource(prompt, fallback, signal);
         }
 
+        // With validation, an empty response is handled like one with every section missing
+        if (!response && !validation.enabled) {
+            // No response from LLM
+            throw new Error('LLM returned an empty response');
+        }
+
+        // console.log('[RPG Companion] Raw AI response:', response);
+        const parsedData = response
+            ? parseResponse(response)
+            : { userStats: null, infoBox: null, characterThoughts: null };
         if (response) {
-            // console.log('[RPG Companion] Raw AI response:', response);
-            const parsedData = parseResponse(response);
             // Parse and store Spotify URL if feature is enabled
             parseAndStoreSpotifyUrl(response);
-            // console.log('[RPG Companion] Parsed data:', parsedData);
-            // console.log('[RPG Companion] parsedData.userStats:', parsedData.userStats ? parsedData.userStats.substring(0, 100) + '...' : 'null');
-
-            // Validate that we got at least some valid data
-            const hasValidData = (
-                (parsedData.userStats && parsedData.userStats.trim().length > 0) ||
-                (parsedData.infoBox && parsedData.infoBox.trim().length > 0) ||
-                (parsedData.characterThoughts && parsedData.characterThoughts.trim().length > 0)
-            );
-
-            if (!hasValidData) {
-                throw new Error('LLM returned a response but no valid tracker data could be parsed');
-            }
-
-            // DON'T update lastGeneratedData here - it should only reflect the data
-            // from the assistant message the user replied to, not auto-generated updates
-            // This ensures swipes/regenerations use consistent source data
-
-            // Store RPG data for the last assistant message (separate mode)
-            const lastMessage = chat && chat.length > 0 ? chat[chat.length - 1] : null;
-            // console.log('[RPG Companion] Last message is_user:', lastMessage ? lastMessage.is_user : 'no message');
+        }
 
-            // Update lastGeneratedData for display (regardless of message type)
-            if (parsedData.userStats) {
-                lastGeneratedData.userStats = parsedData.userStats;
-                parseUserStats(parsedData.userStats);
-            }
-            if (parsedData.infoBox) {
-                lastGeneratedData.infoBox = parsedData.infoBox;
-            }
-            if (parsedData.characterThoughts) {
-                lastGeneratedData.characterThoughts = parsedData.characterThoughts;
+        if (validation.enabled) {
+            // Show the valid sections while the others are requested again
+            const validSections = { ...parsedData };
+            for (const section of Object.keys(validateTrackerSections(parsedData))) {
+                delete validSections[section];
             }
+            applyTrackerSections(validSections, sectionState, false);
 
-            // When saveTrackerHistory is enabled, store tracker data on the user's message too
-            // This allows scrolling through history and seeing trackers at each point
-            if (extensionSettings.saveTrackerHistory && lastMessage && lastMessage.is_user) {
-                if (!lastMessage.extra) {
-                    lastMessage.extra = {};
-                }
-                lastMessage.extra.rpg_companion_data = {
-                    userStats: parsedData.userStats,
-                    infoBox: parsedData.infoBox,
-                    characterThoughts: parsedData.characterThoughts,
-                    timestamp: Date.now()
-                };
-                // console.log('[RPG Companion] 💾 Stored tracker data on user message for history');
-            }
+            await retryInvalidSections(parsedData, sectionState.applied, signal);
+        }
 
-            // Also store on assistant message if present (existing behavior)
-            if (lastMessage && !lastMessage.is_user) {
-                if (!lastMessage.extra) {
-                    lastMessage.extra = {};
-                }
-                if (!lastMessage.extra.rpg_companion_swipes) {
-                    lastMessage.extra.rpg_companion_swipes = {};
-                }
+        // Nothing left to cancel once all sections are in
+        $('#rpg-cancel-update').hide();
 
-                const currentSwipeId = lastMessage.swipe_id || 0;
-                lastMessage.extra.rpg_companion_swipes[currentSwipeId] = {
-                    userStats: parsedData.userStats,
-                    infoBox: parsedData.infoBox,
-                    characterThoughts: parsedData.characterThoughts
-                };
+        // Apply the sections the stream didn't complete (or all of them without streaming)
+        applyTrackerSections(parsedData, sectionState, true);
 
-                // console.log('[RPG Companion] Stored separate mode RPG data for message swipe', currentSwipeId);
-            }
+        // Validate that we got at least some valid data
+        const hasValidData = Object.keys(sectionState.applied).length > 0;
+        if (!hasValidData) {
+            throw new Error(response
+                ? 'LLM returned a response but no valid tracker data could be parsed'
+                : 'LLM returned an empty response');
+        }
 
-            // Only commit on TRULY first generation (no committed data exists at all)
-            // This prevents auto-commit after refresh when we have saved committed data
-            const hasAnyCommittedContent = (
-                (committedTrackerData.userStats && committedTrackerData.userStats.trim() !== '') ||
-                (committedTrackerData.infoBox && committedTrackerData.infoBox.trim() !== '' && committedTrackerData.infoBox !== 'Info Box\n---\n') ||
-                (committedTrackerData.characterThoughts && committedTrackerData.characterThoughts.trim() !== '' && committedTrackerData.characterThoughts !== 'Present Characters\n---\n')
-            );
+        storeGeneratedTrackers(sectionState.applied);
+
+        // Render the updated data
+        renderUserStats();
+        renderInfoBox();
+        renderThoughts();
+        renderInventory();
+        renderQuests();
+        renderMusicPlayer($musicPlayerContainer[0]);
+
+        // Save to chat metadata
+        saveChatData();
+
+        // Generate avatars if auto-generate is enabled (runs within this workflow)
+        // This uses the RPG Companion Trackers preset and keeps the button spinning
+        if (extensionSettings.autoGenerateAvatars) {
+            const charactersNeedingAvatars = parseCharactersFromThoughts(sectionState.applied.characterThoughts);
+            if (charactersNeedingAvatars.length > 0) {
+                console.log('[RPG Companion] Generating avatars for:', charactersNeedingAvatars);
+
+                // Generate avatars - this awaits completion
+                await generateAvatarsForCharacters(charactersNeedingAvatars, (names) => {
+                    // Callback when generation starts - re-render to show loading spinners
+                    console.log('[RPG Companion] Avatar generation started, showing spinners...');
+                    renderThoughts();
+                });
 
-            // Only commit if we have NO committed content at all (truly first time ever)
-            if (!hasAnyCommittedContent) {
-                committedTrackerData.userStats = parsedData.userStats;
-                committedTrackerData.infoBox = parsedData.infoBox;
-                committedTrackerData.characterThoughts = parsedData.characterThoughts;
-                // console.log('[RPG Companion] 🔆 FIRST TIME: Auto-committed tracker data');
+                // Re-render once all avatars are generated
+                console.log('[RPG Companion] All avatars generated, re-rendering...');
+                renderThoughts();
             }
+        }
 
-            // Render the updated data
-            renderUserStats();
-            renderInfoBox();
-            renderThoughts();
-            renderInventory();
-            renderQuests();
-            renderMusicPlayer($musicPlayerContainer[0]);
-
-            // Save to chat metadata
-            saveChatData();
-
-            // Generate avatars if auto-generate is enabled (runs within this workflow)
-            // This uses the RPG Companion Trackers preset and keeps the button spinning
-            if (extensionSettings.autoGenerateAvatars) {
-                const charactersNeedingAvatars = parseCharactersFromThoughts(parsedData.characterThoughts);
-                if (charactersNeedingAvatars.length > 0) {
-                    console.log('[RPG Companion] Generating avatars for:', charactersNeedingAvatars);
-
-                    // Generate avatars - this awaits completion
-                    await generateAvatarsForCharacters(charactersNeedingAvatars, (names) => {
-                        // Callback when generation starts - re-render to show loading spinners
-                        console.log('[RPG Companion] Avatar generation started, showing spinners...');
-                        renderThoughts();
-                    });
-
-                    // Re-render once all avatars are generated
-                    console.log('[RPG Companion] All avatars generated, re-rendering...');
-                    renderThoughts();
-                }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            // Keep the sections that were completed before the cancel
+            applyTrackerSections({}, sectionState, true);
+            if (Object.keys(sectionState.applied).length > 0) {
+                storeGeneratedTrackers(sectionState.applied);
+                saveChatData();
+                toastr.info('Tracker update cancelled. Sections completed so far were kept.', 'RPG Companion');
+            } else {
+                toastr.info('Tracker update cancelled.', 'RPG Companion');
             }
+            console.log('[RPG Companion] Tracker generation cancelled, kept sections:', Object.keys(sectionState.applied));
         } else {
-            // No response from LLM
-            throw new Error('LLM returned an empty response');
+            console.error('[RPG Companion] Error updating RPG data:', error);
+            // Sections already shown in the panel are stored, so panel and message stay in sync
+            if (Object.keys(sectionState.applied).length > 0) {
+                storeGeneratedTrackers(sectionState.applied);
+                saveChatData();
+            }
+            // Show user-friendly error message
+            toastr.error(
+                `Failed to update tracker: ${error.message}`,
+                'RPG Companion',
+                { timeOut: 5000 }
+            );
         }
-
-    } catch (error) {
-        console.error('[RPG Companion] Error updating RPG data:', error);
-        // Show user-friendly error message
-        toastr.error(
-            `Failed to update tracker: ${error.message}`,
-            'RPG Companion',
-            { timeOut: 5000 }
-        );
     } finally {
+        if (trackerAbortController === abortController) {
+            trackerAbortController = null;
+        }
+        $('#rpg-cancel-update').hide();
+
         // Restore original preset if we switched to a separate one
         if (originalPresetName && extensionSettings.useSeparatePreset) {
             console.log(`[RPG Companion] Restoring original preset: "${originalPresetName}"`);
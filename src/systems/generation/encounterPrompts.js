@@ -10,8 +10,159 @@ import { extensionSettings, committedTrackerData } from '../../core/state.js';
 import { currentEncounter } from '../features/encounterState.js';
 import { buildInventorySummary, generateTrackerInstructions, generateTrackerExample } from './promptBuilder.js';
 import { DEFAULT_PROMPTS } from '../ui/promptsEditor.js';
-import { getActiveProfile, DEFAULT_COMBAT_PROFILE } from '../features/encounterProfiles.js';
+import {
+    getActiveProfile,
+    DEFAULT_COMBAT_PROFILE,
+    applyProfileVariables,
+    getProfileResources,
+    getEndConditions,
+    describeEndCondition
+} from '../features/encounterProfiles.js';
 import { getFilteredWorldInfo } from './worldInfoFilter.js';
+import { isRulesModeEnabled } from '../features/combatRules.js';
+import { getBestiaryForScene, getCurrentLocation } from '../features/bestiary.js';
+import { getActivePhase } from '../features/encounterPhases.js';
+import { DIFFICULTY_LEVELS, calculateEncounterBudget } from '../features/encounterDifficulty.js';
+
+/**
+ * Appended to the init instructions in rules mode, so the AI provides the numbers
+ * the dice are rolled against
+ */
+const RULES_MODE_INIT_NOTE = `
+
+RULES MODE: Outcomes in this encounter are decided by dice, so also include these fields:
+- "defense" for every party member and enemy (the number a d20 attack roll must reach: 10 = unarmored, 13-15 = armored or nimble, 16+ = exceptional)
+- For every attack object: "toHit" (bonus added to the d20 roll, usually 0 to 8), "damage" (dice formula such as "1d6+2", scaled to the HP values) and "effect": "heal" for healing abilities (damage is then the amount healed)
+Example attack: { "name": "Longsword", "type": "single-target", "toHit": 5, "damage": "1d8+3" }`;
+
+/**
+ * Appended to the init instructions so enemies and allies come with an initiative bonus
+ * (the user's own bonus comes from their DEX attribute)
+ */
+const INITIATIVE_INIT_NOTE = `
+
+INITIATIVE: Turn order is rolled with d20 + initiative bonus. Include an "initiativeBonus" number for every enemy and for every party member except {userName} (usually -1 to 5: quick and alert combatants higher, slow or surprised ones lower).`;
+
+/**
+ * Appended to the summary instructions so loot can be written back to the inventory
+ * (the line is removed from the summary before it is posted)
+ */
+const SUMMARY_LOOT_NOTE = `If {userName} gained any items during or right after this encounter (loot, rewards, things picked up), end the summary with one line listing them in exactly this format: [LOOT: 2x Gold Coin, Rusty Key]. Leave that line out if nothing was gained.`;
+
+/**
+ * Lists the extra resource tracks of a profile for the AI
+ * @param {Object} profile - The encounter profile
+ * @returns {string} One line per resource, or an empty string if the profile has none
+ */
+function describeProfileResources(profile) {
+    return getProfileResources(profile).map(resource => {
+        let line = `- ${resource.name} (${resource.min} to ${resource.max}, starts at ${resource.start ?? resource.max})`;
+        if (resource.description) line += `: ${resource.description}`;
+        return line;
+    }).join('\n');
+}
+
+/**
+ * Appended to the init instructions when the profile defines extra resources
+ * @param {Object} profile - The encounter profile
+ * @returns {string} Prompt note, or an empty string if the profile has none
+ */
+function buildResourcesInitNote(profile) {
+    const resources = describeProfileResources(profile);
+    if (!resources) return '';
+
+    return `
+
+RESOURCES: Besides ${profile.RESOURCE_LABEL || 'HP'}, every party member and enemy in this encounter tracks these resources:
+${resources}
+Include a "customBars" array for every party member and enemy with one entry per resource, e.g. "customBars": [{ "name": "${getProfileResources(profile)[0].name}", "current": X, "max": X }]. Pick starting values that fit each combatant and keep every value within its range.`;
+}
+
+/**
+ * Appended to the init instructions so the AI creates enemies that fit the chosen difficulty
+ * @param {Object} budget - Encounter budget (see encounterDifficulty.js)
+ * @param {string} resourceLabel - Label of the HP resource
+ * @returns {string} Prompt note
+ */
+function buildBudgetInitNote(budget, resourceLabel) {
+    const difficulty = DIFFICULTY_LEVELS[budget.difficulty].label.toLowerCase();
+    const count = budget.enemyCount.min === budget.enemyCount.max
+        ? `${budget.enemyCount.min}`
+        : `${budget.enemyCount.min} to ${budget.enemyCount.max}`;
+
+    return `
+
+DIFFICULTY: This is a ${difficulty} encounter for a party of ${budget.partySize} at level ${budget.level}. Build the enemies within this budget:
+- ${count} enemies
+- About ${budget.totalHp} max ${resourceLabel} for all enemies together (a party member has about ${budget.memberHp} ${resourceLabel})
+- A single enemy hit takes ${budget.damage.min} to ${budget.damage.max} ${resourceLabel}${isRulesModeEnabled() ? ' (choose the damage formulas to match)' : ''}
+Enemies joining later count against the same budget.`;
+}
+
+/**
+ * Appended to the action instructions when the profile defines extra resources
+ * @param {Object} profile - The encounter profile
+ * @returns {string} Prompt note, or an empty string if the profile has none
+ */
+function buildResourcesActionNote(profile) {
+    const resources = describeProfileResources(profile);
+    if (!resources) return '';
+
+    return `RESOURCES: This encounter also tracks these resources for every combatant:
+${resources}
+Include the full updated "customBars" array ({ "name", "current", "max" } for every resource) for each party member and enemy in "combatStats", keeping every value within its range.
+`;
+}
+
+/**
+ * Appended to the action instructions when the profile decides itself when the encounter ends
+ * @param {Object} profile - The encounter profile
+ * @returns {string} Prompt note, or an empty string if the AI decides
+ */
+function buildEndConditionsNote(profile) {
+    const conditions = getEndConditions(profile);
+    if (conditions.length === 0) return '';
+
+    const lines = conditions.map(condition => `- ${describeEndCondition(condition, profile)} (${condition.result})`);
+    return `END CONDITIONS: This encounter ends automatically as soon as one of these is true:
+${lines.join('\n')}
+Do not add "combatEnd" with "victory" or "defeat" yourself; let the numbers decide. "fled" and "interrupted" can still be declared when the story calls for it.
+`;
+}
+
+/**
+ * Describes the bestiary creatures that fit the current location (matched against the
+ * Info Box location and the message that started the encounter)
+ * @param {string} resourceLabel - Label of the HP resource
+ * @returns {string} Prompt section, or an empty string if nothing fits
+ */
+function buildBestiarySection(resourceLabel) {
+    const location = getCurrentLocation();
+    const entries = getBestiaryForScene(`${location}\n${currentEncounter.encounterStartMessage || ''}`);
+    if (entries.length === 0) return '';
+
+    const rulesMode = isRulesModeEnabled();
+    const lines = entries.map(entry => {
+        const stats = [`Max ${resourceLabel} ${entry.maxHp}`];
+        if (rulesMode && entry.defense !== undefined) stats.push(`defense ${entry.defense}`);
+        if (entry.initiativeBonus !== undefined) stats.push(`initiativeBonus ${entry.initiativeBonus}`);
+
+        const attacks = (entry.attacks || []).map(attack => {
+            const details = [attack.type || 'single-target'];
+            if (rulesMode && attack.toHit !== undefined) details.push(`toHit ${attack.toHit}`);
+            if (rulesMode && attack.damage) details.push(`${attack.effect === 'heal' ? 'heal' : 'damage'} ${attack.damage}`);
+            return `${attack.name} (${details.join(', ')})`;
+        });
+
+        let line = `- ${entry.sprite || '👹'} ${entry.name}: ${stats.join(', ')}; attacks: ${attacks.join(', ')}`;
+        if (entry.statuses?.length > 0) line += `; statuses: ${entry.statuses.map(status => status.name).join(', ')}`;
+        if (entry.customBars?.length > 0) line += `; bars: ${entry.customBars.map(bar => `${bar.name} ${bar.current}/${bar.max}`).join(', ')}`;
+        if (entry.notes) line += `\n  Notes: ${entry.notes}`;
+        return line;
+    });
+
+    return `Known creatures from the bestiary that could appear${location ? ` around ${location}` : ''}. If any of them fit this encounter, use them with exactly these names, sprites and stats; otherwise ignore this list:\n${lines.join('\n')}\n\n`;
+}
 
 /**
  * Injects encounter profile variables into a prompt template
@@ -24,26 +175,12 @@ function injectProfileVariables(template, profile = null) {
         // Get profile (use provided or active profile)
         const activeProfile = profile || getActiveProfile();
 
-        // Replace all placeholder variables
-        return template
-            .replace(/{ENCOUNTER_TYPE}/g, activeProfile.ENCOUNTER_TYPE)
-            .replace(/{ENCOUNTER_GOAL}/g, activeProfile.ENCOUNTER_GOAL)
-            .replace(/{ENCOUNTER_STAKES}/g, activeProfile.ENCOUNTER_STAKES)
-            .replace(/{RESOURCE_INTERPRETATION}/g, activeProfile.RESOURCE_INTERPRETATION)
-            .replace(/{ACTION_INTERPRETATION}/g, activeProfile.ACTION_INTERPRETATION)
-            .replace(/{STATUS_INTERPRETATION}/g, activeProfile.STATUS_INTERPRETATION)
-            .replace(/{SUMMARY_FRAMING}/g, activeProfile.SUMMARY_FRAMING);
+        // Replace the built-in placeholders and the profile's own variables
+        return applyProfileVariables(template, activeProfile);
     } catch (error) {
         console.error('[RPG Companion] Error injecting profile variables:', error);
         // Fallback to default combat profile
-        return template
-            .replace(/{ENCOUNTER_TYPE}/g, DEFAULT_COMBAT_PROFILE.ENCOUNTER_TYPE)
-            .replace(/{ENCOUNTER_GOAL}/g, DEFAULT_COMBAT_PROFILE.ENCOUNTER_GOAL)
-            .replace(/{ENCOUNTER_STAKES}/g, DEFAULT_COMBAT_PROFILE.ENCOUNTER_STAKES)
-            .replace(/{RESOURCE_INTERPRETATION}/g, DEFAULT_COMBAT_PROFILE.RESOURCE_INTERPRETATION)
-            .replace(/{ACTION_INTERPRETATION}/g, DEFAULT_COMBAT_PROFILE.ACTION_INTERPRETATION)
-            .replace(/{STATUS_INTERPRETATION}/g, DEFAULT_COMBAT_PROFILE.STATUS_INTERPRETATION)
-            .replace(/{SUMMARY_FRAMING}/g, DEFAULT_COMBAT_PROFILE.SUMMARY_FRAMING);
+        return applyProfileVariables(template, DEFAULT_COMBAT_PROFILE);
     }
 }
 
@@ -302,6 +439,12 @@ export async function buildEncounterInitPrompt() {
         prompt += `Present Characters (potential party members):\n${committedTrackerData.characterThoughts}\n\n`;
     }
 
+    // Add fitting bestiary creatures (optional)
+    if (extensionSettings.encounterSettings?.useBestiaryInPrompt) {
+        const profile = getActiveProfile() || DEFAULT_COMBAT_PROFILE;
+        prompt += buildBestiarySection(profile.RESOURCE_LABEL || 'HP');
+    }
+
     prompt += `</context>\n\n`;
 
     prompt += `The encounter starts now.\n\n`;
@@ -311,6 +454,18 @@ export async function buildEncounterInitPrompt() {
     const instructionsPrompt = injectProfileVariables(instructionsTemplate);
     prompt += instructionsPrompt.replace(/{userName}/g, userName);
 
+    prompt += INITIATIVE_INIT_NOTE.replace(/{userName}/g, userName);
+    prompt += buildResourcesInitNote(getActiveProfile() || DEFAULT_COMBAT_PROFILE);
+
+    // Enemy budget from the chosen difficulty (kept for checking enemies that join later)
+    const budget = calculateEncounterBudget();
+    currentEncounter.budget = budget;
+    prompt += buildBudgetInitNote(budget, (getActiveProfile() || DEFAULT_COMBAT_PROFILE).RESOURCE_LABEL || 'HP');
+
+    if (isRulesModeEnabled()) {
+        prompt += RULES_MODE_INIT_NOTE;
+    }
+
     // Validate that we have content
     if (!prompt.trim()) {
         throw new Error('Unable to build encounter prompt - no valid content available');
@@ -324,9 +479,11 @@ export async function buildEncounterInitPrompt() {
  * This is sent when the user takes an action in combat
  * @param {string} action - The action taken by the user
  * @param {object} combatStats - Current combat statistics
+ * @param {string|null} [resolution=null] - Dice results of the round (rules mode); the AI then only narrates them
+ * @param {string} [turnInfo=''] - Initiative order and the turns covered by this response
  * @returns {Promise<string>} Complete prompt string for Text Completion API
  */
-export async function buildCombatActionPrompt(action, combatStats) {
+export async function buildCombatActionPrompt(action, combatStats, resolution = null, turnInfo = '') {
     const context = getContext();
     const userName = context.name1;
     const depth = extensionSettings.encounterSettings?.historyDepth || 8;
@@ -471,11 +628,16 @@ export async function buildCombatActionPrompt(action, combatStats) {
 
     // Add current combat state with FULL information (MOST IMPORTANT - at the end)
     prompt += `Current Combat State:\n`;
-    prompt += `Environment: ${combatStats.environment || 'Unknown location'}\n\n`;
+    prompt += `Environment: ${combatStats.environment || 'Unknown location'}\n`;
+    const phase = getActivePhase();
+    if (phase) {
+        prompt += `Current Phase: ${phase.name}\n`;
+    }
+    prompt += '\n';
 
     prompt += `Party Members:\n`;
     combatStats.party.forEach(member => {
-        prompt += `- ${member.name}${member.isPlayer ? ' (Player)' : ''}: ${member.hp}/${member.maxHp} HP\n`;
+        prompt += `- ${member.name}${member.isPlayer ? ' (Player)' : ''}: ${member.hp}/${member.maxHp} HP${combatStats.rulesMode ? `, Defense ${member.defense}` : ''}\n`;
         if (member.customBars && member.customBars.length > 0) {
             member.customBars.forEach(bar => {
                 prompt += `  ${bar.name}: ${bar.current}/${bar.max}\n`;
@@ -497,7 +659,7 @@ export async function buildCombatActionPrompt(action, combatStats) {
 
     prompt += `\nEnemies:\n`;
     combatStats.enemies.forEach(enemy => {
-        prompt += `- ${enemy.name} (${enemy.sprite || ''}): ${enemy.hp}/${enemy.maxHp} HP\n`;
+        prompt += `- ${enemy.name} (${enemy.sprite || ''}): ${enemy.hp}/${enemy.maxHp} HP${combatStats.rulesMode ? `, Defense ${enemy.defense}` : ''}\n`;
         if (enemy.description) {
             prompt += `  ${enemy.description}\n`;
         }
@@ -517,12 +679,28 @@ export async function buildCombatActionPrompt(action, combatStats) {
         }
     });
 
+    if (turnInfo) {
+        prompt += `\nTurn Order:\n${turnInfo}\n`;
+    }
+
     prompt += `\n${userName}'s Action: ${action}\n\n`;
 
+    if (resolution) {
+        prompt += `Resolved Outcome:\n${resolution}\n\n`;
+    }
+
     // Use custom instructions or default, then inject profile variables (MOST IMPORTANT - at the very end)
-    const instructionsTemplate = extensionSettings.customCombatActionInstructionsPrompt || DEFAULT_PROMPTS.combatActionInstructions;
+    // In rules mode the numbers are already decided, so the AI gets narration-only instructions
+    const instructionsTemplate = resolution
+        ? (extensionSettings.customCombatRulesNarrationPrompt || DEFAULT_PROMPTS.combatRulesNarrationInstructions)
+        : (extensionSettings.customCombatActionInstructionsPrompt || DEFAULT_PROMPTS.combatActionInstructions);
     const instructionsPrompt = injectProfileVariables(instructionsTemplate);
     prompt += instructionsPrompt.replace(/{userName}/g, userName) + '\n';
+    if (!resolution) {
+        const profile = getActiveProfile() || DEFAULT_COMBAT_PROFILE;
+        prompt += buildResourcesActionNote(profile);
+        prompt += buildEndConditionsNote(profile).replace(/{userName}/g, userName);
+    }
     prompt += `For the narrative, write it with intent in ${tense} tense ${person}-person ${narration} from ${pov}'s point of view.\n`;
 
     // Use custom combat narrative prompt if available
@@ -542,6 +720,11 @@ export async function buildCombatActionPrompt(action, combatStats) {
         prompt += `\n\nADDITIONAL INSTRUCTIONS: ${combatStats.specialInstructions.trim()}`;
     }
 
+    // The authored phase the encounter is in steers the narration from here on
+    if (phase?.instruction) {
+        prompt += `\n\nPHASE INSTRUCTION (${phase.name}): ${phase.instruction.replace(/{userName}/g, userName)}`;
+    }
+
     return prompt;
 }
 
@@ -672,7 +855,8 @@ export async function buildCombatSummaryPrompt(combatLog, result) {
     const instructionsTemplate = extensionSettings.customCombatSummaryInstructionsPrompt || DEFAULT_PROMPTS.combatSummaryInstructions;
     const instructionsPrompt = injectProfileVariables(instructionsTemplate);
     prompt += instructionsPrompt.replace(/{userName}/g, userName) + '\n';
-    prompt += `Write with intent in ${tense} tense ${person}-person ${narration} from ${pov}'s point of view.\n\n`;
+    prompt += `Write with intent in ${tense} tense ${person}-person ${narration} from ${pov}'s point of view.\n`;
+    prompt += SUMMARY_LOOT_NOTE.replace(/{userName}/g, userName) + '\n\n';
 
     // If in Together mode and trackers are enabled, add tracker update instructions
     if (extensionSettings.generationMode === 'together' && (extensionSettings.showUserStats || extensionSettings.showInfoBox || extensionSettings.showCharacterThoughts)) {
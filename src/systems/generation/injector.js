@@ -24,6 +24,7 @@ import {
     SPOTIFY_FORMAT_INSTRUCTION
 } from './promptBuilder.js';
 import { restoreCheckpointOnLoad } from '../features/chapterCheckpoint.js';
+import { buildStatRuleNotes } from '../features/statRules.js';
 
 /**
  * Event handler for generation start.
@@ -71,6 +72,7 @@ export async function onGenerationStarted(type, data) {
         setExtensionPrompt('rpg-companion-html', '', extension_prompt_types.IN_CHAT, 0, false);
         setExtensionPrompt('rpg-companion-spotify', '', extension_prompt_types.IN_CHAT, 0, false);
         setExtensionPrompt('rpg-companion-context', '', extension_prompt_types.IN_CHAT, 1, false);
+        setExtensionPrompt('rpg-companion-stat-notes', '', extension_prompt_types.IN_CHAT, 1, false);
     }
 
     // Ensure checkpoint is applied before generation
@@ -173,6 +175,11 @@ export async function onGenerationStarted(type, data) {
         // console.log('[RPG Companion] After parsing, extensionSettings.userStats:', JSON.stringify(extensionSettings.userStats));
     }
 
+    // Inject notes for the stat rule thresholds that are currently met (e.g. "Starving")
+    const usesTrackerPrompts = extensionSettings.generationMode === 'together' || extensionSettings.generationMode === 'separate';
+    const statNotes = usesTrackerPrompts && !shouldSuppress ? buildStatRuleNotes() : '';
+    setExtensionPrompt('rpg-companion-stat-notes', statNotes ? `\n${statNotes}\n` : '', extension_prompt_types.IN_CHAT, 1, false);
+
     if (extensionSettings.generationMode === 'together') {
         // console.log('[RPG Companion] In together mode, generating prompts...');
         const example = generateTrackerExample();
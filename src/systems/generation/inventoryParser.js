@@ -3,6 +3,8 @@
  * Extracts v3 inventory data from AI-generated text
  */
 
+import { parseItemEntry } from '../../utils/inventoryItems.js';
+
 // Type imports
 /** @typedef {import('../../types/inventory.js').InventoryV3} InventoryV3 */
 /** @typedef {import('../../types/inventory.js').InventoryV2} InventoryV2 */
@@ -107,6 +109,19 @@ export function extractLegacyInventory(text) {
     return null;
 }
 
+/**
+ * Checks whether a plaintext entry refers to the given item name
+ * ("3x Potion" matches "Potion").
+ * @param {string} entry - Plaintext item entry
+ * @param {string} itemName - Item name
+ * @returns {boolean} True if both name the same item
+ */
+function isSameItem(entry, itemName) {
+    const parsed = parseItemEntry(entry);
+    const wanted = parseItemEntry(itemName);
+    return Boolean(parsed && wanted) && parsed.name.toLowerCase() === wanted.name.toLowerCase();
+}
+
 /**
  * Merges frozen items from stored data with newly regenerated inventory
  * Frozen items are preserved and added back to their locations
@@ -136,8 +151,8 @@ export function mergeFrozenItems(newInventory, frozenItems) {
             const existingItems = result[field][location] === 'None' ? [] :
                 result[field][location].split(',').map(item => item.trim()).filter(item => item);
 
-            // Check if frozen item already exists (case-insensitive)
-            const itemExists = existingItems.some(item => item.toLowerCase() === itemName.toLowerCase());
+            // Check if frozen item already exists (case-insensitive, ignoring quantities)
+            const itemExists = existingItems.some(item => isSameItem(item, itemName));
 
             if (!itemExists) {
                 // Add frozen item back
@@ -151,8 +166,8 @@ export function mergeFrozenItems(newInventory, frozenItems) {
             const existingAssets = result.assets === 'None' ? [] :
                 result.assets.split(',').map(item => item.trim()).filter(item => item);
 
-            // Check if frozen asset already exists (case-insensitive)
-            const assetExists = existingAssets.some(asset => asset.toLowerCase() === itemName.toLowerCase());
+            // Check if frozen asset already exists (case-insensitive, ignoring quantities)
+            const assetExists = existingAssets.some(asset => isSameItem(asset, itemName));
 
             if (!assetExists) {
                 // Add frozen asset back
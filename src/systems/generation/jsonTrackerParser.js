@@ -0,0 +1,860 @@
+/**
+ * JSON Tracker Parser Module
+ * Handles the structured JSON tracker format (opt-in alternative to the text/XML format).
+ *
+ * The model emits a single JSON object shaped after trackerConfig. This module repairs
+ * partial/malformed JSON, validates it against the enabled tracker configuration and
+ * converts it into the same text sections the rest of the extension already consumes,
+ * so lastGeneratedData/committedTrackerData and all renderers keep working unchanged.
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { extensionSettings, FEATURE_FLAGS } from '../../core/state.js';
+import { extractInventoryData } from './inventoryParser.js';
+import { getQuestSummaryData, parseObjectiveList, formatObjectiveList } from '../features/questLog.js';
+
+/**
+ * Checks whether the structured JSON tracker format is enabled
+ * @returns {boolean} True if trackers should be requested/parsed as JSON
+ */
+export function isJsonTrackerFormat() {
+    return extensionSettings.trackerFormat === 'json';
+}
+
+/**
+ * Scans JSON-like text and closes anything left open (strings, objects, arrays).
+ * Also escapes raw newlines inside strings and drops trailing commas.
+ * @param {string} text - Text starting at the first '{'
+ * @returns {{text: string, commaPositions: Array<number>}} Closed text and the positions of top-level-safe cut points
+ * @private
+ */
+function closeJsonText(text) {
+    const stack = [];
+    const commaPositions = [];
+    let inString = false;
+    let escaped = false;
+    let out = '';
+
+    for (const ch of text) {
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+                out += ch;
+            } else if (ch === '\\') {
+                escaped = true;
+                out += ch;
+            } else if (ch === '"') {
+                inString = false;
+                out += ch;
+            } else if (ch === '\n') {
+                out += '\\n';
+            } else if (ch === '\t') {
+                out += '\\t';
+            } else if (ch !== '\r') {
+                out += ch;
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            inString = true;
+            out += ch;
+        } else if (ch === '{' || ch === '[') {
+            stack.push(ch === '{' ? '}' : ']');
+            out += ch;
+        } else if (ch === '}' || ch === ']') {
+            // Trailing commas before a closer are the most common model mistake
+            out = out.replace(/,\s*$/, '');
+            if (stack.length > 0 && stack[stack.length - 1] === ch) {
+                stack.pop();
+                out += ch;
+                if (stack.length === 0) {
+                    // Root object closed - ignore anything after it (narrative text, fences)
+                    return { text: out, commaPositions };
+                }
+            }
+            // Stray closers are dropped
+        } else if (ch === ',') {
+            commaPositions.push(out.length);
+            out += ch;
+        } else {
+            out += ch;
+        }
+    }
+
+    // Truncated output: close whatever is still open
+    if (escaped) {
+        out = out.slice(0, -1);
+    }
+    if (inString) {
+        out += '"';
+    }
+    out = out.replace(/,\s*$/, '');
+    out = out.replace(/:\s*$/, ': null');
+
+    while (stack.length > 0) {
+        out = out.replace(/,\s*$/, '');
+        out += stack.pop();
+    }
+
+    return { text: out, commaPositions };
+}
+
+/**
+ * Normalizes common non-JSON syntax models produce (smart quotes, bare keys, Python literals)
+ * @param {string} text - JSON-like text
+ * @returns {string} Normalized text
+ * @private
+ */
+function normalizeJsonSyntax(text) {
+    return text
+        .replace(/[“”]/g, '"')
+        .replace(/[‘’]/g, '\'')
+        // Quote bare object keys: { key: ... } -> { "key": ... }
+        .replace(/([{,]\s*)([A-Za-z_][\w ]*?)\s*:(?!\/)/g, '$1"$2":')
+        .replace(/:\s*True\b/g, ': true')
+        .replace(/:\s*False\b/g, ': false')
+        .replace(/:\s*None\b/g, ': null');
+}
+
+/**
+ * Repairs and parses a partial or malformed JSON object.
+ * Tries, in order: strict parse, closing open structures, syntax normalization,
+ * then progressively dropping the last (incomplete) member until it parses.
+ *
+ * @param {string} text - Raw text that should contain a JSON object
+ * @returns {Object|null} Parsed object, or null if nothing could be recovered
+ */
+export function repairJson(text) {
+    if (!text || typeof text !== 'string') {
+        return null;
+    }
+
+    const start = text.indexOf('{');
+    if (start === -1) {
+        return null;
+    }
+
+    const candidate = text.substring(start);
+
+    const tryParse = (value) => {
+        try {
+            const parsed = JSON.parse(value);
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    for (const source of [candidate, normalizeJsonSyntax(candidate)]) {
+        const { text: closed, commaPositions } = closeJsonText(source);
+        const parsed = tryParse(closed);
+        if (parsed) {
+            return parsed;
+        }
+
+        // Drop trailing members one at a time (handles a cut-off key or value)
+        for (let i = commaPositions.length - 1; i >= 0 && i >= commaPositions.length - 20; i--) {
+            const truncated = closeJsonText(closed.substring(0, commaPositions[i])).text;
+            const result = tryParse(truncated);
+            if (result) {
+                console.warn('[RPG Companion] Repaired truncated tracker JSON');
+                return result;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Finds the tracker JSON payload in a model response.
+ * Looks inside <trackers> tags, then ```json fences, then any fence, then the raw text.
+ * @param {string} responseText - Model response (thinking tags already removed)
+ * @returns {string|null} The text most likely to contain the tracker JSON
+ */
+export function extractTrackerJsonText(responseText) {
+    if (!responseText) {
+        return null;
+    }
+
+    const xmlMatch = responseText.match(/<trackers>([\s\S]*?)(?:<\/trackers>|$)/i);
+    const scope = xmlMatch ? xmlMatch[1] : responseText;
+
+    const jsonFence = scope.match(/```json\s*([\s\S]*?)(?:```|$)/i);
+    if (jsonFence && jsonFence[1].includes('{')) {
+        return jsonFence[1];
+    }
+
+    const anyFence = scope.match(/```\s*(\{[\s\S]*?)(?:```|$)/);
+    if (anyFence) {
+        return anyFence[1];
+    }
+
+    return scope.includes('{') ? scope : null;
+}
+
+/**
+ * Finds a key in an object case-insensitively, also matching ids against display names
+ * @param {Object} obj - Object to search
+ * @param {...string} names - Candidate key names
+ * @returns {*} The value, or undefined
+ * @private
+ */
+function pick(obj, ...names) {
+    if (!obj || typeof obj !== 'object') {
+        return undefined;
+    }
+    const wanted = names.filter(Boolean).map(n => String(n).toLowerCase().replace(/[\s_-]/g, ''));
+    for (const [key, value] of Object.entries(obj)) {
+        if (wanted.includes(key.toLowerCase().replace(/[\s_-]/g, ''))) {
+            return value;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Coerces a value to a trimmed single-line string
+ * @param {*} value - Any value
+ * @returns {string} String value ('' for null/undefined/objects)
+ * @private
+ */
+function toText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.map(toText).filter(Boolean).join(', ');
+    }
+    if (typeof value === 'object') {
+        return '';
+    }
+    return String(value).replace(/\s*\n\s*/g, ' ').trim();
+}
+
+/**
+ * Coerces a value to an integer percentage (0-100)
+ * @param {*} value - Number or string like "75%" / "75"
+ * @returns {number|null} Clamped value, or null if not numeric
+ * @private
+ */
+function toPercent(value) {
+    const match = String(value ?? '').match(/-?\d+(\.\d+)?/);
+    if (!match) {
+        return null;
+    }
+    return Math.max(0, Math.min(100, Math.round(parseFloat(match[0]))));
+}
+
+/**
+ * Coerces an inventory location map ({ Location: "items" | ["items"] })
+ * @param {*} value - Raw value
+ * @returns {Object<string, string>} Normalized map
+ * @private
+ */
+function toLocationMap(value) {
+    const result = {};
+    if (typeof value === 'string' && value.trim()) {
+        result['On Person'] = value.trim();
+        return result;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return result;
+    }
+    for (const [location, items] of Object.entries(value)) {
+        const text = toText(items);
+        if (location.trim() && text) {
+            result[location.trim()] = text;
+        }
+    }
+    return result;
+}
+
+/**
+ * Validates a raw tracker JSON object against the current trackerConfig.
+ * Only enabled sections/fields are kept; values are coerced to the expected types
+ * and every problem found is reported in `issues` (the data is still usable).
+ *
+ * @param {Object} raw - Parsed JSON object from the model
+ * @returns {{data: Object, issues: Array<string>}} Normalized tracker data and validation issues
+ */
+export function validateTrackerJson(raw) {
+    const issues = [];
+    const data = { userStats: null, infoBox: null, characters: null };
+    const trackerConfig = extensionSettings.trackerConfig;
+
+    if (!raw || typeof raw !== 'object') {
+        return { data, issues: ['Tracker JSON is not an object'] };
+    }
+
+    // Allow the model to wrap everything in a "trackers" key
+    const root = pick(raw, 'trackers') && typeof pick(raw, 'trackers') === 'object' ? pick(raw, 'trackers') : raw;
+
+    // User Stats
+    const rawStats = pick(root, 'userStats', 'stats', 'user');
+    if (rawStats && typeof rawStats === 'object') {
+        const userStatsConfig = trackerConfig?.userStats;
+        const statValues = pick(rawStats, 'stats') || rawStats;
+        const stats = {};
+
+        for (const stat of (userStatsConfig?.customStats || []).filter(s => s && s.enabled && s.name && s.id)) {
+            const value = toPercent(pick(statValues, stat.name, stat.id));
+            if (value === null) {
+                issues.push(`Missing stat: ${stat.name}`);
+            } else {
+                stats[stat.id] = value;
+            }
+        }
+
+        const result = { stats };
+
+        if (userStatsConfig?.statusSection?.enabled) {
+            const status = pick(rawStats, 'status');
+            const statusObj = status && typeof status === 'object' ? status : {};
+            result.mood = toText(pick(statusObj, 'mood', 'emoji') ?? pick(rawStats, 'mood'));
+            const fieldValues = (userStatsConfig.statusSection.customFields || [])
+                .map(field => toText(pick(statusObj, field) ?? pick(rawStats, field)))
+                .filter(Boolean);
+            result.conditions = fieldValues.length > 0 ? fieldValues.join(', ') : toText(typeof status === 'string' ? status : '');
+        }
+
+        if (userStatsConfig?.skillsSection?.enabled) {
+            result.skills = toText(pick(rawStats, 'skills', userStatsConfig.skillsSection.label));
+        }
+
+        if (extensionSettings.showInventory) {
+            const inventory = pick(rawStats, 'inventory');
+            if (inventory && typeof inventory === 'object') {
+                result.inventory = {
+                    onPerson: toLocationMap(pick(inventory, 'onPerson')),
+                    stored: toLocationMap(pick(inventory, 'stored')),
+                    assets: toText(pick(inventory, 'assets')) || 'None'
+                };
+            } else {
+                issues.push('Missing inventory');
+            }
+        }
+
+        const quests = pick(rawStats, 'quests') ?? pick(root, 'quests');
+        if (quests && typeof quests === 'object') {
+            const toTitles = (value) => (Array.isArray(value) ? value.map(toText) : toText(value).split(','))
+                .map(q => q.trim())
+                .filter(q => q && q !== 'None');
+
+            // Objectives: { "<Quest>": "[x] a; [ ] b" } or { "<Quest>": ["[x] a", { "text": "b", "done": false }] }
+            const objectives = {};
+            const rawObjectives = pick(quests, 'objectives');
+            if (rawObjectives && typeof rawObjectives === 'object' && !Array.isArray(rawObjectives)) {
+                for (const [title, value] of Object.entries(rawObjectives)) {
+                    const list = Array.isArray(value)
+                        ? value.flatMap(o => (o && typeof o === 'object')
+                            ? [{ text: toText(o.text ?? o.objective), done: Boolean(o.done) }]
+                            : parseObjectiveList(toText(o)))
+                        : parseObjectiveList(toText(value));
+                    const cleaned = list.filter(o => o.text);
+                    if (cleaned.length > 0) {
+                        objectives[title.trim()] = cleaned;
+                    }
+                }
+            }
+
+            result.quests = {
+                main: toText(pick(quests, 'main')) || 'None',
+                optional: toTitles(pick(quests, 'optional')),
+                objectives,
+                completed: toTitles(pick(quests, 'completed')),
+                failed: toTitles(pick(quests, 'failed'))
+            };
+        }
+
+        data.userStats = result;
+    }
+
+    // Info Box
+    const rawInfo = pick(root, 'infoBox', 'info', 'scene');
+    if (rawInfo && typeof rawInfo === 'object') {
+        const widgets = trackerConfig?.infoBox?.widgets || {};
+        const info = {};
+
+        if (widgets.date?.enabled) {
+            info.date = toText(pick(rawInfo, 'date'));
+        }
+        if (widgets.weather?.enabled) {
+            const weather = pick(rawInfo, 'weather');
+            info.weather = weather && typeof weather === 'object'
+                ? [toText(pick(weather, 'emoji')), toText(pick(weather, 'forecast', 'description'))].filter(Boolean).join(', ')
+                : toText(weather);
+        }
+        if (widgets.temperature?.enabled) {
+            const temperature = toText(pick(rawInfo, 'temperature'));
+            const unit = widgets.temperature.unit === 'F' ? '°F' : '°C';
+            info.temperature = /^-?\d+(\.\d+)?$/.test(temperature) ? `${temperature}${unit}` : temperature;
+        }
+        if (widgets.time?.enabled) {
+            const time = pick(rawInfo, 'time');
+            info.time = time && typeof time === 'object'
+                ? [toText(pick(time, 'start')), toText(pick(time, 'end'))].filter(Boolean).join(' → ')
+                : toText(time);
+        }
+        if (widgets.location?.enabled) {
+            info.location = toText(pick(rawInfo, 'location'));
+        }
+        if (widgets.recentEvents?.enabled) {
+            info.recentEvents = toText(pick(rawInfo, 'recentEvents', 'events'));
+        }
+
+        for (const [key, value] of Object.entries(info)) {
+            if (!value) {
+                issues.push(`Missing Info Box field: ${key}`);
+            }
+        }
+
+        data.infoBox = info;
+    }
+
+    // Present Characters
+    const rawCharacters = pick(root, 'characters', 'presentCharacters');
+    if (Array.isArray(rawCharacters)) {
+        const presentConfig = trackerConfig?.presentCharacters;
+        const enabledFields = presentConfig?.customFields?.filter(f => f && f.enabled && f.name) || [];
+        const enabledCharStats = presentConfig?.characterStats?.enabled
+            ? presentConfig.characterStats.customStats?.filter(s => s && s.enabled && s.name) || []
+            : [];
+
+        data.characters = rawCharacters
+            .filter(c => c && typeof c === 'object' && toText(pick(c, 'name')))
+            .map(c => {
+                const name = toText(pick(c, 'name'));
+                const fieldSource = pick(c, 'fields', 'details') || c;
+                const statSource = pick(c, 'stats') || c;
+                const character = {
+                    name,
+                    emoji: toText(pick(c, 'emoji')) || '😶',
+                    fields: {},
+                    relationship: toText(pick(c, 'relationship')),
+                    stats: {},
+                    thoughts: toText(pick(c, 'thoughts', presentConfig?.thoughts?.name))
+                };
+
+                for (const field of enabledFields) {
+                    character.fields[field.name] = toText(pick(fieldSource, field.name, field.id));
+                    if (!character.fields[field.name]) {
+                        issues.push(`Character "${name}" is missing field: ${field.name}`);
+                    }
+                }
+
+                for (const stat of enabledCharStats) {
+                    const value = toPercent(pick(statSource, stat.name, stat.id));
+                    if (value !== null) {
+                        character.stats[stat.name] = value;
+                    }
+                }
+
+                return character;
+            });
+    }
+
+    return { data, issues };
+}
+
+/**
+ * Converts validated tracker JSON into the text sections used everywhere else
+ * (lastGeneratedData, committedTrackerData, swipe data and the renderers).
+ *
+ * @param {Object} data - Validated data from validateTrackerJson()
+ * @returns {{userStats: string|null, infoBox: string|null, characterThoughts: string|null}} Text sections
+ */
+export function trackerJsonToSections(data) {
+    const result = { userStats: null, infoBox: null, characterThoughts: null };
+    const trackerConfig = extensionSettings.trackerConfig;
+    const userName = getContext().name1;
+
+    if (data?.userStats) {
+        const stats = data.userStats;
+        const lines = [`${userName}'s Stats`, '---'];
+
+        for (const stat of (trackerConfig?.userStats?.customStats || []).filter(s => s && s.enabled && s.name && s.id)) {
+            if (stats.stats[stat.id] !== undefined) {
+                lines.push(`- ${stat.name}: ${stats.stats[stat.id]}%`);
+            }
+        }
+
+        if (stats.mood !== undefined || stats.conditions !== undefined) {
+            const statusParts = [];
+            if (trackerConfig?.userStats?.statusSection?.showMoodEmoji && stats.mood) {
+                statusParts.push(stats.mood);
+            }
+            if (stats.conditions) {
+                statusParts.push(stats.conditions);
+            }
+            if (statusParts.length > 0) {
+                lines.push(`Status: ${statusParts.join(', ')}`);
+            }
+        }
+
+        if (stats.skills) {
+            lines.push(`Skills: ${stats.skills}`);
+        }
+
+        if (stats.inventory) {
+            for (const [location, items] of Object.entries(stats.inventory.onPerson)) {
+                lines.push(`On Person - ${location}: ${items}`);
+            }
+            for (const [location, items] of Object.entries(stats.inventory.stored)) {
+                lines.push(`Stored - ${location}: ${items}`);
+            }
+            lines.push(`Assets: ${stats.inventory.assets}`);
+        }
+
+        if (stats.quests) {
+            lines.push(`Main Quests: ${stats.quests.main}`);
+            lines.push(`Optional Quests: ${stats.quests.optional.length > 0 ? stats.quests.optional.join(', ') : 'None'}`);
+            for (const [title, objectives] of Object.entries(stats.quests.objectives || {})) {
+                lines.push(`Quest Objectives - ${title}: ${formatObjectiveList(objectives)}`);
+            }
+            if (stats.quests.completed?.length > 0) {
+                lines.push(`Completed Quests: ${stats.quests.completed.join(', ')}`);
+            }
+            if (stats.quests.failed?.length > 0) {
+                lines.push(`Failed Quests: ${stats.quests.failed.join(', ')}`);
+            }
+        }
+
+        result.userStats = lines.join('\n');
+    }
+
+    if (data?.infoBox) {
+        const labels = {
+            date: 'Date',
+            weather: 'Weather',
+            temperature: 'Temperature',
+            time: 'Time',
+            location: 'Location',
+            recentEvents: 'Recent Events'
+        };
+        const lines = ['Info Box', '---'];
+        for (const [key, label] of Object.entries(labels)) {
+            if (data.infoBox[key]) {
+                lines.push(`${label}: ${data.infoBox[key]}`);
+            }
+        }
+        result.infoBox = lines.join('\n');
+    }
+
+    if (data?.characters) {
+        const presentConfig = trackerConfig?.presentCharacters;
+        const enabledFields = presentConfig?.customFields?.filter(f => f && f.enabled && f.name) || [];
+        const thoughtsName = presentConfig?.thoughts?.name || 'Thoughts';
+        const lines = ['Present Characters', '---'];
+
+        for (const character of data.characters) {
+            lines.push(`- ${character.name}`);
+            const details = [character.emoji, ...enabledFields.map(f => character.fields[f.name] || '')];
+            lines.push(`Details: ${details.join(' | ')}`);
+            if (character.relationship && (presentConfig?.relationshipFields || []).length > 0) {
+                lines.push(`Relationship: ${character.relationship}`);
+            }
+            const statParts = Object.entries(character.stats).map(([name, value]) => `${name}: ${value}%`);
+            if (statParts.length > 0) {
+                lines.push(`Stats: ${statParts.join(' | ')}`);
+            }
+            if (character.thoughts && presentConfig?.thoughts?.enabled) {
+                lines.push(`${thoughtsName}: ${character.thoughts}`);
+            }
+        }
+
+        result.characterThoughts = lines.join('\n');
+    }
+
+    return result;
+}
+
+/**
+ * Parses a model response in the structured JSON format.
+ *
+ * @param {string} responseText - Model response (thinking tags already removed)
+ * @returns {{sections: {userStats: string|null, infoBox: string|null, characterThoughts: string|null}, issues: Array<string>}|null}
+ *          Text sections plus validation issues, or null if no tracker JSON was found
+ */
+export function parseTrackerJson(responseText) {
+    const jsonText = extractTrackerJsonText(responseText);
+    const raw = repairJson(jsonText);
+    if (!raw) {
+        return null;
+    }
+
+    const { data, issues } = validateTrackerJson(raw);
+    if (!data.userStats && !data.infoBox && !data.characters) {
+        return null;
+    }
+
+    if (issues.length > 0) {
+        console.warn('[RPG Companion] Tracker JSON validation issues:', issues);
+    }
+
+    return { sections: trackerJsonToSections(data), issues };
+}
+
+/**
+ * Builds the JSON schema example for the enabled trackers.
+ * Values are placeholder descriptions when `sections` is omitted, or the current
+ * tracker state when text sections are provided (used for the "previous trackers" example).
+ *
+ * @param {string|null} targetSection - 'userStats', 'infoBox', 'characterThoughts', or null for all enabled sections
+ * @param {{userStats: string|null, infoBox: string|null, characterThoughts: string|null}|null} sections - Optional current text sections
+ * @returns {Object} JSON-serializable example object
+ */
+export function buildTrackerJsonExample(targetSection = null, sections = null) {
+    const trackerConfig = extensionSettings.trackerConfig;
+    const userName = getContext().name1;
+    const example = {};
+    const current = sections ? trackerSectionsToJson(sections) : null;
+
+    const include = (section, enabled) => (targetSection === null || targetSection === section) && enabled;
+
+    if (include('userStats', extensionSettings.showUserStats) && (!current || current.userStats)) {
+        const userStatsConfig = trackerConfig?.userStats;
+        const userStats = { stats: {} };
+
+        for (const stat of (userStatsConfig?.customStats || []).filter(s => s && s.enabled && s.name)) {
+            userStats.stats[stat.name] = current ? current.userStats.stats[stat.name] ?? 0 : '<0-100>';
+        }
+
+        if (userStatsConfig?.statusSection?.enabled) {
+            userStats.status = {};
+            if (userStatsConfig.statusSection.showMoodEmoji) {
+                userStats.status.mood = current ? current.userStats.status.mood || '' : '<Mood Emoji>';
+            }
+            for (const field of userStatsConfig.statusSection.customFields || []) {
+                userStats.status[field] = current ? current.userStats.status[field] || '' : `<${field}>`;
+            }
+        }
+
+        if (userStatsConfig?.skillsSection?.enabled) {
+            userStats.skills = current ? current.userStats.skills || '' : `<${(userStatsConfig.skillsSection.customFields || []).join(', ') || 'Skill1, Skill2, etc.'}>`;
+        }
+
+        if (extensionSettings.showInventory && FEATURE_FLAGS.useNewInventory) {
+            userStats.inventory = current?.userStats.inventory || {
+                onPerson: { '<Location on body, e.g. Equipped>': '<Items carried/worn there>' },
+                stored: { '<Storage Location>': '<Items stored at this location>' },
+                assets: '<Vehicles, property, major possessions, or "None">'
+            };
+        }
+
+        // Current state only shows active quests and their open objectives
+        userStats.quests = current ? getQuestSummaryData() : {
+            main: '<Short title of the currently active main quest, or "None">',
+            optional: ['<Short titles of the currently active optional quests>'],
+            objectives: { '<Quest Title>': '[x] <Done objective>; [ ] <Open objective>' },
+            completed: ['<Titles of quests completed since the last update>'],
+            failed: ['<Titles of quests failed since the last update>']
+        };
+
+        example.userStats = userStats;
+    }
+
+    if (include('infoBox', extensionSettings.showInfoBox) && (!current || current.infoBox)) {
+        const widgets = trackerConfig?.infoBox?.widgets || {};
+        const placeholders = {
+            date: '<Weekday, Month Day, Year>',
+            weather: { emoji: '<Weather Emoji>', forecast: '<Forecast>' },
+            temperature: `<Temperature in ${widgets.temperature?.unit === 'F' ? '°F' : '°C'}>`,
+            time: { start: '<Time Start>', end: '<Time End>' },
+            location: '<Location>',
+            recentEvents: ['<Up to three past events leading to the ongoing scene>']
+        };
+        const infoBox = {};
+        for (const [key, placeholder] of Object.entries(placeholders)) {
+            if (widgets[key]?.enabled) {
+                infoBox[key] = current ? current.infoBox[key] ?? '' : placeholder;
+            }
+        }
+        example.infoBox = infoBox;
+    }
+
+    if (include('characterThoughts', extensionSettings.showCharacterThoughts) && (!current || current.characters)) {
+        if (current) {
+            example.characters = current.characters;
+        } else {
+            const presentConfig = trackerConfig?.presentCharacters;
+            const character = {
+                name: extensionSettings.narratorMode
+                    ? `<Character Name (infer from story context; do not include ${userName})>`
+                    : `<Name (do not include ${userName})>`,
+                emoji: '<Present Character\'s Emoji>',
+                fields: {}
+            };
+            for (const field of presentConfig?.customFields?.filter(f => f && f.enabled && f.name) || []) {
+                character.fields[field.name] = `<${field.description || field.name}>`;
+            }
+            const relationshipFields = (presentConfig?.relationshipFields || []).filter(r => r && r.trim());
+            if (relationshipFields.length > 0) {
+                character.relationship = `<choose one: ${relationshipFields.join('/')}>`;
+            }
+            if (presentConfig?.characterStats?.enabled) {
+                character.stats = {};
+                for (const stat of presentConfig.characterStats.customStats?.filter(s => s && s.enabled && s.name) || []) {
+                    character.stats[stat.name] = '<0-100>';
+                }
+            }
+            if (presentConfig?.thoughts?.enabled) {
+                character.thoughts = `<${presentConfig.thoughts.description || 'Internal monologue (in first person POV, up to three sentences long)'}>`;
+            }
+            example.characters = [character];
+        }
+    }
+
+    return example;
+}
+
+/**
+ * Converts existing text sections back into the JSON shape (used to show the model
+ * the previous trackers in the same format it is asked to answer in).
+ *
+ * @param {{userStats: string|null, infoBox: string|null, characterThoughts: string|null}} sections - Text sections
+ * @returns {{userStats: Object|null, infoBox: Object|null, characters: Array|null}} JSON-shaped tracker data
+ */
+export function trackerSectionsToJson(sections) {
+    const result = { userStats: null, infoBox: null, characters: null };
+    const trackerConfig = extensionSettings.trackerConfig;
+
+    if (sections?.userStats) {
+        const text = sections.userStats;
+        const userStatsConfig = trackerConfig?.userStats;
+        const userStats = { stats: {}, status: {} };
+
+        for (const stat of (userStatsConfig?.customStats || []).filter(s => s && s.enabled && s.name)) {
+            const match = text.match(new RegExp(`${stat.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}:\\s*(\\d+)%`, 'i'));
+            if (match) {
+                userStats.stats[stat.name] = parseInt(match[1]);
+            }
+        }
+
+        const statusMatch = text.match(/Status:\s*(.+)/i);
+        if (statusMatch) {
+            const parts = statusMatch[1].split(',').map(p => p.trim());
+            if (userStatsConfig?.statusSection?.showMoodEmoji) {
+                userStats.status.mood = parts.shift() || '';
+            }
+            const fields = userStatsConfig?.statusSection?.customFields || [];
+            fields.forEach((field, index) => {
+                userStats.status[field] = index === fields.length - 1 ? parts.slice(index).join(', ') : (parts[index] || '');
+            });
+        }
+
+        const skillsMatch = text.match(/Skills:\s*(.+)/i);
+        if (skillsMatch) {
+            userStats.skills = skillsMatch[1].trim();
+        }
+
+        const inventory = extractInventoryData(text);
+        if (inventory) {
+            userStats.inventory = { onPerson: inventory.onPerson, stored: inventory.stored, assets: inventory.assets };
+        }
+
+        const mainQuest = text.match(/Main Quests?:\s*(.+)/i);
+        const optionalQuests = text.match(/Optional Quests:\s*(.+)/i);
+        if (mainQuest || optionalQuests) {
+            const objectives = {};
+            for (const match of text.matchAll(/Quest Objectives\s*-\s*([^:\n]+):\s*(.+)/gi)) {
+                objectives[match[1].trim()] = formatObjectiveList(parseObjectiveList(match[2]));
+            }
+            userStats.quests = {
+                main: mainQuest ? mainQuest[1].trim() : 'None',
+                optional: optionalQuests
+                    ? optionalQuests[1].split(',').map(q => q.trim()).filter(q => q && q !== 'None')
+                    : [],
+                objectives
+            };
+        }
+
+        result.userStats = userStats;
+    }
+
+    if (sections?.infoBox) {
+        const labels = {
+            'date': 'date',
+            'weather': 'weather',
+            'temperature': 'temperature',
+            'time': 'time',
+            'location': 'location',
+            'recent events': 'recentEvents'
+        };
+        const infoBox = {};
+        for (const line of sections.infoBox.split('\n')) {
+            const match = line.match(/^([A-Za-z ]+):\s*(.*)$/);
+            const key = match ? labels[match[1].trim().toLowerCase()] : null;
+            if (key) {
+                infoBox[key] = match[2].trim();
+            }
+        }
+        if (infoBox.weather) {
+            const [emoji, ...forecast] = infoBox.weather.split(',');
+            infoBox.weather = { emoji: emoji.trim(), forecast: forecast.join(',').trim() };
+        }
+        if (infoBox.time) {
+            const [start, end] = infoBox.time.split('→').map(t => t.trim());
+            infoBox.time = { start: start || '', end: end || '' };
+        }
+        if (infoBox.recentEvents) {
+            infoBox.recentEvents = infoBox.recentEvents.split(',').map(e => e.trim()).filter(Boolean);
+        }
+        result.infoBox = infoBox;
+    }
+
+    if (sections?.characterThoughts) {
+        const presentConfig = trackerConfig?.presentCharacters;
+        const enabledFields = presentConfig?.customFields?.filter(f => f && f.enabled && f.name) || [];
+        const thoughtsName = (presentConfig?.thoughts?.name || 'Thoughts').toLowerCase();
+        const characters = [];
+        let current = null;
+
+        for (const line of sections.characterThoughts.split('\n')) {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('- ')) {
+                const name = trimmed.substring(2).trim();
+                current = name && name.toLowerCase() !== 'unavailable' ? { name, emoji: '', fields: {} } : null;
+                if (current) {
+                    characters.push(current);
+                }
+                continue;
+            }
+            if (!current) {
+                continue;
+            }
+
+            const colonIndex = trimmed.indexOf(':');
+            if (colonIndex === -1) {
+                continue;
+            }
+            const label = trimmed.substring(0, colonIndex).trim().toLowerCase();
+            const value = trimmed.substring(colonIndex + 1).trim();
+
+            if (label === 'details') {
+                const parts = value.split('|').map(p => p.trim());
+                current.emoji = parts[0] || '';
+                enabledFields.forEach((field, index) => {
+                    current.fields[field.name] = parts[index + 1] || '';
+                });
+            } else if (label === 'relationship') {
+                current.relationship = value;
+            } else if (label === 'stats') {
+                current.stats = {};
+                for (const part of value.split('|')) {
+                    const statMatch = part.trim().match(/^(.+?):\s*(\d+)%?$/);
+                    if (statMatch) {
+                        current.stats[statMatch[1].trim()] = parseInt(statMatch[2]);
+                    }
+                }
+            } else if (label === thoughtsName) {
+                current.thoughts = value;
+            }
+        }
+
+        result.characters = characters;
+    }
+
+    return result;
+}
@@ -2,11 +2,33 @@
  * Assembler - Core prompt assembly engine
  * 
  * Takes sections and assembles them into a final prompt string.
- * Handles ordering, filtering, template processing, and formatting.
+ * Handles ordering, filtering, template processing, formatting, and
+ * keeping the prompt within its token budget.
  */
 
 import { SectionCollection } from './section.js';
 import { processTemplate } from './template.js';
+import { estimateTokens, applyTruncationPolicy } from './token-budget.js';
+
+/**
+ * @typedef {Object} SectionTokenInfo
+ * @property {string} id - Section ID
+ * @property {string} label - Section label
+ * @property {number} priority - Section priority
+ * @property {string} truncation - Truncation policy of the section
+ * @property {number} originalTokens - Estimated tokens before budgeting
+ * @property {number} tokens - Estimated tokens in the final prompt
+ * @property {string} status - 'kept', 'trimmed', 'summarized' or 'dropped'
+ */
+
+/**
+ * @typedef {Object} AssemblyResult
+ * @property {string} prompt - Assembled prompt
+ * @property {SectionTokenInfo[]} sections - Per-section breakdown, in prompt order
+ * @property {number} totalTokens - Estimated tokens of the prompt
+ * @property {number} tokenBudget - Budget the prompt was built for (0 = no limit)
+ * @property {boolean} overBudget - True if the prompt is still over the budget
+ */
 
 /**
  * Prompt Assembler
@@ -18,11 +40,13 @@ export class PromptAssembler {
      * @param {Object} [options={}] - Assembler options
      * @param {string} [options.separator='\n\n'] - Separator between sections
      * @param {Object} [options.templateData={}] - Data for template processing
+     * @param {number} [options.tokenBudget=0] - Token budget for the prompt (0 = no limit)
      */
     constructor(options = {}) {
         this.sections = new SectionCollection();
         this.separator = options.separator !== undefined ? options.separator : '\n\n';
         this.templateData = options.templateData || {};
+        this.tokenBudget = options.tokenBudget || 0;
     }
 
     /**
@@ -67,48 +91,122 @@ export class PromptAssembler {
     }
 
     /**
-     * Build the final prompt string
+     * Set the token budget for the prompt
+     * @param {number} tokenBudget - Token budget (0 = no limit)
+     */
+    setTokenBudget(tokenBudget) {
+        this.tokenBudget = Math.max(0, parseInt(tokenBudget) || 0);
+    }
+
+    /**
+     * Assemble the prompt and report how each section fits the token budget.
+     * While the prompt is over budget, sections are reduced from the lowest priority
+     * up according to their truncation policy; 'keep' sections are never touched.
      * @param {Object} [options={}] - Build options
      * @param {Object} [options.templateData] - Override template data for this build
      * @param {string} [options.separator] - Override separator for this build
      * @param {boolean} [options.trim=true] - Trim whitespace from final prompt
-     * @returns {string} Assembled prompt
+     * @param {number} [options.tokenBudget] - Override token budget for this build (0 = no limit)
+     * @returns {AssemblyResult}
      */
-    build(options = {}) {
+    assemble(options = {}) {
         const templateData = options.templateData || this.templateData;
         const separator = options.separator !== undefined ? options.separator : this.separator;
         const trim = options.trim !== undefined ? options.trim : true;
+        const tokenBudget = options.tokenBudget !== undefined ? options.tokenBudget : this.tokenBudget;
 
-        // Get enabled sections sorted by priority
-        const enabledSections = this.sections.getSorted(true);
+        // Process enabled sections (sorted by priority) through the template engine,
+        // leaving out the ones that come out empty. Raw sections are used as-is.
+        const entries = this.sections.getSorted(true)
+            .map(section => {
+                const content = section.raw ? section.getContent() : processTemplate(section.getContent(), templateData);
+                return {
+                    section,
+                    content,
+                    originalTokens: estimateTokens(content),
+                    status: 'kept'
+                };
+            })
+            .filter(entry => entry.content.trim().length > 0);
 
-        // Process each section's content through template engine
-        const processedSections = enabledSections.map(section => {
-            const content = section.getContent();
-            return processTemplate(content, templateData);
-        });
+        const separatorTokens = estimateTokens(separator);
+        const countTokens = () => {
+            const included = entries.filter(entry => entry.status !== 'dropped');
+            const contentTokens = included.reduce((total, entry) => total + estimateTokens(entry.content), 0);
+            return contentTokens + Math.max(0, included.length - 1) * separatorTokens;
+        };
+
+        let totalTokens = countTokens();
+        if (tokenBudget > 0 && totalTokens > tokenBudget) {
+            // Lowest priority first (entries are sorted highest first)
+            for (const entry of [...entries].reverse()) {
+                if (totalTokens <= tokenBudget) break;
+                if (entry.section.truncation === 'keep') continue;
 
-        // Filter out empty sections
-        const nonEmptySections = processedSections.filter(content => content.trim().length > 0);
+                const excess = totalTokens - tokenBudget;
+                const reduced = applyTruncationPolicy(entry.content, entry.section.truncation, estimateTokens(entry.content) - excess);
+                if (reduced) {
+                    entry.content = reduced;
+                    entry.status = entry.section.truncation === 'summarize' ? 'summarized' : 'trimmed';
+                } else {
+                    entry.content = '';
+                    entry.status = 'dropped';
+                }
+                totalTokens = countTokens();
+            }
+
+            if (totalTokens > tokenBudget) {
+                console.warn(`[PromptAssembler] Prompt is still over its token budget (${totalTokens}/${tokenBudget}) after truncation`);
+            }
+        }
 
         // Join with separator
-        let prompt = nonEmptySections.join(separator);
+        let prompt = entries
+            .filter(entry => entry.status !== 'dropped')
+            .map(entry => entry.content)
+            .join(separator);
 
         // Trim if requested
         if (trim) {
             prompt = prompt.trim();
         }
 
-        return prompt;
+        return {
+            prompt,
+            sections: entries.map(entry => ({
+                id: entry.section.id,
+                label: entry.section.label,
+                priority: entry.section.priority,
+                truncation: entry.section.truncation,
+                originalTokens: entry.originalTokens,
+                tokens: entry.status === 'dropped' ? 0 : estimateTokens(entry.content),
+                status: entry.status
+            })),
+            totalTokens,
+            tokenBudget,
+            overBudget: tokenBudget > 0 && totalTokens > tokenBudget
+        };
+    }
+
+    /**
+     * Build the final prompt string
+     * @param {Object} [options={}] - Build options (see assemble())
+     * @returns {string} Assembled prompt
+     */
+    build(options = {}) {
+        return this.assemble(options).prompt;
     }
 
     /**
      * Get a preview of the assembled prompt with metadata
-     * @returns {Object} Preview data
+     * @param {Object} [options={}] - Build options (see assemble())
+     * @returns {Object} Preview data, including the per-section token breakdown
      */
-    preview() {
+    preview(options = {}) {
         const enabledSections = this.sections.getSorted(true);
         const allSections = this.sections.getSorted(false);
+        const result = this.assemble(options);
+        const tokensById = new Map(result.sections.map(info => [info.id, info]));
 
         return {
             totalSections: allSections.length,
@@ -118,10 +216,17 @@ export class PromptAssembler {
                 id: section.id,
                 label: section.label,
                 priority: section.priority,
+                truncation: section.truncation,
                 contentLength: section.content.length,
-                contentPreview: section.content.substring(0, 100) + (section.content.length > 100 ? '...' : '')
+                contentPreview: section.content.substring(0, 100) + (section.content.length > 100 ? '...' : ''),
+                originalTokens: tokensById.get(section.id)?.originalTokens || 0,
+                tokens: tokensById.get(section.id)?.tokens || 0,
+                status: tokensById.get(section.id)?.status || 'empty'
             })),
-            estimatedLength: this.build().length
+            estimatedLength: result.prompt.length,
+            totalTokens: result.totalTokens,
+            tokenBudget: result.tokenBudget,
+            overBudget: result.overBudget
         };
     }
 
@@ -5,9 +5,10 @@
  * 
  * Key Features:
  * - Modular sections with priority-based ordering
- * - Template processing with SillyTavern macro preservation
+ * - Template processing (conditionals, loops, filters) with SillyTavern macro preservation
+ * - Token budgeting with per-section truncation policies
  * - Settings persistence via extensionSettings
- * - Profile/preset support
+ * - Profile/preset support, with shareable prompt packs
  * - Reusable across multiple components
  * 
  * Usage Example:
@@ -29,15 +30,41 @@
  */
 
 import { Section, SectionCollection } from './section.js';
-import { Template, processTemplate, containsMacros, extractMacros, validateTemplate } from './template.js';
+import { Template, processTemplate, containsMacros, extractMacros, validateTemplate, TEMPLATE_FILTERS } from './template.js';
 import { PromptAssembler } from './assembler.js';
 import { SettingsAdapter } from './settings-adapter.js';
 import { sendTextGeneration } from './sender.js';
+import { TRUNCATION_POLICIES, estimateTokens } from './token-budget.js';
+import { PACK_VERSION, CONFLICT_RESOLUTIONS, createPromptPack, parsePromptPack, diffPromptPack, applyPromptPack } from './preset-pack.js';
 import { getContext } from '../../../../../../../extensions.js';
 import { setVariables } from './variable-injector.js';
 import { getChatContext, getTrackerContext } from '../contextBuilder.js';
 import { committedTrackerData } from '../../../core/state.js';
 
+/**
+ * Extract the present characters from the Present Characters tracker text
+ * ("- Name" lines followed by field lines such as "Thoughts: ...")
+ * @param {string} text - Tracker text
+ * @returns {Array<{name: string, thoughts: string}>}
+ */
+function parsePresentCharacters(text) {
+    const characters = [];
+    let current = null;
+
+    for (const line of (text || '').split('\n')) {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('- ')) {
+            const name = trimmed.substring(2).trim();
+            current = name && name !== '…' && name.toLowerCase() !== 'unavailable' ? { name, thoughts: '' } : null;
+            if (current) characters.push(current);
+        } else if (current && trimmed.startsWith('Thoughts:')) {
+            current.thoughts = trimmed.substring('Thoughts:'.length).trim();
+        }
+    }
+
+    return characters;
+}
+
 /**
  * Prompt Builder
  * High-level interface for building and sending prompts
@@ -50,6 +77,7 @@ export class PromptBuilder {
      */
     constructor(extensionSettings, componentKey) {
         this.componentKey = componentKey;
+        this.extensionSettings = extensionSettings;
         this.adapter = new SettingsAdapter(extensionSettings, componentKey);
         this.assembler = this.adapter.loadAssembler();
     }
@@ -132,9 +160,23 @@ export class PromptBuilder {
         this.save();
     }
 
+    /**
+     * Update a section's truncation policy
+     * @param {string} id - Section ID
+     * @param {string} policy - Truncation policy (see TRUNCATION_POLICIES)
+     */
+    updateSectionTruncation(id, policy) {
+        const section = this.assembler.getSection(id);
+        if (section) {
+            section.setTruncation(policy);
+            this.save();
+        }
+    }
+
     /**
      * Build the final prompt string
-     * Updates chat context and tracker sections before building
+     * Updates chat context and tracker sections before building,
+     * then fits the prompt into the token budget
      * @param {Object} [options] - Build options
      * @param {string} [options.guidance] - Optional user guidance to include
      * @returns {string}
@@ -149,7 +191,57 @@ export class PromptBuilder {
         // Update guidance section if provided
         this.updateGuidanceSection(options.guidance);
 
-        return this.assembler.build(options);
+        return this.assembler.build(this.getAssemblyOptions(options));
+    }
+
+    /**
+     * Options passed to the assembler: the token budget and the template data
+     * (tracker data, then the builder's template data, then per-build overrides)
+     * @param {Object} [options] - Build options
+     * @returns {Object} Assembler options
+     */
+    getAssemblyOptions(options = {}) {
+        return {
+            tokenBudget: this.getPromptTokenBudget(),
+            ...options,
+            templateData: { ...this.getTrackerTemplateData(), ...this.assembler.templateData, ...options.templateData }
+        };
+    }
+
+    /**
+     * Tracker data available to every section template, so one template can adapt
+     * to which trackers are enabled, e.g. {#if trackers.inventory}...{/if}
+     * (template data set with setTemplateData() takes precedence)
+     * @returns {Object} Template data
+     */
+    getTrackerTemplateData() {
+        const { inventory, ...stat } = this.extensionSettings.userStats || {};
+        const items = [];
+        for (const [location, list] of Object.entries(inventory?.onPerson || {})) {
+            if (Array.isArray(list)) {
+                list.forEach(item => items.push({ ...item, location }));
+            }
+        }
+
+        const quests = this.extensionSettings.quests?.list || [];
+
+        return {
+            trackers: { ...this.getTrackerToggles() },
+            stat,
+            level: this.extensionSettings.level,
+            inventory: items,
+            quests: quests.filter(quest => quest.status === 'active'),
+            presentCharacters: parsePresentCharacters(committedTrackerData.characterThoughts)
+        };
+    }
+
+    /**
+     * Get a preview of the last built prompt with a per-section token breakdown
+     * (sections are not refreshed; call build() first for fresh content)
+     * @returns {Object} Preview data (see PromptAssembler.preview())
+     */
+    preview() {
+        return this.assembler.preview(this.getAssemblyOptions());
     }
 
     /**
@@ -171,7 +263,9 @@ export class PromptBuilder {
                 priority: 50,
                 enabled: false,
                 label: '💬 Chat Context (System)',
-                description: 'Automatically includes recent chat messages based on depth setting'
+                description: 'Automatically includes recent chat messages based on depth setting',
+                truncation: 'trimStart',
+                raw: true
             });
             this.addSection(chatSection);
         }
@@ -188,6 +282,10 @@ export class PromptBuilder {
         chatSection.setContent(chatContent);
         chatSection.setEnabled(chatDepth > 0);
         chatSection.description = `Includes last ${chatDepth} messages from chat (controlled by depth setting)`;
+        // Oldest messages go first when the prompt is over budget
+        chatSection.setTruncation('trimStart');
+        // Chat messages are never template-processed
+        chatSection.raw = true;
 
         // Save the updated section
         this.save();
@@ -212,7 +310,9 @@ export class PromptBuilder {
                 priority: 0, // Lowest priority - appears at the end
                 enabled: false,
                 label: '✨ User Guidance (System)',
-                description: 'Special instructions provided by the user for this generation'
+                description: 'Special instructions provided by the user for this generation',
+                truncation: 'keep',
+                raw: true
             });
             this.addSection(guidanceSection);
         }
@@ -225,6 +325,8 @@ export class PromptBuilder {
 
         guidanceSection.setContent(guidanceContent);
         guidanceSection.setEnabled(!!guidance && !!guidance.trim());
+        guidanceSection.setTruncation('keep');
+        guidanceSection.raw = true;
 
         // Save the updated section
         this.save();
@@ -303,13 +405,17 @@ export class PromptBuilder {
                     priority: config.priority,
                     enabled: isEnabled,
                     label: config.label,
-                    description: `Auto-generated from RPG Companion tracker data`
+                    description: `Auto-generated from RPG Companion tracker data`,
+                    truncation: 'summarize',
+                    raw: true
                 });
                 this.addSection(section);
             } else {
                 // Update existing section
                 section.setContent(content);
                 section.setEnabled(isEnabled);
+                section.setTruncation('summarize');
+                section.raw = true;
             }
         }
 
@@ -333,6 +439,30 @@ export class PromptBuilder {
         this.adapter.setMaxTokens(maxTokens);
     }
 
+    /**
+     * Get context size setting (prompt + response tokens)
+     * @returns {number} Context size (0 = no limit)
+     */
+    getContextSize() {
+        return this.adapter.getContextSize();
+    }
+
+    /**
+     * Set context size setting
+     * @param {number} contextSize - Context size in tokens (0 = no limit)
+     */
+    setContextSize(contextSize) {
+        this.adapter.setContextSize(contextSize);
+    }
+
+    /**
+     * Get the token budget for the prompt (context size minus max tokens)
+     * @returns {number} Token budget (0 = no limit)
+     */
+    getPromptTokenBudget() {
+        return this.adapter.getPromptTokenBudget();
+    }
+
     /**
      * Get profile ID setting
      * @returns {string|null}
@@ -417,6 +547,13 @@ export class PromptBuilder {
         if (profile) {
             this.assembler = profile.assembler;
             this.adapter.setMaxTokens(profile.maxTokens);
+            this.adapter.setContextSize(profile.contextSize);
+            if (profile.chatContextDepth !== undefined) {
+                this.adapter.setChatContextDepth(profile.chatContextDepth);
+            }
+            for (const [trackerType, enabled] of Object.entries(profile.trackerToggles || {})) {
+                this.adapter.setTrackerToggle(trackerType, enabled);
+            }
             this.save();
             return true;
         }
@@ -469,6 +606,8 @@ export class PromptBuilder {
             maxTokens: maxTokens,
             profileId: this.getProfileId(),
             promptLength: prompt.length,
+            promptTokens: estimateTokens(prompt),
+            tokenBudget: this.getPromptTokenBudget(),
             hasGuidance: !!(options.guidance && options.guidance.trim())
         });
 
@@ -499,8 +638,17 @@ export {
     containsMacros,
     extractMacros,
     validateTemplate,
+    TEMPLATE_FILTERS,
     PromptAssembler,
     SettingsAdapter,
+    TRUNCATION_POLICIES,
+    estimateTokens,
+    PACK_VERSION,
+    CONFLICT_RESOLUTIONS,
+    createPromptPack,
+    parsePromptPack,
+    diffPromptPack,
+    applyPromptPack,
     sendTextGeneration
 };
 
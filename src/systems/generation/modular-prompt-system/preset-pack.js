@@ -0,0 +1,481 @@
+/**
+ * Preset Pack - Export and import of prompt configurations
+ *
+ * A prompt pack holds the configuration of one or more components (assembler,
+ * sections, token limits, chat depth, tracker toggles and saved profiles) so
+ * house prompts can be moved between installs. Packs are versioned and carry a
+ * checksum; before a pack is applied, diffPromptPack() shows what it changes.
+ *
+ * Connection profiles are install-specific and never exported. Generated
+ * content of system sections (chat messages, tracker data) is left out.
+ */
+
+import { SettingsAdapter } from './settings-adapter.js';
+
+export const PACK_FORMAT = 'rpg-companion-prompt-pack';
+
+/**
+ * Current pack version. Bump it when the pack layout changes and migrate
+ * older packs in parsePromptPack().
+ */
+export const PACK_VERSION = 1;
+
+/**
+ * How a component that already has a configuration is imported
+ * - overwrite: the pack replaces the configuration (profiles with other names are kept)
+ * - rename: the configuration stays; the pack (with its settings) is added as a new profile
+ * - merge: the pack's sections are added to the configuration (same IDs are replaced) and its settings are applied
+ * - skip: the component is not imported
+ */
+export const CONFLICT_RESOLUTIONS = {
+    overwrite: { label: 'Overwrite' },
+    rename: { label: 'Keep both (import as profile)' },
+    merge: { label: 'Merge sections' },
+    skip: { label: 'Skip' }
+};
+
+/**
+ * Section fields compared by the diff
+ */
+const SECTION_FIELDS = ['label', 'content', 'priority', 'enabled', 'truncation'];
+
+/**
+ * Component settings carried by a pack (besides the assembler and profiles)
+ */
+const SETTING_FIELDS = {
+    maxTokens: 'Max Tokens',
+    contextSize: 'Context Size',
+    chatContextDepth: 'Chat Context Depth',
+    trackerToggles: 'Tracker Toggles'
+};
+
+/**
+ * @typedef {Object} PackComponent
+ * @property {Object} assembler - Serialized assembler
+ * @property {number} maxTokens - Max tokens
+ * @property {number} contextSize - Context size (0 = no limit)
+ * @property {number} chatContextDepth - Chat context depth
+ * @property {Object} trackerToggles - Tracker toggle states
+ * @property {Object.<string, {assembler: Object, maxTokens: number, contextSize: number}>} profiles - Saved profiles
+ */
+
+/**
+ * @typedef {Object} PromptPack
+ * @property {string} format - Always PACK_FORMAT
+ * @property {number} version - Pack version
+ * @property {string} name - Pack name
+ * @property {string} description - Pack description
+ * @property {string} exportDate - ISO date of the export
+ * @property {string} checksum - Checksum of the components
+ * @property {Object.<string, PackComponent>} components - Component configurations by component key
+ */
+
+/**
+ * Keys that would reach Object.prototype when used as a property name
+ */
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Whether a key can name a pack component or profile
+ * @param {string} key - Key from the pack
+ * @returns {boolean}
+ */
+function isValidPackKey(key) {
+    return /^[\w-]+$/.test(key) && !RESERVED_KEYS.includes(key);
+}
+
+/**
+ * Own property of an object (never an inherited one)
+ * @param {Object} object - Object to read from
+ * @param {string} key - Property name
+ * @returns {*} Value or undefined
+ */
+function getOwn(object, key) {
+    return object && Object.hasOwn(object, key) ? object[key] : undefined;
+}
+
+/**
+ * Whether the sections of a serialized assembler have the shape the editor expects
+ * (text fields are strings, the priority is a number, IDs are usable as keys)
+ * @param {Object} assembler - Serialized assembler
+ * @returns {boolean}
+ */
+function hasValidSections(assembler) {
+    if (!assembler || typeof assembler.sections !== 'object' || assembler.sections === null) {
+        return false;
+    }
+    return Object.entries(assembler.sections).every(([id, section]) => section
+        && typeof section === 'object'
+        && !RESERVED_KEYS.includes(id)
+        && section.id === id
+        && ['label', 'content', 'description'].every(field => section[field] == null || typeof section[field] === 'string')
+        && (section.priority == null || Number.isFinite(section.priority)));
+}
+
+function deepCopy(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function isSystemSection(id) {
+    return String(id).startsWith('__system_');
+}
+
+/**
+ * Copy a serialized assembler without the generated content of system sections
+ * @param {Object|null} assembler - Serialized assembler
+ * @returns {Object} Clean copy
+ */
+function cleanAssembler(assembler) {
+    const copy = deepCopy(assembler || { sections: {} });
+    for (const section of Object.values(copy.sections || {})) {
+        if (isSystemSection(section.id)) {
+            section.content = '';
+        }
+    }
+    return copy;
+}
+
+/**
+ * JSON with sorted object keys, so equal data always gives the same string
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * The settings of a component configuration that go into a pack
+ * @param {Object} config - Component settings
+ * @returns {{maxTokens: number, contextSize: number, chatContextDepth: number, trackerToggles: Object}}
+ */
+function getPackSettings(config) {
+    return {
+        maxTokens: config.maxTokens,
+        contextSize: config.contextSize || 0,
+        chatContextDepth: config.chatContextDepth,
+        trackerToggles: deepCopy(config.trackerToggles || {})
+    };
+}
+
+/**
+ * Whether two saved profiles hold the same configuration
+ * @param {Object} a - Profile
+ * @param {Object} b - Profile
+ * @returns {boolean}
+ */
+function isSameProfile(a, b) {
+    const comparable = profile => stableStringify({
+        assembler: cleanAssembler(profile.assembler),
+        maxTokens: profile.maxTokens,
+        contextSize: profile.contextSize || 0
+    });
+    return comparable(a) === comparable(b);
+}
+
+/**
+ * Checksum of a pack's components (FNV-1a, hex). It detects edits and damage
+ * from copy-pasting; it is not a signature.
+ * @param {Object.<string, PackComponent>} components - Pack components
+ * @returns {string} 8-character hex checksum
+ */
+export function computePackChecksum(components) {
+    const text = stableStringify(components);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Create a prompt pack from the current configurations
+ * @param {Object} extensionSettings - Extension settings object
+ * @param {Object} [options={}] - Pack options
+ * @param {string} [options.name='Prompt Pack'] - Pack name
+ * @param {string} [options.description=''] - Pack description
+ * @param {string[]} [options.components] - Component keys to include (default: all configured)
+ * @returns {PromptPack}
+ */
+export function createPromptPack(extensionSettings, options = {}) {
+    const configs = extensionSettings.promptConfigs || {};
+    const keys = options.components || Object.keys(configs).filter(key => configs[key]?.assembler);
+    const components = {};
+
+    for (const key of keys) {
+        const config = configs[key];
+        if (!config?.assembler) continue;
+
+        const profiles = {};
+        for (const [name, profile] of Object.entries(config.profiles || {})) {
+            profiles[name] = {
+                assembler: cleanAssembler(profile.assembler),
+                maxTokens: profile.maxTokens,
+                contextSize: profile.contextSize || 0
+            };
+        }
+
+        components[key] = {
+            assembler: cleanAssembler(config.assembler),
+            ...getPackSettings(config),
+            profiles
+        };
+    }
+
+    return {
+        format: PACK_FORMAT,
+        version: PACK_VERSION,
+        name: options.name || 'Prompt Pack',
+        description: options.description || '',
+        exportDate: new Date().toISOString(),
+        checksum: computePackChecksum(components),
+        components
+    };
+}
+
+/**
+ * Parse and validate a prompt pack
+ * @param {string} jsonString - Pack JSON
+ * @returns {{pack: PromptPack, checksumValid: boolean}} checksumValid is false if the pack was changed after export
+ * @throws {Error} If the text is not a usable prompt pack
+ */
+export function parsePromptPack(jsonString) {
+    let data;
+    try {
+        data = JSON.parse(jsonString);
+    } catch (error) {
+        throw new Error('Not valid JSON');
+    }
+
+    if (!data || data.format !== PACK_FORMAT) {
+        throw new Error('Not a prompt pack');
+    }
+
+    const version = parseInt(data.version);
+    if (!(version >= 1)) {
+        throw new Error('Pack has no version');
+    }
+    if (version > PACK_VERSION) {
+        throw new Error(`Pack version ${version} was made by a newer version of RPG Companion (this one reads up to ${PACK_VERSION})`);
+    }
+
+    if (!data.components || typeof data.components !== 'object' || Object.keys(data.components).length === 0) {
+        throw new Error('Pack contains no components');
+    }
+    for (const [key, component] of Object.entries(data.components)) {
+        if (!isValidPackKey(key) || !hasValidSections(component?.assembler)) {
+            throw new Error(`Component "${key}" is not valid`);
+        }
+        for (const [name, profile] of Object.entries(component.profiles || {})) {
+            if (RESERVED_KEYS.includes(name) || !hasValidSections(profile?.assembler)) {
+                throw new Error(`Profile "${name}" of component "${key}" is not valid`);
+            }
+        }
+    }
+
+    return {
+        pack: {
+            format: PACK_FORMAT,
+            version,
+            name: String(data.name || 'Prompt Pack'),
+            description: String(data.description || ''),
+            exportDate: data.exportDate || '',
+            checksum: data.checksum || '',
+            components: data.components
+        },
+        checksumValid: data.checksum === computePackChecksum(data.components)
+    };
+}
+
+/**
+ * Compare two serialized assemblers section by section
+ * @param {Object|null} current - Current serialized assembler
+ * @param {Object} incoming - Serialized assembler from the pack
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<Object>}}
+ */
+function diffSections(current, incoming) {
+    const currentSections = current?.sections || {};
+    const incomingSections = incoming?.sections || {};
+    const describe = section => ({ id: section.id, label: section.label || section.id });
+
+    const added = [];
+    const changed = [];
+    for (const [id, section] of Object.entries(incomingSections)) {
+        const existing = currentSections[id];
+        if (!existing) {
+            added.push(describe(section));
+            continue;
+        }
+        const fields = SECTION_FIELDS.filter(field => {
+            if (field === 'content' && isSystemSection(id)) return false;
+            return stableStringify(existing[field] ?? null) !== stableStringify(section[field] ?? null);
+        });
+        if (fields.length > 0) {
+            changed.push({ ...describe(section), fields });
+        }
+    }
+
+    const removed = Object.values(currentSections)
+        .filter(section => !incomingSections[section.id])
+        .map(describe);
+
+    return { added, removed, changed };
+}
+
+/**
+ * Show what importing a pack would change, per component
+ * @param {Object} extensionSettings - Extension settings object
+ * @param {PromptPack} pack - Parsed pack
+ * @returns {Array<Object>} Component diffs: componentKey, isNew, sections {added, removed, changed},
+ *   settings [{key, label, from, to}], profiles {added, conflicting}, hasChanges, hasConflict
+ */
+export function diffPromptPack(extensionSettings, pack) {
+    const configs = extensionSettings.promptConfigs || {};
+
+    return Object.entries(pack.components).map(([componentKey, incoming]) => {
+        const current = getOwn(configs, componentKey);
+        const isNew = !current?.assembler;
+
+        const sections = diffSections(isNew ? null : current.assembler, incoming.assembler);
+        const currentSettings = isNew ? {} : getPackSettings(current);
+        const settings = isNew ? [] : Object.entries(SETTING_FIELDS)
+            .filter(([key]) => incoming[key] !== undefined && stableStringify(currentSettings[key] ?? null) !== stableStringify(incoming[key]))
+            .map(([key, label]) => ({ key, label, from: currentSettings[key], to: incoming[key] }));
+
+        // Profiles identical to an existing one are neither added nor conflicting
+        const currentProfiles = current?.profiles || {};
+        const incomingProfiles = Object.entries(incoming.profiles || {});
+        const profiles = {
+            added: incomingProfiles.filter(([name]) => !getOwn(currentProfiles, name)).map(([name]) => name),
+            conflicting: incomingProfiles
+                .filter(([name, profile]) => getOwn(currentProfiles, name) && !isSameProfile(currentProfiles[name], profile))
+                .map(([name]) => name)
+        };
+
+        const hasChanges = sections.added.length + sections.removed.length + sections.changed.length
+            + settings.length + profiles.added.length + profiles.conflicting.length > 0;
+
+        return {
+            componentKey,
+            isNew,
+            sections,
+            settings,
+            profiles,
+            hasChanges,
+            hasConflict: !isNew && hasChanges
+        };
+    });
+}
+
+/**
+ * A profile name not used yet ("Name", "Name (2)", ...)
+ * @param {Object} profiles - Existing profiles
+ * @param {string} name - Wanted name
+ * @returns {string}
+ */
+function getUniqueProfileName(profiles, name) {
+    let unique = name;
+    for (let i = 2; getOwn(profiles, unique) || RESERVED_KEYS.includes(unique); i++) {
+        unique = `${name} (${i})`;
+    }
+    return unique;
+}
+
+/**
+ * Add a pack component's profiles to a configuration
+ * @param {Object} config - Component settings
+ * @param {PackComponent} incoming - Pack component
+ * @param {boolean} replace - Replace profiles with the same name (otherwise they are renamed)
+ */
+function importProfiles(config, incoming, replace) {
+    config.profiles = config.profiles || {};
+    for (const [name, profile] of Object.entries(incoming.profiles || {})) {
+        if (RESERVED_KEYS.includes(name)) continue;
+        if (getOwn(config.profiles, name) && isSameProfile(config.profiles[name], profile)) continue;
+        const target = replace ? name : getUniqueProfileName(config.profiles, name);
+        config.profiles[target] = { ...deepCopy(profile), createdAt: new Date().toISOString() };
+    }
+}
+
+/**
+ * Copy a pack component's settings to a configuration or profile
+ * @param {Object} target - Component settings or profile
+ * @param {PackComponent} incoming - Pack component
+ */
+function copyPackSettings(target, incoming) {
+    for (const key of Object.keys(SETTING_FIELDS)) {
+        if (incoming[key] !== undefined) {
+            target[key] = deepCopy(incoming[key]);
+        }
+    }
+}
+
+/**
+ * Apply a prompt pack. Components without a configuration are always imported;
+ * components with one follow their resolution (default: skip). Caller saves settings.
+ * @param {Object} extensionSettings - Extension settings object
+ * @param {PromptPack} pack - Parsed pack
+ * @param {Object.<string, string>} [resolutions={}] - Resolution per component key (see CONFLICT_RESOLUTIONS)
+ * @returns {{applied: string[], skipped: string[]}} Component keys
+ */
+export function applyPromptPack(extensionSettings, pack, resolutions = {}) {
+    const result = { applied: [], skipped: [] };
+
+    for (const [componentKey, incoming] of Object.entries(pack.components)) {
+        // Packs are validated by parsePromptPack(), but this is also called with other objects
+        if (!isValidPackKey(componentKey)) {
+            result.skipped.push(componentKey);
+            continue;
+        }
+
+        const isNew = !getOwn(extensionSettings.promptConfigs, componentKey)?.assembler;
+        const resolution = isNew ? 'overwrite' : (getOwn(resolutions, componentKey) || 'skip');
+        if (!Object.hasOwn(CONFLICT_RESOLUTIONS, resolution) || resolution === 'skip') {
+            result.skipped.push(componentKey);
+            continue;
+        }
+
+        // The adapter creates the component's settings with defaults if needed
+        const config = new SettingsAdapter(extensionSettings, componentKey).getComponentSettings();
+
+        if (resolution === 'overwrite') {
+            config.assembler = deepCopy(incoming.assembler);
+            copyPackSettings(config, incoming);
+            importProfiles(config, incoming, true);
+        } else if (resolution === 'merge') {
+            const sections = config.assembler.sections || {};
+            for (const [id, section] of Object.entries(incoming.assembler.sections || {})) {
+                if (RESERVED_KEYS.includes(id)) continue;
+                // System sections keep their generated content
+                sections[id] = isSystemSection(id) && getOwn(sections, id)
+                    ? { ...deepCopy(section), content: sections[id].content }
+                    : deepCopy(section);
+            }
+            config.assembler.sections = sections;
+            config.assembler.templateData = { ...(incoming.assembler.templateData || {}), ...(config.assembler.templateData || {}) };
+            copyPackSettings(config, incoming);
+            importProfiles(config, incoming, false);
+        } else if (resolution === 'rename') {
+            const profile = { assembler: deepCopy(incoming.assembler), contextSize: 0 };
+            copyPackSettings(profile, incoming);
+            config.profiles = config.profiles || {};
+            config.profiles[getUniqueProfileName(config.profiles, pack.name)] = {
+                ...profile,
+                createdAt: new Date().toISOString()
+            };
+            importProfiles(config, incoming, false);
+        }
+
+        result.applied.push(componentKey);
+    }
+
+    console.log(`[PresetPack] Applied pack "${pack.name}":`, result);
+    return result;
+}
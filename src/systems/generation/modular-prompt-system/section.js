@@ -6,8 +6,11 @@
  * - Priority (for ordering)
  * - Enabled state (can be toggled on/off)
  * - Metadata (id, label, description)
+ * - Truncation policy (what happens when the prompt is over its token budget)
  */
 
+import { TRUNCATION_POLICIES, DEFAULT_TRUNCATION_POLICY } from './token-budget.js';
+
 /**
  * Prompt Section
  * Represents a single configurable section of a prompt
@@ -22,6 +25,8 @@ export class Section {
      * @param {boolean} [config.enabled=true] - Whether this section is active
      * @param {string} [config.label] - Human-readable label for UI
      * @param {string} [config.description] - Description for UI tooltip
+     * @param {string} [config.truncation='drop'] - Truncation policy (see TRUNCATION_POLICIES)
+     * @param {boolean} [config.raw=false] - Use content as-is, without template processing (for generated content)
      */
     constructor(config) {
         this.id = config.id;
@@ -30,6 +35,8 @@ export class Section {
         this.enabled = config.enabled !== undefined ? config.enabled : true;
         this.label = config.label || config.id;
         this.description = config.description || '';
+        this.truncation = TRUNCATION_POLICIES[config.truncation] ? config.truncation : DEFAULT_TRUNCATION_POLICY;
+        this.raw = config.raw === true;
     }
 
     /**
@@ -64,6 +71,14 @@ export class Section {
         this.priority = priority;
     }
 
+    /**
+     * Update truncation policy
+     * @param {string} policy - Truncation policy (see TRUNCATION_POLICIES)
+     */
+    setTruncation(policy) {
+        this.truncation = TRUNCATION_POLICIES[policy] ? policy : DEFAULT_TRUNCATION_POLICY;
+    }
+
     /**
      * Serialize to plain object for storage
      * @returns {Object}
@@ -75,7 +90,9 @@ export class Section {
             priority: this.priority,
             enabled: this.enabled,
             label: this.label,
-            description: this.description
+            description: this.description,
+            truncation: this.truncation,
+            raw: this.raw
         };
     }
 
@@ -31,6 +31,7 @@ export class SettingsAdapter {
             this.extensionSettings.promptConfigs[componentKey] = {
                 assembler: null,
                 maxTokens: 2048,
+                contextSize: 0,
                 profileId: null,
                 chatContextDepth: 10,
                 trackerToggles: {
@@ -108,6 +109,36 @@ export class SettingsAdapter {
         this.triggerSave();
     }
 
+    /**
+     * Get context size setting (prompt + response tokens the model accepts)
+     * @returns {number} Context size (0 = no limit)
+     */
+    getContextSize() {
+        return this.getComponentSettings().contextSize || 0;
+    }
+
+    /**
+     * Set context size setting
+     * @param {number} contextSize - Context size in tokens (0 = no limit)
+     */
+    setContextSize(contextSize) {
+        this.getComponentSettings().contextSize = Math.max(0, parseInt(contextSize) || 0);
+        this.triggerSave();
+    }
+
+    /**
+     * Get the token budget for the prompt: the context size minus the tokens
+     * reserved for the response
+     * @returns {number} Token budget (0 = no limit)
+     */
+    getPromptTokenBudget() {
+        const contextSize = this.getContextSize();
+        if (contextSize <= 0) {
+            return 0;
+        }
+        return Math.max(1, contextSize - this.getMaxTokens());
+    }
+
     /**
      * Get profile ID setting
      * @returns {string|null}
@@ -183,6 +214,7 @@ export class SettingsAdapter {
         settings.profiles[profileName] = {
             assembler: assembler.toJSON(),
             maxTokens: settings.maxTokens,
+            contextSize: settings.contextSize || 0,
             createdAt: new Date().toISOString()
         };
         
@@ -192,7 +224,8 @@ export class SettingsAdapter {
     /**
      * Load a named profile
      * @param {string} profileName - Name of profile to load
-     * @returns {{assembler: PromptAssembler, maxTokens: number}|null}
+     * @returns {{assembler: PromptAssembler, maxTokens: number, contextSize: number, chatContextDepth?: number, trackerToggles?: Object}|null}
+     *   chatContextDepth and trackerToggles are only set for profiles imported from a prompt pack
      */
     loadProfile(profileName) {
         const settings = this.getComponentSettings();
@@ -204,7 +237,10 @@ export class SettingsAdapter {
         
         return {
             assembler: PromptAssembler.fromJSON(profile.assembler),
-            maxTokens: profile.maxTokens
+            maxTokens: profile.maxTokens,
+            contextSize: profile.contextSize || 0,
+            chatContextDepth: profile.chatContextDepth,
+            trackerToggles: profile.trackerToggles ? JSON.parse(JSON.stringify(profile.trackerToggles)) : undefined
         };
     }
 
@@ -1,48 +1,297 @@
 /**
  * Template - Handles template strings with macro preservation
  * 
- * This module provides simple string interpolation while preserving
+ * This module provides a small template language while preserving
  * SillyTavern macros ({{...}}) for ST's macro engine to resolve later.
- * 
+ *
+ * Syntax:
+ * - {key}, {stat.health}       Placeholders, with dotted paths into objects
+ * - {name|upper}               Filters (see TEMPLATE_FILTERS), chainable: {list|join:", "|lower}
+ * - {#if inventory}...{/if}    Conditionals, with {#else} and negation: {#if !quests}
+ * - {#each items}...{/each}    Loops; inside, {this}, {@index}, {@number} and the item's
+ *                              own fields ({name}) are available. {#else} renders for empty lists.
+ *
+ * Placeholders whose name is not in the data are left as they are, so literal
+ * braces (e.g. JSON examples) survive.
+ *
  * Key principle: DO NOT resolve {{macros}}. Just pass them through.
  * SillyTavern's macro engine will handle them during final prompt assembly.
  */
 
 /**
- * Process a template string with simple placeholder replacement
- * 
- * Supports:
- * - Simple placeholders: {variableName}
- * - Preserves ST macros: {{macroName}} (passed through unchanged)
+ * Block tags ({#if}, {#each}, {#else}, {/if}, {/each}) and ST macros, which are skipped
+ */
+const TAG_REGEX = /\{\{[\s\S]*?\}\}|\{([#/][A-Za-z]+)(?:\s+([^{}]*?))?\s*\}/g;
+
+/**
+ * Placeholders: {path} or {path|filter|filter:arg}, but never inside {{macros}}
+ */
+const PLACEHOLDER_REGEX = /(?<!\{)\{(@?[A-Za-z_][\w-]*(?:\.[\w-]+)*)((?:\s*\|\s*[A-Za-z]+(?::(?:"[^"]*"|[^|{}"]*))?)*)\s*\}(?!\})/g;
+
+/**
+ * A single filter in a placeholder's filter chain
+ */
+const FILTER_REGEX = /\|\s*([A-Za-z]+)(?::(?:"([^"]*)"|([^|]*)))?/g;
+
+const PATH_REGEX = /^@?[A-Za-z_][\w-]*(?:\.[\w-]+)*$/;
+
+/**
+ * Filters usable in placeholders: {value|filter} or {value|filter:argument}
+ */
+export const TEMPLATE_FILTERS = {
+    upper: value => formatValue(value).toUpperCase(),
+    lower: value => formatValue(value).toLowerCase(),
+    capitalize: value => {
+        const text = formatValue(value);
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    },
+    trim: value => formatValue(value).trim(),
+    default: (value, fallback) => isTruthy(value) ? value : (fallback ?? ''),
+    join: (value, separator) => Array.isArray(value) ? value.map(formatValue).join(separator ?? ', ') : value,
+    length: value => {
+        if (Array.isArray(value) || typeof value === 'string') return value.length;
+        return value && typeof value === 'object' ? Object.keys(value).length : 0;
+    },
+    first: value => Array.isArray(value) ? value[0] : value,
+    last: value => Array.isArray(value) ? value[value.length - 1] : value
+};
+
+/**
+ * Convert a value to prompt text
+ * @param {*} value - Value to convert
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.map(formatValue).join(', ');
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Whether a value counts as true in {#if}: empty strings, lists and objects are false
+ * @param {*} value - Value to test
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+    if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).length > 0;
+    }
+    return !!value;
+}
+
+/**
+ * Look up a dotted path in a scope chain (innermost scope first)
+ * @param {Object[]} scopes - Scope chain
+ * @param {string} path - Dotted path (e.g. "stat.health")
+ * @returns {{found: boolean, value: *}} found is false if no scope has the path's first key
+ */
+function resolvePath(scopes, path) {
+    const [root, ...keys] = path.split('.');
+    const scope = scopes.find(candidate => Object.prototype.hasOwnProperty.call(candidate, root));
+    if (!scope) {
+        return { found: false, value: undefined };
+    }
+
+    let value = scope[root];
+    for (const key of keys) {
+        value = value === undefined || value === null ? undefined : value[key];
+    }
+    return { found: true, value };
+}
+
+/**
+ * Parse a placeholder's filter chain
+ * @param {string} chain - Filter chain (e.g. '|join:", "|upper')
+ * @returns {Array<{name: string, arg: string|undefined}>}
+ */
+function parseFilters(chain) {
+    const filters = [];
+    for (const match of chain.matchAll(FILTER_REGEX)) {
+        filters.push({ name: match[1], arg: match[2] ?? (match[3] !== undefined ? match[3].trim() : undefined) });
+    }
+    return filters;
+}
+
+/**
+ * Parse a template into a tree of text, {#if} and {#each} nodes.
+ * Parsing is lenient: unmatched closing tags stay text and unclosed blocks end
+ * with the template. Every problem is reported in errors.
+ * @param {string} template - Template string
+ * @returns {{nodes: Array<Object>, errors: Array<{line: number, message: string}>}}
+ */
+function parseTemplate(template) {
+    const errors = [];
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    let target = root.children;
+    let lastIndex = 0;
+
+    const lineAt = index => template.slice(0, index).split('\n').length;
+    const pushText = (value, type = 'text') => {
+        if (value) target.push({ type, value });
+    };
+
+    for (const match of template.matchAll(TAG_REGEX)) {
+        pushText(template.slice(lastIndex, match.index));
+        lastIndex = match.index + match[0].length;
+
+        // ST macro - passed through untouched
+        if (!match[1]) {
+            pushText(match[0], 'raw');
+            continue;
+        }
+
+        const tag = match[1];
+        const expression = (match[2] || '').trim();
+        const line = lineAt(match.index);
+        const block = stack[stack.length - 1];
+
+        if (tag === '#if' || tag === '#each') {
+            const negate = tag === '#if' && expression.startsWith('!');
+            const path = negate ? expression.slice(1).trim() : expression;
+            if (!PATH_REGEX.test(path)) {
+                errors.push({ line, message: path ? `${match[0]} has an invalid value "${expression}"` : `${match[0]} needs a value to test` });
+            }
+            const node = { type: tag.slice(1), path, negate, line, source: match[0], children: [], otherwise: [], inElse: false };
+            target.push(node);
+            stack.push(node);
+            target = node.children;
+        } else if (tag === '#else') {
+            if (block.type === 'root') {
+                errors.push({ line, message: '{#else} outside of {#if} or {#each}' });
+                pushText(match[0]);
+            } else if (block.inElse) {
+                errors.push({ line, message: `Second {#else} in ${block.source} (line ${block.line})` });
+            } else {
+                block.inElse = true;
+                target = block.otherwise;
+            }
+        } else if (tag === '/if' || tag === '/each') {
+            if (block.type === 'root') {
+                errors.push({ line, message: `${match[0]} without an opening {#${tag.slice(1)}}` });
+                pushText(match[0]);
+                continue;
+            }
+            if (block.type !== tag.slice(1)) {
+                errors.push({ line, message: `${match[0]} closes ${block.source} from line ${block.line}` });
+            }
+            stack.pop();
+            const parent = stack[stack.length - 1];
+            target = parent.inElse ? parent.otherwise : parent.children;
+        } else {
+            errors.push({ line, message: `Unknown tag ${match[0]}` });
+            pushText(match[0]);
+        }
+    }
+    pushText(template.slice(lastIndex));
+
+    for (const block of stack.slice(1)) {
+        errors.push({ line: block.line, message: `${block.source} is never closed` });
+    }
+
+    return { nodes: root.children, errors };
+}
+
+/**
+ * Replace the placeholders in a piece of text
+ * @param {string} text - Text
+ * @param {Object[]} scopes - Scope chain
+ * @returns {string}
+ */
+function renderPlaceholders(text, scopes) {
+    return text.replace(PLACEHOLDER_REGEX, (placeholder, path, chain) => {
+        const { found, value } = resolvePath(scopes, path);
+        if (!found) {
+            return placeholder;
+        }
+
+        let result = value;
+        for (const filter of parseFilters(chain)) {
+            const apply = TEMPLATE_FILTERS[filter.name];
+            if (apply) {
+                result = apply(result, filter.arg);
+            }
+        }
+        return formatValue(result);
+    });
+}
+
+/**
+ * Render parsed template nodes
+ * @param {Array<Object>} nodes - Nodes from parseTemplate()
+ * @param {Object[]} scopes - Scope chain (innermost first)
+ * @returns {string}
+ */
+function renderNodes(nodes, scopes) {
+    let output = '';
+
+    for (const node of nodes) {
+        if (node.type === 'raw') {
+            output += node.value;
+        } else if (node.type === 'text') {
+            output += renderPlaceholders(node.value, scopes);
+        } else if (node.type === 'if') {
+            const passed = isTruthy(resolvePath(scopes, node.path).value) !== node.negate;
+            output += renderNodes(passed ? node.children : node.otherwise, scopes);
+        } else if (node.type === 'each') {
+            const value = resolvePath(scopes, node.path).value;
+            const entries = Array.isArray(value)
+                ? value.map((item, index) => [index, item])
+                : (value && typeof value === 'object' ? Object.entries(value) : []);
+
+            if (entries.length === 0) {
+                output += renderNodes(node.otherwise, scopes);
+                continue;
+            }
+
+            entries.forEach(([key, item], index) => {
+                const itemScope = {
+                    ...(item && typeof item === 'object' && !Array.isArray(item) ? item : {}),
+                    this: item,
+                    '@index': index,
+                    '@number': index + 1,
+                    '@key': key
+                };
+                output += renderNodes(node.children, [itemScope, ...scopes]);
+            });
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Process a template string: placeholders, filters, conditionals and loops
  * 
  * @param {string} template - Template string
- * @param {Object} [data={}] - Data for placeholder replacement
+ * @param {Object} [data={}] - Data for placeholders, conditionals and loops
  * @returns {string} Processed template
  * 
  * @example
- * processTemplate("Hello {name}, the time is {{time}}", { name: "Alice" })
- * // Returns: "Hello Alice, the time is {{time}}"
+ * processTemplate("Hello {name|upper}, the time is {{time}}", { name: "Alice" })
+ * // Returns: "Hello ALICE, the time is {{time}}"
  * // Note: {{time}} is preserved for ST's macro engine
+ *
+ * @example
+ * processTemplate("{#if items}Carrying: {#each items}{name} {/each}{#else}Empty-handed{/if}", { items: [] })
+ * // Returns: "Empty-handed"
  */
 export function processTemplate(template, data = {}) {
     if (!template || typeof template !== 'string') {
         return '';
     }
 
-    // Replace single-brace placeholders {key} with data values
-    // But preserve double-brace {{macros}} for SillyTavern
-    let result = template;
-
-    // Replace {key} placeholders (but not {{macros}})
-    for (const [key, value] of Object.entries(data)) {
-        // Use a regex that matches {key} but not {{key}}
-        // Negative lookbehind (?<!{) ensures no { before
-        // Negative lookahead (?!}) ensures no } after
-        const regex = new RegExp(`(?<!{){${key}}(?!})`, 'g');
-        result = result.replace(regex, String(value));
-    }
-
-    return result;
+    return renderNodes(parseTemplate(template).nodes, [data || {}]);
 }
 
 /**
@@ -83,57 +332,80 @@ export function extractMacros(text) {
 }
 
 /**
- * Validate that a template string is well-formed
- * Checks for:
- * - Balanced braces
- * - No nested single-brace placeholders
- * 
- * @param {string} template - Template to validate
- * @returns {{valid: boolean, errors: string[]}}
+ * Find unbalanced braces, with the line they are on
+ * @param {string} template - Template to check
+ * @returns {Array<{line: number, message: string}>}
  */
-export function validateTemplate(template) {
+function findBraceErrors(template) {
     const errors = [];
-
-    if (!template || typeof template !== 'string') {
-        return { valid: true, errors: [] };
-    }
-
-    // Check for balanced braces
-    let braceCount = 0;
-    let doubleBraceCount = 0;
+    const open = [];
+    let line = 1;
 
     for (let i = 0; i < template.length; i++) {
         const char = template[i];
         const nextChar = template[i + 1];
 
-        if (char === '{') {
-            if (nextChar === '{') {
-                doubleBraceCount++;
-                i++; // Skip next brace
-            } else {
-                braceCount++;
-            }
+        if (char === '\n') {
+            line++;
+        } else if (char === '{') {
+            const double = nextChar === '{';
+            open.push({ double, line });
+            if (double) i++; // Skip next brace
         } else if (char === '}') {
-            if (nextChar === '}') {
-                doubleBraceCount--;
+            const top = open[open.length - 1];
+            if (top && !top.double) {
+                open.pop();
+            } else if (top && nextChar === '}') {
+                open.pop();
                 i++; // Skip next brace
             } else {
-                braceCount--;
+                errors.push({ line, message: 'Closing } without an opening {' });
             }
         }
     }
 
-    if (braceCount !== 0) {
-        errors.push(`Unbalanced single braces (count: ${braceCount})`);
+    for (const brace of open) {
+        errors.push({ line: brace.line, message: brace.double ? 'Macro {{ is never closed' : 'Opening { is never closed' });
     }
 
-    if (doubleBraceCount !== 0) {
-        errors.push(`Unbalanced double braces (count: ${doubleBraceCount})`);
+    return errors;
+}
+
+/**
+ * Validate that a template string is well-formed
+ * Checks for:
+ * - Balanced braces
+ * - Matching {#if}/{#each} blocks and their {#else}/{/if}/{/each} tags
+ * - Known filters in placeholders
+ * 
+ * @param {string} template - Template to validate
+ * @returns {{valid: boolean, errors: string[]}} Errors are prefixed with their line ("Line 3: ...")
+ */
+export function validateTemplate(template) {
+    if (!template || typeof template !== 'string') {
+        return { valid: true, errors: [] };
     }
 
+    const { errors } = parseTemplate(template);
+    errors.push(...findBraceErrors(template));
+
+    // Unknown filters (ST macros are skipped, as in processing)
+    const lines = template.replace(/\{\{[\s\S]*?\}\}/g, macro => macro.replace(/[^\n]/g, ' ')).split('\n');
+    lines.forEach((text, index) => {
+        for (const match of text.matchAll(PLACEHOLDER_REGEX)) {
+            for (const filter of parseFilters(match[2])) {
+                if (!TEMPLATE_FILTERS[filter.name]) {
+                    errors.push({ line: index + 1, message: `Unknown filter "${filter.name}" in ${match[0]}` });
+                }
+            }
+        }
+    });
+
+    errors.sort((a, b) => a.line - b.line);
+
     return {
         valid: errors.length === 0,
-        errors
+        errors: errors.map(error => `Line ${error.line}: ${error.message}`)
     };
 }
 
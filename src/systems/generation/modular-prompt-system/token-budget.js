@@ -0,0 +1,149 @@
+/**
+ * Token Budget - Token estimation and truncation policies
+ *
+ * Sections are measured with a character-based estimate (no tokenizer round-trip),
+ * which keeps build() synchronous. When the assembled prompt goes over the budget,
+ * sections are reduced from the lowest priority up, each according to its policy.
+ */
+
+/**
+ * Characters per token used by the estimate (the usual rule of thumb for English text)
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Marker put where content was cut
+ */
+const TRUNCATION_MARKER = '[...]';
+
+/**
+ * Truncation policies a section can have
+ * - drop: removed as a whole
+ * - trimStart: oldest content (from the start) is cut first, e.g. chat history
+ * - summarize: condensed to the first line of each paragraph, then cut from the end
+ * - keep: never reduced
+ */
+export const TRUNCATION_POLICIES = {
+    drop: { label: 'Drop' },
+    trimStart: { label: 'Trim from start' },
+    summarize: { label: 'Summarize' },
+    keep: { label: 'Always keep' }
+};
+
+export const DEFAULT_TRUNCATION_POLICY = 'drop';
+
+/**
+ * Sections reduced to fewer tokens than this are dropped instead
+ */
+const MIN_SECTION_TOKENS = 16;
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+    if (!text) {
+        return 0;
+    }
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Cut the start of a text down to a token limit, removing whole paragraphs first.
+ * A leading header line ending with a colon (e.g. "Recent conversation:") is kept.
+ * @param {string} text - Text to trim
+ * @param {number} maxTokens - Token limit
+ * @returns {string} Trimmed text (empty if nothing fits)
+ */
+export function trimFromStart(text, maxTokens) {
+    if (estimateTokens(text) <= maxTokens) {
+        return text;
+    }
+
+    let paragraphs = text.trim().split(/\n\s*\n/);
+    const header = paragraphs.length > 1 && paragraphs[0].trim().endsWith(':') ? paragraphs.shift() : '';
+    const prefix = header ? `${header}\n\n${TRUNCATION_MARKER}\n\n` : `${TRUNCATION_MARKER}\n\n`;
+    const available = maxTokens - estimateTokens(prefix);
+    if (available <= 0) {
+        return '';
+    }
+
+    // Drop the oldest paragraphs while the rest is too long
+    while (paragraphs.length > 1 && estimateTokens(paragraphs.join('\n\n')) > available) {
+        paragraphs.shift();
+    }
+
+    // A single paragraph that still doesn't fit is cut at a word boundary
+    let body = paragraphs.join('\n\n');
+    if (estimateTokens(body) > available) {
+        body = body.slice(body.length - available * CHARS_PER_TOKEN);
+        body = body.replace(/^\S*\s+/, '');
+    }
+
+    return body ? prefix + body : '';
+}
+
+/**
+ * Cut the end of a text down to a token limit, at a line boundary when possible
+ * @param {string} text - Text to cut
+ * @param {number} maxTokens - Token limit
+ * @returns {string} Cut text (empty if nothing fits)
+ */
+function trimFromEnd(text, maxTokens) {
+    if (estimateTokens(text) <= maxTokens) {
+        return text;
+    }
+
+    const available = maxTokens - estimateTokens(`\n${TRUNCATION_MARKER}`);
+    if (available <= 0) {
+        return '';
+    }
+
+    let body = text.slice(0, available * CHARS_PER_TOKEN);
+    const lineEnd = body.lastIndexOf('\n');
+    if (lineEnd > 0) {
+        body = body.slice(0, lineEnd);
+    }
+    return `${body.trimEnd()}\n${TRUNCATION_MARKER}`;
+}
+
+/**
+ * Condense a text down to a token limit without a generation call: every paragraph is
+ * reduced to its first line, and what still doesn't fit is cut from the end
+ * @param {string} text - Text to condense
+ * @param {number} maxTokens - Token limit
+ * @returns {string} Condensed text (empty if nothing fits)
+ */
+export function summarizeContent(text, maxTokens) {
+    if (estimateTokens(text) <= maxTokens) {
+        return text;
+    }
+
+    const condensed = text.trim()
+        .split(/\n\s*\n/)
+        .map(paragraph => {
+            const lines = paragraph.trim().split('\n');
+            return lines.length > 1 ? `${lines[0]} ${TRUNCATION_MARKER}` : lines[0];
+        })
+        .join('\n');
+
+    return trimFromEnd(condensed, maxTokens);
+}
+
+/**
+ * Reduce a section's content to a token limit according to its policy
+ * @param {string} content - Processed section content
+ * @param {string} policy - Truncation policy (see TRUNCATION_POLICIES)
+ * @param {number} maxTokens - Token limit
+ * @returns {string} Reduced content (empty = dropped)
+ */
+export function applyTruncationPolicy(content, policy, maxTokens) {
+    let reduced = '';
+    if (policy === 'trimStart') {
+        reduced = trimFromStart(content, maxTokens);
+    } else if (policy === 'summarize') {
+        reduced = summarizeContent(content, maxTokens);
+    }
+    return estimateTokens(reduced) >= MIN_SECTION_TOKENS ? reduced : '';
+}
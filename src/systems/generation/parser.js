@@ -6,6 +6,9 @@
 import { extensionSettings, FEATURE_FLAGS, addDebugLog } from '../../core/state.js';
 import { saveSettings } from '../../core/persistence.js';
 import { extractInventory, mergeFrozenItems } from './inventoryParser.js';
+import { isJsonTrackerFormat, parseTrackerJson } from './jsonTrackerParser.js';
+import { applyTrackerQuests, parseObjectiveList } from '../features/questLog.js';
+import { inventoryTextToItems } from '../../utils/inventoryItems.js';
 
 /**
  * Helper to separate emoji from text in a string
@@ -159,6 +162,19 @@ export function parseResponse(responseText) {
     cleanedResponse = cleanedResponse.replace(/<thinking>[\s\S]*?<\/thinking>/gi, '');
     debugLog('[RPG Parser] Removed thinking tags, new length:', cleanedResponse.length + ' chars');
 
+    // Structured JSON format (opt-in) - falls back to the text parsers below if no JSON is found
+    if (isJsonTrackerFormat()) {
+        const jsonResult = parseTrackerJson(cleanedResponse);
+        if (jsonResult) {
+            debugLog('[RPG Parser] ✓ Parsed structured JSON trackers');
+            if (jsonResult.issues.length > 0) {
+                debugLog('[RPG Parser] JSON validation issues:', jsonResult.issues.join('; '));
+            }
+            return jsonResult.sections;
+        }
+        debugLog('[RPG Parser] ✗ No valid tracker JSON found, falling back to text parser');
+    }
+
     // Check if response uses XML <trackers> tags (new format)
     const xmlMatch = cleanedResponse.match(/<trackers>([\s\S]*?)<\/trackers>/i);
     if (xmlMatch) {
@@ -397,8 +413,9 @@ export function parseUserStats(statsText) {
                 // Merge frozen items back into the regenerated inventory
                 const frozenItems = extensionSettings.frozenItems || {};
                 const mergedInventory = mergeFrozenItems(inventoryData, frozenItems);
-                extensionSettings.userStats.inventory = mergedInventory;
-                debugLog('[RPG Parser] Inventory v2 extracted and merged with frozen items:', mergedInventory);
+                // Convert to structured items, keeping weights/descriptions/tags the user set
+                extensionSettings.userStats.inventory = inventoryTextToItems(mergedInventory, extensionSettings.userStats.inventory);
+                debugLog('[RPG Parser] Inventory v4 extracted and merged with frozen items:', extensionSettings.userStats.inventory);
             } else {
                 debugLog('[RPG Parser] Inventory v2 extraction failed');
             }
@@ -413,26 +430,46 @@ export function parseUserStats(statsText) {
             }
         }
 
-        // Extract quests
+        // Extract quests (titles, objective checklists and completed/failed markers)
+        const questUpdate = {};
         const mainQuestMatch = statsText.match(/Main Quests?:\s*(.+)/i);
         if (mainQuestMatch) {
-            extensionSettings.quests.main = mainQuestMatch[1].trim();
-            debugLog('[RPG Parser] Main quests extracted:', mainQuestMatch[1].trim());
+            questUpdate.main = mainQuestMatch[1].trim();
+            debugLog('[RPG Parser] Main quests extracted:', questUpdate.main);
         }
 
+        const splitQuestTitles = (text) => text
+            .split(',')
+            .map(q => q.trim())
+            .filter(q => q && q !== 'None');
+
         const optionalQuestsMatch = statsText.match(/Optional Quests:\s*(.+)/i);
         if (optionalQuestsMatch) {
-            const questsText = optionalQuestsMatch[1].trim();
-            if (questsText && questsText !== 'None') {
-                // Split by comma and clean up
-                extensionSettings.quests.optional = questsText
-                    .split(',')
-                    .map(q => q.trim())
-                    .filter(q => q && q !== 'None');
-            } else {
-                extensionSettings.quests.optional = [];
+            questUpdate.optional = splitQuestTitles(optionalQuestsMatch[1].trim());
+            debugLog('[RPG Parser] Optional quests extracted:', questUpdate.optional);
+        }
+
+        const completedQuestsMatch = statsText.match(/Completed Quests:\s*(.+)/i);
+        if (completedQuestsMatch) {
+            questUpdate.completed = splitQuestTitles(completedQuestsMatch[1].trim());
+        }
+
+        const failedQuestsMatch = statsText.match(/Failed Quests:\s*(.+)/i);
+        if (failedQuestsMatch) {
+            questUpdate.failed = splitQuestTitles(failedQuestsMatch[1].trim());
+        }
+
+        const objectiveMatches = [...statsText.matchAll(/Quest Objectives\s*-\s*([^:\n]+):\s*(.+)/gi)];
+        if (objectiveMatches.length > 0) {
+            questUpdate.objectives = {};
+            for (const match of objectiveMatches) {
+                questUpdate.objectives[match[1].trim()] = parseObjectiveList(match[2]);
             }
-            debugLog('[RPG Parser] Optional quests extracted:', extensionSettings.quests.optional);
+            debugLog('[RPG Parser] Quest objectives extracted:', questUpdate.objectives);
+        }
+
+        if (Object.keys(questUpdate).length > 0) {
+            applyTrackerQuests(questUpdate);
         }
 
         debugLog('[RPG Parser] Final userStats after parsing:', {
@@ -443,7 +480,7 @@ export function parseUserStats(statsText) {
             arousal: extensionSettings.userStats.arousal,
             mood: extensionSettings.userStats.mood,
             conditions: extensionSettings.userStats.conditions,
-            inventory: FEATURE_FLAGS.useNewInventory ? 'v2 object' : extensionSettings.userStats.inventory
+            inventory: FEATURE_FLAGS.useNewInventory ? 'v4 object' : extensionSettings.userStats.inventory
         });
 
         saveSettings();
@@ -7,9 +7,14 @@ import { getContext } from '../../../../../../extensions.js';
 import { chat, getCurrentChatDetails, characters, this_chid } from '../../../../../../../script.js';
 import { selected_group, getGroupMembers, getGroupChat, groups } from '../../../../../../group-chats.js';
 import { extensionSettings, committedTrackerData, FEATURE_FLAGS } from '../../core/state.js';
+import { isJsonTrackerFormat, buildTrackerJsonExample } from './jsonTrackerParser.js';
+import { buildQuestSummary, stripQuestLines, withQuestSummary } from '../features/questLog.js';
+import { inventoryItemsToText } from '../../utils/inventoryItems.js';
+import { buildCalendarNote } from '../features/calendar.js';
 
 // Type imports
 /** @typedef {import('../../types/inventory.js').InventoryV2} InventoryV2 */
+/** @typedef {import('../../types/inventory.js').InventoryV4} InventoryV4 */
 
 /**
  * Default HTML prompt text
@@ -114,13 +119,16 @@ async function getCharacterCardsInfo() {
 
 /**
  * Builds a formatted inventory summary for AI context injection.
- * Converts v2 inventory structure to multi-line plaintext format.
+ * Converts v2/v3/v4 inventory structures to multi-line plaintext format.
  *
- * @param {InventoryV2|string} inventory - Current inventory (v2 or legacy string)
+ * @param {InventoryV4|InventoryV2|string} inventory - Current inventory (v4, older object or legacy string)
  * @returns {string} Formatted inventory summary for prompt injection
  * @example
  * // v2 input: { onPerson: "Sword", stored: { Home: "Gold" }, assets: "Horse", version: 2 }
  * // Returns: "On Person: Sword\nStored - Home: Gold\nAssets: Horse"
+ *
+ * // v4 input: { onPerson: { Belt: [{ name: "Potion", quantity: 3, ... }] }, stored: {}, assets: [], version: 4 }
+ * // Returns: "On Person - Belt: 3x Potion\nAssets: None"
  */
 export function buildInventorySummary(inventory) {
     // Handle legacy v1 string format
@@ -128,6 +136,17 @@ export function buildInventorySummary(inventory) {
         return inventory;
     }
 
+    // Handle v3/v4 location format (v3 plaintext lists are normalized the same way)
+    if (inventory && typeof inventory === 'object' && (inventory.version === 3 || inventory.version === 4)) {
+        const text = inventoryItemsToText(inventory);
+        const lines = [
+            ...Object.entries(text.onPerson).map(([location, items]) => `On Person - ${location}: ${items}`),
+            ...Object.entries(text.stored).map(([location, items]) => `Stored - ${location}: ${items}`),
+            `Assets: ${text.assets}`
+        ];
+        return lines.join('\n');
+    }
+
     // Handle v2 object format
     if (inventory && typeof inventory === 'object' && inventory.version === 2) {
         let summary = '';
@@ -202,10 +221,19 @@ function buildAttributesString() {
 export function generateTrackerExample() {
     let example = '';
 
+    // Structured JSON format: show the committed trackers as one JSON object
+    if (isJsonTrackerFormat()) {
+        const current = buildTrackerJsonExample(null, committedTrackerData);
+        if (Object.keys(current).length === 0) {
+            return '';
+        }
+        return '```json\n' + JSON.stringify(current, null, 2) + '\n```';
+    }
+
     // Use COMMITTED data for generation context, not displayed data
     // Wrap each tracker section in markdown code blocks
     if (extensionSettings.showUserStats && committedTrackerData.userStats) {
-        example += '```\n' + committedTrackerData.userStats + '\n```\n\n';
+        example += '```\n' + withQuestSummary(committedTrackerData.userStats) + '\n```\n\n';
     }
 
     if (extensionSettings.showInfoBox && committedTrackerData.infoBox) {
@@ -249,9 +277,14 @@ export function generateTrackerInstructions(includeHtmlPrompt = true, includeCon
         const openTag = useXmlTags ? '<trackers>\n' : '';
         const closeTag = useXmlTags ? '\n</trackers>' : '';
         const codeBlockMarker = useXmlTags ? '' : '```';
+        const useJsonFormat = isJsonTrackerFormat();
 
         // Universal instruction header
-        if (useXmlTags) {
+        if (useJsonFormat) {
+            instructions += useXmlTags
+                ? `\nAt the start of every reply, you must attach an update to the trackers as a single JSON object matching EXACTLY the schema below, enclosed in <trackers></trackers> XML tags. `
+                : `\nAt the start of every reply, you must attach an update to the trackers as a single JSON object matching EXACTLY the schema below, enclosed in a \`\`\`json Markdown code fence. `;
+        } else if (useXmlTags) {
             // Format specification is always hardcoded
             instructions += `\nAt the start of every reply, you must attach an update to the trackers in EXACTLY the same format as below, enclosed in <trackers></trackers> XML tags. `;
         } else {
@@ -268,8 +301,15 @@ export function generateTrackerInstructions(includeHtmlPrompt = true, includeCon
             instructions += `Consider the last trackers in the conversation (if they exist). Manage them accordingly and realistically; raise, lower, change, or keep the values unchanged based on the user's actions, the passage of time, and logical consequences (0% if the time progressed only by a few minutes, 1-5% normally, and above 5% only if a major time-skip/event occurs).`;
         }
 
+        // Structured JSON format: a single schema object replaces the per-section text blocks
+        if (useJsonFormat) {
+            const schema = JSON.stringify(buildTrackerJsonExample(targetSection), null, 2);
+            instructions += `\n\n${useXmlTags ? '<trackers>\n' : '```json\n'}${schema}${useXmlTags ? '\n</trackers>' : '\n```'}\n\n`;
+            instructions += `Output valid JSON only inside the tracker block: double-quoted keys and strings, numbers for all 0-100 values, no comments, and no trailing commas. Keep the keys exactly as shown and replace every <placeholder> value with concrete content.\n\n`;
+        }
+
         // Add format specifications for each enabled tracker
-        if (includeUserStats) {
+        if (includeUserStats && !useJsonFormat) {
             const userStatsConfig = trackerConfig?.userStats;
             const enabledStats = userStatsConfig?.customStats?.filter(s => s && s.enabled && s.name) || [];
 
@@ -308,6 +348,7 @@ export function generateTrackerInstructions(includeHtmlPrompt = true, includeCon
                     instructions += 'Stored - [Location Name]: [Items stored at this location]\n';
                     instructions += '(Add multiple "Stored - [Location]:" lines as needed for different storage locations)\n';
                     instructions += 'Assets: [Vehicles, property, major possessions, or "None"]\n';
+                    instructions += '(Write stacked items as "3x Item" and mark worn or wielded gear with "(equipped)")\n';
                 } else {
                     // Legacy v1 format
                     instructions += 'Inventory: [Clothing/Armor, Inventory Items (list of important items, or "None")]\\n';
@@ -317,11 +358,15 @@ export function generateTrackerInstructions(includeHtmlPrompt = true, includeCon
             // Add quests section
             instructions += 'Main Quests: [Short title of the currently active main quest (for example, "Save the world"), or "None"]\n';
             instructions += 'Optional Quests: [Short titles of the currently active optional quests (for example, "Find Zandik\'s book"), or "None"]\n';
+            instructions += 'Quest Objectives - [Quest Title]: [Objectives of that quest as "[x] Done objective; [ ] Open objective"]\n';
+            instructions += '(Add one "Quest Objectives - [Quest Title]:" line per active quest that has objectives)\n';
+            instructions += 'Completed Quests: [Titles of quests completed since the last update, or "None"]\n';
+            instructions += 'Failed Quests: [Titles of quests failed since the last update, or "None"]\n';
 
             instructions += codeBlockMarker + '\n\n';
         }
 
-        if (includeInfoBox) {
+        if (includeInfoBox && !useJsonFormat) {
             const infoBoxConfig = trackerConfig?.infoBox;
             const widgets = infoBoxConfig?.widgets || {};
 
@@ -331,7 +376,11 @@ export function generateTrackerInstructions(includeHtmlPrompt = true, includeCon
 
             // Add only enabled widgets
             if (widgets.date?.enabled) {
-                instructions += 'Date: [Weekday, Month, Year]\n';
+                instructions += 'Date: [Weekday, Month Day, Year]\n';
+                const calendarNote = buildCalendarNote();
+                if (calendarNote) {
+                    instructions += `(${calendarNote})\n`;
+                }
             }
             if (widgets.weather?.enabled) {
                 instructions += 'Weather: [Weather Emoji, Forecast]\n';
@@ -353,7 +402,7 @@ export function generateTrackerInstructions(includeHtmlPrompt = true, includeCon
             instructions += codeBlockMarker + '\n\n';
         }
 
-        if (includeCharacterThoughts) {
+        if (includeCharacterThoughts && !useJsonFormat) {
             const presentCharsConfig = trackerConfig?.presentCharacters;
             const enabledFields = presentCharsConfig?.customFields?.filter(f => f && f.enabled && f.name) || [];
             const relationshipFields = presentCharsConfig?.relationshipFields || [];
@@ -507,7 +556,7 @@ export function generateContextualSummary() {
 
     // Add User Stats tracker data if enabled
     if (extensionSettings.showUserStats && committedTrackerData.userStats) {
-        const cleanedStats = cleanTrackerData(committedTrackerData.userStats);
+        const cleanedStats = cleanTrackerData(withQuestSummary(committedTrackerData.userStats));
         if (cleanedStats) {
             summary += cleanedStats + '\n\n';
         }
@@ -568,22 +617,13 @@ export function generateRPGPromptText(targetSection = null) {
     // Include userStats context if we're generating all sections OR specifically userStats
     if ((targetSection === null || targetSection === 'userStats') && extensionSettings.showUserStats) {
         if (committedTrackerData.userStats) {
-            promptText += `Last ${userName}'s Stats:\n${committedTrackerData.userStats}\n\n`;
+            promptText += `Last ${userName}'s Stats:\n${stripQuestLines(committedTrackerData.userStats)}\n\n`;
         } else {
             promptText += `Last ${userName}'s Stats:\nNone - this is the first update.\n\n`;
         }
 
-        // Add current quests to the previous data context
-        if (extensionSettings.quests) {
-            if (extensionSettings.quests.main && extensionSettings.quests.main !== 'None') {
-                promptText += `Main Quests: ${extensionSettings.quests.main}\n`;
-            }
-            if (extensionSettings.quests.optional && extensionSettings.quests.optional.length > 0) {
-                const optionalQuests = extensionSettings.quests.optional.filter(q => q && q !== 'None').join(', ');
-                promptText += `Optional Quests: ${optionalQuests || 'None'}\n`;
-            }
-            promptText += `\n`;
-        }
+        // Add active quests and their open objectives to the previous data context
+        promptText += `${buildQuestSummary()}\n\n`;
 
         // Add current skills to the previous data context
         const skillsSection = extensionSettings.trackerConfig?.userStats?.skillsSection;
@@ -0,0 +1,112 @@
+/**
+ * Streaming Parser Module
+ * Incremental parsing of a tracker response while it is still being generated.
+ * A section counts as complete once the next section header (or the end of its
+ * code block / <trackers> tag) has arrived, so the panel can show it before the
+ * rest of the response is written.
+ */
+
+import { parseResponse } from './parser.js';
+import { isJsonTrackerFormat } from './jsonTrackerParser.js';
+
+/**
+ * Section headers the text parsers split on
+ */
+const SECTION_HEADER_REGEX = /^[ \t]*(?:(?:User |Player )?Stats|Info Box|Present Characters)[ \t]*\r?\n\s*---/gim;
+
+const SECTION_KEYS = ['userStats', 'infoBox', 'characterThoughts'];
+
+/**
+ * Cuts an open region down to the sections that are followed by another header
+ * @param {string} text - Region that hasn't been closed yet
+ * @returns {string} Complete sections (empty if none)
+ */
+function cutBeforeLastHeader(text) {
+    const headers = [...text.matchAll(SECTION_HEADER_REGEX)];
+    if (headers.length < 2) {
+        return '';
+    }
+    return text.slice(0, headers[headers.length - 1].index).trimEnd();
+}
+
+/**
+ * Builds the part of a partial response that only holds complete sections,
+ * in a shape parseResponse() understands
+ * @param {string} text - Response so far
+ * @returns {string} Parseable prefix (empty if no section is complete). It only
+ *     changes when a section completes, so unchanged text doesn't have to be parsed again.
+ */
+export function getCompletedTrackerText(text) {
+    // Unfinished reasoning is never parsed
+    let cleaned = text.replace(/<think>[\s\S]*?<\/think>/gi, '').replace(/<thinking>[\s\S]*?<\/thinking>/gi, '');
+    const openThink = cleaned.search(/<think(?:ing)?>/i);
+    if (openThink !== -1) {
+        cleaned = cleaned.slice(0, openThink);
+    }
+
+    // XML format: everything is complete once the tag is closed
+    const trackersStart = cleaned.search(/<trackers>/i);
+    if (trackersStart !== -1) {
+        const trackersEnd = cleaned.search(/<\/trackers>/i);
+        if (trackersEnd !== -1) {
+            return cleaned.slice(0, trackersEnd + '</trackers>'.length);
+        }
+        const open = cleaned.slice(trackersStart + '<trackers>'.length);
+        const completed = cutBeforeLastHeader(open);
+        return completed ? `<trackers>\n${completed}\n</trackers>` : '';
+    }
+
+    // Code block format: closed blocks are complete, an open block up to its last header
+    const fences = [...cleaned.matchAll(/```/g)];
+    if (fences.length === 0) {
+        return '';
+    }
+    const lastFence = fences[fences.length - 1].index;
+    if (fences.length % 2 === 0) {
+        return cleaned.slice(0, lastFence + 3);
+    }
+    const completed = cutBeforeLastHeader(cleaned.slice(lastFence + 3));
+    return completed
+        ? `${cleaned.slice(0, lastFence)}\`\`\`${completed}\n\`\`\``
+        : cleaned.slice(0, lastFence);
+}
+
+/**
+ * Creates a parser that is fed the growing response text and reports each
+ * tracker section once, as soon as it is complete
+ * @returns {{update: function(string): Object}} Parser
+ */
+export function createStreamingTrackerParser() {
+    const completed = {};
+    let lastParsedText = '';
+
+    return {
+        /**
+         * Parses the response so far
+         * @param {string} text - Full response text received so far
+         * @returns {Object} Sections completed by this update, keyed like parseResponse()
+         */
+        update(text) {
+            // The JSON format is only parseable as a whole
+            if (!text || isJsonTrackerFormat()) {
+                return {};
+            }
+
+            const completedText = getCompletedTrackerText(text);
+            if (!completedText || completedText === lastParsedText) {
+                return {};
+            }
+            lastParsedText = completedText;
+
+            const parsed = parseResponse(completedText);
+            const newSections = {};
+            for (const key of SECTION_KEYS) {
+                if (!completed[key] && parsed[key] && parsed[key].trim()) {
+                    completed[key] = parsed[key];
+                    newSections[key] = parsed[key];
+                }
+            }
+            return newSections;
+        }
+    };
+}
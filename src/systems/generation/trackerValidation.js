@@ -0,0 +1,196 @@
+/**
+ * Tracker Validation Module
+ * Checks generated tracker sections against the tracker configuration, so that
+ * sections with missing stats, Info Box widgets or character fields can be
+ * requested again instead of being stored incomplete.
+ */
+
+import { extensionSettings } from '../../core/state.js';
+
+export const MAX_VALIDATION_RETRIES = 5;
+
+/**
+ * Where a section that is still invalid after the retries is requested last
+ * - none: no fallback
+ * - profile: a secondary Connection Manager profile
+ * - external: the external OpenAI-compatible API
+ */
+export const VALIDATION_FALLBACKS = ['none', 'profile', 'external'];
+
+export const SECTION_LABELS = {
+    userStats: 'User Stats',
+    infoBox: 'Info Box',
+    characterThoughts: 'Present Characters'
+};
+
+/**
+ * Line prefixes of the Info Box widgets (text format first, then the legacy emoji format)
+ */
+const INFO_BOX_WIDGET_LINES = {
+    date: { label: 'Date', prefixes: ['Date:', '🗓️:'] },
+    weather: { label: 'Weather', prefixes: ['Weather:'] },
+    temperature: { label: 'Temperature', prefixes: ['Temperature:', '🌡️:'] },
+    time: { label: 'Time', prefixes: ['Time:', '🕒:'] },
+    location: { label: 'Location', prefixes: ['Location:', '🗺️:'] },
+    recentEvents: { label: 'Recent Events', prefixes: ['Recent Events:'] }
+};
+
+/**
+ * Validation settings with defaults for missing values
+ * @returns {{enabled: boolean, maxRetries: number, fallback: string, fallbackProfileId: string}} Settings
+ */
+export function getTrackerValidationSettings() {
+    const settings = extensionSettings.trackerValidation || {};
+    const retries = parseInt(settings.maxRetries);
+    return {
+        enabled: settings.enabled === true,
+        maxRetries: Number.isFinite(retries) ? Math.max(0, Math.min(MAX_VALIDATION_RETRIES, retries)) : 1,
+        fallback: VALIDATION_FALLBACKS.includes(settings.fallback) ? settings.fallback : 'none',
+        fallbackProfileId: settings.fallbackProfileId || ''
+    };
+}
+
+/**
+ * Sections a tracker update is expected to contain
+ * @returns {string[]} Section keys (userStats, infoBox, characterThoughts)
+ */
+export function getExpectedSections() {
+    const sections = [];
+    if (extensionSettings.showUserStats) sections.push('userStats');
+    if (extensionSettings.showInfoBox) sections.push('infoBox');
+    if (extensionSettings.showCharacterThoughts) sections.push('characterThoughts');
+    return sections;
+}
+
+/**
+ * Trimmed section lines without list markers
+ * @param {string} text - Section text
+ * @returns {string[]} Lines
+ */
+function getLines(text) {
+    return text.split('\n').map(line => line.trim().replace(/^[-*]\s+(?=[^:]+:)/, ''));
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @param {string} text - User Stats text
+ * @returns {string[]} Issues
+ */
+function validateUserStats(text) {
+    const customStats = extensionSettings.trackerConfig?.userStats?.customStats || [];
+    return customStats
+        .filter(stat => stat && stat.enabled && stat.name)
+        .filter(stat => !new RegExp(`${escapeRegex(stat.name)}:\\s*\\d+\\s*%`, 'i').test(text))
+        .map(stat => `Missing stat: ${stat.name}`);
+}
+
+/**
+ * @param {string} text - Info Box text
+ * @returns {string[]} Issues
+ */
+function validateInfoBox(text) {
+    const widgets = extensionSettings.trackerConfig?.infoBox?.widgets || {};
+    const lines = getLines(text);
+    const issues = [];
+
+    for (const [key, widget] of Object.entries(INFO_BOX_WIDGET_LINES)) {
+        if (!widgets[key]?.enabled) continue;
+
+        const line = lines.find(l => widget.prefixes.some(prefix => l.startsWith(prefix)));
+        const value = line ? line.slice(line.indexOf(':') + 1).trim() : '';
+        if (!value) {
+            issues.push(`Missing widget: ${widget.label}`);
+        }
+    }
+    return issues;
+}
+
+/**
+ * @param {string} text - Present Characters text
+ * @returns {string[]} Issues
+ */
+function validatePresentCharacters(text) {
+    const config = extensionSettings.trackerConfig?.presentCharacters || {};
+    const requiredFields = ['Details'];
+    if ((config.relationshipFields || []).some(field => field && field.trim())) {
+        requiredFields.push('Relationship');
+    }
+    if (config.characterStats?.enabled && (config.characterStats.customStats || []).some(s => s && s.enabled && s.name)) {
+        requiredFields.push('Stats');
+    }
+    if (config.thoughts?.enabled) {
+        requiredFields.push(config.thoughts.name || 'Thoughts');
+    }
+
+    // Character blocks start with "- Name", followed by their field lines
+    const characters = [];
+    for (const line of text.split('\n').map(l => l.trim())) {
+        if (line.startsWith('- ') && !line.includes(':')) {
+            characters.push({ name: line.substring(2).trim(), fields: new Set() });
+        } else if (characters.length > 0 && line.includes(':')) {
+            characters[characters.length - 1].fields.add(line.substring(0, line.indexOf(':')).trim().toLowerCase());
+        }
+    }
+
+    if (characters.length === 0) {
+        return ['No characters listed'];
+    }
+
+    const issues = [];
+    for (const character of characters) {
+        if (character.name.toLowerCase() === 'unavailable') continue;
+
+        const missing = requiredFields.filter(field => !character.fields.has(field.toLowerCase()));
+        if (missing.length > 0) {
+            issues.push(`${character.name} is missing ${missing.join(', ')}`);
+        }
+    }
+    return issues;
+}
+
+/**
+ * Validates one generated tracker section
+ * @param {string} section - Section key (userStats, infoBox, characterThoughts)
+ * @param {string|null} text - Section text
+ * @returns {string[]} Issues (empty = valid)
+ */
+export function validateTrackerSection(section, text) {
+    if (!text || !text.trim()) {
+        return ['Section is missing'];
+    }
+
+    switch (section) {
+        case 'userStats':
+            return validateUserStats(text);
+        case 'infoBox':
+            return validateInfoBox(text);
+        case 'characterThoughts':
+            return validatePresentCharacters(text);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Validates the expected sections of a tracker update
+ * @param {Object} sections - Parsed sections (userStats, infoBox, characterThoughts)
+ * @returns {Object<string, string[]>} Issues per invalid section (empty object = all valid)
+ */
+export function validateTrackerSections(sections) {
+    const failures = {};
+    for (const section of getExpectedSections()) {
+        const issues = validateTrackerSection(section, sections[section]);
+        if (issues.length > 0) {
+            failures[section] = issues;
+        }
+    }
+    return failures;
+}
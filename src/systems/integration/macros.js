@@ -0,0 +1,221 @@
+/**
+ * Tracker Macros Module
+ * Registers {{rpg...}} macros that resolve live from the committed tracker state,
+ * so character cards, lorebook entries and prompts can react to trackers directly.
+ *
+ * SillyTavern macros have no argument support, so parameterized macros are registered
+ * once per concrete key (e.g. {{rpgStat::health}}) and the key set is refreshed whenever
+ * the trackers can change (chat change, generation start). Spaces in names become
+ * underscores: {{rpgCharacter::Lady_Lyra::Demeanor}}.
+ */
+
+import { MacrosParser } from '../../../../../../macros.js';
+import { extensionSettings, committedTrackerData } from '../../core/state.js';
+import { trackerSectionsToJson } from '../generation/jsonTrackerParser.js';
+import { normalizeItemList, formatItemEntry } from '../../utils/inventoryItems.js';
+import { getQuestSummaryData } from '../features/questLog.js';
+import { getElapsedSinceStart, getElapsedSinceLastUpdate, formatDuration } from '../features/calendar.js';
+
+/**
+ * Keys of the parameterized macros registered by the last refresh
+ * @type {Set<string>}
+ */
+const dynamicMacroKeys = new Set();
+
+/**
+ * Converts a display name into a macro key segment (no whitespace allowed in macro keys)
+ * @param {string} name - Display name
+ * @returns {string} Key segment
+ */
+function toKeySegment(name) {
+    return String(name || '').trim().replace(/\s+/g, '_');
+}
+
+/**
+ * Parses the committed tracker text into structured data
+ * @returns {{userStats: Object|null, infoBox: Object|null, characters: Array|null}} Tracker data
+ */
+function getCommittedData() {
+    return trackerSectionsToJson(committedTrackerData);
+}
+
+/**
+ * Reads an Info Box field from the committed trackers
+ * @param {string} field - date, weather, temperature, time, location or recentEvents
+ * @returns {string} Field value
+ */
+function getInfoValue(field) {
+    const info = getCommittedData().infoBox || {};
+    const value = info[field];
+    if (field === 'weather' && value && typeof value === 'object') {
+        return [value.emoji, value.forecast].filter(Boolean).join(' ');
+    }
+    if (field === 'time' && value && typeof value === 'object') {
+        return [value.start, value.end].filter(Boolean).join(' → ');
+    }
+    return Array.isArray(value) ? value.join(', ') : String(value ?? '');
+}
+
+/**
+ * Reads inventory items for a field and optional location
+ * @param {string} field - onPerson, stored or assets (empty for everything)
+ * @param {string} [location] - Location name
+ * @returns {string} Comma-separated items, or "None"
+ */
+function getInventoryValue(field, location) {
+    const inventory = extensionSettings.userStats?.inventory;
+    if (!inventory) {
+        return 'None';
+    }
+    if (typeof inventory === 'string') {
+        return inventory || 'None';
+    }
+
+    const collect = (value, loc) => {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            if (loc) {
+                const key = Object.keys(value).find(k => toKeySegment(k).toLowerCase() === loc.toLowerCase());
+                return key ? normalizeItemList(value[key]) : [];
+            }
+            return Object.values(value).flatMap(v => normalizeItemList(v));
+        }
+        return normalizeItemList(value || '');
+    };
+
+    const items = field
+        ? collect(inventory[field], location)
+        : ['onPerson', 'stored', 'assets'].flatMap(f => collect(inventory[f]));
+
+    return items.length > 0 ? items.map(formatItemEntry).join(', ') : 'None';
+}
+
+/**
+ * Reads a Present Characters field from the committed trackers
+ * @param {string} name - Character name (underscores match spaces)
+ * @param {string} [field] - Field name; omitted returns a one-line summary
+ * @returns {string} Field value
+ */
+function getCharacterValue(name, field) {
+    const characters = getCommittedData().characters || [];
+    const character = characters.find(c => toKeySegment(c.name).toLowerCase() === toKeySegment(name).toLowerCase());
+    if (!character) {
+        return '';
+    }
+    if (!field) {
+        const details = Object.entries(character.fields || {}).map(([k, v]) => `${k}: ${v}`);
+        return [character.name, ...details].join(' | ');
+    }
+
+    const wanted = toKeySegment(field).toLowerCase();
+    if (['emoji', 'relationship', 'thoughts'].includes(wanted)) {
+        return String(character[wanted] ?? '');
+    }
+    for (const source of [character.fields || {}, character.stats || {}]) {
+        const key = Object.keys(source).find(k => toKeySegment(k).toLowerCase() === wanted);
+        if (key) {
+            return String(source[key]);
+        }
+    }
+    return '';
+}
+
+/**
+ * Registers a macro, replacing any existing registration with the same key
+ * @param {string} key - Macro key (without braces)
+ * @param {Function} getter - Function returning the current value
+ * @param {string} description - Description shown in the macro help
+ */
+function registerMacro(key, getter, description) {
+    try {
+        MacrosParser.registerMacro(key, () => String(getter() ?? ''), description);
+    } catch (error) {
+        console.warn(`[RPG Companion] Could not register macro {{${key}}}:`, error.message);
+    }
+}
+
+/**
+ * Registers the fixed (argument-less) tracker macros
+ */
+export function registerTrackerMacros() {
+    registerMacro('rpgLocation', () => getInfoValue('location'), 'RPG Companion: current location');
+    registerMacro('rpgTime', () => getInfoValue('time'), 'RPG Companion: current time');
+    registerMacro('rpgDate', () => getInfoValue('date'), 'RPG Companion: current date');
+    registerMacro('rpgWeather', () => getInfoValue('weather'), 'RPG Companion: current weather');
+    registerMacro('rpgTemperature', () => getInfoValue('temperature'), 'RPG Companion: current temperature');
+    registerMacro('rpgElapsed', () => formatDuration(getElapsedSinceStart()), 'RPG Companion: in-game time passed since the story started');
+    registerMacro('rpgElapsedLast', () => formatDuration(getElapsedSinceLastUpdate()), 'RPG Companion: in-game time passed during the last tracker update');
+    registerMacro('rpgRecentEvents', () => getInfoValue('recentEvents'), 'RPG Companion: recent events');
+    registerMacro('rpgMood', () => extensionSettings.userStats?.mood || '', 'RPG Companion: user mood emoji');
+    registerMacro('rpgConditions', () => extensionSettings.userStats?.conditions || '', 'RPG Companion: user conditions');
+    registerMacro('rpgSkills', () => extensionSettings.userStats?.skills || '', 'RPG Companion: user skills');
+    registerMacro('rpgQuest', () => extensionSettings.quests?.main || 'None', 'RPG Companion: main quest');
+    registerMacro('rpgQuestObjectives', () => Object.entries(getQuestSummaryData().objectives).map(([title, list]) => `${title}: ${list}`).join('\n'), 'RPG Companion: open objectives of the active quests');
+    registerMacro('rpgOptionalQuests', () => (extensionSettings.quests?.optional || []).join(', ') || 'None', 'RPG Companion: optional quests');
+    registerMacro('rpgInventory', () => getInventoryValue(''), 'RPG Companion: all inventory items');
+    registerMacro('rpgCharacters', () => (getCommittedData().characters || []).map(c => c.name).join(', '), 'RPG Companion: present character names');
+
+    refreshTrackerMacros();
+    console.log('[RPG Companion] Registered {{rpg...}} tracker macros');
+}
+
+/**
+ * Re-registers the parameterized macros ({{rpgStat::x}}, {{rpgInventory::x}}, {{rpgCharacter::x::y}})
+ * for the stats, inventory locations and characters that currently exist.
+ */
+export function refreshTrackerMacros() {
+    const keys = new Set();
+    const add = (key, getter, description) => {
+        keys.add(key);
+        registerMacro(key, getter, description);
+    };
+
+    // Stats: by id and by display name
+    for (const stat of (extensionSettings.trackerConfig?.userStats?.customStats || []).filter(s => s && s.enabled && s.id)) {
+        const getter = () => extensionSettings.userStats?.[stat.id] ?? '';
+        add(`rpgStat::${stat.id}`, getter, `RPG Companion: ${stat.name} stat`);
+        if (stat.name && toKeySegment(stat.name) !== stat.id) {
+            add(`rpgStat::${toKeySegment(stat.name)}`, getter, `RPG Companion: ${stat.name} stat`);
+        }
+    }
+    for (const attribute of Object.keys(extensionSettings.classicStats || {})) {
+        add(`rpgStat::${attribute}`, () => extensionSettings.classicStats?.[attribute] ?? '', `RPG Companion: ${attribute.toUpperCase()} attribute`);
+    }
+
+    // Inventory: per field and per location
+    const inventory = extensionSettings.userStats?.inventory;
+    for (const field of ['onPerson', 'stored', 'assets']) {
+        add(`rpgInventory::${field}`, () => getInventoryValue(field), `RPG Companion: ${field} items`);
+        const container = inventory && typeof inventory === 'object' ? inventory[field] : null;
+        if (container && typeof container === 'object' && !Array.isArray(container)) {
+            for (const location of Object.keys(container)) {
+                const segment = toKeySegment(location);
+                add(`rpgInventory::${field}.${segment}`, () => getInventoryValue(field, segment), `RPG Companion: items in ${location}`);
+            }
+        }
+    }
+
+    // Characters: summary plus every field/stat
+    const presentConfig = extensionSettings.trackerConfig?.presentCharacters;
+    const fieldNames = [
+        'Emoji', 'Relationship', 'Thoughts',
+        ...(presentConfig?.customFields || []).filter(f => f && f.enabled && f.name).map(f => f.name),
+        ...(presentConfig?.characterStats?.customStats || []).filter(s => s && s.enabled && s.name).map(s => s.name)
+    ];
+    for (const character of getCommittedData().characters || []) {
+        const name = toKeySegment(character.name);
+        add(`rpgCharacter::${name}`, () => getCharacterValue(name), `RPG Companion: ${character.name}`);
+        for (const field of fieldNames) {
+            const segment = toKeySegment(field);
+            add(`rpgCharacter::${name}::${segment}`, () => getCharacterValue(name, segment), `RPG Companion: ${character.name} ${field}`);
+        }
+    }
+
+    // Drop macros for stats/locations/characters that no longer exist
+    for (const key of dynamicMacroKeys) {
+        if (!keys.has(key) && typeof MacrosParser.unregisterMacro === 'function') {
+            MacrosParser.unregisterMacro(key);
+        }
+    }
+    dynamicMacroKeys.clear();
+    keys.forEach(key => dynamicMacroKeys.add(key));
+}
@@ -23,6 +23,8 @@ import { saveChatData, loadChatData } from '../../core/persistence.js';
 
 // Generation & Parsing
 import { parseResponse, parseUserStats } from '../generation/parser.js';
+import { parseGeneratedUserStats } from '../features/statRules.js';
+import { reconcileGeneratedInfoBox } from '../features/calendar.js';
 import { parseAndStoreSpotifyUrl, convertToEmbedUrl } from '../features/musicPlayer.js';
 import { updateRPGData } from '../generation/apiClient.js';
 
@@ -127,9 +129,14 @@ export async function onMessageReceived(data) {
             // console.log('[RPG Companion] Parsed data:', parsedData);
 
             // Update stored data
+            // Keep the in-game clock consistent (midnight rollover, no going backwards)
+            if (parsedData.infoBox) {
+                parsedData.infoBox = reconcileGeneratedInfoBox(parsedData.infoBox);
+            }
             if (parsedData.userStats) {
+                // Apply stat rules (bounds, change caps, decay, thresholds) before storing
+                parsedData.userStats = parseGeneratedUserStats(parsedData.userStats, parsedData.infoBox);
                 lastGeneratedData.userStats = parsedData.userStats;
-                parseUserStats(parsedData.userStats);
             }
             if (parsedData.infoBox) {
                 lastGeneratedData.infoBox = parsedData.infoBox;
@@ -175,6 +182,8 @@ export async function onMessageReceived(data) {
                 cleanedMessage = cleanedMessage.replace(/```[^`]*?Stats\s*\n\s*---[^`]*?```\s*/gi, '');
                 cleanedMessage = cleanedMessage.replace(/```[^`]*?Info Box\s*\n\s*---[^`]*?```\s*/gi, '');
                 cleanedMessage = cleanedMessage.replace(/```[^`]*?Present Characters\s*\n\s*---[^`]*?```\s*/gi, '');
+                // Remove the structured JSON tracker block (JSON tracker format)
+                cleanedMessage = cleanedMessage.replace(/```(?:json)?\s*\{[^`]*?"(?:userStats|infoBox|characters)"[^`]*?```\s*/gi, '');
                 // Remove any stray "---" dividers that might appear after the code blocks
                 cleanedMessage = cleanedMessage.replace(/^\s*---\s*$/gm, '');
                 // Clean up multiple consecutive newlines
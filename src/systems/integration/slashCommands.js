@@ -0,0 +1,623 @@
+/**
+ * Slash Commands Module
+ * Registers the /rpg-* STscript command family so Quick Replies and scripts can
+ * read and drive the trackers. Every command returns its result through the pipe.
+ */
+
+import { getContext } from '../../../../../../extensions.js';
+import { SlashCommandParser } from '../../../../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument } from '../../../../../../slash-commands/SlashCommandArgument.js';
+
+import {
+    extensionSettings,
+    lastGeneratedData,
+    committedTrackerData
+} from '../../core/state.js';
+import { saveSettings, saveChatData, updateMessageSwipeData } from '../../core/persistence.js';
+import { trackerSectionsToJson } from '../generation/jsonTrackerParser.js';
+import { addInventoryItem, removeInventoryItem } from '../interaction/inventoryActions.js';
+import { buildUserStatsText, renderUserStats } from '../rendering/userStats.js';
+import { updateInfoBoxField } from '../rendering/infoBox.js';
+import { updateCharacterField } from '../rendering/thoughts.js';
+import { renderQuests } from '../rendering/quests.js';
+import {
+    ensureQuestLog,
+    addQuest,
+    setQuestStatus,
+    deleteQuest,
+    findQuestByTitle,
+    getActiveQuests
+} from '../features/questLog.js';
+import { normalizeItemList } from '../../utils/inventoryItems.js';
+import { addChapter, getChapterRanges } from '../features/chapterCheckpoint.js';
+import { openChapterNavigator } from '../ui/checkpointUI.js';
+
+/**
+ * Info Box fields that can be set with /rpg-info (command field → updateInfoBoxField field)
+ */
+const INFO_FIELDS = {
+    location: 'location',
+    temperature: 'temperature',
+    time: 'timeStart',
+    weather: 'weatherForecast',
+    weatheremoji: 'weatherEmoji',
+    weekday: 'weekday',
+    month: 'month',
+    year: 'year'
+};
+
+/**
+ * Section names accepted by /rpg-regen (alias → regenerateTrackerSectionDirect section)
+ */
+const REGEN_SECTIONS = {
+    userstats: 'userStats',
+    stats: 'userStats',
+    infobox: 'infoBox',
+    info: 'infoBox',
+    presentcharacters: 'presentCharacters',
+    characterthoughts: 'presentCharacters',
+    characters: 'presentCharacters'
+};
+
+/**
+ * Splits an unnamed argument into words, keeping quoted strings together.
+ * Accepts either the raw string or the array SillyTavern produces with splitUnnamedArgument.
+ * @param {string|Array} value - Unnamed argument value
+ * @returns {Array<string>} Arguments
+ */
+function splitArgs(value) {
+    if (Array.isArray(value)) {
+        return value.map(v => String(v).trim()).filter(v => v !== '');
+    }
+    const text = String(value ?? '').trim();
+    const args = [];
+    for (const match of text.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)) {
+        args.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return args;
+}
+
+/**
+ * Finds an enabled user stat by display name or id (case-insensitive)
+ * @param {string} name - Stat name or id
+ * @returns {{id: string, name: string}|null} Stat config
+ */
+function findUserStat(name) {
+    const wanted = String(name || '').toLowerCase();
+    const stats = extensionSettings.trackerConfig?.userStats?.customStats || [];
+    return stats.find(s => s && s.enabled && (s.id.toLowerCase() === wanted || s.name.toLowerCase() === wanted)) || null;
+}
+
+/**
+ * Applies an absolute ("50") or relative ("+5", "-10") change to a number
+ * @param {number} current - Current value
+ * @param {string} change - Change expression
+ * @returns {number|null} New value, or null if the expression is not numeric
+ */
+function applyChange(current, change) {
+    const match = String(change).trim().match(/^([+-])?\s*(\d+(?:\.\d+)?)%?$/);
+    if (!match) {
+        return null;
+    }
+    const amount = Math.round(parseFloat(match[2]));
+    if (match[1] === '+') return current + amount;
+    if (match[1] === '-') return current - amount;
+    return amount;
+}
+
+/**
+ * Splits an inventory path like "onPerson.Backpack", "stored.Home" or "assets"
+ * @param {string} path - Inventory path
+ * @returns {{field: string, location: string|undefined}|null} Field and location, or null if invalid
+ */
+function parseInventoryPath(path) {
+    const [rawField, ...rest] = String(path || 'onPerson').split('.');
+    const field = { onperson: 'onPerson', stored: 'stored', assets: 'assets' }[rawField.toLowerCase()];
+    if (!field) {
+        return null;
+    }
+    return { field, location: rest.length > 0 ? rest.join('.') : undefined };
+}
+
+/**
+ * Persists manual user stat changes the same way the stats panel does
+ */
+function commitUserStatsChange() {
+    const statsText = buildUserStatsText();
+    lastGeneratedData.userStats = statsText;
+    committedTrackerData.userStats = statsText;
+    saveSettings();
+    saveChatData();
+    updateMessageSwipeData();
+    renderUserStats();
+}
+
+/**
+ * Reads a value from the current trackers for /rpg-get
+ * @param {Array<string>} args - [kind, ...path]
+ * @returns {string} Value (empty string if not found)
+ */
+function getTrackerValue(args) {
+    const [kind, ...rest] = args;
+    const data = trackerSectionsToJson(lastGeneratedData);
+
+    switch ((kind || '').toLowerCase()) {
+        case 'stat': {
+            const stat = findUserStat(rest[0]);
+            if (stat) {
+                return String(extensionSettings.userStats[stat.id] ?? '');
+            }
+            const classic = extensionSettings.classicStats?.[String(rest[0] || '').toLowerCase()];
+            return classic !== undefined ? String(classic) : '';
+        }
+        case 'mood':
+            return extensionSettings.userStats.mood || '';
+        case 'conditions':
+            return extensionSettings.userStats.conditions || '';
+        case 'info': {
+            const field = String(rest[0] || '').toLowerCase();
+            const info = data.infoBox || {};
+            if (field === 'weather' && info.weather) {
+                return [info.weather.emoji, info.weather.forecast].filter(Boolean).join(' ');
+            }
+            if (field === 'time' && info.time) {
+                return [info.time.start, info.time.end].filter(Boolean).join(' → ');
+            }
+            const value = info[field === 'recentevents' || field === 'events' ? 'recentEvents' : field];
+            return Array.isArray(value) ? value.join(', ') : String(value ?? '');
+        }
+        case 'quest':
+            return String(rest[0] || 'main').toLowerCase() === 'optional'
+                ? JSON.stringify(extensionSettings.quests.optional || [])
+                : extensionSettings.quests.main || 'None';
+        case 'item':
+        case 'items': {
+            const target = parseInventoryPath(rest[0]);
+            const inventory = extensionSettings.userStats.inventory;
+            if (!target || !inventory || typeof inventory !== 'object') {
+                return '';
+            }
+            const container = inventory[target.field];
+            let items;
+            if (container && typeof container === 'object' && !Array.isArray(container)) {
+                items = target.location
+                    ? normalizeItemList(container[target.location] || [])
+                    : Object.values(container).flatMap(v => normalizeItemList(v));
+            } else {
+                items = normalizeItemList(container || []);
+            }
+            return JSON.stringify(items);
+        }
+        case 'char':
+        case 'character': {
+            const [name, field] = rest;
+            const character = (data.characters || []).find(c => c.name.toLowerCase() === String(name || '').toLowerCase());
+            if (!character) {
+                return '';
+            }
+            if (!field) {
+                return JSON.stringify(character);
+            }
+            const wanted = field.toLowerCase();
+            if (['emoji', 'relationship', 'thoughts', 'name'].includes(wanted)) {
+                return String(character[wanted] ?? '');
+            }
+            const fieldKey = Object.keys(character.fields || {}).find(k => k.toLowerCase() === wanted);
+            if (fieldKey) {
+                return character.fields[fieldKey];
+            }
+            const statKey = Object.keys(character.stats || {}).find(k => k.toLowerCase() === wanted);
+            return statKey ? String(character.stats[statKey]) : '';
+        }
+        case 'tracker': {
+            const section = REGEN_SECTIONS[String(rest[0] || '').toLowerCase()];
+            if (section === 'presentCharacters') {
+                return lastGeneratedData.characterThoughts || '';
+            }
+            return section ? lastGeneratedData[section] || '' : JSON.stringify(data);
+        }
+        default:
+            return JSON.stringify(data);
+    }
+}
+
+/**
+ * /rpg-stat <stat> [value|+n|-n]
+ * @param {Object} _namedArgs - Named arguments (unused)
+ * @param {string|Array} unnamedArgs - Unnamed arguments
+ * @returns {Promise<string>} New (or current) value
+ */
+async function rpgStatCallback(_namedArgs, unnamedArgs) {
+    const [name, change] = splitArgs(unnamedArgs);
+    const stat = findUserStat(name);
+    const classicKey = String(name || '').toLowerCase();
+
+    if (stat) {
+        const current = Number(extensionSettings.userStats[stat.id] ?? 100);
+        if (change === undefined) {
+            return String(current);
+        }
+        const next = applyChange(current, change);
+        if (next === null) {
+            toastr.warning(`Invalid value for ${stat.name}: ${change}`);
+            return String(current);
+        }
+        extensionSettings.userStats[stat.id] = Math.max(0, Math.min(100, next));
+        commitUserStatsChange();
+        return String(extensionSettings.userStats[stat.id]);
+    }
+
+    if (extensionSettings.classicStats && extensionSettings.classicStats[classicKey] !== undefined) {
+        const current = Number(extensionSettings.classicStats[classicKey]);
+        if (change === undefined) {
+            return String(current);
+        }
+        const next = applyChange(current, change);
+        if (next === null) {
+            toastr.warning(`Invalid value for ${classicKey.toUpperCase()}: ${change}`);
+            return String(current);
+        }
+        extensionSettings.classicStats[classicKey] = Math.max(1, Math.min(100, next));
+        saveSettings();
+        saveChatData();
+        renderUserStats();
+        return String(extensionSettings.classicStats[classicKey]);
+    }
+
+    toastr.warning(`Unknown stat: ${name}`);
+    return '';
+}
+
+/**
+ * /rpg-item add|remove|list "<item>" [onPerson.Location|stored.Location|assets]
+ * @param {Object} _namedArgs - Named arguments (unused)
+ * @param {string|Array} unnamedArgs - Unnamed arguments
+ * @returns {Promise<string>} Added item entry, "true"/"false" for removal, or JSON list of item objects
+ */
+async function rpgItemCallback(_namedArgs, unnamedArgs) {
+    const [action, item, path] = splitArgs(unnamedArgs);
+
+    switch ((action || '').toLowerCase()) {
+        case 'add': {
+            const target = parseInventoryPath(path);
+            if (!target) {
+                toastr.warning(`Invalid inventory location: ${path}`);
+                return '';
+            }
+            return addInventoryItem(target.field, item, target.location) || '';
+        }
+        case 'remove': {
+            const target = parseInventoryPath(path);
+            if (!target) {
+                toastr.warning(`Invalid inventory location: ${path}`);
+                return 'false';
+            }
+            return String(removeInventoryItem(target.field, item, target.location));
+        }
+        case 'list':
+            return getTrackerValue(['item', item]);
+        default:
+            toastr.warning('Usage: /rpg-item add|remove|list "Item" [onPerson.Location|stored.Location|assets]');
+            return '';
+    }
+}
+
+/**
+ * /rpg-quest add|complete|fail|remove|set|list ...
+ * @param {Object} _namedArgs - Named arguments (unused)
+ * @param {string|Array} unnamedArgs - Unnamed arguments
+ * @returns {Promise<string>} Affected quest title, or JSON for list
+ */
+async function rpgQuestCallback(_namedArgs, unnamedArgs) {
+    const [action, ...rest] = splitArgs(unnamedArgs);
+
+    let result = '';
+    switch ((action || '').toLowerCase()) {
+        case 'add':
+        case 'set': {
+            const typeArg = String(rest[0] || '').toLowerCase();
+            const hasType = typeArg === 'main' || typeArg === 'optional';
+            const title = (hasType ? rest.slice(1) : rest).join(' ').trim();
+            if (!title) {
+                return '';
+            }
+            // "set" always targets the main quest; "add" defaults to optional
+            const type = action.toLowerCase() === 'set' || typeArg === 'main' ? 'main' : 'optional';
+            addQuest({ title, type });
+            result = title;
+            break;
+        }
+        case 'complete':
+        case 'fail':
+        case 'remove': {
+            const title = rest.join(' ').trim();
+            const quest = !title || title.toLowerCase() === 'main'
+                ? getActiveQuests('main')[0]
+                : findQuestByTitle(title);
+            if (!quest) {
+                toastr.warning(`Quest not found: ${title || 'main'}`);
+                return '';
+            }
+            if (action.toLowerCase() === 'remove') {
+                deleteQuest(quest.id);
+            } else {
+                setQuestStatus(quest.id, action.toLowerCase() === 'fail' ? 'failed' : 'completed');
+            }
+            result = quest.title;
+            break;
+        }
+        case 'list':
+            ensureQuestLog();
+            return JSON.stringify({
+                main: extensionSettings.quests.main || 'None',
+                optional: extensionSettings.quests.optional,
+                active: getActiveQuests().map(q => ({ title: q.title, type: q.type, objectives: q.objectives }))
+            });
+        default:
+            toastr.warning('Usage: /rpg-quest add [main|optional] "Title" | complete ["Title"] | fail ["Title"] | remove "Title" | set "Title" | list');
+            return '';
+    }
+
+    saveSettings();
+    saveChatData();
+    renderQuests();
+    return result;
+}
+
+/**
+ * /rpg-chapter add [title]|list|open
+ * @param {Object} _namedArgs - Named arguments (unused)
+ * @param {string|Array} unnamedArgs - Unnamed arguments
+ * @returns {Promise<string>} New chapter title, or JSON for list
+ */
+async function rpgChapterCallback(_namedArgs, unnamedArgs) {
+    const [action, ...rest] = splitArgs(unnamedArgs);
+
+    switch ((action || 'open').toLowerCase()) {
+        case 'add': {
+            const chat = getContext().chat || [];
+            const chapter = await addChapter(chat.length - 1, { title: rest.join(' ') });
+            return chapter ? chapter.title : '';
+        }
+        case 'list':
+            return JSON.stringify(getChapterRanges().map(({ chapter, start, end }) => ({
+                title: chapter.title,
+                start,
+                end,
+                hidden: chapter.hidden,
+                summary: chapter.summary
+            })));
+        case 'open':
+            openChapterNavigator();
+            return '';
+        default:
+            toastr.warning(`Unknown /rpg-chapter action: ${action}`, 'RPG Companion');
+            return '';
+    }
+}
+
+/**
+ * Registers all /rpg-* slash commands with SillyTavern
+ */
+export function registerSlashCommands() {
+    const stringArg = (description, isRequired = false) => SlashCommandArgument.fromProps({
+        description,
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired
+    });
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-stat',
+        callback: rpgStatCallback,
+        returns: 'the new stat value',
+        splitUnnamedArgument: true,
+        unnamedArgumentList: [
+            stringArg('stat name or id (e.g. health, str)', true),
+            stringArg('new value, or +n / -n to adjust; omit to read')
+        ],
+        helpString: `
+            <div>Reads or changes a user stat. Percentage stats are clamped to 0-100.</div>
+            <div><strong>Example:</strong> <pre><code>/rpg-stat health -10</code></pre></div>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-item',
+        callback: rpgItemCallback,
+        returns: 'the added item, true/false for removal, or a JSON list',
+        splitUnnamedArgument: true,
+        unnamedArgumentList: [
+            stringArg('add | remove | list', true),
+            stringArg('item name'),
+            stringArg('location: onPerson[.Location], stored.Location or assets')
+        ],
+        helpString: `
+            <div>Adds, removes or lists inventory items. A quantity in the name (<code>3x Potion</code>) adds or removes that many; items with the same name stack.</div>
+            <div><strong>Example:</strong> <pre><code>/rpg-item add "Rope" onPerson.Backpack</code></pre></div>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-quest',
+        callback: rpgQuestCallback,
+        returns: 'the affected quest title, or JSON for list',
+        splitUnnamedArgument: true,
+        unnamedArgumentList: [
+            stringArg('add | complete | fail | remove | set | list', true),
+            stringArg('main | optional, and/or the quest title')
+        ],
+        helpString: `
+            <div>Manages quests. <code>complete</code> and <code>fail</code> without a title apply to the main quest and move it to the quest archive; <code>remove</code> deletes a quest entirely.</div>
+            <div><strong>Example:</strong> <pre><code>/rpg-quest complete</code></pre></div>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-location',
+        callback: async (_namedArgs, unnamedArgs) => {
+            const location = splitArgs(unnamedArgs).join(' ').trim();
+            if (!location) {
+                return getTrackerValue(['info', 'location']);
+            }
+            updateInfoBoxField('location', location);
+            return location;
+        },
+        returns: 'the current location',
+        unnamedArgumentList: [stringArg('new location; omit to read')],
+        helpString: `
+            <div>Reads or sets the Info Box location.</div>
+            <div><strong>Example:</strong> <pre><code>/rpg-location "Tavern"</code></pre></div>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-info',
+        callback: async (_namedArgs, unnamedArgs) => {
+            const [field, ...rest] = splitArgs(unnamedArgs);
+            const value = rest.join(' ').trim();
+            const infoField = INFO_FIELDS[String(field || '').toLowerCase()];
+            if (!value) {
+                return getTrackerValue(['info', field]);
+            }
+            if (!infoField) {
+                toastr.warning(`Unknown Info Box field: ${field}`);
+                return '';
+            }
+            updateInfoBoxField(infoField, value);
+            return value;
+        },
+        returns: 'the field value',
+        splitUnnamedArgument: true,
+        unnamedArgumentList: [
+            stringArg(`field: ${Object.keys(INFO_FIELDS).join(', ')}`, true),
+            stringArg('new value; omit to read')
+        ],
+        helpString: `
+            <div>Reads or sets an Info Box field.</div>
+            <div><strong>Example:</strong> <pre><code>/rpg-info weather "Heavy rain"</code></pre></div>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-char',
+        callback: async (_namedArgs, unnamedArgs) => {
+            const [name, field, ...rest] = splitArgs(unnamedArgs);
+            const value = rest.join(' ').trim();
+            if (!value) {
+                return getTrackerValue(['char', name, field]);
+            }
+            const presentConfig = extensionSettings.trackerConfig?.presentCharacters;
+            const knownFields = [
+                'name', 'emoji', 'Relationship', presentConfig?.thoughts?.name || 'Thoughts',
+                ...(presentConfig?.customFields || []).filter(f => f && f.enabled).map(f => f.name),
+                ...(presentConfig?.characterStats?.customStats || []).filter(s => s && s.enabled).map(s => s.name)
+            ];
+            const resolvedField = knownFields.find(f => f.toLowerCase() === String(field).toLowerCase()) || field;
+            updateCharacterField(name, resolvedField, value);
+            return value;
+        },
+        returns: 'the field value',
+        splitUnnamedArgument: true,
+        unnamedArgumentList: [
+            stringArg('character name', true),
+            stringArg('field (emoji, Relationship, Thoughts, a custom field or a character stat)'),
+            stringArg('new value; omit to read')
+        ],
+        helpString: `
+            <div>Reads or sets a Present Characters field.</div>
+            <div><strong>Example:</strong> <pre><code>/rpg-char "Lyra" Relationship Friend</code></pre></div>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-encounter',
+        callback: async (_namedArgs, unnamedArgs) => {
+            const action = (splitArgs(unnamedArgs)[0] || 'status').toLowerCase();
+            const { currentEncounter } = await import('../features/encounterState.js');
+            if (action === 'start') {
+                const { openEncounterModal } = await import('../ui/encounterUI.js');
+                openEncounterModal();
+                return 'true';
+            }
+            if (action === 'end') {
+                if (!currentEncounter.active) {
+                    return 'false';
+                }
+                const { encounterModal } = await import('../ui/encounterUI.js');
+                await encounterModal.concludeEncounter();
+                return 'true';
+            }
+            return String(!!currentEncounter.active);
+        },
+        returns: 'true/false',
+        unnamedArgumentList: [stringArg('start | end | status')],
+        helpString: `
+            <div>Starts or concludes a combat encounter, or reports whether one is active.</div>
+            <div><strong>Example:</strong> <pre><code>/rpg-encounter start</code></pre></div>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-regen',
+        callback: async (_namedArgs, unnamedArgs) => {
+            const [sectionArg, ...rest] = splitArgs(unnamedArgs);
+            const section = REGEN_SECTIONS[String(sectionArg || '').toLowerCase()];
+            if (!section) {
+                toastr.warning('Usage: /rpg-regen userStats|infoBox|presentCharacters ["guidance"]');
+                return '';
+            }
+            const { regenerateTrackerSectionDirect } = await import('../ui/trackerRegeneration.js');
+            try {
+                await regenerateTrackerSectionDirect(section, rest.join(' ').trim());
+            } catch (error) {
+                console.error('[RPG Companion] /rpg-regen failed:', error);
+                toastr.error(`Regeneration failed: ${error.message}`);
+                return '';
+            }
+            return section === 'presentCharacters' ? lastGeneratedData.characterThoughts || '' : lastGeneratedData[section] || '';
+        },
+        returns: 'the regenerated section text',
+        splitUnnamedArgument: true,
+        unnamedArgumentList: [
+            stringArg('userStats | infoBox | presentCharacters', true),
+            stringArg('optional guidance for the regeneration')
+        ],
+        helpString: `
+            <div>Regenerates one tracker section.</div>
+            <div><strong>Example:</strong> <pre><code>/rpg-regen infoBox</code></pre></div>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-chapter',
+        callback: rpgChapterCallback,
+        returns: 'the new chapter title, or JSON for list',
+        splitUnnamedArgument: true,
+        unnamedArgumentList: [
+            stringArg('add | list | open (default)'),
+            stringArg('chapter title for add')
+        ],
+        helpString: `
+            <div>Manages chapters. <code>add</code> starts a chapter at the latest message and hides the earlier chapters; <code>open</code> shows the chapter navigator.</div>
+            <div><strong>Example:</strong> <pre><code>/rpg-chapter add "The Siege"</code></pre></div>
+        `
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'rpg-get',
+        callback: async (_namedArgs, unnamedArgs) => getTrackerValue(splitArgs(unnamedArgs)),
+        returns: 'the requested value (lists and objects as JSON)',
+        splitUnnamedArgument: true,
+        unnamedArgumentList: [
+            stringArg('stat | mood | conditions | info | quest | item | char | tracker', true),
+            stringArg('what to read (e.g. health, location, main, onPerson.Backpack, "Lyra" Relationship)')
+        ],
+        helpString: `
+            <div>Reads a tracker value without changing it. Without arguments returns all trackers as JSON.</div>
+            <div><strong>Example:</strong> <pre><code>/rpg-get stat health | /echo</code></pre></div>
+        `
+    }));
+
+    console.log('[RPG Companion] Registered /rpg-* slash commands');
+}
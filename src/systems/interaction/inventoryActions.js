@@ -1,6 +1,6 @@
 /**
  * Inventory Actions Module
- * Handles all user interactions with the inventory v2 system
+ * Handles all user interactions with the inventory v4 system
  */
 
 import { extensionSettings, lastGeneratedData, committedTrackerData } from '../../core/state.js';
@@ -8,11 +8,12 @@ import { saveSettings, saveChatData, updateMessageSwipeData } from '../../core/p
 import { buildInventorySummary } from '../generation/promptBuilder.js';
 import { buildUserStatsText } from '../rendering/userStats.js';
 import { renderInventory, getLocationId } from '../rendering/inventory.js';
-import { parseItems, serializeItems } from '../../utils/itemParser.js';
-import { sanitizeLocationName, sanitizeItemName } from '../../utils/security.js';
+import { parseItemEntry, mergeItemStacks, getItemList, formatItemEntry, MAX_ITEM_QUANTITY } from '../../utils/inventoryItems.js';
+import { updateInventoryItemDetails } from './inventoryEdit.js';
+import { sanitizeLocationName } from '../../utils/security.js';
 
 // Type imports
-/** @typedef {import('../../types/inventory.js').InventoryV2} InventoryV2 */
+/** @typedef {import('../../types/inventory.js').InventoryV4} InventoryV4 */
 
 /**
  * Current active sub-tab for inventory UI
@@ -37,6 +38,12 @@ let openForms = {
     addItemAssets: false
 };
 
+/**
+ * Items whose details editor is open (keys from getItemDetailsKey)
+ * @type {string[]}
+ */
+let openItemDetails = [];
+
 /**
  * Updates lastGeneratedData.userStats AND committedTrackerData.userStats to include
  * current inventory in text format.
@@ -68,6 +75,9 @@ export function showAddItemForm(field, location) {
         // Track in state
         if (!openForms.addItemStored) openForms.addItemStored = {};
         openForms.addItemStored[location] = true;
+    } else if (field === 'onPerson' && location) {
+        formId = `rpg-add-item-form-onPerson-${getLocationId(location)}`;
+        inputId = `.rpg-location-item-input[data-field="onPerson"][data-location="${location}"]`;
     } else {
         formId = `rpg-add-item-form-${field}`;
         inputId = `#rpg-new-item-${field}`;
@@ -103,6 +113,9 @@ export function hideAddItemForm(field, location) {
         if (openForms.addItemStored && openForms.addItemStored[location]) {
             delete openForms.addItemStored[location];
         }
+    } else if (field === 'onPerson' && location) {
+        formId = `rpg-add-item-form-onPerson-${getLocationId(location)}`;
+        inputId = `.rpg-location-item-input[data-field="onPerson"][data-location="${location}"]`;
     } else {
         formId = `rpg-add-item-form-${field}`;
         inputId = `#rpg-new-item-${field}`;
@@ -132,6 +145,8 @@ export function saveAddItem(field, location) {
 
     if (field === 'stored') {
         inputId = `.rpg-location-item-input[data-location="${location}"]`;
+    } else if (field === 'onPerson' && location) {
+        inputId = `.rpg-location-item-input[data-field="onPerson"][data-location="${location}"]`;
     } else {
         inputId = `#rpg-new-item-${field}`;
     }
@@ -144,32 +159,18 @@ export function saveAddItem(field, location) {
         return;
     }
 
-    // Security: Validate and sanitize item name
-    const itemName = sanitizeItemName(rawItemName);
-    if (!itemName) {
+    // Security: Validate and sanitize item name ("3x Potion" adds a stack of 3)
+    const item = parseItemEntry(rawItemName);
+    if (!item) {
         alert('Invalid item name.');
         hideAddItemForm(field, location);
         return;
     }
 
-    // Get current items, add new one, serialize back
-    let currentString;
-    if (field === 'stored') {
-        currentString = inventory.stored[location] || 'None';
-    } else {
-        currentString = inventory[field] || 'None';
-    }
-
-    const items = parseItems(currentString);
-    items.push(itemName);
-    const newString = serializeItems(items);
-
-    // Save back to inventory
-    if (field === 'stored') {
-        inventory.stored[location] = newString;
-    } else {
-        inventory[field] = newString;
-    }
+    // Add the item, merging it into an existing stack with the same name
+    const items = getItemList(inventory, field, location);
+    items.push(item);
+    items.splice(0, items.length, ...mergeItemStacks(items));
 
     updateLastGeneratedDataInventory();
     saveSettings();
@@ -192,42 +193,154 @@ export function removeItem(field, itemIndex, location) {
 
     // console.log('[RPG Companion] DEBUG removeItem called:', { field, itemIndex, location });
 
-    // Get current items, remove the one at index, serialize back
-    let currentString;
-    if (field === 'stored') {
-        currentString = inventory.stored[location] || 'None';
-    } else {
-        currentString = inventory[field] || 'None';
+    // Remove the item stack at index
+    const items = getItemList(inventory, field, location);
+    if (!items || itemIndex < 0 || itemIndex >= items.length) {
+        return;
     }
+    items.splice(itemIndex, 1);
 
-    // console.log('[RPG Companion] DEBUG currentString before removal:', currentString);
-
-    const items = parseItems(currentString);
-    // console.log('[RPG Companion] DEBUG items array before removal:', items);
+    updateLastGeneratedDataInventory();
+    saveSettings();
+    saveChatData();
+    updateMessageSwipeData();
 
-    items.splice(itemIndex, 1); // Remove item at index
-    // console.log('[RPG Companion] DEBUG items array after removal:', items);
+    // Re-render
+    renderInventory();
+}
 
-    const newString = serializeItems(items);
-    // console.log('[RPG Companion] DEBUG newString after removal:', newString);
+/**
+ * Changes the quantity of an item stack. Stacks that drop to zero are removed.
+ * @param {string} field - Field name ('onPerson', 'stored', 'assets')
+ * @param {number} itemIndex - Index of the item
+ * @param {number} delta - Amount to add (negative to subtract)
+ * @param {string} [location] - Location name (onPerson/stored)
+ */
+export function changeItemQuantity(field, itemIndex, delta, location) {
+    const items = getItemList(extensionSettings.userStats.inventory, field, location);
+    const item = items?.[itemIndex];
+    if (!item) {
+        return;
+    }
 
-    // Save back to inventory
-    if (field === 'stored') {
-        inventory.stored[location] = newString;
+    const quantity = Math.min(item.quantity + delta, MAX_ITEM_QUANTITY);
+    if (quantity <= 0) {
+        items.splice(itemIndex, 1);
     } else {
-        inventory[field] = newString;
+        item.quantity = quantity;
     }
 
-    // console.log('[RPG Companion] DEBUG inventory after save:', inventory);
+    commitInventoryChange();
+}
+
+/**
+ * Builds the key identifying an item's details editor across re-renders.
+ * @param {string} field - Field name ('onPerson', 'stored', 'assets')
+ * @param {string} itemName - Item name
+ * @param {string} [location] - Location name (onPerson/stored)
+ * @returns {string} Key
+ */
+export function getItemDetailsKey(field, itemName, location) {
+    return `${field}:${location || ''}:${String(itemName).toLowerCase()}`;
+}
 
+/**
+ * Opens or closes the details editor (weight, tags, description, equipped) of an item.
+ * @param {string} field - Field name ('onPerson', 'stored', 'assets')
+ * @param {number} itemIndex - Index of the item
+ * @param {string} [location] - Location name (onPerson/stored)
+ */
+export function toggleItemDetails(field, itemIndex, location) {
+    const item = getItemList(extensionSettings.userStats.inventory, field, location)?.[itemIndex];
+    if (!item) {
+        return;
+    }
+
+    const key = getItemDetailsKey(field, item.name, location);
+    openItemDetails = openItemDetails.includes(key)
+        ? openItemDetails.filter(k => k !== key)
+        : [...openItemDetails, key];
+
+    renderInventory();
+}
+
+/**
+ * Saves inventory changes made outside the inline forms and re-renders.
+ */
+function commitInventoryChange() {
     updateLastGeneratedDataInventory();
     saveSettings();
     saveChatData();
     updateMessageSwipeData();
-
-    // Re-render
     renderInventory();
-}/**
+}
+
+/**
+ * Adds an item to the inventory programmatically (slash commands, scripts).
+ * A quantity in the name ("3x Potion") adds a stack; items with the same name
+ * are merged. Missing locations are created.
+ * @param {string} field - Field name ('onPerson', 'stored', 'assets')
+ * @param {string} rawItemName - Item to add
+ * @param {string} [location] - Location name (onPerson/stored; defaults to the first location)
+ * @returns {string|null} The added entry (e.g. "3x Potion"), or null if invalid
+ */
+export function addInventoryItem(field, rawItemName, location) {
+    const inventory = extensionSettings.userStats.inventory;
+    const item = parseItemEntry(String(rawItemName || '').trim());
+    const safeLocation = location ? sanitizeLocationName(location) : location;
+    const items = item && !(location && !safeLocation) ? getItemList(inventory, field, safeLocation) : null;
+
+    if (!items) {
+        return null;
+    }
+
+    items.push(item);
+    items.splice(0, items.length, ...mergeItemStacks(items));
+
+    commitInventoryChange();
+    return formatItemEntry(item);
+}
+
+/**
+ * Removes an item from the inventory programmatically by name (case-insensitive).
+ * Removes one unit, or the quantity given in the name ("2x Potion"); a stack
+ * that drops to zero is removed. Without a location, every location of the
+ * field is searched.
+ * @param {string} field - Field name ('onPerson', 'stored', 'assets')
+ * @param {string} itemName - Item to remove
+ * @param {string} [location] - Location name (onPerson/stored)
+ * @returns {boolean} True if an item was removed
+ */
+export function removeInventoryItem(field, itemName, location) {
+    const inventory = extensionSettings.userStats.inventory;
+    const wanted = parseItemEntry(itemName);
+    if (!inventory || typeof inventory !== 'object' || !wanted) {
+        return false;
+    }
+
+    const container = inventory[field];
+    const lists = field === 'assets'
+        ? [getItemList(inventory, field)]
+        : Object.keys(container && typeof container === 'object' ? container : {})
+            .filter(loc => !location || loc === location)
+            .map(loc => getItemList(inventory, field, loc));
+
+    for (const items of lists) {
+        const index = items.findIndex(item => item.name.toLowerCase() === wanted.name.toLowerCase());
+        if (index !== -1) {
+            items[index].quantity -= wanted.quantity;
+            if (items[index].quantity <= 0) {
+                items.splice(index, 1);
+            }
+            commitInventoryChange();
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
  * Shows the inline form for adding a new storage location.
  * @param {string} field - Field name ('onPerson' or 'stored')
  */
@@ -303,8 +416,8 @@ export function saveAddLocation(field = 'stored') {
         return;
     }
 
-    // Create new location with default "None"
-    targetObj[locationName] = 'None';
+    // Create new empty location
+    targetObj[locationName] = [];
 
     updateLastGeneratedDataInventory();
     saveSettings();
@@ -531,6 +644,37 @@ export function initInventoryEventListeners() {
         removeItem(field, itemIndex, location);
     });
 
+    // Quantity +/- buttons
+    $(document).on('click', '.rpg-item-quantity-btn', function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        const field = $(this).data('field');
+        const itemIndex = parseInt($(this).data('index'));
+        const location = $(this).data('location');
+        const delta = $(this).data('action') === 'increase-quantity' ? 1 : -1;
+        changeItemQuantity(field, itemIndex, delta, location);
+    });
+
+    // Item details toggle
+    $(document).on('click', '.rpg-item-details-toggle[data-action="toggle-item-details"]', function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        const field = $(this).data('field');
+        const itemIndex = parseInt($(this).data('index'));
+        const location = $(this).data('location');
+        toggleItemDetails(field, itemIndex, location);
+    });
+
+    // Item details inputs (weight, tags, description, equipped)
+    $(document).on('change', '.rpg-item-detail-input', function() {
+        const field = $(this).data('field');
+        const itemIndex = parseInt($(this).data('index'));
+        const location = $(this).data('location');
+        const detail = $(this).data('detail');
+        const value = $(this).is(':checkbox') ? $(this).is(':checked') : $(this).val();
+        updateInventoryItemDetails(field, itemIndex, { [detail]: value }, location);
+    });
+
     // Freeze item button
     $(document).on('click', '.rpg-item-freeze[data-action="freeze-item"]', function(e) {
         e.preventDefault();
@@ -628,12 +772,13 @@ export function initInventoryEventListeners() {
 
 /**
  * Gets the current inventory rendering options.
- * @returns {Object} Options object with activeSubTab and collapsedLocations
+ * @returns {Object} Options object with activeSubTab, collapsedLocations and openItemDetails
  */
 export function getInventoryRenderOptions() {
     return {
         activeSubTab: currentActiveSubTab,
-        collapsedLocations
+        collapsedLocations,
+        openItemDetails
     };
 }
 
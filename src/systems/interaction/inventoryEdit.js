@@ -1,18 +1,19 @@
 /**
  * Inventory Item Editing Module
- * Handles inline editing of inventory item names
+ * Handles inline editing of inventory item names and details
  */
 
 import { extensionSettings, lastGeneratedData, committedTrackerData } from '../../core/state.js';
 import { saveSettings, saveChatData, updateMessageSwipeData } from '../../core/persistence.js';
 import { buildInventorySummary } from '../generation/promptBuilder.js';
 import { renderInventory } from '../rendering/inventory.js';
-import { parseItems, serializeItems } from '../../utils/itemParser.js';
-import { sanitizeItemName } from '../../utils/security.js';
+import { parseItemEntry, createInventoryItem, mergeItemStacks, getItemList } from '../../utils/inventoryItems.js';
 
 /**
  * Updates an existing inventory item's name.
- * Validates, sanitizes, and persists the change.
+ * Validates, sanitizes, and persists the change. A quantity typed into the
+ * name ("3x Potion") updates the stack size; renaming onto an existing item
+ * merges both stacks.
  *
  * @param {string} field - Field name ('onPerson', 'stored', 'assets')
  * @param {number} index - Index of item in the array
@@ -23,48 +24,75 @@ export function updateInventoryItem(field, index, newName, location) {
     const inventory = extensionSettings.userStats.inventory;
 
     // Validate and sanitize the new item name
-    const sanitizedName = sanitizeItemName(newName);
-    if (!sanitizedName) {
+    const parsed = parseItemEntry(newName);
+    if (!parsed) {
         console.warn('[RPG Companion] Invalid item name, reverting change');
         // Re-render to revert the change in UI
         renderInventory();
         return;
     }
 
-    // Get current items for the field
-    let currentString;
-    if (field === 'stored') {
-        if (!location) {
-            console.error('[RPG Companion] Location required for stored items');
-            return;
-        }
-        currentString = inventory.stored[location] || 'None';
-    } else {
-        currentString = inventory[field] || 'None';
+    if (field === 'stored' && !location) {
+        console.error('[RPG Companion] Location required for stored items');
+        return;
     }
 
-    // Parse current items
-    const items = parseItems(currentString);
+    // Get current items for the field
+    const items = getItemList(inventory, field, location);
 
     // Validate index
-    if (index < 0 || index >= items.length) {
+    if (!items || index < 0 || index >= items.length) {
         console.error(`[RPG Companion] Invalid item index: ${index}`);
         return;
     }
 
-    // Update the item at this index
-    items[index] = sanitizedName;
+    const current = items[index];
+    const hasQuantity = parsed.quantity > 1;
+    if (parsed.name === current.name && !hasQuantity && !parsed.equipped) {
+        return;
+    }
+
+    // Update the item at this index, keeping its metadata
+    items[index] = {
+        ...current,
+        name: parsed.name,
+        quantity: hasQuantity ? parsed.quantity : current.quantity,
+        equipped: current.equipped || parsed.equipped
+    };
+    items.splice(0, items.length, ...mergeItemStacks(items));
 
-    // Serialize back to string
-    const newItemString = serializeItems(items);
+    commitItemEdit();
+}
 
-    // Update the inventory
-    if (field === 'stored') {
-        inventory.stored[location] = newItemString;
-    } else {
-        inventory[field] = newItemString;
+/**
+ * Updates the details of an inventory item (weight, description, tags, equipped).
+ *
+ * @param {string} field - Field name ('onPerson', 'stored', 'assets')
+ * @param {number} index - Index of item in the array
+ * @param {Object} details - Changed details, e.g. { weight: 2 } or { tags: "weapon, steel" }
+ * @param {string} [location] - Location name (required for 'stored' field)
+ */
+export function updateInventoryItemDetails(field, index, details, location) {
+    const items = getItemList(extensionSettings.userStats.inventory, field, location);
+    if (!items || index < 0 || index >= items.length) {
+        console.error(`[RPG Companion] Invalid item index: ${index}`);
+        return;
+    }
+
+    const updated = createInventoryItem({ ...items[index], ...details, name: items[index].name });
+    if (!updated) {
+        return;
     }
+    items[index] = updated;
 
+    commitItemEdit();
+}
+
+/**
+ * Persists an item edit and re-renders the inventory.
+ * @private
+ */
+function commitItemEdit() {
     // Update lastGeneratedData and committedTrackerData with new inventory
     updateLastGeneratedDataInventory();
 
@@ -10,8 +10,17 @@ import {
     committedTrackerData,
     $infoBoxContainer
 } from '../../core/state.js';
-import { saveChatData } from '../../core/persistence.js';
+import { saveChatData, saveSettings, updateMessageSwipeData } from '../../core/persistence.js';
 import { i18n } from '../../core/i18n.js';
+import { advanceInfoBoxTime, getCalendarConfig, getElapsedSinceStart, formatDuration } from '../features/calendar.js';
+import { applyHourlyDecay } from '../features/statRules.js';
+import { buildUserStatsText, renderUserStats } from './userStats.js';
+
+/**
+ * Whether the advance time form is open (kept across re-renders)
+ * @type {boolean}
+ */
+let advanceTimeFormOpen = false;
 
 /**
  * Helper to separate emoji from text in a string
@@ -281,12 +290,17 @@ export function renderInfoBox() {
 
     // Build visual dashboard HTML
     let html = '';
+    const showClockControls = Boolean(config?.widgets?.time?.enabled || config?.widgets?.date?.enabled);
 
     // Add section header with regenerate buttons
     html += `
         <div class="rpg-section-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
             <h4 style="margin: 0;">Environment</h4>
             <div style="display: flex; gap: 4px;">
+                ${showClockControls ? `
+                <button id="rpg-advance-time-toggle" class="rpg-btn-icon" title="Advance time" style="padding: 4px 8px; font-size: 14px;">
+                    <i class="fa-solid fa-forward"></i>
+                </button>` : ''}
                 <button id="rpg-regenerate-info-box" class="rpg-btn-icon" title="Regenerate Environment" style="padding: 4px 8px; font-size: 14px;">
                     <i class="fa-solid fa-rotate"></i>
                 </button>
@@ -294,6 +308,23 @@ export function renderInfoBox() {
         </div>
     `;
 
+    // Advance time form (hidden until toggled)
+    if (showClockControls) {
+        const elapsed = formatDuration(getElapsedSinceStart());
+        html += `
+            <div class="rpg-advance-time-form" style="display: ${advanceTimeFormOpen ? 'flex' : 'none'};">
+                <input type="number" id="rpg-advance-time-amount" class="rpg-advance-time-amount" min="1" value="1">
+                <select id="rpg-advance-time-unit" class="rpg-select-mini">
+                    <option value="1">minutes</option>
+                    <option value="60" selected>hours</option>
+                    <option value="day">days</option>
+                </select>
+                <button id="rpg-advance-time-apply" class="rpg-btn-secondary"><i class="fa-solid fa-forward"></i> Advance</button>
+                ${elapsed ? `<span class="rpg-advance-time-elapsed" title="In-game time since the first dated message">Since start: ${elapsed}</span>` : ''}
+            </div>
+        `;
+    }
+
     // Wrap all content in a scrollable container
     html += '<div class="rpg-info-content">';
 
@@ -547,6 +578,22 @@ export function renderInfoBox() {
         }
     });
 
+    // Advance time controls
+    $('#rpg-advance-time-toggle').off('click').on('click', function() {
+        advanceTimeFormOpen = !advanceTimeFormOpen;
+        $infoBoxContainer.find('.rpg-advance-time-form').css('display', advanceTimeFormOpen ? 'flex' : 'none');
+    });
+
+    $('#rpg-advance-time-apply').off('click').on('click', function() {
+        const amount = Number($('#rpg-advance-time-amount').val());
+        const unit = $('#rpg-advance-time-unit').val();
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return;
+        }
+        const minutesPerUnit = unit === 'day' ? getCalendarConfig().hoursPerDay * 60 : Number(unit);
+        advanceTime(Math.round(amount * minutesPerUnit));
+    });
+
     // Remove updating class after animation
     if (extensionSettings.enableAnimations) {
         setTimeout(() => $infoBoxContainer.removeClass('rpg-content-updating'), 500);
@@ -569,6 +616,33 @@ export function renderInfoBox() {
     }
 }
 
+/**
+ * Advances the in-game time by the given amount, rewriting the Date and Time
+ * lines together, and applies the per-hour stat decay for the skipped time.
+ * @param {number} minutes - Minutes to advance
+ */
+export function advanceTime(minutes) {
+    const infoBoxText = advanceInfoBoxTime(lastGeneratedData.infoBox || committedTrackerData.infoBox, minutes);
+
+    // Update BOTH lastGeneratedData AND committedTrackerData
+    // This makes manual edits immediately visible to AI
+    lastGeneratedData.infoBox = infoBoxText;
+    committedTrackerData.infoBox = infoBoxText;
+
+    if (applyHourlyDecay(minutes / 60).length > 0) {
+        const statsText = buildUserStatsText();
+        lastGeneratedData.userStats = statsText;
+        committedTrackerData.userStats = statsText;
+        saveSettings();
+        renderUserStats();
+    }
+
+    saveChatData();
+    updateMessageSwipeData();
+    renderInfoBox();
+    console.log(`[RPG Companion] Advanced in-game time by ${formatDuration(minutes)}`);
+}
+
 /**
  * Updates a specific field in the Info Box data and re-renders.
  * Handles complex field reconstruction logic for date parts, weather, temperature, time, and location.
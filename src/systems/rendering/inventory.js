@@ -1,16 +1,18 @@
 /**
  * Inventory Rendering Module
- * Handles UI rendering for inventory v2 system
+ * Handles UI rendering for inventory v4 system
  */
 
 import { extensionSettings, $inventoryContainer } from '../../core/state.js';
-import { getInventoryRenderOptions, restoreFormStates } from '../interaction/inventoryActions.js';
+import { getInventoryRenderOptions, restoreFormStates, getItemDetailsKey } from '../interaction/inventoryActions.js';
 import { updateInventoryItem } from '../interaction/inventoryEdit.js';
-import { parseItems } from '../../utils/itemParser.js';
+import { migrateInventory } from '../../utils/migration.js';
+import { getItemsWeight, getCarriedWeight } from '../../utils/inventoryItems.js';
 import { i18n } from '../../core/i18n.js';
 
 // Type imports
-/** @typedef {import('../../types/inventory.js').InventoryV2} InventoryV2 */
+/** @typedef {import('../../types/inventory.js').InventoryItem} InventoryItem */
+/** @typedef {import('../../types/inventory.js').InventoryV4} InventoryV4 */
 
 /**
  * Converts a location name to a safe ID for use in HTML element IDs.
@@ -39,6 +41,154 @@ function isItemFrozen(field, itemName, location = null) {
     return !!extensionSettings.frozenItems[key];
 }
 
+/**
+ * Gets a translation with a fallback for keys missing from older locale files
+ * @param {string} key - Translation key
+ * @param {string} fallback - Fallback text
+ * @returns {string} Translated text
+ */
+function t(key, fallback) {
+    return i18n.getTranslation(key) || fallback;
+}
+
+/**
+ * Formats a weight for display (at most two decimals)
+ * @param {number} weight - Weight value
+ * @returns {string} Formatted weight
+ */
+function formatWeight(weight) {
+    return String(Math.round(weight * 100) / 100);
+}
+
+/**
+ * Renders the quantity stepper of an item
+ * @param {InventoryItem} item - Item
+ * @param {string} dataAttrs - Shared data attributes (field, location, index)
+ * @returns {string} HTML for the quantity controls
+ */
+function renderQuantityControls(item, dataAttrs) {
+    return `
+        <div class="rpg-item-quantity">
+            <button class="rpg-item-quantity-btn" data-action="decrease-quantity" ${dataAttrs} title="${t('inventory.item.decreaseQuantity', 'Decrease quantity')}">
+                <i class="fa-solid fa-minus"></i>
+            </button>
+            <span class="rpg-item-quantity-value">×${item.quantity}</span>
+            <button class="rpg-item-quantity-btn" data-action="increase-quantity" ${dataAttrs} title="${t('inventory.item.increaseQuantity', 'Increase quantity')}">
+                <i class="fa-solid fa-plus"></i>
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Renders the inline details editor of an item (weight, tags, description, equipped)
+ * @param {InventoryItem} item - Item
+ * @param {string} dataAttrs - Shared data attributes (field, location, index)
+ * @returns {string} HTML for the details editor
+ */
+function renderItemDetails(item, dataAttrs) {
+    return `
+        <div class="rpg-item-details">
+            <label class="rpg-item-detail rpg-item-detail-inline">
+                <input type="checkbox" class="rpg-item-detail-input" data-detail="equipped" ${dataAttrs} ${item.equipped ? 'checked' : ''} />
+                <span>${t('inventory.item.equipped', 'Equipped')}</span>
+            </label>
+            <label class="rpg-item-detail">
+                <span>${t('inventory.item.weight', 'Weight (each)')}</span>
+                <input type="number" min="0" step="0.1" class="rpg-item-detail-input" data-detail="weight" ${dataAttrs} value="${item.weight || ''}" />
+            </label>
+            <label class="rpg-item-detail">
+                <span>${t('inventory.item.tags', 'Tags')}</span>
+                <input type="text" class="rpg-item-detail-input" data-detail="tags" ${dataAttrs} value="${escapeHtml(item.tags.join(', '))}" placeholder="${t('inventory.item.tagsPlaceholder', 'weapon, consumable...')}" />
+            </label>
+            <label class="rpg-item-detail">
+                <span>${t('inventory.item.description', 'Description')}</span>
+                <textarea class="rpg-item-detail-input" data-detail="description" ${dataAttrs} rows="2" placeholder="${t('inventory.item.descriptionPlaceholder', 'Describe this item...')}">${escapeHtml(item.description)}</textarea>
+            </label>
+        </div>
+    `;
+}
+
+/**
+ * Renders the items of one list (a location or the assets) in list or grid view
+ * @param {InventoryItem[]} items - Items to render
+ * @param {string} field - Field name ('onPerson', 'stored', 'assets')
+ * @param {string|null} location - Location name (null for assets)
+ * @param {string} viewMode - View mode ('list' or 'grid')
+ * @param {string} removeTitle - Tooltip of the remove button
+ * @returns {string} HTML for the items
+ */
+function renderItems(items, field, location, viewMode, removeTitle = 'Remove item') {
+    const { openItemDetails = [] } = getInventoryRenderOptions();
+
+    return items.map((item, index) => {
+        const isFrozen = isItemFrozen(field, item.name, location);
+        const frozenClass = isFrozen ? 'rpg-item-frozen' : '';
+        const equippedClass = item.equipped ? 'rpg-item-equipped' : '';
+        const freezeTitle = isFrozen ? 'Unfreeze this item (currently locked)' : 'Freeze this item to prevent updates';
+        const dataAttrs = `data-field="${field}"${location ? ` data-location="${escapeHtml(location)}"` : ''} data-index="${index}"`;
+        const detailsOpen = openItemDetails.includes(getItemDetailsKey(field, item.name, location));
+        const tooltip = [item.description, item.tags.join(', ')].filter(Boolean).join(' — ');
+
+        const nameHtml = `<span class="rpg-item-name rpg-editable" contenteditable="true" ${dataAttrs} title="${escapeHtml(tooltip) || 'Click to edit'}">${escapeHtml(item.name)}</span>`;
+        const equippedHtml = item.equipped ? `<span class="rpg-item-equipped-badge" title="${t('inventory.item.equipped', 'Equipped')}"><i class="fa-solid fa-shield-halved"></i></span>` : '';
+        const weightHtml = item.weight ? `<span class="rpg-item-weight" title="${t('inventory.weight.carried', 'Carry weight')}"><i class="fa-solid fa-weight-hanging"></i> ${formatWeight(item.weight * item.quantity)}</span>` : '';
+        const freezeHtml = `<button class="rpg-item-freeze ${frozenClass}" data-action="freeze-item" ${dataAttrs} data-item="${escapeHtml(item.name)}" title="${freezeTitle}">❄️</button>`;
+        const detailsHtml = `<button class="rpg-item-details-toggle ${detailsOpen ? 'active' : ''}" data-action="toggle-item-details" ${dataAttrs} title="${t('inventory.item.details', 'Edit item details')}"><i class="fa-solid fa-sliders"></i></button>`;
+        const removeHtml = `
+            <button class="rpg-item-remove" data-action="remove-item" ${dataAttrs} title="${removeTitle}">
+                <i class="fa-solid fa-times"></i>
+            </button>`;
+
+        if (viewMode === 'grid') {
+            // Grid view: card-style items
+            return `
+                <div class="rpg-item-card ${frozenClass} ${equippedClass}" ${dataAttrs}>
+                    ${freezeHtml}
+                    ${removeHtml}
+                    ${nameHtml}
+                    <div class="rpg-item-meta">
+                        ${equippedHtml}
+                        ${weightHtml}
+                        ${detailsHtml}
+                    </div>
+                    ${renderQuantityControls(item, dataAttrs)}
+                    ${detailsOpen ? renderItemDetails(item, dataAttrs) : ''}
+                </div>
+            `;
+        }
+
+        // List view: full-width rows
+        return `
+            <div class="rpg-item-row ${frozenClass} ${equippedClass}" ${dataAttrs}>
+                ${nameHtml}
+                ${equippedHtml}
+                ${weightHtml}
+                ${renderQuantityControls(item, dataAttrs)}
+                <div class="rpg-item-actions">
+                    ${detailsHtml}
+                    ${freezeHtml}
+                    ${removeHtml}
+                </div>
+                ${detailsOpen ? renderItemDetails(item, dataAttrs) : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Renders the weight badge of a location or section (empty when nothing has a weight)
+ * @param {number} weight - Total weight
+ * @param {boolean} [always=false] - Render even when the weight is 0
+ * @returns {string} HTML for the weight badge
+ */
+function renderWeightBadge(weight, always = false) {
+    if (!weight && !always) {
+        return '';
+    }
+    return `<span class="rpg-inventory-weight" title="${t('inventory.weight.carried', 'Carry weight')}"><i class="fa-solid fa-weight-hanging"></i> ${formatWeight(weight)}</span>`;
+}
+
 /**
  * Renders the inventory sub-tab navigation (On Person, Stored, Assets)
  * @param {string} activeTab - Currently active sub-tab ('onPerson', 'stored', 'assets')
@@ -61,8 +211,8 @@ export function renderInventorySubTabs(activeTab = 'onPerson') {
 }
 
 /**
- * Renders the "On Person" inventory view with collapsible locations (v3 format)
- * @param {Object.<string, string>} onPerson - On-person items by location
+ * Renders the "On Person" inventory view with collapsible locations and the carried weight
+ * @param {Object.<string, InventoryItem[]>} onPerson - On-person items by location
  * @param {string[]} collapsedLocations - Array of collapsed location names
  * @param {string} viewMode - View mode ('list' or 'grid')
  * @returns {string} HTML for on-person view with all locations
@@ -75,6 +225,7 @@ export function renderOnPersonView(onPerson, collapsedLocations = [], viewMode =
         <div class="rpg-inventory-section" data-section="onPerson">
             <div class="rpg-inventory-header">
                 <h4 data-i18n-key="inventory.onPerson.title">${i18n.getTranslation('inventory.onPerson.title')}</h4>
+                ${renderWeightBadge(getCarriedWeight({ onPerson }), true)}
                 <div class="rpg-inventory-header-actions">
                     <div class="rpg-view-toggle">
                         <button class="rpg-view-btn ${viewMode === 'list' ? 'active' : ''}" data-action="switch-view" data-field="onPerson" data-view="list" title="${i18n.getTranslation('global.listView')}">
@@ -111,51 +262,13 @@ export function renderOnPersonView(onPerson, collapsedLocations = [], viewMode =
         `;
     } else {
         for (const location of locations) {
-            const itemString = onPerson[location];
-            const items = parseItems(itemString);
+            const items = onPerson[location] || [];
             const isCollapsed = collapsedLocations.includes(location);
             const locationId = getLocationId(location);
 
-            let itemsHtml = '';
-            if (items.length === 0) {
-                itemsHtml = `<div class="rpg-inventory-empty" data-i18n-key="inventory.onPerson.noItems">${i18n.getTranslation('inventory.onPerson.noItems')}</div>`;
-            } else {
-                if (viewMode === 'grid') {
-                    // Grid view: card-style items
-                    itemsHtml = items.map((item, index) => {
-                        const isFrozen = isItemFrozen('onPerson', item, location);
-                        const frozenClass = isFrozen ? 'rpg-item-frozen' : '';
-                        const freezeTitle = isFrozen ? 'Unfreeze this item (currently locked)' : 'Freeze this item to prevent updates';
-                        return `
-                        <div class="rpg-item-card ${frozenClass}" data-field="onPerson" data-location="${escapeHtml(location)}" data-index="${index}">
-                            <button class="rpg-item-freeze ${frozenClass}" data-action="freeze-item" data-field="onPerson" data-location="${escapeHtml(location)}" data-index="${index}" data-item="${escapeHtml(item)}" title="${freezeTitle}">❄️</button>
-                            <button class="rpg-item-remove" data-action="remove-item" data-field="onPerson" data-location="${escapeHtml(location)}" data-index="${index}" title="Remove item">
-                                <i class="fa-solid fa-times"></i>
-                            </button>
-                            <span class="rpg-item-name rpg-editable" contenteditable="true" data-field="onPerson" data-location="${escapeHtml(location)}" data-index="${index}" title="Click to edit">${escapeHtml(item)}</span>
-                        </div>
-                        `;
-                    }).join('');
-                } else {
-                    // List view: full-width rows
-                    itemsHtml = items.map((item, index) => {
-                        const isFrozen = isItemFrozen('onPerson', item, location);
-                        const frozenClass = isFrozen ? 'rpg-item-frozen' : '';
-                        const freezeTitle = isFrozen ? 'Unfreeze this item (currently locked)' : 'Freeze this item to prevent updates';
-                        return `
-                        <div class="rpg-item-row ${frozenClass}" data-field="onPerson" data-location="${escapeHtml(location)}" data-index="${index}">
-                            <span class="rpg-item-name rpg-editable" contenteditable="true" data-field="onPerson" data-location="${escapeHtml(location)}" data-index="${index}" title="Click to edit">${escapeHtml(item)}</span>
-                            <div class="rpg-item-actions">
-                                <button class="rpg-item-freeze ${frozenClass}" data-action="freeze-item" data-field="onPerson" data-location="${escapeHtml(location)}" data-index="${index}" data-item="${escapeHtml(item)}" title="${freezeTitle}">❄️</button>
-                                <button class="rpg-item-remove" data-action="remove-item" data-field="onPerson" data-location="${escapeHtml(location)}" data-index="${index}" title="Remove item">
-                                    <i class="fa-solid fa-times"></i>
-                                </button>
-                            </div>
-                        </div>
-                        `;
-                    }).join('');
-                }
-            }
+            const itemsHtml = items.length === 0
+                ? `<div class="rpg-inventory-empty" data-i18n-key="inventory.onPerson.noItems">${i18n.getTranslation('inventory.onPerson.noItems')}</div>`
+                : renderItems(items, 'onPerson', location, viewMode);
 
             html += `
                 <div class="rpg-storage-location ${isCollapsed ? 'collapsed' : ''}" data-location="${escapeHtml(location)}" data-field="onPerson">
@@ -164,6 +277,7 @@ export function renderOnPersonView(onPerson, collapsedLocations = [], viewMode =
                             <i class="fa-solid fa-chevron-${isCollapsed ? 'right' : 'down'}"></i>
                         </button>
                         <h5 class="rpg-storage-name">${escapeHtml(location)}</h5>
+                        ${renderWeightBadge(getItemsWeight(items))}
                         <div class="rpg-storage-actions">
                             <button class="rpg-inventory-remove-btn" data-action="remove-location" data-field="onPerson" data-location="${escapeHtml(location)}" title="Remove this location">
                                 <i class="fa-solid fa-trash"></i>
@@ -206,7 +320,7 @@ export function renderOnPersonView(onPerson, collapsedLocations = [], viewMode =
 
 /**
  * Renders the "Stored" inventory view with collapsible locations and list/grid views
- * @param {Object.<string, string>} stored - Stored items by location
+ * @param {Object.<string, InventoryItem[]>} stored - Stored items by location
  * @param {string[]} collapsedLocations - Array of collapsed location names
  * @param {string} viewMode - View mode ('list' or 'grid')
  * @returns {string} HTML for stored inventory with all locations
@@ -254,51 +368,13 @@ export function renderStoredView(stored, collapsedLocations = [], viewMode = 'li
         `;
     } else {
         for (const location of locations) {
-            const itemString = stored[location];
-            const items = parseItems(itemString);
+            const items = stored[location] || [];
             const isCollapsed = collapsedLocations.includes(location);
             const locationId = getLocationId(location);
 
-            let itemsHtml = '';
-            if (items.length === 0) {
-                itemsHtml = `<div class="rpg-inventory-empty" data-i18n-key="inventory.stored.noItems">${i18n.getTranslation('inventory.stored.noItems')}</div>`;
-            } else {
-                if (viewMode === 'grid') {
-                    // Grid view: card-style items
-                    itemsHtml = items.map((item, index) => {
-                        const isFrozen = isItemFrozen('stored', item, location);
-                        const frozenClass = isFrozen ? 'rpg-item-frozen' : '';
-                        const freezeTitle = isFrozen ? 'Unfreeze this item (currently locked)' : 'Freeze this item to prevent updates';
-                        return `
-                        <div class="rpg-item-card ${frozenClass}" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}">
-                            <button class="rpg-item-freeze ${frozenClass}" data-action="freeze-item" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}" data-item="${escapeHtml(item)}" title="${freezeTitle}">❄️</button>
-                            <button class="rpg-item-remove" data-action="remove-item" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}" title="Remove item">
-                                <i class="fa-solid fa-times"></i>
-                            </button>
-                            <span class="rpg-item-name rpg-editable" contenteditable="true" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}" title="Click to edit">${escapeHtml(item)}</span>
-                        </div>
-                        `;
-                    }).join('');
-                } else {
-                    // List view: full-width rows
-                    itemsHtml = items.map((item, index) => {
-                        const isFrozen = isItemFrozen('stored', item, location);
-                        const frozenClass = isFrozen ? 'rpg-item-frozen' : '';
-                        const freezeTitle = isFrozen ? 'Unfreeze this item (currently locked)' : 'Freeze this item to prevent updates';
-                        return `
-                        <div class="rpg-item-row ${frozenClass}" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}">
-                            <span class="rpg-item-name rpg-editable" contenteditable="true" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}" title="Click to edit">${escapeHtml(item)}</span>
-                            <div class="rpg-item-actions">
-                                <button class="rpg-item-freeze ${frozenClass}" data-action="freeze-item" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}" data-item="${escapeHtml(item)}" title="${freezeTitle}">❄️</button>
-                                <button class="rpg-item-remove" data-action="remove-item" data-field="stored" data-location="${escapeHtml(location)}" data-index="${index}" title="Remove item">
-                                    <i class="fa-solid fa-times"></i>
-                                </button>
-                            </div>
-                        </div>
-                        `;
-                    }).join('');
-                }
-            }
+            const itemsHtml = items.length === 0
+                ? `<div class="rpg-inventory-empty" data-i18n-key="inventory.stored.noItems">${i18n.getTranslation('inventory.stored.noItems')}</div>`
+                : renderItems(items, 'stored', location, viewMode);
 
             const listViewClass = viewMode === 'list' ? 'rpg-item-list-view' : 'rpg-item-grid-view';
 
@@ -309,6 +385,7 @@ export function renderStoredView(stored, collapsedLocations = [], viewMode = 'li
                             <i class="fa-solid fa-chevron-${isCollapsed ? 'right' : 'down'}"></i>
                         </button>
                         <h5 class="rpg-storage-name">${escapeHtml(location)}</h5>
+                        ${renderWeightBadge(getItemsWeight(items))}
                         <div class="rpg-storage-actions">
                             <button class="rpg-inventory-remove-btn" data-action="remove-location" data-location="${escapeHtml(location)}" title="Remove this storage location">
                                 <i class="fa-solid fa-trash"></i>
@@ -362,53 +439,16 @@ export function renderStoredView(stored, collapsedLocations = [], viewMode = 'li
 
 /**
  * Renders the "Assets" inventory view with list or grid display
- * @param {string} assets - Current assets (vehicles, property, equipment)
+ * @param {InventoryItem[]} assets - Current assets (vehicles, property, equipment)
  * @param {string} viewMode - View mode ('list' or 'grid')
  * @returns {string} HTML for assets view with items and add button
  */
 export function renderAssetsView(assets, viewMode = 'list') {
-    const items = parseItems(assets);
+    const items = assets || [];
 
-    let itemsHtml = '';
-    if (items.length === 0) {
-        itemsHtml = `<div class="rpg-inventory-empty" data-i18n-key="inventory.assets.empty">${i18n.getTranslation('inventory.assets.empty')}</div>`;
-    } else {
-        if (viewMode === 'grid') {
-            // Grid view: card-style items
-            itemsHtml = items.map((item, index) => {
-                const isFrozen = isItemFrozen('assets', item);
-                const frozenClass = isFrozen ? 'rpg-item-frozen' : '';
-                const freezeTitle = isFrozen ? 'Unfreeze this item (currently locked)' : 'Freeze this item to prevent updates';
-                return `
-                <div class="rpg-item-card ${frozenClass}" data-field="assets" data-index="${index}">
-                    <button class="rpg-item-freeze ${frozenClass}" data-action="freeze-item" data-field="assets" data-index="${index}" data-item="${escapeHtml(item)}" title="${freezeTitle}">❄️</button>
-                    <button class="rpg-item-remove" data-action="remove-item" data-field="assets" data-index="${index}" title="Remove asset">
-                        <i class="fa-solid fa-times"></i>
-                    </button>
-                    <span class="rpg-item-name rpg-editable" contenteditable="true" data-field="assets" data-index="${index}" title="Click to edit">${escapeHtml(item)}</span>
-                </div>
-                `;
-            }).join('');
-        } else {
-            // List view: full-width rows
-            itemsHtml = items.map((item, index) => {
-                const isFrozen = isItemFrozen('assets', item);
-                const frozenClass = isFrozen ? 'rpg-item-frozen' : '';
-                const freezeTitle = isFrozen ? 'Unfreeze this item (currently locked)' : 'Freeze this item to prevent updates';
-                return `
-                <div class="rpg-item-row ${frozenClass}" data-field="assets" data-index="${index}">
-                    <span class="rpg-item-name rpg-editable" contenteditable="true" data-field="assets" data-index="${index}" title="Click to edit">${escapeHtml(item)}</span>
-                    <div class="rpg-item-actions">
-                        <button class="rpg-item-freeze ${frozenClass}" data-action="freeze-item" data-field="assets" data-index="${index}" data-item="${escapeHtml(item)}" title="${freezeTitle}">❄️</button>
-                        <button class="rpg-item-remove" data-action="remove-item" data-field="assets" data-index="${index}" title="${i18n.getTranslation('inventory.assets.removeAssetTitle')}">
-                            <i class="fa-solid fa-times"></i>
-                        </button>
-                    </div>
-                </div>
-                `;
-            }).join('');
-        }
-    }
+    const itemsHtml = items.length === 0
+        ? `<div class="rpg-inventory-empty" data-i18n-key="inventory.assets.empty">${i18n.getTranslation('inventory.assets.empty')}</div>`
+        : renderItems(items, 'assets', null, viewMode, t('inventory.assets.removeAssetTitle', 'Remove asset'));
 
     const listViewClass = viewMode === 'list' ? 'rpg-item-list-view' : 'rpg-item-grid-view';
 
@@ -456,7 +496,7 @@ export function renderAssetsView(assets, viewMode = 'list') {
 
 /**
  * Generates inventory HTML (internal helper)
- * @param {InventoryV3} inventory - Inventory data to render
+ * @param {InventoryV4} inventory - Inventory data to render
  * @param {Object} options - Rendering options
  * @param {string} options.activeSubTab - Currently active sub-tab ('onPerson', 'stored', 'assets')
  * @param {string[]} options.collapsedLocations - Collapsed storage locations
@@ -468,48 +508,18 @@ function generateInventoryHTML(inventory, options = {}) {
         collapsedLocations = []
     } = options;
 
-    // Handle legacy formats - convert to v3 for display
-    let v3Inventory = inventory;
-    if (typeof inventory === 'string') {
-        // v1 format
-        v3Inventory = {
-            version: 3,
-            onPerson: { "On Person": inventory },
-            stored: {},
-            assets: 'None'
-        };
-    } else if (inventory && inventory.version === 2) {
-        // v2 format - migrate onPerson from string to object
-        v3Inventory = {
-            version: 3,
-            onPerson: {},
-            stored: inventory.stored || {},
-            assets: inventory.assets || 'None'
-        };
-        if (inventory.onPerson && typeof inventory.onPerson === 'string' && inventory.onPerson.trim() && inventory.onPerson.toLowerCase() !== 'none') {
-            v3Inventory.onPerson["On Person"] = inventory.onPerson;
-        }
-    }
-
-    // Ensure v3 structure has all required fields
-    if (!v3Inventory || typeof v3Inventory !== 'object') {
-        v3Inventory = {
-            version: 3,
-            onPerson: {},
-            stored: {},
-            assets: 'None'
-        };
-    }
+    // Handle legacy formats - convert to v4 for display (without touching the stored data)
+    let v4Inventory = migrateInventory(inventory).inventory;
 
     // Additional safety check: ensure required properties exist and are correct type
-    if (!v3Inventory.onPerson || typeof v3Inventory.onPerson !== 'object' || Array.isArray(v3Inventory.onPerson)) {
-        v3Inventory.onPerson = {};
+    if (!v4Inventory.onPerson || typeof v4Inventory.onPerson !== 'object' || Array.isArray(v4Inventory.onPerson)) {
+        v4Inventory = { ...v4Inventory, onPerson: {} };
     }
-    if (!v3Inventory.stored || typeof v3Inventory.stored !== 'object' || Array.isArray(v3Inventory.stored)) {
-        v3Inventory.stored = {};
+    if (!v4Inventory.stored || typeof v4Inventory.stored !== 'object' || Array.isArray(v4Inventory.stored)) {
+        v4Inventory = { ...v4Inventory, stored: {} };
     }
-    if (!v3Inventory.assets || typeof v3Inventory.assets !== 'string') {
-        v3Inventory.assets = 'None';
+    if (!Array.isArray(v4Inventory.assets)) {
+        v4Inventory = { ...v4Inventory, assets: [] };
     }
 
     let html = `
@@ -528,16 +538,16 @@ function generateInventoryHTML(inventory, options = {}) {
     // Render the active view
     switch (activeSubTab) {
         case 'onPerson':
-            html += renderOnPersonView(v3Inventory.onPerson, collapsedLocations, viewModes.onPerson);
+            html += renderOnPersonView(v4Inventory.onPerson, collapsedLocations, viewModes.onPerson);
             break;
         case 'stored':
-            html += renderStoredView(v3Inventory.stored, collapsedLocations, viewModes.stored);
+            html += renderStoredView(v4Inventory.stored, collapsedLocations, viewModes.stored);
             break;
         case 'assets':
-            html += renderAssetsView(v3Inventory.assets, viewModes.assets);
+            html += renderAssetsView(v4Inventory.assets, viewModes.assets);
             break;
         default:
-            html += renderOnPersonView(v3Inventory.onPerson, collapsedLocations, viewModes.onPerson);
+            html += renderOnPersonView(v4Inventory.onPerson, collapsedLocations, viewModes.onPerson);
     }
 
     html += `
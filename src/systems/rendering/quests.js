@@ -1,11 +1,37 @@
 /**
  * Quests Rendering Module
- * Handles UI rendering for quests system (main and optional quests)
+ * Handles UI rendering for quests system (main and optional quests, objectives and archive)
  */
 
-import { extensionSettings, $questsContainer } from '../../core/state.js';
-import { saveSettings } from '../../core/persistence.js';
+import { extensionSettings, lastGeneratedData, committedTrackerData, $questsContainer } from '../../core/state.js';
+import { saveSettings, saveChatData } from '../../core/persistence.js';
 import { i18n } from '../../core/i18n.js';
+import {
+    getActiveQuests,
+    getArchivedQuests,
+    getQuest,
+    addQuest,
+    updateQuest,
+    setQuestStatus,
+    deleteQuest,
+    addObjective,
+    toggleObjective,
+    removeObjective,
+    withQuestSummary
+} from '../features/questLog.js';
+
+// Type imports
+/** @typedef {import('../../types/quests.js').Quest} Quest */
+
+/**
+ * Icons and colors for quest statuses (used by the archive badges)
+ */
+const STATUS_STYLES = {
+    active: { icon: 'fa-hourglass-half', color: 'var(--rpg-highlight)' },
+    completed: { icon: 'fa-check', color: '#4caf50' },
+    failed: { icon: 'fa-xmark', color: '#e74c3c' },
+    abandoned: { icon: 'fa-flag', color: '#9e9e9e' }
+};
 
 /**
  * HTML escape helper
@@ -19,8 +45,18 @@ function escapeHtml(text) {
 }
 
 /**
- * Renders the quests sub-tab navigation (Main, Optional)
- * @param {string} activeTab - Currently active sub-tab ('main', 'optional')
+ * Translation helper with English fallback for keys missing from a locale
+ * @param {string} key - Translation key
+ * @param {string} fallback - English fallback
+ * @returns {string} Translated text
+ */
+function t(key, fallback) {
+    return i18n.getTranslation(key) || fallback;
+}
+
+/**
+ * Renders the quests sub-tab navigation (Main, Optional, Archive)
+ * @param {string} activeTab - Currently active sub-tab ('main', 'optional', 'archive')
  * @returns {string} HTML for sub-tab navigation
  */
 export function renderQuestsSubTabs(activeTab = 'main') {
@@ -32,18 +68,150 @@ export function renderQuestsSubTabs(activeTab = 'main') {
             <button class="rpg-quests-subtab ${activeTab === 'optional' ? 'active' : ''}" data-tab="optional" data-i18n-key="quests.section.optional">
                 ${i18n.getTranslation('quests.section.optional')}
             </button>
+            <button class="rpg-quests-subtab ${activeTab === 'archive' ? 'active' : ''}" data-tab="archive" data-i18n-key="quests.section.archive">
+                ${t('quests.section.archive', 'Archive')}
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Renders the objective checklist of a quest
+ * @param {Quest} quest - Quest
+ * @param {boolean} editable - Whether objectives can be toggled/added/removed
+ * @returns {string} HTML for the objectives
+ */
+function renderObjectives(quest, editable) {
+    const objectivesHtml = quest.objectives.map((objective, index) => `
+        <li class="rpg-quest-objective ${objective.done ? 'done' : ''}">
+            <label>
+                <input type="checkbox" class="rpg-quest-objective-toggle" data-quest-id="${quest.id}" data-index="${index}" ${objective.done ? 'checked' : ''} ${editable ? '' : 'disabled'} />
+                <span>${escapeHtml(objective.text)}</span>
+            </label>
+            ${editable ? `<button class="rpg-quest-objective-remove" data-action="remove-objective" data-quest-id="${quest.id}" data-index="${index}" title="${t('quests.objectives.remove', 'Remove objective')}">
+                <i class="fa-solid fa-times"></i>
+            </button>` : ''}
+        </li>
+    `).join('');
+
+    return `
+        <ul class="rpg-quest-objectives">
+            ${objectivesHtml}
+        </ul>
+        ${editable ? `<div class="rpg-quest-objective-add">
+            <input type="text" class="rpg-inline-input rpg-quest-objective-input" data-quest-id="${quest.id}" placeholder="${t('quests.objectives.addPlaceholder', 'Add objective...')}" data-i18n-placeholder-key="quests.objectives.addPlaceholder" />
+        </div>` : ''}
+    `;
+}
+
+/**
+ * Renders description, giver and reward lines of a quest
+ * @param {Quest} quest - Quest
+ * @returns {string} HTML for the quest details
+ */
+function renderQuestDetails(quest) {
+    const meta = [];
+    if (quest.giver) {
+        meta.push(`<span><i class="fa-solid fa-user"></i> ${escapeHtml(quest.giver)}</span>`);
+    }
+    if (quest.reward) {
+        meta.push(`<span><i class="fa-solid fa-gift"></i> ${escapeHtml(quest.reward)}</span>`);
+    }
+
+    return `
+        ${quest.description ? `<div class="rpg-quest-description">${escapeHtml(quest.description)}</div>` : ''}
+        ${meta.length > 0 ? `<div class="rpg-quest-meta">${meta.join('')}</div>` : ''}
+    `;
+}
+
+/**
+ * Renders the inline edit form for a quest
+ * @param {Quest} quest - Quest
+ * @returns {string} HTML for the edit form
+ */
+function renderQuestEditForm(quest) {
+    return `
+        <div class="rpg-quest-edit-form" id="rpg-edit-quest-form-${quest.id}" style="display: none;">
+            <input type="text" class="rpg-quest-edit-title" value="${escapeHtml(quest.title)}" placeholder="${t('quests.edit.title', 'Title')}" />
+            <textarea class="rpg-quest-edit-description" rows="2" placeholder="${t('quests.edit.description', 'Description')}">${escapeHtml(quest.description)}</textarea>
+            <input type="text" class="rpg-quest-edit-giver" value="${escapeHtml(quest.giver)}" placeholder="${t('quests.edit.giver', 'Quest giver')}" />
+            <input type="text" class="rpg-quest-edit-reward" value="${escapeHtml(quest.reward)}" placeholder="${t('quests.edit.reward', 'Reward')}" />
+            <div class="rpg-quest-edit-actions">
+                <button class="rpg-quest-cancel" data-action="cancel-edit-quest" data-quest-id="${quest.id}">
+                    <i class="fa-solid fa-times"></i> <span data-i18n-key="global.cancel">${i18n.getTranslation('global.cancel')}</span>
+                </button>
+                <button class="rpg-quest-save" data-action="save-edit-quest" data-quest-id="${quest.id}">
+                    <i class="fa-solid fa-check"></i> <span data-i18n-key="global.save">${i18n.getTranslation('global.save')}</span>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Renders an active quest card with details, objectives and status actions
+ * @param {Quest} quest - Quest
+ * @returns {string} HTML for the quest card
+ */
+function renderActiveQuest(quest) {
+    return `
+        <div class="rpg-quest-card" data-quest-id="${quest.id}">
+            ${renderQuestEditForm(quest)}
+            <div class="rpg-quest-view" id="rpg-quest-view-${quest.id}">
+                <div class="rpg-quest-item" data-quest-id="${quest.id}">
+                    <div class="rpg-quest-title">${escapeHtml(quest.title)}</div>
+                    <div class="rpg-quest-actions">
+                        <button class="rpg-quest-edit" data-action="edit-quest" data-quest-id="${quest.id}" title="${t('quests.actions.edit', 'Edit quest')}">
+                            <i class="fa-solid fa-edit"></i>
+                        </button>
+                        <button class="rpg-quest-remove" data-action="set-quest-status" data-status="completed" data-quest-id="${quest.id}" title="${t('quests.actions.complete', 'Complete quest')}">
+                            <i class="fa-solid fa-check"></i>
+                        </button>
+                        <button class="rpg-quest-remove" data-action="set-quest-status" data-status="failed" data-quest-id="${quest.id}" title="${t('quests.actions.fail', 'Fail quest')}">
+                            <i class="fa-solid fa-xmark"></i>
+                        </button>
+                        <button class="rpg-quest-remove" data-action="set-quest-status" data-status="abandoned" data-quest-id="${quest.id}" title="${t('quests.actions.abandon', 'Abandon quest')}">
+                            <i class="fa-solid fa-flag"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="rpg-quest-body">
+                    ${renderQuestDetails(quest)}
+                    ${renderObjectives(quest, true)}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Renders the inline "add quest" form for a quest type
+ * @param {'main'|'optional'} field - Quest type
+ * @returns {string} HTML for the add form
+ */
+function renderAddQuestForm(field) {
+    return `
+        <div class="rpg-inline-form" id="rpg-add-quest-form-${field}" style="display: none;">
+            <input type="text" class="rpg-inline-input" id="rpg-new-quest-${field}" placeholder="${i18n.getTranslation(`quests.${field}.addQuestPlaceholder`)}" data-i18n-placeholder-key="quests.${field}.addQuestPlaceholder" />
+            <div class="rpg-inline-buttons">
+                <button class="rpg-inline-btn rpg-inline-cancel" data-action="cancel-add-quest" data-field="${field}">
+                    <i class="fa-solid fa-times"></i> <span data-i18n-key="global.cancel">${i18n.getTranslation('global.cancel')}</span>
+                </button>
+                <button class="rpg-inline-btn rpg-inline-save" data-action="save-add-quest" data-field="${field}">
+                    <i class="fa-solid fa-check"></i> <span data-i18n-key="global.add">${i18n.getTranslation('global.add')}</span>
+                </button>
+            </div>
         </div>
     `;
 }
 
 /**
  * Renders the main quest view
- * @param {string} mainQuest - Current main quest title
+ * @param {Quest[]} mainQuests - Active main quests (normally at most one)
  * @returns {string} HTML for main quest view
  */
-export function renderMainQuestView(mainQuest) {
-    const questDisplay = (mainQuest && mainQuest !== 'None') ? mainQuest : '';
-    const hasQuest = questDisplay.length > 0;
+export function renderMainQuestView(mainQuests) {
+    const hasQuest = mainQuests.length > 0;
 
     return `
         <div class="rpg-quest-section">
@@ -55,40 +223,11 @@ export function renderMainQuestView(mainQuest) {
             </div>
             <div class="rpg-quest-content">
                 ${hasQuest ? `
-                    <div class="rpg-inline-form" id="rpg-edit-quest-form-main" style="display: none;">
-                        <input type="text" class="rpg-inline-input" id="rpg-edit-quest-main" value="${escapeHtml(questDisplay)}" />
-                        <div class="rpg-inline-buttons">
-                            <button class="rpg-inline-btn rpg-inline-cancel" data-action="cancel-edit-quest" data-field="main">
-                                <i class="fa-solid fa-times"></i> <span data-i18n-key="global.cancel">${i18n.getTranslation('global.cancel')}</span>
-                            </button>
-                            <button class="rpg-inline-btn rpg-inline-save" data-action="save-edit-quest" data-field="main">
-                                <i class="fa-solid fa-check"></i> <span data-i18n-key="global.save">${i18n.getTranslation('global.save')}</span>
-                            </button>
-                        </div>
-                    </div>
-                    <div class="rpg-quest-item" data-field="main">
-                        <div class="rpg-quest-title">${escapeHtml(questDisplay)}</div>
-                        <div class="rpg-quest-actions">
-                            <button class="rpg-quest-edit" data-action="edit-quest" data-field="main" title="Edit quest">
-                                <i class="fa-solid fa-edit"></i>
-                            </button>
-                            <button class="rpg-quest-remove" data-action="remove-quest" data-field="main" title="Complete/Remove quest">
-                                <i class="fa-solid fa-check"></i>
-                            </button>
-                        </div>
+                    <div class="rpg-quest-list">
+                        ${mainQuests.map(renderActiveQuest).join('')}
                     </div>
                 ` : `
-                    <div class="rpg-inline-form" id="rpg-add-quest-form-main" style="display: none;">
-                        <input type="text" class="rpg-inline-input" id="rpg-new-quest-main" placeholder="${i18n.getTranslation('quests.main.addQuestPlaceholder')}" data-i18n-placeholder-key="quests.main.addQuestPlaceholder" />
-                        <div class="rpg-inline-actions">
-                            <button class="rpg-inline-btn rpg-inline-cancel" data-action="cancel-add-quest" data-field="main">
-                                <i class="fa-solid fa-times"></i> <span data-i18n-key="global.cancel">${i18n.getTranslation('global.cancel')}</span>
-                            </button>
-                            <button class="rpg-inline-btn rpg-inline-save" data-action="save-add-quest" data-field="main">
-                                <i class="fa-solid fa-check"></i> <span data-i18n-key="global.add">${i18n.getTranslation('global.add')}</span>
-                            </button>
-                        </div>
-                    </div>
+                    ${renderAddQuestForm('main')}
                     <div class="rpg-quest-empty" data-i18n-key="quests.main.empty">${i18n.getTranslation('quests.main.empty')}</div>
                 `}
             </div>
@@ -102,27 +241,13 @@ export function renderMainQuestView(mainQuest) {
 
 /**
  * Renders the optional quests view
- * @param {string[]} optionalQuests - Array of optional quest titles
+ * @param {Quest[]} optionalQuests - Active optional quests
  * @returns {string} HTML for optional quests view
  */
 export function renderOptionalQuestsView(optionalQuests) {
-    const quests = optionalQuests.filter(q => q && q !== 'None');
-
-    let questsHtml = '';
-    if (quests.length === 0) {
-        questsHtml = `<div class="rpg-quest-empty" data-i18n-key="quests.optional.empty">${i18n.getTranslation('quests.optional.empty')}</div>`;
-    } else {
-        questsHtml = quests.map((quest, index) => `
-            <div class="rpg-quest-item" data-field="optional" data-index="${index}">
-                <div class="rpg-quest-title rpg-editable" contenteditable="true" data-field="optional" data-index="${index}" title="Click to edit">${escapeHtml(quest)}</div>
-                <div class="rpg-quest-actions">
-                    <button class="rpg-quest-remove" data-action="remove-quest" data-field="optional" data-index="${index}" title="Complete/Remove quest">
-                        <i class="fa-solid fa-check"></i>
-                    </button>
-                </div>
-            </div>
-        `).join('');
-    }
+    const questsHtml = optionalQuests.length === 0
+        ? `<div class="rpg-quest-empty" data-i18n-key="quests.optional.empty">${i18n.getTranslation('quests.optional.empty')}</div>`
+        : optionalQuests.map(renderActiveQuest).join('');
 
     return `
         <div class="rpg-quest-section">
@@ -133,17 +258,7 @@ export function renderOptionalQuestsView(optionalQuests) {
                 </button>
             </div>
             <div class="rpg-quest-content">
-                <div class="rpg-inline-form" id="rpg-add-quest-form-optional" style="display: none;">
-                    <input type="text" class="rpg-inline-input" id="rpg-new-quest-optional" placeholder="${i18n.getTranslation('quests.optional.addQuestPlaceholder')}" data-i18n-placeholder-key="quests.optional.addQuestPlaceholder" />
-                    <div class="rpg-inline-buttons">
-                        <button class="rpg-inline-btn rpg-inline-cancel" data-action="cancel-add-quest" data-field="optional">
-                            <i class="fa-solid fa-times"></i> <span data-i18n-key="global.cancel">${i18n.getTranslation('global.cancel')}</span>
-                        </button>
-                        <button class="rpg-inline-btn rpg-inline-save" data-action="save-add-quest" data-field="optional">
-                            <i class="fa-solid fa-check"></i> <span data-i18n-key="global.add">${i18n.getTranslation('global.add')}</span>
-                        </button>
-                    </div>
-                </div>
+                ${renderAddQuestForm('optional')}
                 <div class="rpg-quest-list">
                     ${questsHtml}
                 </div>
@@ -156,6 +271,59 @@ export function renderOptionalQuestsView(optionalQuests) {
     `;
 }
 
+/**
+ * Renders the archive of completed, failed and abandoned quests
+ * @param {Quest[]} archivedQuests - Archived quests
+ * @returns {string} HTML for the archive view
+ */
+export function renderArchivedQuestsView(archivedQuests) {
+    const questsHtml = archivedQuests.length === 0
+        ? `<div class="rpg-quest-empty" data-i18n-key="quests.archive.empty">${t('quests.archive.empty', 'No finished quests yet')}</div>`
+        : archivedQuests.map(quest => {
+            const style = STATUS_STYLES[quest.status] || STATUS_STYLES.completed;
+            const span = [quest.startMessage, quest.endMessage].map(i => (i === null || i === undefined) ? '?' : `#${i}`).join(' → ');
+            return `
+                <div class="rpg-quest-card rpg-quest-archived" data-quest-id="${quest.id}">
+                    <div class="rpg-quest-item" data-quest-id="${quest.id}">
+                        <span class="rpg-quest-status" style="color: ${style.color}; border-color: ${style.color};">
+                            <i class="fa-solid ${style.icon}"></i> ${t(`quests.status.${quest.status}`, quest.status)}
+                        </span>
+                        <div class="rpg-quest-title">${escapeHtml(quest.title)}</div>
+                        <div class="rpg-quest-actions">
+                            <button class="rpg-quest-edit" data-action="set-quest-status" data-status="active" data-quest-id="${quest.id}" title="${t('quests.actions.reactivate', 'Reactivate quest')}">
+                                <i class="fa-solid fa-rotate-left"></i>
+                            </button>
+                            <button class="rpg-quest-remove" data-action="delete-quest" data-quest-id="${quest.id}" title="${t('quests.actions.delete', 'Delete quest')}">
+                                <i class="fa-solid fa-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                    <div class="rpg-quest-body">
+                        <div class="rpg-quest-meta">
+                            <span>${quest.type === 'main' ? i18n.getTranslation('quests.section.main') : i18n.getTranslation('quests.section.optional')}</span>
+                            <span title="${t('quests.archive.messages', 'Started → ended at message')}"><i class="fa-solid fa-message"></i> ${span}</span>
+                        </div>
+                        ${renderQuestDetails(quest)}
+                        ${quest.objectives.length > 0 ? renderObjectives(quest, false) : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+    return `
+        <div class="rpg-quest-section">
+            <div class="rpg-quest-header">
+                <h3 class="rpg-quest-section-title" data-i18n-key="quests.archive.title">${t('quests.archive.title', 'Quest Archive')}</h3>
+            </div>
+            <div class="rpg-quest-content">
+                <div class="rpg-quest-list">
+                    ${questsHtml}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Main render function for quests
  */
@@ -167,10 +335,6 @@ export function renderQuests() {
     // Get current sub-tab from container or default to 'main'
     const activeSubTab = $questsContainer.data('active-subtab') || 'main';
 
-    // Get quests data
-    const mainQuest = extensionSettings.quests.main || 'None';
-    const optionalQuests = extensionSettings.quests.optional || [];
-
     // Build HTML
     let html = '<div class="rpg-quests-wrapper">';
     html += renderQuestsSubTabs(activeSubTab);
@@ -178,9 +342,11 @@ export function renderQuests() {
     // Render active sub-tab
     html += '<div class="rpg-quests-panels">';
     if (activeSubTab === 'main') {
-        html += renderMainQuestView(mainQuest);
+        html += renderMainQuestView(getActiveQuests('main'));
+    } else if (activeSubTab === 'optional') {
+        html += renderOptionalQuestsView(getActiveQuests('optional'));
     } else {
-        html += renderOptionalQuestsView(optionalQuests);
+        html += renderArchivedQuestsView(getArchivedQuests());
     }
     html += '</div></div>';
 
@@ -190,6 +356,19 @@ export function renderQuests() {
     attachQuestEventHandlers();
 }
 
+/**
+ * Persists quest changes (settings and chat metadata) and re-renders.
+ * The quest lines of lastGeneratedData.userStats AND committedTrackerData.userStats
+ * are rewritten too, so the next generation doesn't parse the old quest state back in.
+ */
+function commitQuestChanges() {
+    lastGeneratedData.userStats = withQuestSummary(lastGeneratedData.userStats);
+    committedTrackerData.userStats = withQuestSummary(committedTrackerData.userStats);
+    saveSettings();
+    saveChatData();
+    renderQuests();
+}
+
 /**
  * Attach event handlers for quest interactions
  */
@@ -218,89 +397,87 @@ function attachQuestEventHandlers() {
     // Save add quest
     $questsContainer.find('[data-action="save-add-quest"]').on('click', function() {
         const field = $(this).data('field');
-        const input = $(`#rpg-new-quest-${field}`);
-        const questTitle = input.val().trim();
+        const questTitle = $(`#rpg-new-quest-${field}`).val().trim();
 
         if (questTitle) {
-            if (field === 'main') {
-                extensionSettings.quests.main = questTitle;
-            } else {
-                if (!extensionSettings.quests.optional) {
-                    extensionSettings.quests.optional = [];
-                }
-                extensionSettings.quests.optional.push(questTitle);
-            }
-            saveSettings();
-            renderQuests();
+            addQuest({ title: questTitle, type: field });
+            commitQuestChanges();
+        }
+    });
+
+    // Enter key to save new quests
+    $questsContainer.find('.rpg-inline-form .rpg-inline-input').on('keypress', function(e) {
+        if (e.which === 13) {
+            const field = $(this).attr('id').replace('rpg-new-quest-', '');
+            $(`[data-action="save-add-quest"][data-field="${field}"]`).click();
         }
     });
 
-    // Edit quest (main only)
+    // Edit quest
     $questsContainer.find('[data-action="edit-quest"]').on('click', function() {
-        const field = $(this).data('field');
-        $(`#rpg-edit-quest-form-${field}`).show();
-        $('.rpg-quest-item[data-field="main"]').hide();
-        $(`#rpg-edit-quest-${field}`).focus();
+        const questId = $(this).data('quest-id');
+        $(`#rpg-quest-view-${questId}`).hide();
+        $(`#rpg-edit-quest-form-${questId}`).show().find('.rpg-quest-edit-title').focus();
     });
 
     // Cancel edit quest
     $questsContainer.find('[data-action="cancel-edit-quest"]').on('click', function() {
-        const field = $(this).data('field');
-        $(`#rpg-edit-quest-form-${field}`).hide();
-        $('.rpg-quest-item[data-field="main"]').show();
+        const questId = $(this).data('quest-id');
+        $(`#rpg-edit-quest-form-${questId}`).hide();
+        $(`#rpg-quest-view-${questId}`).show();
     });
 
     // Save edit quest
     $questsContainer.find('[data-action="save-edit-quest"]').on('click', function() {
-        const field = $(this).data('field');
-        const input = $(`#rpg-edit-quest-${field}`);
-        const questTitle = input.val().trim();
+        const questId = $(this).data('quest-id');
+        const $form = $(`#rpg-edit-quest-form-${questId}`);
+        const title = $form.find('.rpg-quest-edit-title').val().trim();
 
-        if (questTitle) {
-            extensionSettings.quests.main = questTitle;
-            saveSettings();
-            renderQuests();
+        if (title) {
+            updateQuest(questId, {
+                title,
+                description: $form.find('.rpg-quest-edit-description').val(),
+                giver: $form.find('.rpg-quest-edit-giver').val(),
+                reward: $form.find('.rpg-quest-edit-reward').val()
+            });
+            commitQuestChanges();
         }
     });
 
-    // Remove quest
-    $questsContainer.find('[data-action="remove-quest"]').on('click', function() {
-        const field = $(this).data('field');
-        const index = $(this).data('index');
+    // Complete / fail / abandon / reactivate
+    $questsContainer.find('[data-action="set-quest-status"]').on('click', function() {
+        setQuestStatus($(this).data('quest-id'), $(this).data('status'));
+        commitQuestChanges();
+    });
 
-        if (field === 'main') {
-            extensionSettings.quests.main = 'None';
-        } else {
-            extensionSettings.quests.optional.splice(index, 1);
+    // Delete quest permanently (archive only)
+    $questsContainer.find('[data-action="delete-quest"]').on('click', function() {
+        const quest = getQuest($(this).data('quest-id'));
+        if (quest && confirm(`${t('quests.archive.deleteConfirm', 'Delete this quest permanently?')}\n${quest.title}`)) {
+            deleteQuest(quest.id);
+            commitQuestChanges();
         }
-        saveSettings();
-        renderQuests();
     });
 
-    // Inline editing for optional quests
-    $questsContainer.find('.rpg-quest-title.rpg-editable').on('blur', function() {
-        const $this = $(this);
-        const field = $this.data('field');
-        const index = $this.data('index');
-        const newTitle = $this.text().trim();
+    // Toggle objective
+    $questsContainer.find('.rpg-quest-objective-toggle').on('change', function() {
+        toggleObjective($(this).data('quest-id'), Number($(this).data('index')));
+        commitQuestChanges();
+    });
 
-        if (newTitle && field === 'optional' && index !== undefined) {
-            extensionSettings.quests.optional[index] = newTitle;
-            saveSettings();
-        }
+    // Remove objective
+    $questsContainer.find('[data-action="remove-objective"]').on('click', function() {
+        removeObjective($(this).data('quest-id'), Number($(this).data('index')));
+        commitQuestChanges();
     });
 
-    // Enter key to save in forms
-    $questsContainer.find('.rpg-inline-input').on('keypress', function(e) {
+    // Enter key to add objective
+    $questsContainer.find('.rpg-quest-objective-input').on('keypress', function(e) {
         if (e.which === 13) {
-            const field = $(this).attr('id').includes('edit') ?
-                $(this).attr('id').replace('rpg-edit-quest-', '') :
-                $(this).attr('id').replace('rpg-new-quest-', '');
-
-            if ($(this).attr('id').includes('edit')) {
-                $(`[data-action="save-edit-quest"][data-field="${field}"]`).click();
-            } else {
-                $(`[data-action="save-add-quest"][data-field="${field}"]`).click();
+            const text = $(this).val().trim();
+            if (text) {
+                addObjective($(this).data('quest-id'), text);
+                commitQuestChanges();
             }
         }
     });
@@ -19,6 +19,7 @@ import {
 } from '../../core/persistence.js';
 import { getSafeThumbnailUrl } from '../../utils/avatars.js';
 import { buildInventorySummary } from '../generation/promptBuilder.js';
+import { isExperienceEnabled, getXpForNextLevel } from '../features/encounterRewards.js';
 
 /**
  * Builds the user stats text string using custom stat names
@@ -140,6 +141,8 @@ export function renderUserStats() {
             <span style="opacity: 0.5;">|</span>
             <span class="rpg-level-label">LVL</span>
             <span class="rpg-level-value rpg-editable" contenteditable="true" data-field="level" title="Click to edit level">${extensionSettings.level}</span>
+            ${isExperienceEnabled() ? `<span class="rpg-xp-value" title="XP towards level ${(extensionSettings.level || 1) + 1} (earned in encounters)">${extensionSettings.experience || 0}/${getXpForNextLevel(extensionSettings.level || 1)} XP</span>` : ''}
+            ${extensionSettings.attributePoints > 0 ? `<span class="rpg-attribute-points" title="Unspent attribute points: use + on an attribute to spend one">+${extensionSettings.attributePoints} pts</span>` : ''}
         </div>
     `;
 
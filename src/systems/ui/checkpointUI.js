@@ -6,10 +6,19 @@
 import { getContext } from '../../../../../../extensions.js';
 import { i18n } from '../../core/i18n.js';
 import {
-    setChapterCheckpoint,
-    clearChapterCheckpoint,
+    addChapter,
+    removeChapter,
+    updateChapter,
+    setChapterHidden,
+    generateChapterSummary,
+    isSummarizing,
+    getChapterRanges,
+    getChapterAtMessage,
     isCheckpointMessage
 } from '../features/chapterCheckpoint.js';
+import { executeSlashCommandsOnChatInput } from '../../../../../../../scripts/slash-commands.js';
+
+const SET_CHAPTER_TITLE = 'Start Chapter Here: earlier chapters are hidden from context and replaced by their summaries';
 
 /**
  * Adds the chapter checkpoint button to a message's extra menu
@@ -34,9 +43,7 @@ export function addCheckpointButtonToMessage(messageId, menu, isExpanded = false
 
     const translationKey = isCheckpoint ? 'checkpoint.clearChapterStart' : 'checkpoint.setChapterStart';
     menuItem.setAttribute('data-i18n', translationKey);
-    menuItem.title = isCheckpoint
-        ? 'Clear Chapter Start'
-        : 'Set Chapter Start: When bookmarked, this message will count as the first message in the chat history, skipping earlier ones';
+    menuItem.title = isCheckpoint ? 'Remove Chapter' : SET_CHAPTER_TITLE;
 
     // Icon only (no text label)
     const icon = document.createElement('i');
@@ -46,24 +53,22 @@ export function addCheckpointButtonToMessage(messageId, menu, isExpanded = false
     menuItem.appendChild(icon);
 
     // Click handler
-    menuItem.addEventListener('click', (e) => {
+    menuItem.addEventListener('click', async (e) => {
         e.stopPropagation();
 
-        const wasCheckpoint = isCheckpointMessage(messageId);
+        const chapter = getChapterAtMessage(messageId);
 
-        if (wasCheckpoint) {
-            clearChapterCheckpoint();
+        if (chapter) {
+            await removeChapter(chapter.id);
         } else {
-            setChapterCheckpoint(messageId);
+            await addChapter(messageId);
         }
 
         // Update this button immediately
         const newIsCheckpoint = isCheckpointMessage(messageId);
         icon.className = newIsCheckpoint ? 'fa-solid fa-bookmark' : 'fa-regular fa-bookmark';
         icon.style.color = newIsCheckpoint ? '#4a9eff' : '';
-        menuItem.title = newIsCheckpoint
-            ? 'Clear Chapter Start'
-            : 'Set Chapter Start: When bookmarked, this message will count as the first message in the chat history, skipping earlier ones';
+        menuItem.title = newIsCheckpoint ? 'Remove Chapter' : SET_CHAPTER_TITLE;
         const newTranslationKey = newIsCheckpoint ? 'checkpoint.clearChapterStart' : 'checkpoint.setChapterStart';
         menuItem.setAttribute('data-i18n', newTranslationKey);
 
@@ -92,16 +97,31 @@ export function addCheckpointIndicator(messageId, messageBlock) {
 
     if (!isCheckpoint) return;
 
+    const chapter = getChapterAtMessage(messageId);
+
     // Add checkpoint indicator
     const indicator = document.createElement('div');
     indicator.className = 'rpg-checkpoint-indicator';
-    const indicatorText = i18n.getTranslation('checkpoint.indicator') || 'Chapter Start';
-    const tooltipText = i18n.getTranslation('checkpoint.tooltip') || 'Messages before this point are excluded from context';
+    if (chapter.hidden) {
+        indicator.classList.add('rpg-chapter-hidden');
+    }
+    const tooltipText = chapter.hidden
+        ? (i18n.getTranslation('checkpoint.hiddenTooltip') || 'This chapter is hidden from context and replaced by its summary')
+        : (i18n.getTranslation('checkpoint.tooltip') || 'Start of a chapter');
     indicator.innerHTML = `
         <i class="fa-solid fa-bookmark"></i>
-        <span>${indicatorText}</span>
+        <span class="rpg-chapter-indicator-title"></span>
+        ${chapter.hidden ? '<i class="fa-solid fa-eye-slash"></i>' : ''}
+        <button class="rpg-chapter-open-navigator" type="button" title="${i18n.getTranslation('checkpoint.navigator.open') || 'Chapter navigator'}">
+            <i class="fa-solid fa-list"></i>
+        </button>
     `;
+    indicator.querySelector('.rpg-chapter-indicator-title').textContent = chapter.title;
     indicator.title = tooltipText;
+    indicator.querySelector('.rpg-chapter-open-navigator').addEventListener('click', (e) => {
+        e.stopPropagation();
+        openChapterNavigator();
+    });
 
     // Insert at the beginning of the message
     const mesText = messageBlock.querySelector('.mes_text');
@@ -160,6 +180,9 @@ export function initChapterCheckpointUI() {
     // Listen for checkpoint changes
     document.addEventListener('rpg-companion-checkpoint-changed', () => {
         updateAllCheckpointIndicators();
+        if ($('#rpg-chapter-navigator').length) {
+            renderChapterNavigator();
+        }
     });
 
     // Listen for expandMessageActions class changes on body
@@ -361,9 +384,137 @@ function updateCheckpointButtonInMenu(menu, messageId) {
     }
 
     // Update tooltip
-    existingButton.title = isCheckpoint
-        ? 'Clear Chapter Start'
-        : 'Set Chapter Start: When bookmarked, this message will count as the first message in the chat history, skipping earlier ones';
+    existingButton.title = isCheckpoint ? 'Remove Chapter' : SET_CHAPTER_TITLE;
     const translationKey = isCheckpoint ? 'checkpoint.clearChapterStart' : 'checkpoint.setChapterStart';
     existingButton.setAttribute('data-i18n', translationKey);
 }
+
+/**
+ * Scrolls the chat to a message. Messages that are not rendered (long chats only
+ * render the latest ones) are loaded with /chat-jump.
+ * @param {number} messageId - Message index
+ */
+export async function jumpToMessage(messageId) {
+    const messageBlock = document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+    if (messageBlock) {
+        messageBlock.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        return;
+    }
+    try {
+        await executeSlashCommandsOnChatInput(`/chat-jump ${messageId}`, { quiet: true });
+    } catch (error) {
+        console.warn('[RPG Companion] Could not jump to message', messageId, error);
+        toastr.info(`Message #${messageId} is not loaded in the chat`, 'RPG Companion');
+    }
+}
+
+/**
+ * Renders the chapter list of the navigator
+ */
+function renderChapterNavigator() {
+    const $list = $('#rpg-chapter-navigator-list');
+    if (!$list.length) return;
+
+    const ranges = getChapterRanges();
+    if (ranges.length === 0) {
+        $list.html(`<p class="rpg-chapter-empty">${i18n.getTranslation('checkpoint.navigator.empty') || 'No chapters yet. Use the bookmark button of a message to start a chapter there.'}</p>`);
+        return;
+    }
+
+    $list.empty();
+    for (const { chapter, start, end } of ranges) {
+        const busy = isSummarizing(chapter.id);
+        const $item = $(`
+            <div class="rpg-chapter-item ${chapter.hidden ? 'rpg-chapter-hidden' : ''}" data-id="${chapter.id}">
+                <div class="rpg-chapter-item-header">
+                    <input type="text" class="text_pole rpg-chapter-title-input">
+                    <span class="rpg-chapter-range">#${start}–${end}</span>
+                    <button class="rpg-btn-icon rpg-chapter-jump" type="button" title="Jump to chapter"><i class="fa-solid fa-location-arrow"></i></button>
+                    <button class="rpg-btn-icon rpg-chapter-visibility" type="button" title="${chapter.hidden ? 'Show chapter in context' : 'Hide chapter (use its summary instead)'}">
+                        <i class="fa-solid ${chapter.hidden ? 'fa-eye-slash' : 'fa-eye'}"></i>
+                    </button>
+                    <button class="rpg-btn-icon rpg-chapter-summarize" type="button" title="Generate summary" ${busy ? 'disabled' : ''}>
+                        <i class="fa-solid ${busy ? 'fa-spinner fa-spin' : 'fa-wand-magic-sparkles'}"></i>
+                    </button>
+                    <button class="rpg-btn-icon rpg-chapter-remove" type="button" title="Remove chapter"><i class="fa-solid fa-trash"></i></button>
+                </div>
+                <textarea class="text_pole rpg-chapter-summary-input" rows="3" placeholder="Summary (generated when the chapter is hidden)"></textarea>
+            </div>
+        `);
+        $item.find('.rpg-chapter-title-input').val(chapter.title);
+        $item.find('.rpg-chapter-summary-input').val(chapter.summary);
+        $list.append($item);
+    }
+}
+
+/**
+ * Opens the chapter navigator popup
+ */
+export function openChapterNavigator() {
+    $('#rpg-chapter-navigator').remove();
+
+    const modalHtml = `
+        <div id="rpg-chapter-navigator" class="rpg-settings-popup is-open" role="dialog" aria-modal="true">
+            <div class="rpg-settings-popup-content" style="max-width: 640px;">
+                <header class="rpg-settings-popup-header">
+                    <h3>
+                        <i class="fa-solid fa-book-bookmark"></i>
+                        <span>${i18n.getTranslation('checkpoint.navigator.title') || 'Chapters'}</span>
+                    </h3>
+                    <button id="rpg-chapter-navigator-close" class="rpg-popup-close" type="button">&times;</button>
+                </header>
+                <div class="rpg-settings-popup-body">
+                    <p class="rpg-editor-hint">${i18n.getTranslation('checkpoint.navigator.hint') || 'Hidden chapters are left out of the context and replaced by their summary.'}</p>
+                    <div id="rpg-chapter-navigator-list" class="rpg-chapter-list"></div>
+                </div>
+            </div>
+        </div>
+    `;
+    $('body').append(modalHtml);
+    renderChapterNavigator();
+
+    const $modal = $('#rpg-chapter-navigator');
+    const getId = (element) => $(element).closest('.rpg-chapter-item').data('id');
+    const getStart = (id) => getChapterRanges().find(r => r.chapter.id === id)?.start;
+
+    $('#rpg-chapter-navigator-close').on('click', () => {
+        $modal.removeClass('is-open');
+        setTimeout(() => $modal.remove(), 200);
+    });
+
+    $modal.on('click', '.rpg-chapter-jump', function() {
+        const start = getStart(getId(this));
+        if (start !== undefined) {
+            jumpToMessage(start);
+        }
+    });
+
+    $modal.on('click', '.rpg-chapter-visibility', async function() {
+        const id = getId(this);
+        const chapter = getChapterRanges().find(r => r.chapter.id === id)?.chapter;
+        if (chapter) {
+            await setChapterHidden(id, !chapter.hidden);
+        }
+    });
+
+    $modal.on('click', '.rpg-chapter-summarize', async function() {
+        try {
+            await generateChapterSummary(getId(this));
+        } catch (error) {
+            console.error('[RPG Companion] Chapter summary failed:', error);
+            toastr.error(`Could not generate the summary: ${error.message}`, 'RPG Companion');
+        }
+    });
+
+    $modal.on('click', '.rpg-chapter-remove', async function() {
+        await removeChapter(getId(this));
+    });
+
+    $modal.on('change', '.rpg-chapter-title-input', function() {
+        updateChapter(getId(this), { title: $(this).val() });
+    });
+
+    $modal.on('change', '.rpg-chapter-summary-input', function() {
+        updateChapter(getId(this), { summary: $(this).val() });
+    });
+}
@@ -0,0 +1,311 @@
+/**
+ * Encounter History UI
+ *
+ * Lists the finished encounters of the open chat with date, profile, result and summary.
+ * A selected encounter can be replayed (its display log, including every swipe), shows
+ * per-combatant damage totals and can be exported as Markdown or HTML.
+ */
+
+import {
+    getEncounterHistory,
+    deleteEncounterRecord,
+    getResultTerm,
+    formatEncounterDate,
+    getProfileName,
+    getDamageTotalsList,
+    getLogEntries,
+    encounterToMarkdown,
+    encounterToHTML,
+    RESULT_ICONS
+} from '../features/encounterHistory.js';
+import { escapeHtml } from '../../utils/security.js';
+
+let selectedRecord = null;
+let replayTimer = null;
+
+/**
+ * Initialize the encounter history UI
+ */
+export function initEncounterHistoryUI() {
+    try {
+        $('#rpg-open-encounter-history').on('click', () => {
+            openEncounterHistory();
+        });
+
+        $('#rpg-close-encounter-history, #rpg-eh-close').on('click', () => {
+            closeEncounterHistory();
+        });
+
+        $('#rpg-eh-list').on('click', '.rpg-eh-item', function() {
+            const index = parseInt($(this).data('index'));
+            selectRecord(getEncounterHistory()[index] || null);
+        });
+
+        $('#rpg-eh-detail').on('click', '.rpg-eh-replay-btn', () => {
+            replayLog();
+        });
+
+        $('#rpg-eh-detail').on('click', '.rpg-eh-export-md-btn', () => {
+            exportRecord('md');
+        });
+
+        $('#rpg-eh-detail').on('click', '.rpg-eh-export-html-btn', () => {
+            exportRecord('html');
+        });
+
+        $('#rpg-eh-detail').on('click', '.rpg-eh-delete-btn', () => {
+            deleteSelectedRecord();
+        });
+
+        // Browse the swipes of a log entry (view only, the saved record is not changed)
+        $('#rpg-eh-detail').on('click', '.rpg-encounter-log-swipe-btn', function() {
+            const wrapper = $(this).closest('.rpg-encounter-log-entry-wrapper');
+            const logIndex = parseInt(wrapper.data('log-index'));
+            const entry = getLogEntries(selectedRecord)[logIndex];
+            if (!entry || !Array.isArray(entry.swipes)) return;
+
+            const count = entry.swipes.length;
+            const current = parseInt(wrapper.attr('data-swipe')) || 0;
+            const next = Math.max(0, Math.min(count - 1, current + ($(this).hasClass('rpg-encounter-log-swipe-left') ? -1 : 1)));
+            wrapper.replaceWith(renderLogEntry(entry, logIndex, next));
+        });
+
+        console.log('[RPG Companion] Encounter History UI initialized');
+    } catch (error) {
+        console.error('[RPG Companion] Failed to initialize Encounter History UI:', error);
+    }
+}
+
+/**
+ * Open the encounter history
+ */
+export function openEncounterHistory() {
+    selectedRecord = null;
+    renderHistoryList();
+    renderDetail();
+    $('#rpg-encounter-history-popup').addClass('is-open');
+}
+
+/**
+ * Close the encounter history
+ */
+function closeEncounterHistory() {
+    stopReplay();
+    selectedRecord = null;
+    $('#rpg-encounter-history-popup').removeClass('is-open');
+}
+
+/**
+ * Render the list of past encounters
+ */
+function renderHistoryList() {
+    const history = getEncounterHistory();
+    const container = $('#rpg-eh-list');
+
+    if (history.length === 0) {
+        container.html('<p style="text-align: center; color: #888;">No finished encounters in this chat yet.</p>');
+        return;
+    }
+
+    container.html(history.map((record, index) => `
+        <div class="rpg-eh-item rpg-eh-result-${escapeHtml(record.result)} ${record === selectedRecord ? 'active' : ''}" data-index="${index}">
+            <div class="rpg-eh-item-header">
+                <span class="rpg-eh-item-result">
+                    <i class="fa-solid ${RESULT_ICONS[record.result] || 'fa-flag-checkered'}"></i> ${escapeHtml(getResultTerm(record))}
+                </span>
+                <span class="rpg-eh-item-profile">${escapeHtml(getProfileName(record))}</span>
+            </div>
+            <div class="rpg-eh-item-date">${formatEncounterDate(record)}</div>
+            ${record.summary ? `<div class="rpg-eh-item-summary">${escapeHtml(record.summary)}</div>` : ''}
+        </div>
+    `).join(''));
+}
+
+/**
+ * Select an encounter and show its details
+ * @param {Object|null} record - Encounter record
+ */
+function selectRecord(record) {
+    stopReplay();
+    selectedRecord = record;
+    renderHistoryList();
+    renderDetail();
+}
+
+/**
+ * Render one log entry of the replay, with swipe controls if it has alternatives
+ * @param {Object} entry - Display log entry
+ * @param {number} index - Index in the display log
+ * @param {number} swipeIndex - Swipe to show
+ * @returns {jQuery} Entry element
+ */
+function renderLogEntry(entry, index, swipeIndex) {
+    const swipes = Array.isArray(entry.swipes) && entry.swipes.length > 0 ? entry.swipes : [entry.message];
+    const wrapper = $('<div class="rpg-encounter-log-entry-wrapper"></div>')
+        .attr('data-log-index', index)
+        .attr('data-swipe', swipeIndex);
+
+    if (swipes.length > 1) {
+        wrapper.append(`
+            <div class="rpg-encounter-log-controls">
+                <button class="rpg-encounter-log-swipe-btn rpg-encounter-log-swipe-left" title="Previous response" ${swipeIndex === 0 ? 'disabled' : ''}>
+                    <i class="fa-solid fa-chevron-left"></i>
+                </button>
+                <span class="rpg-encounter-log-swipe-counter">${swipeIndex + 1}/${swipes.length}</span>
+                <button class="rpg-encounter-log-swipe-btn rpg-encounter-log-swipe-right" title="Next response" ${swipeIndex >= swipes.length - 1 ? 'disabled' : ''}>
+                    <i class="fa-solid fa-chevron-right"></i>
+                </button>
+            </div>
+        `);
+    }
+
+    const text = $('<div></div>')
+        .addClass(`rpg-encounter-log-entry ${entry.type || ''}`)
+        .css('white-space', 'pre-wrap')
+        .text(swipes[swipeIndex] ?? '');
+    wrapper.append(text);
+    return wrapper;
+}
+
+/**
+ * Render the selected encounter: summary, damage totals and log
+ */
+function renderDetail() {
+    const container = $('#rpg-eh-detail');
+    const record = selectedRecord;
+
+    if (!record) {
+        container.html('<p style="text-align: center; color: #888; margin-top: 40px;">Select an encounter to see its details.</p>');
+        return;
+    }
+
+    const resourceLabel = record.profile?.RESOURCE_LABEL || 'HP';
+    const totals = getDamageTotalsList(record);
+
+    container.html(`
+        <div class="rpg-eh-detail-header">
+            <h4><i class="fa-solid ${RESULT_ICONS[record.result] || 'fa-flag-checkered'}"></i> ${escapeHtml(getResultTerm(record))}</h4>
+            <small>${escapeHtml(getProfileName(record))} · ${formatEncounterDate(record)}${record.rounds ? ` · ${record.rounds} round(s)` : ''}</small>
+        </div>
+
+        ${record.summary ? `<div class="rpg-eh-summary">${escapeHtml(record.summary)}</div>` : ''}
+        ${record.loot?.length > 0 ? `<div class="rpg-eh-loot"><i class="fa-solid fa-coins"></i> ${escapeHtml(record.loot.join(', '))}</div>` : ''}
+
+        <h5><i class="fa-solid fa-chart-simple"></i> Damage Totals</h5>
+        ${totals.length > 0 ? `
+            <table class="rpg-eh-totals">
+                <thead>
+                    <tr><th>Combatant</th><th>Dealt</th><th>Taken</th><th>${escapeHtml(resourceLabel)} Restored</th></tr>
+                </thead>
+                <tbody>
+                    ${totals.map(total => `
+                        <tr class="rpg-eh-totals-${escapeHtml(total.type)}">
+                            <td>${escapeHtml(total.name)}</td><td>${total.dealt}</td><td>${total.taken}</td><td>${total.healed}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p class="rpg-eh-empty">No damage was recorded for this encounter.</p>'}
+
+        <div class="rpg-eh-log-header">
+            <h5><i class="fa-solid fa-scroll"></i> Log</h5>
+            <button class="rpg-eh-replay-btn menu_button menu_button_icon" title="Play the log back entry by entry">
+                <i class="fa-solid fa-play"></i> Replay
+            </button>
+        </div>
+        <div class="rpg-encounter-log rpg-eh-log" id="rpg-eh-log"></div>
+
+        <div class="rpg-eh-actions">
+            <button class="rpg-eh-export-md-btn rpg-btn-secondary"><i class="fa-solid fa-file-lines"></i> Markdown</button>
+            <button class="rpg-eh-export-html-btn rpg-btn-secondary"><i class="fa-solid fa-file-code"></i> HTML</button>
+            <button class="rpg-eh-delete-btn rpg-btn-secondary" title="Delete this encounter from the history"><i class="fa-solid fa-trash"></i></button>
+        </div>
+    `);
+
+    renderFullLog();
+}
+
+/**
+ * Show the whole log of the selected encounter at once
+ */
+function renderFullLog() {
+    const log = $('#rpg-eh-log').empty();
+    const entries = getLogEntries(selectedRecord);
+    entries.forEach((entry, index) => log.append(renderLogEntry(entry, index, entry.swipeIndex || 0)));
+}
+
+/**
+ * Play the log back entry by entry, like it appeared during the fight
+ */
+function replayLog() {
+    stopReplay();
+    const log = $('#rpg-eh-log').empty();
+    const entries = getLogEntries(selectedRecord);
+    let index = 0;
+
+    const showNext = () => {
+        if (index >= entries.length) {
+            replayTimer = null;
+            return;
+        }
+        const element = renderLogEntry(entries[index], index, entries[index].swipeIndex || 0).hide();
+        log.append(element);
+        element.fadeIn(200);
+        log.scrollTop(log[0].scrollHeight);
+        index++;
+        replayTimer = setTimeout(showNext, 400);
+    };
+
+    showNext();
+}
+
+/**
+ * Stop a running replay
+ */
+function stopReplay() {
+    if (replayTimer) {
+        clearTimeout(replayTimer);
+        replayTimer = null;
+    }
+}
+
+/**
+ * Export the selected encounter
+ * @param {string} format - "md" or "html"
+ */
+function exportRecord(format) {
+    if (!selectedRecord) return;
+
+    try {
+        const isHtml = format === 'html';
+        const content = isHtml ? encounterToHTML(selectedRecord) : encounterToMarkdown(selectedRecord);
+        const blob = new Blob([content], { type: isHtml ? 'text/html' : 'text/markdown' });
+        const url = URL.createObjectURL(blob);
+        const date = new Date(selectedRecord.timestamp);
+        const stamp = isNaN(date.getTime()) ? 'unknown' : date.toISOString().slice(0, 10);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `encounter-${stamp}-${String(selectedRecord.result || 'unknown').toLowerCase()}.${isHtml ? 'html' : 'md'}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        toastr.success('Encounter exported');
+    } catch (error) {
+        console.error('[RPG Companion] Error exporting encounter:', error);
+        toastr.error('Failed to export encounter');
+    }
+}
+
+/**
+ * Delete the selected encounter after confirmation
+ */
+function deleteSelectedRecord() {
+    if (!selectedRecord) return;
+    if (!confirm('Delete this encounter from the history? This cannot be undone.')) return;
+
+    if (deleteEncounterRecord(selectedRecord)) {
+        toastr.success('Encounter deleted');
+    }
+    selectRecord(null);
+}
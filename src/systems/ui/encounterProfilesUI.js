@@ -20,7 +20,11 @@ import {
     importProfile,
     PRESET_PROFILES,
     DEFAULT_COMBAT_PROFILE,
-    validateProfile
+    validateProfile,
+    applyProfileVariables,
+    END_CONDITION_TYPES,
+    END_CONDITION_RESULTS,
+    END_CONDITION_SIDES
 } from '../features/encounterProfiles.js';
 import { DEFAULT_PROMPTS } from './promptsEditor.js';
 
@@ -28,23 +32,22 @@ let currentEditingProfileId = null;
 let currentPreviewProfileId = null;
 
 /**
- * Injects encounter profile variables into a prompt template
- * @param {string} template - The prompt template with {VARIABLE} placeholders
- * @param {Object} profile - The encounter profile
- * @returns {string} The prompt with variables replaced
+ * Option labels of the end condition rows
  */
-function injectProfileVariables(template, profile) {
-    if (!template || !profile) return template || '';
-
-    return template
-        .replace(/{ENCOUNTER_TYPE}/g, profile.ENCOUNTER_TYPE || '')
-        .replace(/{ENCOUNTER_GOAL}/g, profile.ENCOUNTER_GOAL || '')
-        .replace(/{ENCOUNTER_STAKES}/g, profile.ENCOUNTER_STAKES || '')
-        .replace(/{RESOURCE_INTERPRETATION}/g, profile.RESOURCE_INTERPRETATION || '')
-        .replace(/{ACTION_INTERPRETATION}/g, profile.ACTION_INTERPRETATION || '')
-        .replace(/{STATUS_INTERPRETATION}/g, profile.STATUS_INTERPRETATION || '')
-        .replace(/{SUMMARY_FRAMING}/g, profile.SUMMARY_FRAMING || '');
-}
+const CONDITION_TYPE_LABELS = {
+    enemiesDefeated: 'All enemies at 0',
+    playerDefeated: 'Player at 0',
+    partyDefeated: 'Whole party at 0',
+    barThreshold: 'Bar reaches a value',
+    rounds: 'Rounds passed'
+};
+const CONDITION_SIDE_LABELS = {
+    player: 'Player',
+    anyParty: 'Any party member',
+    allParty: 'Every party member',
+    anyEnemy: 'Any enemy',
+    allEnemies: 'Every enemy'
+};
 
 /**
  * Check if a prompt template contains profile variable placeholders
@@ -139,6 +142,31 @@ export function initEncounterProfilesUI() {
             showPromptPreview();
         });
 
+        // Extra resources and template variables
+        $('#rpg-ep-add-resource').on('click', () => {
+            if ($('#rpg-ep-resources-list .rpg-ep-row').length >= 4) {
+                toastr.warning('A profile can define at most 4 resources');
+                return;
+            }
+            $('#rpg-ep-resources-list').append(renderResourceRow({ name: '', min: 0, max: 10, color: '#4a7ba7' }));
+        });
+
+        $('#rpg-ep-add-variable').on('click', () => {
+            $('#rpg-ep-variables-list').append(renderVariableRow('', ''));
+        });
+
+        $('#rpg-ep-add-condition').on('click', () => {
+            $('#rpg-ep-conditions-list').append(renderConditionRow({ type: 'enemiesDefeated', result: 'victory' }));
+        });
+
+        $('#rpg-ep-conditions-list').on('change', '.rpg-ep-condition-type', function() {
+            $(this).closest('.rpg-ep-row').attr('data-type', $(this).val());
+        });
+
+        $('#rpg-ep-resources-list, #rpg-ep-variables-list, #rpg-ep-conditions-list').on('click', '.rpg-ep-row-remove', function() {
+            $(this).closest('.rpg-ep-row').remove();
+        });
+
         console.log('[RPG Companion] Encounter Profiles UI initialized');
     } catch (error) {
         console.error('[RPG Companion] Failed to initialize Encounter Profiles UI:', error);
@@ -410,6 +438,163 @@ function populateForm(profile) {
     $('#rpg-ep-victory-term').val(profile.VICTORY_TERM || '');
     $('#rpg-ep-defeat-term').val(profile.DEFEAT_TERM || '');
     $('#rpg-ep-fled-term').val(profile.FLED_TERM || '');
+
+    // Extra resources and template variables
+    renderResourceRows(profile.RESOURCES || []);
+    renderVariableRows(profile.VARIABLES || {});
+    renderConditionRows(profile.END_CONDITIONS || []);
+}
+
+/**
+ * Render one editable row of the extra resources list
+ * @param {Object} resource - Resource ({name, min, max, start, color, description})
+ * @returns {string} Row HTML
+ */
+function renderResourceRow(resource) {
+    return `
+        <div class="rpg-ep-row rpg-ep-resource-row">
+            <input type="text" class="rpg-input rpg-ep-resource-name" value="${escapeHtml(resource.name || '')}" placeholder="Name (e.g., Leverage)" maxlength="30" />
+            <input type="number" class="rpg-input rpg-ep-resource-min" value="${resource.min ?? 0}" title="Minimum" placeholder="Min" />
+            <input type="number" class="rpg-input rpg-ep-resource-max" value="${resource.max ?? 10}" title="Maximum" placeholder="Max" />
+            <input type="number" class="rpg-input rpg-ep-resource-start" value="${resource.start ?? ''}" title="Starting value (empty = maximum)" placeholder="Start" />
+            <input type="color" class="rpg-ep-resource-color" value="${escapeHtml(resource.color || '#4a7ba7')}" title="Bar color" />
+            <button class="rpg-ep-row-remove rpg-ep-action-btn delete" type="button" title="Remove resource"><i class="fa-solid fa-trash"></i></button>
+            <input type="text" class="rpg-input rpg-ep-resource-description" value="${escapeHtml(resource.description || '')}" placeholder="What it represents (e.g., how much the guards suspect)" maxlength="200" />
+        </div>
+    `;
+}
+
+/**
+ * Render one editable row of the template variables list
+ * @param {string} name - Variable name
+ * @param {string} value - Variable value
+ * @returns {string} Row HTML
+ */
+function renderVariableRow(name, value) {
+    return `
+        <div class="rpg-ep-row rpg-ep-variable-row">
+            <input type="text" class="rpg-input rpg-ep-variable-name" value="${escapeHtml(name)}" placeholder="NAME" maxlength="40" />
+            <input type="text" class="rpg-input rpg-ep-variable-value" value="${escapeHtml(value)}" placeholder="Value" maxlength="200" />
+            <button class="rpg-ep-row-remove rpg-ep-action-btn delete" type="button" title="Remove variable"><i class="fa-solid fa-trash"></i></button>
+        </div>
+    `;
+}
+
+/**
+ * Render one editable row of the end conditions list
+ * @param {Object} condition - End condition ({type, result, bar, side, comparison, value})
+ * @returns {string} Row HTML
+ */
+function renderConditionRow(condition) {
+    const options = (values, labels, selected) => values.map(value =>
+        `<option value="${value}" ${value === selected ? 'selected' : ''}>${labels ? labels[value] : value.charAt(0).toUpperCase() + value.slice(1)}</option>`
+    ).join('');
+
+    return `
+        <div class="rpg-ep-row rpg-ep-condition-row" data-type="${condition.type}">
+            <select class="rpg-select rpg-ep-condition-type" title="Condition">${options(END_CONDITION_TYPES, CONDITION_TYPE_LABELS, condition.type)}</select>
+            <select class="rpg-select rpg-ep-condition-side" title="Whose bar">${options(END_CONDITION_SIDES, CONDITION_SIDE_LABELS, condition.side)}</select>
+            <input type="text" class="rpg-input rpg-ep-condition-bar" value="${escapeHtml(condition.bar || '')}" placeholder="Bar (e.g., Suspicion)" maxlength="30" />
+            <select class="rpg-select rpg-ep-condition-comparison" title="Comparison">
+                <option value="atLeast" ${condition.comparison !== 'atMost' ? 'selected' : ''}>≥</option>
+                <option value="atMost" ${condition.comparison === 'atMost' ? 'selected' : ''}>≤</option>
+            </select>
+            <input type="number" class="rpg-input rpg-ep-condition-value" value="${condition.value ?? ''}" placeholder="${condition.type === 'rounds' ? 'Rounds' : 'Value'}" />
+            <span class="rpg-ep-condition-arrow">→</span>
+            <select class="rpg-select rpg-ep-condition-result" title="Result">${options(END_CONDITION_RESULTS, null, condition.result)}</select>
+            <button class="rpg-ep-row-remove rpg-ep-action-btn delete" type="button" title="Remove end condition"><i class="fa-solid fa-trash"></i></button>
+        </div>
+    `;
+}
+
+/**
+ * Render the end conditions list
+ * @param {Array<Object>} conditions - End conditions of the profile
+ */
+function renderConditionRows(conditions) {
+    $('#rpg-ep-conditions-list').html(conditions.map(renderConditionRow).join(''));
+}
+
+/**
+ * Read the end conditions from the form
+ * @returns {Array<Object>} End conditions
+ */
+function readConditionRows() {
+    const conditions = [];
+    $('#rpg-ep-conditions-list .rpg-ep-condition-row').each(function() {
+        const row = $(this);
+        const condition = {
+            type: row.find('.rpg-ep-condition-type').val(),
+            result: row.find('.rpg-ep-condition-result').val()
+        };
+        if (condition.type === 'rounds') {
+            condition.value = parseInt(row.find('.rpg-ep-condition-value').val());
+        } else if (condition.type === 'barThreshold') {
+            condition.bar = row.find('.rpg-ep-condition-bar').val().trim();
+            condition.side = row.find('.rpg-ep-condition-side').val();
+            condition.comparison = row.find('.rpg-ep-condition-comparison').val();
+            condition.value = parseFloat(row.find('.rpg-ep-condition-value').val());
+        }
+        conditions.push(condition);
+    });
+    return conditions;
+}
+
+/**
+ * Render the extra resources list
+ * @param {Array<Object>} resources - Resources of the profile
+ */
+function renderResourceRows(resources) {
+    $('#rpg-ep-resources-list').html(resources.map(renderResourceRow).join(''));
+}
+
+/**
+ * Render the template variables list
+ * @param {Object<string, string>} variables - Variables of the profile
+ */
+function renderVariableRows(variables) {
+    $('#rpg-ep-variables-list').html(Object.entries(variables).map(([name, value]) => renderVariableRow(name, value)).join(''));
+}
+
+/**
+ * Read the extra resources from the form (rows without a name are skipped)
+ * @returns {Array<Object>} Resources
+ */
+function readResourceRows() {
+    const resources = [];
+    $('#rpg-ep-resources-list .rpg-ep-resource-row').each(function() {
+        const row = $(this);
+        const name = row.find('.rpg-ep-resource-name').val().trim();
+        if (!name) return;
+
+        const resource = {
+            name,
+            min: parseFloat(row.find('.rpg-ep-resource-min').val()),
+            max: parseFloat(row.find('.rpg-ep-resource-max').val()),
+            color: row.find('.rpg-ep-resource-color').val()
+        };
+        const start = row.find('.rpg-ep-resource-start').val().trim();
+        if (start !== '') resource.start = parseFloat(start);
+        const description = row.find('.rpg-ep-resource-description').val().trim();
+        if (description) resource.description = description;
+        resources.push(resource);
+    });
+    return resources;
+}
+
+/**
+ * Read the template variables from the form (rows without a name are skipped)
+ * @returns {Object<string, string>} Variables by name
+ */
+function readVariableRows() {
+    const variables = {};
+    $('#rpg-ep-variables-list .rpg-ep-variable-row').each(function() {
+        const name = $(this).find('.rpg-ep-variable-name').val().trim().toUpperCase();
+        if (name) {
+            variables[name] = $(this).find('.rpg-ep-variable-value').val().trim();
+        }
+    });
+    return variables;
 }
 
 /**
@@ -437,14 +622,19 @@ function clearForm() {
     $('#rpg-ep-defeat-term').val('');
     $('#rpg-ep-fled-term').val('');
 
+    renderResourceRows([]);
+    renderVariableRows({});
+    renderConditionRows([]);
+
     $('#rpg-ep-form-title').text('New Profile');
 }
 
 /**
- * Save the current profile (create or update)
+ * Read the profile data from the form
+ * @returns {Object} Profile data (without ID)
  */
-function saveCurrentProfile() {
-    const profileData = {
+function getFormProfileData() {
+    return {
         name: $('#rpg-ep-name').val().trim(),
         ENCOUNTER_TYPE: $('#rpg-ep-encounter-type').val().trim(),
         ENCOUNTER_GOAL: $('#rpg-ep-encounter-goal').val().trim(),
@@ -463,8 +653,20 @@ function saveCurrentProfile() {
         ACTION_SECTION_LABEL: $('#rpg-ep-action-label').val().trim(),
         VICTORY_TERM: $('#rpg-ep-victory-term').val().trim(),
         DEFEAT_TERM: $('#rpg-ep-defeat-term').val().trim(),
-        FLED_TERM: $('#rpg-ep-fled-term').val().trim()
+        FLED_TERM: $('#rpg-ep-fled-term').val().trim(),
+
+        // Extra resources and template variables
+        RESOURCES: readResourceRows(),
+        VARIABLES: readVariableRows(),
+        END_CONDITIONS: readConditionRows()
     };
+}
+
+/**
+ * Save the current profile (create or update)
+ */
+function saveCurrentProfile() {
+    const profileData = getFormProfileData();
 
     // Check for duplicate names (case-insensitive)
     const allProfiles = getAllProfiles();
@@ -594,15 +796,17 @@ function showPromptPreview() {
 
     // If no profile selected, try to build from form
     if (!profile) {
+        const formData = getFormProfileData();
         profile = {
-            name: $('#rpg-ep-name').val() || 'Preview',
-            ENCOUNTER_TYPE: $('#rpg-ep-encounter-type').val() || 'encounter',
-            ENCOUNTER_GOAL: $('#rpg-ep-encounter-goal').val() || 'achieve the objective',
-            ENCOUNTER_STAKES: $('#rpg-ep-stakes').val() || 'medium',
-            RESOURCE_INTERPRETATION: $('#rpg-ep-hp-represents').val() || 'resources',
-            ACTION_INTERPRETATION: $('#rpg-ep-attacks-represent').val() || 'actions',
-            STATUS_INTERPRETATION: $('#rpg-ep-statuses-represent').val() || 'conditions',
-            SUMMARY_FRAMING: $('#rpg-ep-summary-framing').val() || 'a summary'
+            ...formData,
+            name: formData.name || 'Preview',
+            ENCOUNTER_TYPE: formData.ENCOUNTER_TYPE || 'encounter',
+            ENCOUNTER_GOAL: formData.ENCOUNTER_GOAL || 'achieve the objective',
+            ENCOUNTER_STAKES: formData.ENCOUNTER_STAKES || 'medium',
+            RESOURCE_INTERPRETATION: formData.RESOURCE_INTERPRETATION || 'resources',
+            ACTION_INTERPRETATION: formData.ACTION_INTERPRETATION || 'actions',
+            STATUS_INTERPRETATION: formData.STATUS_INTERPRETATION || 'conditions',
+            SUMMARY_FRAMING: formData.SUMMARY_FRAMING || 'a summary'
         };
     }
 
@@ -621,10 +825,10 @@ function showPromptPreview() {
     });
 
     // Apply profile variable replacements
-    const processedInitSystem = injectProfileVariables(initSystemPrompt, profile);
-    const processedInitInstructions = injectProfileVariables(initInstructionsPrompt, profile);
-    const processedActionSystem = injectProfileVariables(actionSystemPrompt, profile);
-    const processedActionInstructions = injectProfileVariables(actionInstructionsPrompt, profile);
+    const processedInitSystem = applyProfileVariables(initSystemPrompt, profile);
+    const processedInitInstructions = applyProfileVariables(initInstructionsPrompt, profile);
+    const processedActionSystem = applyProfileVariables(actionSystemPrompt, profile);
+    const processedActionInstructions = applyProfileVariables(actionInstructionsPrompt, profile);
 
     // Build preview HTML with indicators for custom vs default prompts
     const promptSourceBadge = (isCustom) => isCustom
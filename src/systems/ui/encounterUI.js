@@ -12,12 +12,14 @@ import { extensionSettings } from '../../core/state.js';
 import { saveSettings } from '../../core/persistence.js';
 import { i18n } from '../../core/i18n.js';
 import { getSafeThumbnailUrl } from '../../utils/avatars.js';
+import { escapeHtml } from '../../utils/security.js';
 import {
     currentEncounter,
     updateCurrentEncounter,
     resetEncounter,
     addCombatMessage,
     addEncounterLogEntry,
+    addDamageTotals,
     addDisplayLogEntry,
     addEncounterLogSwipe,
     setEncounterLogSwipe,
@@ -43,7 +45,81 @@ import {
     parseEncounterJSON,
     parseCombatActionResponse
 } from '../generation/encounterPrompts.js';
-import { getAllProfiles, getActiveProfile } from '../features/encounterProfiles.js';
+import {
+    getAllProfiles,
+    getActiveProfile,
+    applyProfileResources,
+    getEndConditions,
+    evaluateEndConditions,
+    describeEndCondition
+} from '../features/encounterProfiles.js';
+import {
+    getBestiary,
+    getBestiaryEntry,
+    saveToBestiary,
+    deleteBestiaryEntry,
+    bestiaryEntryToEnemy,
+    exportBestiary,
+    importBestiary,
+    parseLocationTags,
+    parseLootTable,
+    formatLootTable,
+    getCurrentLocation
+} from '../features/bestiary.js';
+import { extractSummaryLoot, buildOutcomeChanges, applyOutcomeChanges } from '../features/encounterOutcome.js';
+import {
+    isExperienceEnabled,
+    getAttributePointsPerLevel,
+    calculateEncounterXp,
+    rollBestiaryLoot
+} from '../features/encounterRewards.js';
+import {
+    DIFFICULTY_LEVELS,
+    getEncounterDifficulty,
+    estimatePartySize,
+    calculateEncounterBudget,
+    getBudgetWarnings
+} from '../features/encounterDifficulty.js';
+import {
+    createPhase,
+    setEncounterPhases,
+    getActivePhase,
+    describePhaseTrigger,
+    advanceEncounterPhase,
+    STYLE_NOTE_OPTIONS
+} from '../features/encounterPhases.js';
+import {
+    COMBAT_MODES,
+    isRulesModeEnabled,
+    prepareRulesCombatants,
+    normalizeAttack,
+    getDefense,
+    resolveControlledAction,
+    resolveAutomaticTurn,
+    tickStatuses,
+    checkCombatEnd,
+    formatRound
+} from '../features/combatRules.js';
+import {
+    rollInitiative,
+    syncTurnOrder,
+    planTurnStep,
+    commitTurnStep,
+    describeTurnStep,
+    findTurnCombatant
+} from '../features/initiative.js';
+
+/**
+ * Fill percentage of a custom bar (bars of profile resources can have a minimum other than 0)
+ * @param {Object} bar - Custom bar ({current, max, min?})
+ * @returns {number} Percentage between 0 and 100
+ */
+function getBarPercent(bar) {
+    const min = Number(bar.min) || 0;
+    const range = (Number(bar.max) || 0) - min;
+    if (range <= 0) return 0;
+    return Math.min(100, Math.max(0, ((Number(bar.current) - min) / range) * 100));
+}
 
 /**
  * EncounterModal class
@@ -211,6 +287,9 @@ export class EncounterModal {
             // Render the combat UI with loaded state (don't preserve log, we'll restore it next)
             this.renderCombatUI(currentEncounter.combatStats, false);
 
+            // Restore the styling (a phase may have changed it since the start)
+            this.applyEnvironmentStyling(currentEncounter.combatStats?.styleNotes);
+
             // Restore the display log
             this.restoreDisplayLog();
 
@@ -341,6 +420,14 @@ export class EncounterModal {
                 return;
             }
 
+            // Rules mode: fill in defense and attack dice the AI left out
+            if (isRulesModeEnabled()) {
+                prepareRulesCombatants(combatData);
+            }
+
+            // Give everyone the extra resource bars of the profile
+            applyProfileResources(combatData, getActiveProfile());
+
             // Update encounter state
             updateCurrentEncounter({
                 active: true,
@@ -348,6 +435,9 @@ export class EncounterModal {
                 combatStats: combatData
             });
 
+            // Roll initiative for everyone (round 1 starts with the fastest combatant)
+            const turnOrder = rollInitiative(combatData);
+
             // Add to combat history
             addCombatMessage('system', 'Combat initialized');
             addCombatMessage('assistant', JSON.stringify(combatData));
@@ -359,6 +449,7 @@ export class EncounterModal {
 
             // Render the combat UI (don't preserve log for new encounter)
             this.renderCombatUI(combatData, false);
+            this.addToLog(`Initiative: ${turnOrder.map(entry => `${entry.name} ${entry.initiative}`).join(', ')}`, 'system');
 
             // Autosave the encounter state
             saveEncounterState();
@@ -522,6 +613,67 @@ export class EncounterModal {
                                 </small>
                             </div>
 
+                            <!-- Combat Resolution Mode -->
+                            <div style="margin-top: 24px; padding-top: 24px; border-top: 1px solid var(--SmartThemeBorderColor);">
+                                <label class="label_text" style="margin-bottom: 8px; display: block; font-weight: 600;">
+                                    <i class="fa-solid fa-dice-d20"></i> Combat Resolution
+                                </label>
+                                <select id="config-combat-mode" class="rpg-select" style="width: 100%; padding: 8px; margin-bottom: 8px;">
+                                    <option value="${COMBAT_MODES.NARRATIVE}" ${!isRulesModeEnabled() ? 'selected' : ''}>Narrative (the AI decides damage and outcomes)</option>
+                                    <option value="${COMBAT_MODES.RULES}" ${isRulesModeEnabled() ? 'selected' : ''}>Rules (dice decide hits and damage, the AI narrates)</option>
+                                </select>
+                                <small style="color: #888; font-size: 11px; display: block;">
+                                    In rules mode every attack rolls d20 + to-hit against the target's defense and deals its damage dice. Items heal when their name ends with a formula, e.g. "Healing Potion (2d4+2)".
+                                </small>
+                            </div>
+
+                            <!-- Difficulty -->
+                            <div style="margin-top: 24px; padding-top: 24px; border-top: 1px solid var(--SmartThemeBorderColor);">
+                                <label class="label_text" style="margin-bottom: 8px; display: block; font-weight: 600;">
+                                    <i class="fa-solid fa-scale-balanced"></i> Difficulty
+                                </label>
+                                <div style="display: flex; gap: 12px; margin-bottom: 8px;">
+                                    <select id="config-difficulty" class="rpg-select" style="flex: 1; padding: 8px;">
+                                        ${Object.entries(DIFFICULTY_LEVELS).map(([key, level]) => `<option value="${key}" ${getEncounterDifficulty() === key ? 'selected' : ''}>${level.label}</option>`).join('')}
+                                    </select>
+                                    <input type="number" id="config-party-size" class="text_pole" min="1" max="12" style="width: 140px;" title="Party size (leave empty to estimate it from the chat)"
+                                        placeholder="Party: auto (${estimatePartySize()})" value="${extensionSettings.encounterSettings?.partySize || ''}" />
+                                </div>
+                                <small id="config-difficulty-budget" style="color: #888; font-size: 11px; display: block;"></small>
+                            </div>
+
+                            <!-- Rewards -->
+                            <div style="margin-top: 24px; padding-top: 24px; border-top: 1px solid var(--SmartThemeBorderColor);">
+                                <label class="label_text" style="margin-bottom: 8px; display: block; font-weight: 600;">
+                                    <i class="fa-solid fa-star"></i> Rewards
+                                </label>
+                                <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 8px;">
+                                    <label class="checkbox_label" style="display: flex; align-items: center; gap: 8px; flex: 1;">
+                                        <input type="checkbox" id="config-award-xp" ${isExperienceEnabled() ? 'checked' : ''} style="margin: 0;" />
+                                        <span style="color: var(--rpg-text, #eaeaea);">Award XP for defeated enemies</span>
+                                    </label>
+                                    <label for="config-attribute-points" style="font-size: 13px;">Attribute points per level:</label>
+                                    <input type="number" id="config-attribute-points" class="text_pole" min="0" max="10" style="width: 70px;" value="${getAttributePointsPerLevel()}" />
+                                </div>
+                                <small style="color: #888; font-size: 11px; display: block;">
+                                    Defeated enemies give XP by their max HP and the difficulty. Level N needs N × 100 XP to reach the next level. Creatures from the bestiary also drop the loot of their loot table.
+                                </small>
+                            </div>
+
+                            <!-- Bestiary -->
+                            <div style="margin-top: 24px; padding-top: 24px; border-top: 1px solid var(--SmartThemeBorderColor);">
+                                <label class="label_text" style="margin-bottom: 8px; display: block; font-weight: 600;">
+                                    <i class="fa-solid fa-book-skull"></i> Bestiary
+                                </label>
+                                <label class="checkbox_label" style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
+                                    <input type="checkbox" id="config-use-bestiary" ${extensionSettings.encounterSettings?.useBestiaryInPrompt ? 'checked' : ''} style="margin: 0;" />
+                                    <span style="color: var(--rpg-text, #eaeaea);">Suggest bestiary creatures that fit the location</span>
+                                </label>
+                                <small style="color: #888; font-size: 11px; display: block;">
+                                    Tells the AI about saved creatures whose location tags match the current location (plus untagged ones), so it can reuse them with their saved stats.
+                                </small>
+                            </div>
+
                             <div style="margin-top: 24px; display: flex; gap: 12px; justify-content: flex-end;">
                                 <button id="config-cancel" class="rpg-btn rpg-btn-secondary" style="padding: 12px 24px;">
                                     <i class="fa-solid fa-times"></i> Cancel
@@ -551,6 +703,19 @@ export class EncounterModal {
                 selectorDiv.style.display = filterCheckbox.checked ? 'block' : 'none';
             });
 
+            // Show the enemy budget for the chosen difficulty and party size
+            const difficultySelect = configModal.querySelector('#config-difficulty');
+            const partySizeInput = configModal.querySelector('#config-party-size');
+            const updateBudgetPreview = () => {
+                const budget = calculateEncounterBudget({ difficulty: difficultySelect.value, partySize: partySizeInput.value });
+                const resourceLabel = this.getUILabels().resourceLabel;
+                configModal.querySelector('#config-difficulty-budget').textContent =
+                    `Level ${budget.level}, party of ${budget.partySize}: ${budget.enemyCount.min}-${budget.enemyCount.max} enemies with about ${budget.totalHp} ${resourceLabel} in total, hits of ${budget.damage.min}-${budget.damage.max} ${resourceLabel}.`;
+            };
+            difficultySelect.addEventListener('change', updateBudgetPreview);
+            partySizeInput.addEventListener('input', updateBudgetPreview);
+            updateBudgetPreview();
+
             // Show modal
             setTimeout(() => configModal.classList.add('is-open'), 10);
 
@@ -649,6 +814,20 @@ export class EncounterModal {
 
                 // Store the selected profile for this encounter (overrides the active profile)
                 extensionSettings.encounterSettings.currentEncounterProfileId = selectedProfileId;
+
+                // Store how combat is resolved (narrative or dice rules)
+                extensionSettings.encounterSettings.combatMode = configModal.querySelector('#config-combat-mode').value;
+
+                // Store whether the init prompt lists fitting bestiary creatures
+                extensionSettings.encounterSettings.useBestiaryInPrompt = configModal.querySelector('#config-use-bestiary').checked;
+
+                // Store the difficulty and party size the enemy budget is calculated from
+                extensionSettings.encounterSettings.difficulty = difficultySelect.value;
+                extensionSettings.encounterSettings.partySize = parseInt(partySizeInput.value) > 0 ? parseInt(partySizeInput.value) : null;
+
+                // Store the reward settings
+                extensionSettings.encounterSettings.awardExperience = configModal.querySelector('#config-award-xp').checked;
+                extensionSettings.encounterSettings.attributePointsPerLevel = Math.max(0, Math.min(10, parseInt(configModal.querySelector('#config-attribute-points').value) || 0));
                 // console.log('[RPG Companion] Saved currentEncounterProfileId:', selectedProfileId);
                 // console.log('[RPG Companion] Verification - encounterSettings.currentEncounterProfileId:', extensionSettings.encounterSettings.currentEncounterProfileId);
 
@@ -1487,9 +1666,15 @@ export class EncounterModal {
                         <button id="rpg-encounter-environment-save" class="rpg-encounter-environment-save-btn" title="Save location">
                             <i class="fa-solid fa-check"></i>
                         </button>
+                        <button id="rpg-encounter-phases-btn" class="rpg-encounter-phases-btn" title="Encounter phases">
+                            <i class="fa-solid fa-layer-group"></i> <span id="rpg-encounter-phase-name">${this.getPhaseButtonLabel()}</span>
+                        </button>
                     </div>
                 </div>
 
+                <!-- Turn Order -->
+                ${this.renderTurnTracker()}
+
                 <!-- Enemies Section -->
                 <div class="rpg-encounter-section">
                     <div class="rpg-encounter-section-header">
@@ -1580,6 +1765,81 @@ export class EncounterModal {
         this.updatePendingBadges();
     }
 
+    /**
+     * Renders the turn tracker bar: round number and every combatant in initiative order
+     * @returns {string} HTML for the tracker
+     */
+    renderTurnTracker() {
+        const combatStats = currentEncounter.combatStats;
+        syncTurnOrder(combatStats);
+
+        const order = currentEncounter.turnOrder || [];
+        const step = planTurnStep(combatStats);
+        const chips = order.map((entry, index) => {
+            const combatant = findTurnCombatant(entry, combatStats);
+            const classes = ['rpg-turn-chip', entry.type === 'enemy' ? 'rpg-turn-enemy' : 'rpg-turn-party'];
+            if (index === currentEncounter.currentTurn) classes.push('rpg-turn-current');
+            if (step?.actor?.id === entry.id) classes.push('rpg-turn-acting');
+            if (!combatant || combatant.hp <= 0) classes.push('rpg-turn-down');
+
+            const icon = entry.type === 'enemy' ? (combatant?.sprite || '👹') : (combatant?.isPlayer ? '⭐' : '🛡️');
+            const bonus = entry.bonus >= 0 ? `+${entry.bonus}` : entry.bonus;
+            return `
+                <div class="${classes.join(' ')}" title="Initiative ${entry.initiative} (d20 ${entry.roll} ${bonus})">
+                    <span class="rpg-turn-icon">${icon}</span>
+                    <span class="rpg-turn-name">${entry.name}</span>
+                    <span class="rpg-turn-init">${entry.initiative}</span>
+                </div>
+            `;
+        }).join('<i class="fa-solid fa-chevron-right rpg-turn-sep"></i>');
+
+        return `
+            <div class="rpg-encounter-turn-tracker" id="rpg-encounter-turn-tracker">
+                <span class="rpg-turn-round"><i class="fa-solid fa-hourglass-half"></i> Round ${currentEncounter.round || 1}</span>
+                <div class="rpg-turn-list">${chips}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * The party member the user picks the next action for (the next controllable
+     * combatant in the turn order that is still standing)
+     * @returns {Object|null} The combatant, or null if nobody under the user's control can act
+     */
+    getActingCombatant() {
+        const combatStats = currentEncounter.combatStats;
+        if (!combatStats) return null;
+        syncTurnOrder(combatStats);
+        const step = planTurnStep(combatStats);
+        return step?.actor ? findTurnCombatant(step.actor, combatStats) : null;
+    }
+
+    /**
+     * Re-renders the turn tracker and the action controls after the turn moved on
+     */
+    refreshTurnUI() {
+        const combatStats = currentEncounter.combatStats;
+        if (!this.modal || !combatStats) return;
+
+        const tracker = this.modal.querySelector('#rpg-encounter-turn-tracker');
+        if (tracker) {
+            tracker.outerHTML = this.renderTurnTracker();
+        }
+
+        const controls = this.modal.querySelector('.rpg-encounter-controls');
+        if (controls) {
+            controls.outerHTML = this.renderPlayerControls(combatStats.party);
+            this.attachCustomInputListener();
+
+            // Keep the new buttons locked while an action is still being narrated
+            if (this.isProcessing) {
+                this.modal.querySelectorAll('.rpg-encounter-action-btn, #rpg-encounter-custom-submit').forEach(btn => {
+                    btn.disabled = true;
+                });
+            }
+        }
+    }
+
     /**
      * Renders custom bars for an entity
      * @param {Array} customBars - Array of custom bar data
@@ -1589,7 +1849,7 @@ export class EncounterModal {
         if (!customBars || customBars.length === 0) return '';
 
         return customBars.map(bar => {
-            const percent = Math.min(100, Math.max(0, (bar.current / bar.max) * 100));
+            const percent = getBarPercent(bar);
             const color = bar.color || '#4a7ba7';
 
             return `
@@ -1604,6 +1864,16 @@ export class EncounterModal {
         }).join('');
     }
 
+    /**
+     * Renders the defense badge shown on cards in rules mode
+     * @param {Object} combatant - Party member or enemy
+     * @returns {string} HTML for the badge (empty outside rules mode)
+     */
+    renderDefenseBadge(combatant) {
+        if (!currentEncounter.combatStats?.rulesMode) return '';
+        return `<span class="rpg-encounter-defense" title="Defense">🛡️ ${getDefense(combatant)}</span>`;
+    }
+
     /**
      * Renders enemy cards
      * @param {Array} enemies - Array of enemy data
@@ -1625,13 +1895,16 @@ export class EncounterModal {
                             <button class="rpg-encounter-edit-btn" data-edit-type="enemy" data-edit-index="${index}" title="Edit ${labels.enemySingular}">
                                 <i class="fa-solid fa-pen"></i>
                             </button>
+                            <button class="rpg-encounter-bestiary-btn" data-bestiary-index="${index}" title="Save to Bestiary">
+                                <i class="fa-solid fa-book-skull"></i>
+                            </button>
                             <button class="rpg-encounter-delete-btn" data-delete-type="enemy" data-delete-index="${index}" title="Remove ${labels.enemySingular}">
                                 <i class="fa-solid fa-trash"></i>
                             </button>
                         </div>
                     </div>
                     <div class="rpg-encounter-card-info">
-                        <h4>${enemy.name}</h4>
+                        <h4>${enemy.name}${this.renderDefenseBadge(enemy)}</h4>
                         <div class="rpg-encounter-hp-bar">
                             <div class="rpg-encounter-hp-fill" style="width: ${hpPercent}%"></div>
                             <span class="rpg-encounter-hp-text">${enemy.hp}/${enemy.maxHp} ${labels.resourceLabel}</span>
@@ -1695,7 +1968,7 @@ export class EncounterModal {
                         </div>
                     </div>
                     <div class="rpg-encounter-card-info">
-                        <h4>${member.name} ${member.isPlayer ? '(You)' : ''}</h4>
+                        <h4>${member.name} ${member.isPlayer ? '(You)' : ''}${this.renderDefenseBadge(member)}</h4>
                         <div class="rpg-encounter-hp-bar">
                             <div class="rpg-encounter-hp-fill rpg-encounter-hp-party" style="width: ${hpPercent}%"></div>
                             <span class="rpg-encounter-hp-text">${member.hp}/${member.maxHp} ${labels.resourceLabel}</span>
@@ -1749,7 +2022,7 @@ export class EncounterModal {
      * Shows target selection modal for attacks
      * @param {string} attackType - Type of attack (single-target, AoE, both)
      * @param {Object} combatStats - Current combat state
-     * @returns {Promise<string|null>} Selected target name or null if cancelled
+     * @returns {Promise<{name: string, type: string|undefined, index: number}|null>} Selected target ('all-enemies' for AoE) or null if cancelled
      */
     async showTargetSelection(attackType, combatStats) {
         return new Promise((resolve) => {
@@ -1834,7 +2107,11 @@ export class EncounterModal {
             // Handle target selection
             targetModal.querySelectorAll('.rpg-target-option').forEach(option => {
                 option.addEventListener('click', () => {
-                    const target = option.dataset.target;
+                    const target = {
+                        name: option.dataset.target,
+                        type: option.dataset.targetType,
+                        index: parseInt(option.dataset.targetIndex)
+                    };
                     document.body.removeChild(targetModal);
                     resolve(target);
                 });
@@ -1857,13 +2134,14 @@ export class EncounterModal {
     }
 
     /**
-     * Renders player action controls
+     * Renders the action controls for the party member whose turn is next
+     * (the user's character or another party member under their control)
      * @param {Array} party - Party data
      * @returns {string} HTML for controls
      */
     renderPlayerControls(party) {
         const labels = this.getUILabels();
-        const player = party.find(m => m.isPlayer);
+        const player = this.getActingCombatant();
         if (!player || player.hp <= 0) {
             const playerIndex = party.findIndex(m => m.isPlayer);
             return `
@@ -1880,13 +2158,14 @@ export class EncounterModal {
             `;
         }
 
-        const playerIndex = party.findIndex(m => m.isPlayer);
+        const playerIndex = party.indexOf(player);
+        const heading = player.isPlayer ? `Your ${labels.actionLabel}` : `${player.name}'s ${labels.actionLabel}`;
 
         return `
             <div class="rpg-encounter-controls">
                 <div class="rpg-encounter-section-header">
-                    <h3><i class="fa-solid fa-hand-fist"></i> Your ${labels.actionLabel}</h3>
-                    <button class="rpg-encounter-edit-btn" data-edit-type="party" data-edit-index="${playerIndex}" title="Edit Your ${labels.actionLabel}">
+                    <h3><i class="fa-solid fa-hand-fist"></i> ${heading}</h3>
+                    <button class="rpg-encounter-edit-btn" data-edit-type="party" data-edit-index="${playerIndex}" title="Edit ${heading}">
                         <i class="fa-solid fa-pen"></i> Edit
                     </button>
                 </div>
@@ -1899,13 +2178,18 @@ export class EncounterModal {
                             const attackName = typeof attack === 'string' ? attack : attack.name;
                             const attackType = typeof attack === 'string' ? 'single-target' : (attack.type || 'single-target');
                             const typeIcon = attackType === 'AoE' ? '💥' : attackType === 'both' ? '⚡' : '🎯';
+                            let typeTitle = attackType === 'AoE' ? 'Area of Effect' : attackType === 'both' ? 'Single or AoE' : 'Single Target';
+                            if (currentEncounter.combatStats?.rulesMode) {
+                                const rules = normalizeAttack(attack, player);
+                                typeTitle += rules.effect === 'heal' ? ` | heals ${rules.damage}` : ` | ${rules.toHit >= 0 ? '+' : ''}${rules.toHit} to hit, ${rules.damage} damage`;
+                            }
 
                             return `
                             <button class="rpg-encounter-action-btn rpg-encounter-attack-btn"
                                     data-action="attack"
                                     data-value="${attackName}"
                                     data-attack-type="${attackType}"
-                                    title="${attackType === 'AoE' ? 'Area of Effect' : attackType === 'both' ? 'Single or AoE' : 'Single Target'}">
+                                    title="${typeTitle}">
                                 <i class="fa-solid fa-sword"></i> ${attackName} ${typeIcon}
                             </button>
                             `;
@@ -1964,27 +2248,32 @@ export class EncounterModal {
                 const value = target.dataset.value;
                 const attackType = target.dataset.attackType;
                 const context = getContext();
-                const userName = context.name1;
+                const actor = this.getActingCombatant();
+                const userName = actor && !actor.isPlayer ? actor.name : context.name1;
 
                 let actionText = '';
+                let playerAction = null;
 
                 if (actionType === 'attack') {
-                    const targetName = await this.showTargetSelection(attackType, currentEncounter.combatStats);
-                    if (!targetName) return;
+                    const target = await this.showTargetSelection(attackType, currentEncounter.combatStats);
+                    if (!target) return;
 
-                    if (targetName === 'all-enemies') {
+                    if (target.name === 'all-enemies') {
                         actionText = `${userName} uses ${value} targeting all enemies!`;
+                        playerAction = { kind: 'attack', name: value, target: 'all-enemies' };
                     } else {
-                        actionText = `${userName} uses ${value} on ${targetName}!`;
+                        actionText = `${userName} uses ${value} on ${target.name}!`;
+                        playerAction = { kind: 'attack', name: value, target };
                     }
                 } else if (actionType === 'item') {
-                    const targetName = await this.showTargetSelection('single-target', currentEncounter.combatStats);
-                    if (!targetName) return;
+                    const target = await this.showTargetSelection('single-target', currentEncounter.combatStats);
+                    if (!target) return;
 
-                    actionText = `${userName} uses ${value} on ${targetName}!`;
+                    actionText = `${userName} uses ${value} on ${target.name}!`;
+                    playerAction = { kind: 'item', name: value, target };
                 }
 
-                await this.processCombatAction(actionText);
+                await this.processCombatAction(actionText, playerAction);
                 return;
             }
 
@@ -2026,6 +2315,16 @@ export class EncounterModal {
                 return;
             }
 
+            // Handle save to bestiary buttons
+            if (target.classList.contains('rpg-encounter-bestiary-btn')) {
+                e.preventDefault();
+                e.stopPropagation();
+
+                const index = parseInt(target.dataset.bestiaryIndex);
+                this.saveEnemyToBestiary(index);
+                return;
+            }
+
             // Handle restore player button
             if (target.classList.contains('rpg-encounter-restore-btn')) {
                 e.preventDefault();
@@ -2068,6 +2367,14 @@ export class EncounterModal {
                 return;
             }
 
+            // Handle phases button
+            if (target.id === 'rpg-encounter-phases-btn') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.showPhasesModal();
+                return;
+            }
+
             // Handle environment save button
             if (target.id === 'rpg-encounter-environment-save') {
                 e.preventDefault();
@@ -2149,7 +2456,13 @@ export class EncounterModal {
             });
         }
 
-        // Handle Enter key for custom input
+        this.attachCustomInputListener();
+    }
+
+    /**
+     * Submits the custom action input on Enter (re-attached whenever the controls are re-rendered)
+     */
+    attachCustomInputListener() {
         const customInput = this.modal.querySelector('#rpg-encounter-custom-input');
         if (customInput) {
             // Remove old listener if exists
@@ -2175,8 +2488,9 @@ export class EncounterModal {
     /**
      * Processes a combat action
      * @param {string} action - The action description
+     * @param {Object|null} [playerAction=null] - Structured action ({kind, name, target}) used by rules mode
      */
-    async processCombatAction(action) {
+    async processCombatAction(action, playerAction = null) {
         if (this.isProcessing) return;
 
         this.isProcessing = true;
@@ -2187,14 +2501,28 @@ export class EncounterModal {
                 btn.disabled = true;
             });
 
+            // Work out whose turns this action covers (initiative order)
+            syncTurnOrder(currentEncounter.combatStats);
+            const step = planTurnStep(currentEncounter.combatStats);
+            const actor = step?.actor ? findTurnCombatant(step.actor, currentEncounter.combatStats) : null;
+
             // Add action to log
-            this.addToLog(`You: ${action}`, 'player-action');
+            this.addToLog(actor && !actor.isPlayer ? `${actor.name}: ${action}` : `You: ${action}`, 'player-action');
+
+            // Items the user's own character uses come out of the inventory when the encounter ends
+            const usedItem = playerAction?.kind === 'item' && (!actor || actor.isPlayer) ? playerAction.name : null;
+
+            // Rules mode: dice decide the round, the AI only narrates it
+            if (currentEncounter.combatStats?.rulesMode) {
+                await this.processRulesAction(action, playerAction || { kind: 'custom' }, step, usedItem);
+                return;
+            }
 
             // Build and send combat action prompt
-            const actionPrompt = await buildCombatActionPrompt(action, currentEncounter.combatStats);
+            const actionPrompt = await buildCombatActionPrompt(action, currentEncounter.combatStats, null, describeTurnStep(step));
 
             // Store request for potential regeneration
-            this.lastRequest = { type: 'action', action, prompt: actionPrompt };
+            this.lastRequest = { type: 'action', action, playerAction, prompt: actionPrompt };
 
             // Use quietPrompt to suppress automatic RPG Companion context injection
             // The encounter system builds its own complete context
@@ -2266,17 +2594,24 @@ export class EncounterModal {
                     fullActionLog += `\n${partyAction.memberName}: ${partyAction.action}`;
                 });
             }
-            addEncounterLogEntry(fullActionLog, result.narrative || 'Action resolved');
+            addEncounterLogEntry(fullActionLog, result.narrative || 'Action resolved', null, usedItem);
+
+            // Move on to the next controllable combatant's turn
+            commitTurnStep(step);
 
             // Update UI (only updates existing entities, doesn't add new ones)
-            this.updateCombatUI(result.combatStats);
+            const triggeredEnd = this.updateCombatUI(result.combatStats);
+
+            // An authored phase may start now (reinforcements, new environment)
+            const phaseChange = this.checkEncounterPhase();
 
             // Autosave the encounter state
             saveEncounterState();
 
             // Check if combat ended
-            if (result.combatEnd) {
-                await this.endCombat(result.result || 'unknown');
+            const combatResult = this.resolveCombatEnd(triggeredEnd, result, phaseChange);
+            if (combatResult) {
+                await this.endCombat(combatResult);
                 return;
             }
 
@@ -2299,8 +2634,225 @@ export class EncounterModal {
     }
 
     /**
-     * Updates the combat UI with new stats
+     * Resolves a turn step with the combat rules (dice rolls against defense): automatic
+     * turns before the acting party member, their chosen action, then the automatic turns
+     * up to the next controllable combatant. Applies the result, logs every roll and then
+     * asks the AI to narrate it.
+     * @param {string} action - The action description
+     * @param {Object} playerAction - Structured action ({kind, name, target})
+     * @param {Object|null} step - Turn step from planTurnStep()
+     * @param {string|null} [usedItem=null] - Item the user's character used (kept in the encounter log)
+     */
+    async processRulesAction(action, playerAction, step, usedItem = null) {
+        const labels = this.getUILabels();
+        const combatStats = currentEncounter.combatStats;
+        const outcomes = [];
+
+        const takeAutomaticTurns = (entries) => {
+            for (const entry of entries) {
+                if (checkCombatEnd(combatStats)) break;
+                outcomes.push(...resolveAutomaticTurn(combatStats, findTurnCombatant(entry, combatStats), entry.type));
+            }
+        };
+
+        takeAutomaticTurns(step?.before || []);
+        if (!checkCombatEnd(combatStats)) {
+            const actor = step?.actor ? findTurnCombatant(step.actor, combatStats) : combatStats.party.find(m => m.isPlayer);
+            outcomes.push(...resolveControlledAction(combatStats, actor, playerAction));
+        }
+        takeAutomaticTurns(step?.after || []);
+
+        // Statuses count down once per completed round
+        const expired = [];
+        for (let i = 0; i < (step?.roundsPassed || 0); i++) {
+            expired.push(...tickStatuses(combatStats));
+        }
+        const turnInfo = describeTurnStep(step);
+        commitTurnStep(step);
+
+        // Damage totals for the encounter record
+        const sideOf = (name) => combatStats.party.some(member => member.name === name) ? 'party' : 'enemy';
+        for (const outcome of outcomes) {
+            if (!outcome.amount) continue;
+            if (outcome.effect === 'heal') {
+                addDamageTotals(outcome.target, sideOf(outcome.target), { healed: outcome.amount });
+            } else {
+                addDamageTotals(outcome.actor, sideOf(outcome.actor), { dealt: outcome.amount });
+                addDamageTotals(outcome.target, sideOf(outcome.target), { taken: outcome.amount });
+            }
+        }
+
+        const rollLines = formatRound({ outcomes, expired }, labels.resourceLabel);
+        if (rollLines.length > 0) {
+            await this.addLogsSequentially(rollLines.map(line => ({ message: line, type: 'rules-roll' })));
+        }
+
+        const triggeredEnd = this.updateCombatUI(combatStats);
+        const phaseChange = this.checkEncounterPhase();
+        saveEncounterState();
+
+        let combatResult = triggeredEnd ? this.resolveCombatEnd(triggeredEnd, null, phaseChange) : checkCombatEnd(combatStats);
+        if (!triggeredEnd && this.reinforcementsHoldVictory(combatResult, phaseChange)) {
+            combatResult = null;
+        }
+        await this.narrateRulesRound(action, rollLines.join('\n'), combatResult, turnInfo, usedItem);
+    }
+
+    /**
+     * Asks the AI to narrate an already resolved rules-mode round. A failed request can be
+     * retried without rolling the round again.
+     * @param {string} action - The action description
+     * @param {string} resolution - Dice results of the round, one per line
+     * @param {string|null} combatResult - "victory"/"defeat" if the round ended the fight
+     * @param {string} [turnInfo=''] - Initiative order and the turns covered by the step
+     * @param {string|null} [usedItem=null] - Item the user's character used (kept in the encounter log)
+     */
+    async narrateRulesRound(action, resolution, combatResult, turnInfo = '', usedItem = null) {
+        const enableButtons = () => {
+            this.modal.querySelectorAll('.rpg-encounter-action-btn, #rpg-encounter-custom-submit').forEach(btn => {
+                btn.disabled = false;
+            });
+        };
+
+        const actionPrompt = await buildCombatActionPrompt(action, currentEncounter.combatStats, resolution || 'No dice were rolled this round.', turnInfo);
+
+        // Store request for potential regeneration (narration only, the dice are not rolled again)
+        this.lastRequest = { type: 'narrate', action, resolution, combatResult, turnInfo, usedItem };
+
+        const response = await generateRaw({
+            prompt: actionPrompt,
+            quietToLoud: false,
+            quietPrompt: true
+        });
+
+        const result = response ? parseCombatActionResponse(response) : null;
+        if (!result || !result.narrative) {
+            enableButtons();
+            this.showErrorWithRegenerate(response
+                ? 'Invalid JSON format detected. The dice results are kept, retry to narrate them.'
+                : 'No response received from AI. The dice results are kept, retry to narrate them.');
+            return;
+        }
+
+        const narrativeLines = result.narrative.split('\n').filter(line => line.trim());
+        await this.addLogsSequentially(narrativeLines.map(line => ({ message: line, type: 'narrative' })));
+
+        // The dice lines go into the encounter log so later prompts and the summary know the numbers
+        const fullActionLog = resolution ? `${action}\n${resolution}` : action;
+        addEncounterLogEntry(fullActionLog, result.narrative, resolution, usedItem);
+        saveEncounterState();
+
+        if (combatResult) {
+            await this.endCombat(combatResult);
+            return;
+        }
+
+        enableButtons();
+    }
+
+    /**
+     * Decides whether the encounter ends after a round. A triggered end condition of the
+     * profile always wins; an end declared by the AI is ignored for victory and defeat
+     * when the profile defines its own end conditions.
+     * @param {{result: string, condition: object}|null} triggeredEnd - Result of updateCombatUI()
+     * @param {object} [aiResult] - Parsed AI response ({combatEnd, result})
+     * @param {object} [phaseChange] - Phase started this round (from checkEncounterPhase())
+     * @returns {string|null} Result to end the combat with, or null if it goes on
+     */
+    resolveCombatEnd(triggeredEnd, aiResult = null, phaseChange = null) {
+        const profile = getActiveProfile();
+        const userName = getContext().name1;
+
+        const ending = triggeredEnd ? triggeredEnd.result : (aiResult?.combatEnd ? aiResult.result : null);
+        if (this.reinforcementsHoldVictory(ending, phaseChange)) {
+            return null;
+        }
+
+        if (triggeredEnd) {
+            const reason = describeEndCondition(triggeredEnd.condition, profile).replace(/{userName}/g, userName);
+            this.addToLog(`Encounter over: ${reason}.`, 'system');
+            return triggeredEnd.result;
+        }
+
+        if (!aiResult?.combatEnd) return null;
+
+        const declared = aiResult.result || 'unknown';
+        if (getEndConditions(profile).length > 0 && (declared === 'victory' || declared === 'defeat')) {
+            const labels = this.getUILabels();
+            this.addToLog(`The ${declared === 'victory' ? labels.victoryTerm : labels.defeatTerm} declared by the narrator does not meet the end conditions of this encounter, so it goes on.`, 'system');
+            return null;
+        }
+        return declared;
+    }
+
+    /**
+     * A victory does not count while reinforcements of a phase that started this round
+     * are still arriving
+     * @param {string|null} result - Result the encounter would end with
+     * @param {object|null} phaseChange - Phase started this round (from checkEncounterPhase())
+     * @returns {boolean} True if the encounter goes on
+     */
+    reinforcementsHoldVictory(result, phaseChange) {
+        if (result !== 'victory' || !(phaseChange?.reinforcements.length > 0)) return false;
+        this.addToLog('Reinforcements arrive before the fight is won, the encounter goes on.', 'system');
+        return true;
+    }
+
+    /**
+     * Starts the next authored phase if its trigger fires: logs it, updates the
+     * environment and styling and flags the reinforcements as pending
+     * @returns {{phase: object, reinforcements: Array<Object>}|null} Started phase, or null
+     */
+    checkEncounterPhase() {
+        const phaseChange = advanceEncounterPhase(currentEncounter.combatStats);
+        if (!phaseChange) return null;
+
+        const { phase, reinforcements } = phaseChange;
+        this.addToLog(`New phase: ${phase.name}`, 'system');
+        addCombatMessage('system', `Encounter phase changed to "${phase.name}"`);
+
+        if (phase.environment) {
+            const input = this.modal.querySelector('#rpg-encounter-environment-input');
+            if (input) input.value = phase.environment;
+            this.addToLog(`The scene changes: ${phase.environment}`, 'system');
+        }
+        if (phase.styleNotes) {
+            this.applyEnvironmentStyling(currentEncounter.combatStats.styleNotes);
+        }
+        if (reinforcements.length > 0) {
+            this.addToLog(`Reinforcements: ${reinforcements.map(enemy => enemy.name).join(', ')}. Review them with the pending ${this.getUILabels().enemyPlural.toLowerCase()} button.`, 'system');
+            this.updatePendingBadges();
+        }
+
+        this.updatePhaseButton();
+        toastr.info(`Phase: ${phase.name}`);
+        return phaseChange;
+    }
+
+    /**
+     * Label of the phases button: the current phase, or how many phases are set up
+     * @returns {string} Label
+     */
+    getPhaseButtonLabel() {
+        const phase = getActivePhase();
+        if (phase) return phase.name;
+        const count = (currentEncounter.phases || []).length;
+        return count > 0 ? `Phases (${count})` : 'Phases';
+    }
+
+    /**
+     * Refreshes the label of the phases button
+     */
+    updatePhaseButton() {
+        const label = this.modal?.querySelector('#rpg-encounter-phase-name');
+        if (label) label.textContent = this.getPhaseButtonLabel();
+    }
+
+    /**
+     * Updates the combat UI with new stats and checks the end conditions of the profile
+     * against the merged combat state
      * @param {object} combatStats - Updated combat statistics
+     * @returns {{result: string, condition: object}|null} Triggered end condition, or null if the encounter goes on
      */
     updateCombatUI(combatStats) {
         const labels = this.getUILabels();
@@ -2326,7 +2878,7 @@ export class EncounterModal {
                     const customBars = card.querySelectorAll('.rpg-encounter-custom-bar');
                     enemy.customBars.forEach((bar, barIndex) => {
                         if (customBars[barIndex]) {
-                            const percent = Math.min(100, Math.max(0, (bar.current / bar.max) * 100));
+                            const percent = getBarPercent(bar);
                             const barFill = customBars[barIndex].querySelector('.rpg-encounter-custom-bar-fill');
                             const barText = customBars[barIndex].querySelector('.rpg-encounter-custom-bar-text');
                             if (barFill) barFill.style.width = `${percent}%`;
@@ -2359,7 +2911,7 @@ export class EncounterModal {
                     const customBars = card.querySelectorAll('.rpg-encounter-custom-bar');
                     member.customBars.forEach((bar, barIndex) => {
                         if (customBars[barIndex]) {
-                            const percent = Math.min(100, Math.max(0, (bar.current / bar.max) * 100));
+                            const percent = getBarPercent(bar);
                             const barFill = customBars[barIndex].querySelector('.rpg-encounter-custom-bar-fill');
                             const barText = customBars[barIndex].querySelector('.rpg-encounter-custom-bar-text');
                             if (barFill) barFill.style.width = `${percent}%`;
@@ -2370,33 +2922,12 @@ export class EncounterModal {
             }
         });
 
-        // Re-render controls if player died
-        const player = combatStats.party.find(m => m.isPlayer);
-        if (player && player.hp <= 0) {
-            const controlsContainer = this.modal.querySelector('.rpg-encounter-controls');
-            if (controlsContainer) {
-                const playerIndex = combatStats.party.findIndex(m => m.isPlayer);
-                controlsContainer.innerHTML = `
-                    <div class="rpg-encounter-defeated-container">
-                        <p class="rpg-encounter-defeated">
-                            <i class="fa-solid fa-skull"></i> You have been defeated...
-                        </p>
-                        <button class="rpg-encounter-restore-btn" data-restore-index="${playerIndex}" title="Restore player to 50% HP">
-                            <i class="fa-solid fa-heart-pulse"></i> Restore Player
-                        </button>
-                    </div>
-                `;
+        // Turn order and controls follow who is still standing
+        this.refreshTurnUI();
 
-                // Add event listener for restore button
-                const restoreBtn = controlsContainer.querySelector('.rpg-encounter-restore-btn');
-                if (restoreBtn) {
-                    restoreBtn.addEventListener('click', () => {
-                        const index = parseInt(restoreBtn.dataset.restoreIndex);
-                        this.restorePlayer(index);
-                    });
-                }
-            }
-        }
+        // End conditions look at the full (merged) state, not only what the AI returned
+        const roundsPassed = Math.max(0, (currentEncounter.round || 1) - 1);
+        return evaluateEndConditions(currentEncounter.combatStats, getActiveProfile(), roundsPassed);
     }
 
     /**
@@ -2424,7 +2955,10 @@ export class EncounterModal {
 
                     // Only update fields that AI explicitly provides
                     // According to prompt, AI returns: name, hp, maxHp, statuses
-                    if (newEnemy.hp !== undefined) oldEnemy.hp = newEnemy.hp;
+                    if (newEnemy.hp !== undefined) {
+                        this.recordHpChange(oldEnemy, 'enemy', newEnemy.hp);
+                        oldEnemy.hp = newEnemy.hp;
+                    }
                     if (newEnemy.maxHp !== undefined) oldEnemy.maxHp = newEnemy.maxHp;
                     if (newEnemy.statuses !== undefined) oldEnemy.statuses = newEnemy.statuses;
                     if (newEnemy.customBars !== undefined) oldEnemy.customBars = newEnemy.customBars;
@@ -2443,7 +2977,10 @@ export class EncounterModal {
 
                     // Only update fields that AI explicitly provides
                     // According to prompt, AI returns: name, hp, maxHp, statuses
-                    if (newMember.hp !== undefined) oldMember.hp = newMember.hp;
+                    if (newMember.hp !== undefined) {
+                        this.recordHpChange(oldMember, 'party', newMember.hp);
+                        oldMember.hp = newMember.hp;
+                    }
                     if (newMember.maxHp !== undefined) oldMember.maxHp = newMember.maxHp;
                     if (newMember.statuses !== undefined) oldMember.statuses = newMember.statuses;
                     if (newMember.customBars !== undefined) oldMember.customBars = newMember.customBars;
@@ -2454,9 +2991,28 @@ export class EncounterModal {
             });
         }
 
+        // Keep profile resources complete and within their range
+        applyProfileResources(oldStats, getActiveProfile());
+
         // console.log('[RPG Companion] Combat stats merged - only HP/statuses updated, all other data preserved');
     }
 
+    /**
+     * Counts an HP change reported by the AI as damage taken or healing received
+     * (narrative mode does not say who dealt it)
+     * @param {object} combatant - Combatant before the update
+     * @param {string} type - 'party' or 'enemy'
+     * @param {number} newHp - HP reported by the AI
+     */
+    recordHpChange(combatant, type, newHp) {
+        const delta = (Number(newHp) || 0) - (Number(combatant.hp) || 0);
+        if (delta < 0) {
+            addDamageTotals(combatant.name, type, { taken: -delta });
+        } else if (delta > 0) {
+            addDamageTotals(combatant.name, type, { healed: delta });
+        }
+    }
+
     /**
      * Detects new entities added by AI and moves them to pending lists
      * @param {object} oldStats - Previous combat stats
@@ -2640,7 +3196,8 @@ export class EncounterModal {
 
         try {
             // Rebuild the combat action prompt with the same action
-            const actionPrompt = await buildCombatActionPrompt(action, currentEncounter.combatStats);
+            // (rules-mode entries keep their dice results, so only the narration changes)
+            const actionPrompt = await buildCombatActionPrompt(action, currentEncounter.combatStats, encounterLogEntry.resolution || null);
 
             // Generate new response
             const response = await generateRaw({
@@ -2707,8 +3264,15 @@ export class EncounterModal {
             });
 
             if (summaryResponse) {
-                // Extract summary (remove [FIGHT CONCLUDED] tag)
-                const summary = summaryResponse.replace(/\[FIGHT CONCLUDED\]\s*/i, '').trim();
+                // Extract summary (remove [FIGHT CONCLUDED] tag) and the loot line
+                const { summary, loot } = extractSummaryLoot(summaryResponse.replace(/\[FIGHT CONCLUDED\]\s*/i, ''));
+
+                // Rewards: XP of the defeated enemies and the loot tables of bestiary creatures
+                const xp = isExperienceEnabled() ? calculateEncounterXp(currentEncounter.combatStats, currentEncounter.budget).total : 0;
+                const drops = rollBestiaryLoot(currentEncounter.combatStats);
+
+                // Changes for the main trackers (final HP, used items, loot, statuses, XP)
+                const outcomeChanges = buildOutcomeChanges(currentEncounter.combatStats, currentEncounter.encounterLog, [...loot, ...drops], xp);
 
                 // Determine which character should speak the summary
                 const speakerName = this.getCombatNarrator();
@@ -2739,18 +3303,25 @@ export class EncounterModal {
                 if (context.chatId) {
                     saveEncounterLog(context.chatId, {
                         log: currentEncounter.encounterLog,
+                        displayLog: currentEncounter.displayLog,
                         summary: summary,
-                        result: result
+                        result: result,
+                        loot: [...loot, ...drops.map(drop => drop.item)],
+                        xp,
+                        profile: getActiveProfile(),
+                        damageTotals: currentEncounter.damageTotals,
+                        rounds: currentEncounter.round
                     });
                 }
 
                 // Autosave the encounter state before closing
                 saveEncounterState();
 
-                // Close the modal so user can see the summary in chat
-                setTimeout(() => {
+                // Close the modal so user can see the summary in chat, then offer the tracker updates
+                setTimeout(async () => {
                     this.modal.classList.remove('is-open');
                     toastr.success('Combat concluded! Summary added to chat.');
+                    await this.confirmOutcomeChanges(outcomeChanges);
                 }, 500);
             } else {
                 this.updateCombatOverScreen(false);
@@ -2764,6 +3335,109 @@ export class EncounterModal {
         }
     }
 
+    /**
+     * Shows the tracker changes of a finished encounter and applies the ones the user keeps
+     * @param {Array<Object>} changes - Proposed changes from buildOutcomeChanges()
+     */
+    async confirmOutcomeChanges(changes) {
+        if (!changes || changes.length === 0) return;
+
+        const selected = await this.showOutcomeDialog(changes);
+        if (!selected || selected.length === 0) return;
+
+        try {
+            const progress = applyOutcomeChanges(selected);
+            toastr.success(`Applied ${selected.length} tracker update(s) from the encounter`);
+            if (progress?.levelsGained > 0) {
+                toastr.success(
+                    progress.points > 0 ? `You gained ${progress.points} attribute point(s) to spend.` : `You reached level ${progress.level}.`,
+                    `Level up! Level ${progress.level}`
+                );
+            }
+        } catch (error) {
+            console.error('[RPG Companion] Error applying encounter outcome:', error);
+            toastr.error(`Failed to update trackers: ${error.message}`);
+        }
+    }
+
+    /**
+     * Confirm dialog listing proposed tracker changes, each with a checkbox
+     * @param {Array<Object>} changes - Proposed changes
+     * @returns {Promise<Array<Object>|null>} Checked changes, or null if skipped
+     */
+    showOutcomeDialog(changes) {
+        const icons = { health: 'fa-heart', useItem: 'fa-flask', loot: 'fa-coins', conditions: 'fa-heart-pulse', xp: 'fa-star' };
+
+        // Rewards first (XP, then the loot to pick from), then the other tracker updates
+        const sections = [
+            { title: 'Experience', types: ['xp'] },
+            { title: 'Loot', types: ['loot'] },
+            { title: 'Trackers', types: ['health', 'useItem', 'conditions'] }
+        ].map(section => ({ ...section, indexes: changes.map((change, index) => section.types.includes(change.type) ? index : -1).filter(index => index >= 0) }))
+            .filter(section => section.indexes.length > 0);
+
+        const modalHTML = `
+            <div class="rpg-pending-modal-overlay" id="rpg-outcome-modal-overlay">
+                <div class="rpg-pending-modal-container">
+                    <div class="rpg-pending-modal-header">
+                        <h3><i class="fa-solid fa-scroll"></i> Update Trackers</h3>
+                        <button class="rpg-pending-modal-close" id="rpg-outcome-modal-close">
+                            <i class="fa-solid fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="rpg-pending-modal-body">
+                        <p class="rpg-pending-modal-description">
+                            <i class="fa-solid fa-circle-info"></i> The encounter changed the following. Uncheck anything you don't want written back to your trackers.
+                        </p>
+                        <div class="rpg-pending-entities-list">
+                            ${sections.map(section => `
+                                ${sections.length > 1 ? `<h4 class="rpg-outcome-group-title">${section.title}</h4>` : ''}
+                                ${section.indexes.map(index => `
+                                    <label class="checkbox_label rpg-outcome-change">
+                                        <input type="checkbox" class="rpg-outcome-change-check" data-index="${index}" checked />
+                                        <i class="fa-solid ${icons[changes[index].type] || 'fa-pen'}"></i>
+                                        <span>${escapeHtml(changes[index].label)}</span>
+                                    </label>
+                                `).join('')}
+                            `).join('')}
+                        </div>
+                    </div>
+                    <div class="rpg-pending-modal-footer">
+                        <button class="menu_button" id="rpg-outcome-skip">Skip</button>
+                        <button class="menu_button menu_button_icon" id="rpg-outcome-apply">
+                            <i class="fa-solid fa-check"></i> Apply
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = modalHTML;
+        document.body.appendChild(modalContainer.firstElementChild);
+
+        const overlay = document.getElementById('rpg-outcome-modal-overlay');
+
+        return new Promise(resolve => {
+            const closeModal = (result) => {
+                overlay.style.opacity = '0';
+                setTimeout(() => overlay.remove(), 300);
+                resolve(result);
+            };
+
+            document.getElementById('rpg-outcome-modal-close').addEventListener('click', () => closeModal(null));
+            document.getElementById('rpg-outcome-skip').addEventListener('click', () => closeModal(null));
+            document.getElementById('rpg-outcome-apply').addEventListener('click', () => {
+                const checked = [...overlay.querySelectorAll('.rpg-outcome-change-check:checked')]
+                    .map(input => changes[parseInt(input.dataset.index)]);
+                closeModal(checked);
+            });
+
+            // Show modal with animation
+            setTimeout(() => overlay.style.opacity = '1', 10);
+        });
+    }
+
     /**
      * Determines which character should narrate the combat summary
      * Priority: Narrator character > First active group member > Current character
@@ -3007,7 +3681,20 @@ export class EncounterModal {
         } else if (this.lastRequest.type === 'action') {
             // Retry action
             this.isProcessing = true;
-            await this.processCombatAction(this.lastRequest.action);
+            await this.processCombatAction(this.lastRequest.action, this.lastRequest.playerAction);
+        } else if (this.lastRequest.type === 'narrate') {
+            // Retry rules-mode narration with the dice results already applied
+            if (this.isProcessing) return;
+            this.isProcessing = true;
+            try {
+                const { action, resolution, combatResult, turnInfo, usedItem } = this.lastRequest;
+                await this.narrateRulesRound(action, resolution, combatResult, turnInfo, usedItem);
+            } catch (error) {
+                console.error('[RPG Companion] Error narrating combat round:', error);
+                this.showErrorWithRegenerate(`Error narrating round: ${error.message}`);
+            } finally {
+                this.isProcessing = false;
+            }
         }
     }
 
@@ -3217,14 +3904,24 @@ export class EncounterModal {
     renderPendingEntities(entities, type) {
         const labels = this.getUILabels();
         const isEnemy = type === 'enemy';
-        return entities.map((entity, index) => `
-            <div class="rpg-pending-entity-card">
+        return entities.map((entity, index) => {
+            // Enemies that do not fit the difficulty budget are flagged (adding them is still allowed)
+            const warnings = isEnemy
+                ? getBudgetWarnings(entity, currentEncounter.combatStats?.enemies, currentEncounter.budget, labels.resourceLabel)
+                : [];
+            return `
+            <div class="rpg-pending-entity-card ${warnings.length > 0 ? 'rpg-pending-over-budget' : ''}">
                 <div class="rpg-pending-entity-info">
                     ${isEnemy ? `<div class="rpg-pending-entity-sprite">${entity.sprite || '👹'}</div>` : ''}
                     <div class="rpg-pending-entity-details">
                         <h4>${entity.name || 'Unnamed'}</h4>
                         <p>${labels.resourceLabel}: ${entity.hp || 0}/${entity.maxHp || 0}</p>
                         ${entity.description ? `<p class="rpg-pending-entity-desc">${entity.description}</p>` : ''}
+                        ${warnings.length > 0 ? `
+                            <div class="rpg-pending-budget-warning" title="Over the ${DIFFICULTY_LEVELS[currentEncounter.budget.difficulty]?.label || ''} budget of this encounter">
+                                <i class="fa-solid fa-triangle-exclamation"></i> Over budget: ${warnings.join('; ')}
+                            </div>
+                        ` : ''}
                     </div>
                 </div>
                 <div class="rpg-pending-entity-actions">
@@ -3236,7 +3933,8 @@ export class EncounterModal {
                     </button>
                 </div>
             </div>
-        `).join('');
+        `;
+        }).join('');
     }
 
     /**
@@ -3298,6 +3996,425 @@ export class EncounterModal {
         }
     }
 
+    /**
+     * Saves an enemy from the encounter to the bestiary. New creatures are asked for
+     * location tags (prefilled with the current location); re-saving a creature updates
+     * its stats and keeps its tags.
+     * @param {number} index - Index of the enemy
+     */
+    saveEnemyToBestiary(index) {
+        const enemy = currentEncounter.combatStats?.enemies?.[index];
+        if (!enemy) return;
+
+        const exists = getBestiary().some(entry => entry.name.toLowerCase() === String(enemy.name || '').trim().toLowerCase());
+        const extra = {};
+        if (!exists) {
+            const tags = prompt(
+                `Location tags for "${enemy.name}" (comma-separated, e.g. "forest, ruins"). Leave empty to allow it anywhere.`,
+                getCurrentLocation()
+            );
+            if (tags === null) return;
+            extra.locations = parseLocationTags(tags);
+        }
+
+        const saved = saveToBestiary(enemy, extra);
+        if (!saved) {
+            toastr.error('Name is required');
+            return;
+        }
+
+        saveSettings();
+        toastr.success(saved.updated ? `Updated "${saved.entry.name}" in the bestiary` : `Saved "${saved.entry.name}" to the bestiary`);
+    }
+
+    /**
+     * Shows the bestiary: pick a creature to add to the encounter, delete entries,
+     * and import/export the bestiary as JSON
+     */
+    showBestiaryModal() {
+        const labels = this.getUILabels();
+
+        const modalHTML = `
+            <div class="rpg-pending-modal-overlay" id="rpg-bestiary-modal-overlay">
+                <div class="rpg-pending-modal-container">
+                    <div class="rpg-pending-modal-header">
+                        <h3><i class="fa-solid fa-book-skull"></i> Bestiary</h3>
+                        <button class="rpg-pending-modal-close" id="rpg-bestiary-modal-close">
+                            <i class="fa-solid fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="rpg-pending-modal-body">
+                        <p class="rpg-pending-modal-description">
+                            <i class="fa-solid fa-book"></i> Creatures saved from earlier encounters. Pick one to add it as a new ${labels.enemySingular.toLowerCase()} at full ${labels.resourceLabel}.
+                        </p>
+                        <input type="text" id="rpg-bestiary-search" class="text_pole rpg-bestiary-search" placeholder="Search by name or location..." />
+                        <div class="rpg-pending-entities-list" id="rpg-bestiary-list"></div>
+                    </div>
+                    <div class="rpg-pending-modal-footer">
+                        <input type="file" id="rpg-bestiary-import-file" accept=".json" style="display: none;" />
+                        <button class="menu_button menu_button_icon" id="rpg-bestiary-import" title="Import creatures from a JSON file">
+                            <i class="fa-solid fa-file-import"></i> Import
+                        </button>
+                        <button class="menu_button menu_button_icon" id="rpg-bestiary-export" title="Export the bestiary as JSON">
+                            <i class="fa-solid fa-file-export"></i> Export
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = modalHTML;
+        document.body.appendChild(modalContainer.firstElementChild);
+
+        const overlay = document.getElementById('rpg-bestiary-modal-overlay');
+        const listContainer = document.getElementById('rpg-bestiary-list');
+        const searchInput = document.getElementById('rpg-bestiary-search');
+        const fileInput = document.getElementById('rpg-bestiary-import-file');
+
+        const closeModal = () => {
+            overlay.style.opacity = '0';
+            setTimeout(() => overlay.remove(), 300);
+        };
+
+        const renderList = () => {
+            listContainer.innerHTML = this.renderBestiaryEntries(searchInput.value);
+        };
+
+        document.getElementById('rpg-bestiary-modal-close').addEventListener('click', closeModal);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) closeModal();
+        });
+        searchInput.addEventListener('input', renderList);
+
+        // Add/delete buttons (delegated, the list is re-rendered)
+        listContainer.addEventListener('click', (e) => {
+            const addBtn = e.target.closest('.rpg-pending-add-btn');
+            const deleteBtn = e.target.closest('.rpg-pending-delete-btn');
+            const lootBtn = e.target.closest('.rpg-bestiary-loot-btn');
+
+            if (lootBtn) {
+                const entry = getBestiaryEntry(lootBtn.dataset.entryId);
+                if (!entry) return;
+                const table = prompt(
+                    `Loot table of "${entry.name}" (comma-separated, with an optional drop chance, e.g. "2x Wolf Pelt (50%), Fang"):`,
+                    formatLootTable(entry.loot)
+                );
+                if (table === null) return;
+                entry.loot = parseLootTable(table);
+                entry.updated = Date.now();
+                saveSettings();
+                renderList();
+            } else if (addBtn) {
+                const entry = getBestiaryEntry(addBtn.dataset.entryId);
+                if (!entry) return;
+                closeModal();
+                this.showEditModal('enemy', -1, bestiaryEntryToEnemy(entry), `Add ${labels.enemySingular} from Bestiary`);
+            } else if (deleteBtn) {
+                const entry = getBestiaryEntry(deleteBtn.dataset.entryId);
+                if (!entry || !confirm(`Delete "${entry.name}" from the bestiary?`)) return;
+                deleteBestiaryEntry(entry.id);
+                saveSettings();
+                renderList();
+            }
+        });
+
+        document.getElementById('rpg-bestiary-export').addEventListener('click', () => {
+            if (getBestiary().length === 0) {
+                toastr.info('The bestiary is empty.');
+                return;
+            }
+            try {
+                const json = exportBestiary();
+                const blob = new Blob([json], { type: 'application/json' });
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = 'rpg-companion-bestiary.json';
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+                toastr.success('Bestiary exported');
+            } catch (error) {
+                console.error('[RPG Companion] Error exporting bestiary:', error);
+                toastr.error('Failed to export bestiary');
+            }
+        });
+
+        document.getElementById('rpg-bestiary-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            try {
+                const text = await file.text();
+                const result = importBestiary(text);
+                saveSettings();
+                renderList();
+                toastr.success(`Imported ${result.added} new and ${result.updated} updated creature(s)`);
+            } catch (error) {
+                console.error('[RPG Companion] Error importing bestiary:', error);
+                toastr.error(`Failed to import bestiary: ${error.message}`);
+            }
+
+            fileInput.value = '';
+        });
+
+        renderList();
+
+        // Show modal with animation
+        setTimeout(() => overlay.style.opacity = '1', 10);
+    }
+
+    /**
+     * Renders bestiary entries for the bestiary modal
+     * @param {string} [filter=''] - Search text matched against names and location tags
+     * @returns {string} HTML string
+     */
+    renderBestiaryEntries(filter = '') {
+        const labels = this.getUILabels();
+        const search = filter.trim().toLowerCase();
+        const entries = getBestiary().filter(entry => !search
+            || entry.name.toLowerCase().includes(search)
+            || (entry.locations || []).some(tag => tag.toLowerCase().includes(search)));
+
+        if (entries.length === 0) {
+            return `<p class="rpg-bestiary-empty">${search ? 'No matching creatures.' : `The bestiary is empty. Use the <i class="fa-solid fa-book-skull"></i> button on an ${labels.enemySingular.toLowerCase()} card to save it.`}</p>`;
+        }
+
+        return entries.map(entry => `
+            <div class="rpg-pending-entity-card">
+                <div class="rpg-pending-entity-info">
+                    <div class="rpg-pending-entity-sprite">${escapeHtml(entry.sprite || '👹')}</div>
+                    <div class="rpg-pending-entity-details">
+                        <h4>${escapeHtml(entry.name)}</h4>
+                        <p>Max ${escapeHtml(labels.resourceLabel)}: ${escapeHtml(entry.maxHp)} · ${escapeHtml((entry.attacks || []).map(attack => attack.name).join(', '))}</p>
+                        ${entry.notes ? `<p class="rpg-pending-entity-desc">${escapeHtml(entry.notes)}</p>` : ''}
+                        <div class="rpg-bestiary-tags">
+                            ${(entry.locations || []).length > 0
+                                ? entry.locations.map(tag => `<span class="rpg-bestiary-tag">${escapeHtml(tag)}</span>`).join('')
+                                : '<span class="rpg-bestiary-tag">anywhere</span>'}
+                        </div>
+                        ${(entry.loot || []).length > 0 ? `<p class="rpg-bestiary-loot"><i class="fa-solid fa-coins"></i> ${escapeHtml(formatLootTable(entry.loot))}</p>` : ''}
+                    </div>
+                </div>
+                <div class="rpg-pending-entity-actions">
+                    <button class="rpg-bestiary-loot-btn" data-entry-id="${escapeHtml(entry.id)}" title="Edit loot table">
+                        <i class="fa-solid fa-coins"></i>
+                    </button>
+                    <button class="rpg-pending-add-btn" data-entry-id="${escapeHtml(entry.id)}" title="Add to encounter">
+                        <i class="fa-solid fa-plus"></i> Add
+                    </button>
+                    <button class="rpg-pending-delete-btn" data-entry-id="${escapeHtml(entry.id)}" title="Delete from bestiary">
+                        <i class="fa-solid fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Shows the phase editor: an ordered list of phases, each with a trigger, bestiary
+     * reinforcements, an environment change and an instruction for the AI. Phases that
+     * were already reached stay reached when the list is saved.
+     */
+    showPhasesModal() {
+        const labels = this.getUILabels();
+
+        const modalHTML = `
+            <div class="rpg-pending-modal-overlay" id="rpg-phases-modal-overlay">
+                <div class="rpg-pending-modal-container rpg-phases-modal-container">
+                    <div class="rpg-pending-modal-header">
+                        <h3><i class="fa-solid fa-layer-group"></i> Encounter Phases</h3>
+                        <button class="rpg-pending-modal-close" id="rpg-phases-modal-close">
+                            <i class="fa-solid fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="rpg-pending-modal-body">
+                        <p class="rpg-pending-modal-description">
+                            <i class="fa-solid fa-circle-info"></i> Phases start in order once their trigger is reached. Reinforcements come from the bestiary and are added as pending ${labels.enemyPlural.toLowerCase()}.
+                        </p>
+                        <div class="rpg-phases-list" id="rpg-phases-list">
+                            ${(currentEncounter.phases || []).map(phase => this.renderPhaseCard(phase)).join('')}
+                        </div>
+                    </div>
+                    <div class="rpg-pending-modal-footer">
+                        <button class="menu_button menu_button_icon" id="rpg-phases-add">
+                            <i class="fa-solid fa-plus"></i> Add Phase
+                        </button>
+                        <button class="menu_button menu_button_icon" id="rpg-phases-save">
+                            <i class="fa-solid fa-check"></i> Save
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const modalContainer = document.createElement('div');
+        modalContainer.innerHTML = modalHTML;
+        document.body.appendChild(modalContainer.firstElementChild);
+
+        const overlay = document.getElementById('rpg-phases-modal-overlay');
+        const listContainer = document.getElementById('rpg-phases-list');
+
+        const closeModal = () => {
+            overlay.style.opacity = '0';
+            setTimeout(() => overlay.remove(), 300);
+        };
+
+        document.getElementById('rpg-phases-modal-close').addEventListener('click', closeModal);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) closeModal();
+        });
+
+        document.getElementById('rpg-phases-add').addEventListener('click', () => {
+            listContainer.insertAdjacentHTML('beforeend', this.renderPhaseCard(createPhase({ name: `Phase ${listContainer.children.length + 1}` })));
+        });
+
+        listContainer.addEventListener('change', (e) => {
+            if (e.target.classList.contains('rpg-phase-trigger-type')) {
+                e.target.closest('.rpg-phase-card').dataset.trigger = e.target.value;
+            }
+        });
+
+        listContainer.addEventListener('click', (e) => {
+            const card = e.target.closest('.rpg-phase-card');
+            if (!card) return;
+
+            if (e.target.closest('.rpg-phase-delete')) {
+                card.remove();
+            } else if (e.target.closest('.rpg-phase-add-reinforcement')) {
+                const select = card.querySelector('.rpg-phase-reinforcement-select');
+                const entry = getBestiaryEntry(select.value);
+                if (entry) {
+                    card.querySelector('.rpg-phase-reinforcements').insertAdjacentHTML('beforeend', this.renderReinforcementChip(entry.id));
+                }
+            } else if (e.target.closest('.rpg-phase-chip-remove')) {
+                e.target.closest('.rpg-phase-chip').remove();
+            }
+        });
+
+        document.getElementById('rpg-phases-save').addEventListener('click', () => {
+            const phases = Array.from(listContainer.querySelectorAll('.rpg-phase-card')).map(card => ({
+                id: card.dataset.phaseId,
+                name: card.querySelector('.rpg-phase-name').value,
+                trigger: {
+                    type: card.querySelector('.rpg-phase-trigger-type').value,
+                    enemy: card.querySelector('.rpg-phase-enemy').value,
+                    percent: card.querySelector('.rpg-phase-percent').value,
+                    round: card.querySelector('.rpg-phase-round').value
+                },
+                reinforcements: Array.from(card.querySelectorAll('.rpg-phase-chip')).map(chip => chip.dataset.entryId),
+                environment: card.querySelector('.rpg-phase-environment').value,
+                styleNotes: Object.fromEntries(Array.from(card.querySelectorAll('.rpg-phase-style')).map(select => [select.dataset.style, select.value])),
+                instruction: card.querySelector('.rpg-phase-instruction').value
+            }));
+
+            setEncounterPhases(phases);
+            this.updatePhaseButton();
+            saveEncounterState();
+            closeModal();
+            toastr.success(phases.length > 0 ? `${phases.length} phase(s) saved` : 'Phases cleared');
+        });
+
+        // Show modal with animation
+        setTimeout(() => overlay.style.opacity = '1', 10);
+    }
+
+    /**
+     * Renders one phase of the phase editor
+     * @param {Object} phase - Phase (see encounterPhases.js)
+     * @returns {string} HTML string
+     */
+    renderPhaseCard(phase) {
+        const labels = this.getUILabels();
+        const escape = (text) => String(text ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+        const trigger = phase.trigger || {};
+        const enemyNames = (currentEncounter.combatStats?.enemies || []).map(enemy => enemy.name);
+        if (trigger.enemy && !enemyNames.includes(trigger.enemy)) {
+            enemyNames.push(trigger.enemy);
+        }
+
+        const styleSelect = (key, title) => `
+            <select class="rpg-phase-style text_pole" data-style="${key}" title="${title}">
+                <option value="">${title}: keep</option>
+                ${STYLE_NOTE_OPTIONS[key].map(value => `<option value="${value}" ${phase.styleNotes?.[key] === value ? 'selected' : ''}>${value}</option>`).join('')}
+            </select>
+        `;
+
+        return `
+            <div class="rpg-phase-card ${phase.reached ? 'rpg-phase-reached' : ''}" data-phase-id="${phase.id}" data-trigger="${trigger.type || 'enemyHp'}">
+                <div class="rpg-phase-card-header">
+                    <input type="text" class="rpg-phase-name text_pole" value="${escape(phase.name)}" placeholder="Phase name" />
+                    ${phase.reached ? '<span class="rpg-phase-badge" title="This phase has started">Reached</span>' : ''}
+                    <button class="rpg-phase-delete rpg-pending-delete-btn" title="Delete phase">
+                        <i class="fa-solid fa-trash"></i>
+                    </button>
+                </div>
+                <div class="rpg-phase-trigger" title="${escape(describePhaseTrigger(trigger, labels.resourceLabel))}">
+                    <span>Starts when</span>
+                    <select class="rpg-phase-trigger-type text_pole">
+                        <option value="enemyHp" ${trigger.type !== 'round' ? 'selected' : ''}>${labels.enemySingular} ${labels.resourceLabel} drops below</option>
+                        <option value="round" ${trigger.type === 'round' ? 'selected' : ''}>Round starts</option>
+                    </select>
+                    <select class="rpg-phase-enemy text_pole">
+                        <option value="">Strongest ${labels.enemySingular.toLowerCase()}</option>
+                        ${enemyNames.map(name => `<option value="${escape(name)}" ${trigger.enemy === name ? 'selected' : ''}>${escape(name)}</option>`).join('')}
+                    </select>
+                    <input type="number" class="rpg-phase-percent text_pole" min="1" max="100" value="${trigger.percent ?? 50}" title="${labels.resourceLabel} percentage" />
+                    <span class="rpg-phase-percent-sign">%</span>
+                    <input type="number" class="rpg-phase-round text_pole" min="1" value="${trigger.round ?? 3}" title="Round" />
+                </div>
+                <div class="rpg-phase-field">
+                    <label>Reinforcements</label>
+                    <div class="rpg-phase-reinforcements">
+                        ${(phase.reinforcements || []).map(entryId => this.renderReinforcementChip(entryId)).join('')}
+                    </div>
+                    <div class="rpg-phase-reinforcement-picker">
+                        <select class="rpg-phase-reinforcement-select text_pole">
+                            ${getBestiary().length > 0
+                                ? getBestiary().map(entry => `<option value="${escape(entry.id)}">${escape(entry.sprite || '👹')} ${escape(entry.name)}</option>`).join('')
+                                : '<option value="">The bestiary is empty</option>'}
+                        </select>
+                        <button class="rpg-phase-add-reinforcement menu_button" title="Add to the reinforcements (add a creature twice for two copies)">
+                            <i class="fa-solid fa-plus"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="rpg-phase-field">
+                    <label>New environment</label>
+                    <input type="text" class="rpg-phase-environment text_pole" value="${escape(phase.environment)}" placeholder="Leave empty to keep the current one" />
+                    <div class="rpg-phase-styles">
+                        ${styleSelect('environmentType', 'Terrain')}
+                        ${styleSelect('atmosphere', 'Atmosphere')}
+                        ${styleSelect('timeOfDay', 'Time')}
+                        ${styleSelect('weather', 'Weather')}
+                    </div>
+                </div>
+                <div class="rpg-phase-field">
+                    <label>Instruction for the AI</label>
+                    <textarea class="rpg-phase-instruction text_pole" rows="2" placeholder="e.g. The dragon takes to the air and breathes fire every other round.">${escape(phase.instruction)}</textarea>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders a reinforcement of the phase editor
+     * @param {string} entryId - Bestiary entry ID
+     * @returns {string} HTML string
+     */
+    renderReinforcementChip(entryId) {
+        const entry = getBestiaryEntry(entryId);
+        return `
+            <span class="rpg-phase-chip ${entry ? '' : 'rpg-phase-chip-missing'}" data-entry-id="${escapeHtml(entryId)}" title="${entry ? '' : 'No longer in the bestiary'}">
+                ${entry ? `${escapeHtml(entry.sprite || '👹')} ${escapeHtml(entry.name)}` : 'Missing creature'}
+                <button class="rpg-phase-chip-remove" title="Remove"><i class="fa-solid fa-times"></i></button>
+            </span>
+        `;
+    }
+
     /**
      * Restores a defeated player to 50% HP
      * @param {number} playerIndex - Index of player in party array (optional, will search if -1)
@@ -3380,6 +4497,21 @@ export class EncounterModal {
 
         const title = customTitle || (isEnemy ? 'Edit Enemy' : (entity.isPlayer ? 'Edit Your Actions' : 'Edit Party Member'));
 
+        // Rules mode: attacks also carry to-hit bonus, damage dice and effect
+        const rulesMode = !!currentEncounter.combatStats?.rulesMode;
+        const renderAttackRulesInputs = (attack) => {
+            if (!rulesMode) return '';
+            const rules = normalizeAttack(attack, entity);
+            return `
+                <input type="number" class="rpg-edit-attack-tohit text_pole" value="${rules.toHit}" title="To-hit bonus (added to d20)" style="width: 60px;" />
+                <input type="text" class="rpg-edit-attack-damage text_pole" value="${rules.damage}" placeholder="1d6+1" title="Damage or healing dice" style="width: 80px;" />
+                <select class="rpg-edit-attack-effect text_pole" title="Effect">
+                    <option value="damage" ${rules.effect === 'damage' ? 'selected' : ''}>Damage</option>
+                    <option value="heal" ${rules.effect === 'heal' ? 'selected' : ''}>Heal</option>
+                </select>
+            `;
+        };
+
         // Prepare attacks list
         const attacks = entity.attacks || [];
         const attacksHTML = attacks.map((attack, idx) => {
@@ -3393,6 +4525,7 @@ export class EncounterModal {
                         <option value="AoE" ${attackType === 'AoE' ? 'selected' : ''}>Area of Effect 💥</option>
                         <option value="both" ${attackType === 'both' ? 'selected' : ''}>Both ⚡</option>
                     </select>
+                    ${renderAttackRulesInputs(attack)}
                     <button class="rpg-edit-remove-btn" type="button" title="Remove"><i class="fa-solid fa-trash"></i></button>
                 </div>
             `;
@@ -3456,8 +4589,23 @@ export class EncounterModal {
                                 <label>Max ${labels.resourceLabel}:</label>
                                 <input type="number" id="edit-entity-maxhp" class="text_pole" value="${entity.maxHp || 0}" min="1" />
                             </div>
+                            ${rulesMode ? `
+                                <div class="rpg-edit-field">
+                                    <label>Defense:</label>
+                                    <input type="number" id="edit-entity-defense" class="text_pole" value="${getDefense(entity)}" min="1" title="Number an attack roll (d20 + to-hit) must reach" />
+                                </div>
+                            ` : ''}
                         </div>
 
+                        ${!isEnemy && !entity.isPlayer ? `
+                            <div class="rpg-edit-field">
+                                <label class="checkbox_label" title="When off, this ally acts on their own between your turns">
+                                    <input type="checkbox" id="edit-entity-controllable" ${entity.controllable !== false ? 'checked' : ''} />
+                                    <span>Controlled by you (pick their actions on their turn)</span>
+                                </label>
+                            </div>
+                        ` : ''}
+
                         ${isEnemy ? `
                             <div class="rpg-edit-field">
                                 <label>Sprite (emoji or text):</label>
@@ -3513,6 +4661,11 @@ export class EncounterModal {
                         </div>
                     </div>
                     <div class="rpg-edit-entity-footer">
+                        ${isNew && isEnemy ? `
+                            <button class="rpg-edit-entity-bestiary menu_button menu_button_icon" title="Pick a saved creature instead">
+                                <i class="fa-solid fa-book-skull"></i> Add from Bestiary
+                            </button>
+                        ` : ''}
                         <button class="rpg-edit-entity-cancel menu_button">Cancel</button>
                         <button class="rpg-edit-entity-save menu_button menu_button_icon">
                             <i class="fa-solid fa-save"></i> ${isNew ? 'Add' : 'Save'}
@@ -3544,6 +4697,15 @@ export class EncounterModal {
             if (e.target === overlay) closeModal();
         });
 
+        // Swap to the bestiary picker (it reopens this modal prefilled with the creature)
+        const bestiaryBtn = overlay.querySelector('.rpg-edit-entity-bestiary');
+        if (bestiaryBtn) {
+            bestiaryBtn.addEventListener('click', () => {
+                closeModal();
+                this.showBestiaryModal();
+            });
+        }
+
         // Add attack button
         const addAttackBtn = overlay.querySelector('#add-attack-btn');
         if (addAttackBtn) {
@@ -3560,6 +4722,7 @@ export class EncounterModal {
                         <option value="AoE">Area of Effect 💥</option>
                         <option value="both">Both ⚡</option>
                     </select>
+                    ${renderAttackRulesInputs({ name: '' })}
                     <button class="rpg-edit-remove-btn" type="button" title="Remove"><i class="fa-solid fa-trash"></i></button>
                 `;
                 attacksList.appendChild(newItem);
@@ -3654,6 +4817,21 @@ export class EncounterModal {
                 if (hpInput) updatedEntity.hp = parseInt(hpInput.value) || 0;
                 if (maxHpInput) updatedEntity.maxHp = parseInt(maxHpInput.value) || 1;
 
+                const defenseInput = document.getElementById('edit-entity-defense');
+                if (defenseInput) updatedEntity.defense = parseInt(defenseInput.value) || 10;
+
+                const controllableInput = document.getElementById('edit-entity-controllable');
+                if (controllableInput) updatedEntity.controllable = controllableInput.checked;
+
+                // New entities keep values the form doesn't show (e.g. a bestiary creature's initiative bonus)
+                if (isNew) {
+                    for (const key of ['defense', 'initiativeBonus']) {
+                        if (updatedEntity[key] === undefined && entity[key] !== undefined) {
+                            updatedEntity[key] = entity[key];
+                        }
+                    }
+                }
+
                 if (isEnemy) {
                     const spriteInput = document.getElementById('edit-entity-sprite');
                     const descInput = document.getElementById('edit-entity-description');
@@ -3669,10 +4847,22 @@ export class EncounterModal {
                         const nameInput = item.querySelector('.rpg-edit-attack-name');
                         const typeSelect = item.querySelector('.rpg-edit-attack-type');
                         if (nameInput && nameInput.value.trim()) {
-                            updatedEntity.attacks.push({
+                            // Keep fields this form doesn't show (e.g. dice values outside rules mode)
+                            const original = attacks.find(a => a && typeof a === 'object' && a.name === nameInput.value.trim());
+                            const attack = {
+                                ...(original || {}),
                                 name: nameInput.value.trim(),
                                 type: typeSelect ? typeSelect.value : 'single-target'
-                            });
+                            };
+
+                            const toHitInput = item.querySelector('.rpg-edit-attack-tohit');
+                            const damageInput = item.querySelector('.rpg-edit-attack-damage');
+                            const effectSelect = item.querySelector('.rpg-edit-attack-effect');
+                            if (toHitInput) attack.toHit = parseInt(toHitInput.value) || 0;
+                            if (damageInput && damageInput.value.trim()) attack.damage = damageInput.value.trim();
+                            if (effectSelect) attack.effect = effectSelect.value;
+
+                            updatedEntity.attacks.push(rulesMode ? normalizeAttack(attack, entity) : attack);
                         }
                     });
                 }
@@ -3726,12 +4916,16 @@ export class EncounterModal {
                         const maxInput = item.querySelector('.rpg-edit-bar-max');
                         const colorInput = item.querySelector('.rpg-edit-bar-color');
                         if (nameInput && nameInput.value.trim()) {
-                            updatedEntity.customBars.push({
+                            const bar = {
                                 name: nameInput.value.trim(),
                                 current: currentInput ? parseInt(currentInput.value) || 0 : 0,
                                 max: maxInput ? parseInt(maxInput.value) || 100 : 100,
                                 color: colorInput ? colorInput.value : '#4a7ba7'
-                            });
+                            };
+                            // Profile resource bars keep their minimum
+                            const originalBar = customBars.find(b => b.name === bar.name);
+                            if (originalBar?.min !== undefined) bar.min = originalBar.min;
+                            updatedEntity.customBars.push(bar);
                         }
                     });
                 }
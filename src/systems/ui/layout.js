@@ -14,6 +14,7 @@ import {
     $musicPlayerContainer
 } from '../../core/state.js';
 import { i18n } from '../../core/i18n.js';
+import { getContext } from '../../../../../../extensions.js';
 
 /**
  * Toggles the visibility of plot buttons based on settings.
@@ -375,7 +376,12 @@ export function updateGenerationModeUI() {
     } else if (extensionSettings.generationMode === 'separate') {
         // In "separate" mode, manual update button is visible
         $('#rpg-manual-update').show();
-        $('#rpg-external-api-settings').slideUp(200);
+        // External settings are still needed when the external API is the validation fallback
+        if (extensionSettings.trackerValidation?.fallback === 'external') {
+            $('#rpg-external-api-settings').slideDown(200);
+        } else {
+            $('#rpg-external-api-settings').slideUp(200);
+        }
         $('#rpg-separate-mode-settings').slideDown(200);
         // Enable auto-update toggle (only works in separate mode)
         $('#rpg-toggle-auto-update').prop('disabled', false);
@@ -390,3 +396,29 @@ export function updateGenerationModeUI() {
         $('#rpg-auto-update-container').css('opacity', '0.5');
     }
 }
+
+/**
+ * Updates the tracker validation settings: retry/fallback fields and the fallback profile list.
+ */
+export function updateTrackerValidationUI() {
+    const validation = extensionSettings.trackerValidation || {};
+    $('#rpg-tracker-validation-settings').toggle(validation.enabled === true);
+
+    const $profileSelect = $('#rpg-validation-fallback-profile');
+    if (validation.fallback !== 'profile') {
+        $profileSelect.hide();
+        return;
+    }
+
+    // Rebuilt every time, profiles can be added in the Connection Manager at any point
+    const profiles = getContext().extensionSettings?.connectionManager?.profiles || [];
+    $profileSelect.empty();
+    $profileSelect.append('<option value="">Select a profile</option>');
+    profiles.forEach(profile => {
+        const option = $('<option></option>')
+            .val(profile.id)
+            .text(profile.name || profile.id);
+        $profileSelect.append(option);
+    });
+    $profileSelect.val(validation.fallbackProfileId || '').show();
+}
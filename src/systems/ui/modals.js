@@ -390,7 +390,12 @@ export function setupSettingsPopup() {
             arousal: 0,
             mood: '😐',
             conditions: 'None',
-            inventory: 'None'
+            inventory: {
+                version: 4,
+                onPerson: {},
+                stored: {},
+                assets: []
+            }
         };
 
         // Reset classic stats (attributes) to defaults
@@ -409,7 +414,8 @@ export function setupSettingsPopup() {
         // Clear quests
         extensionSettings.quests = {
             main: "None",
-            optional: []
+            optional: [],
+            list: []
         };
 
         // Save everything
@@ -5,10 +5,21 @@
  * Provides UI controls for managing prompt sections, profiles, and generation settings.
  */
 
-import { createPromptBuilder } from '../generation/modular-prompt-system/index.js';
+import {
+    createPromptBuilder,
+    TRUNCATION_POLICIES,
+    validateTemplate,
+    CONFLICT_RESOLUTIONS,
+    createPromptPack,
+    parsePromptPack,
+    diffPromptPack,
+    applyPromptPack
+} from '../generation/modular-prompt-system/index.js';
 import { Section } from '../generation/modular-prompt-system/section.js';
 import { extensionSettings } from '../../core/state.js';
+import { saveSettings } from '../../core/persistence.js';
 import { getContext } from '../../../../../../extensions.js';
+import { escapeHtml } from '../../utils/security.js';
 
 let currentBuilder = null;
 let currentComponent = 'thoughtBubble';
@@ -47,10 +58,32 @@ export function initPromptBuilderUI() {
             deleteSelectedProfile();
         });
 
+        // Prompt packs
+        $('#rpg-pb-export-pack').on('click', () => {
+            exportPromptPack();
+        });
+
+        $('#rpg-pb-import-pack').on('click', () => {
+            $('#rpg-pb-import-pack-file').click();
+        });
+
+        $('#rpg-pb-import-pack-file').on('change', (e) => {
+            importPromptPack(e);
+        });
+
         // Generation settings
         $('#rpg-pb-max-tokens').on('change', () => {
             if (currentBuilder) {
                 currentBuilder.setMaxTokens(parseInt($('#rpg-pb-max-tokens').val()));
+                // The prompt budget is the context size minus max tokens
+                refreshPreview();
+            }
+        });
+
+        $('#rpg-pb-context-size').on('change', () => {
+            if (currentBuilder) {
+                currentBuilder.setContextSize(parseInt($('#rpg-pb-context-size').val()));
+                refreshPreview();
             }
         });
 
@@ -201,7 +234,8 @@ async function ensureChatContextSection() {
             priority: 50,
             enabled: chatDepth > 0,
             label: '💬 Chat Context (System)',
-            description: `Includes last ${chatDepth} messages from chat (controlled by depth setting)`
+            description: `Includes last ${chatDepth} messages from chat (controlled by depth setting)`,
+            truncation: 'trimStart'
         });
         currentBuilder.addSection(chatSection);
     } else {
@@ -241,7 +275,8 @@ function ensureGuidanceSection() {
             priority: 0, // Lowest priority - appears at the end
             enabled: false,
             label: '✨ User Guidance (System)',
-            description: 'Special instructions provided by the user for this generation. Updated automatically when you click "Test Generate".'
+            description: 'Special instructions provided by the user for this generation. Updated automatically when you click "Test Generate".',
+            truncation: 'keep'
         });
         currentBuilder.addSection(guidanceSection);
     }
@@ -413,6 +448,7 @@ function updateGenerationSettings() {
     if (!currentBuilder) return;
 
     $('#rpg-pb-max-tokens').val(currentBuilder.getMaxTokens());
+    $('#rpg-pb-context-size').val(currentBuilder.getContextSize());
     $('#rpg-pb-chat-context-depth').val(currentBuilder.getChatContextDepth());
 
     // Populate connection profile dropdown
@@ -515,6 +551,196 @@ function deleteSelectedProfile() {
     }
 }
 
+/**
+ * Export the prompt configurations of all components as a prompt pack file
+ */
+function exportPromptPack() {
+    const name = prompt('Pack name:', 'House Prompts');
+    if (name === null) return;
+
+    try {
+        // Make sure the open component's latest edits are in the settings
+        currentBuilder?.save();
+
+        const pack = createPromptPack(extensionSettings, { name: name.trim() || 'Prompt Pack' });
+        if (Object.keys(pack.components).length === 0) {
+            toastr.warning('No prompt configurations to export', 'Prompt Builder');
+            return;
+        }
+
+        const json = JSON.stringify(pack, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `rpg-prompt-pack-${pack.name.toLowerCase().replace(/[^\w-]+/g, '-')}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        toastr.success(`Exported ${Object.keys(pack.components).length} components`, 'Prompt Builder');
+    } catch (error) {
+        console.error('[RPG Companion] Error exporting prompt pack:', error);
+        toastr.error('Failed to export prompt pack', 'Prompt Builder');
+    }
+}
+
+/**
+ * Handle prompt pack file selection: parse it and show what it changes
+ */
+async function importPromptPack(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        const { pack, checksumValid } = parsePromptPack(text);
+        showPackImportModal(pack, checksumValid);
+    } catch (error) {
+        console.error('[RPG Companion] Error importing prompt pack:', error);
+        toastr.error(`Failed to import prompt pack: ${error.message}`, 'Prompt Builder');
+    }
+
+    // Clear the file input so the same file can be picked again
+    $('#rpg-pb-import-pack-file').val('');
+}
+
+/**
+ * Describe a component's changes as list items
+ * @param {Object} diff - Component diff from diffPromptPack()
+ * @returns {string} HTML list items
+ */
+function renderPackDiffItems(diff) {
+    const items = [];
+
+    diff.sections.added.forEach(section => {
+        items.push(`<li class="rpg-pb-diff-added">+ ${escapeHtml(section.label)}</li>`);
+    });
+    diff.sections.changed.forEach(section => {
+        items.push(`<li class="rpg-pb-diff-changed">~ ${escapeHtml(section.label)} <small>(${section.fields.join(', ')})</small></li>`);
+    });
+    diff.sections.removed.forEach(section => {
+        items.push(`<li class="rpg-pb-diff-removed">− ${escapeHtml(section.label)} <small>(not in pack)</small></li>`);
+    });
+    diff.settings.forEach(setting => {
+        const format = value => escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value ?? '—'));
+        items.push(`<li class="rpg-pb-diff-changed">~ ${setting.label}: ${format(setting.from)} → ${format(setting.to)}</li>`);
+    });
+    diff.profiles.added.forEach(name => {
+        items.push(`<li class="rpg-pb-diff-added">+ Profile "${escapeHtml(name)}"</li>`);
+    });
+    diff.profiles.conflicting.forEach(name => {
+        items.push(`<li class="rpg-pb-diff-changed">~ Profile "${escapeHtml(name)}" <small>(already exists)</small></li>`);
+    });
+
+    return items.length > 0 ? items.join('') : '<li><em>No changes</em></li>';
+}
+
+/**
+ * Show a parsed prompt pack with the changes it makes per component, and let the
+ * user pick how each conflicting component is imported
+ * @param {Object} pack - Parsed prompt pack
+ * @param {boolean} checksumValid - Whether the pack's checksum matches its content
+ */
+function showPackImportModal(pack, checksumValid) {
+    // Compare against the open component's latest edits
+    currentBuilder?.save();
+
+    const diffs = diffPromptPack(extensionSettings, pack);
+    const resolutionOptions = Object.entries(CONFLICT_RESOLUTIONS)
+        .map(([key, resolution]) => `<option value="${key}" ${key === 'rename' ? 'selected' : ''}>${resolution.label}</option>`)
+        .join('');
+
+    const componentsHtml = diffs.map(diff => {
+        let status = '<span class="rpg-pb-pack-status">Unchanged</span>';
+        if (diff.isNew) {
+            status = '<span class="rpg-pb-pack-status rpg-pb-diff-added">New</span>';
+        } else if (diff.hasConflict) {
+            status = `<select class="rpg-pb-pack-resolution rpg-input" data-component="${escapeHtml(diff.componentKey)}">${resolutionOptions}</select>`;
+        }
+
+        return `
+            <details class="rpg-pb-pack-component" ${diff.hasConflict ? 'open' : ''}>
+                <summary>
+                    <strong>${escapeHtml(diff.componentKey)}</strong>
+                    ${status}
+                </summary>
+                <ul class="rpg-pb-pack-diff">${renderPackDiffItems(diff)}</ul>
+            </details>
+        `;
+    }).join('');
+
+    const checksumHtml = checksumValid
+        ? `<span class="rpg-pb-diff-added"><i class="fa-solid fa-check"></i> Checksum ${escapeHtml(pack.checksum)} matches</span>`
+        : '<span class="rpg-pb-diff-removed"><i class="fa-solid fa-triangle-exclamation"></i> Checksum does not match: the pack was edited or damaged after export</span>';
+
+    const modalHtml = `
+        <div id="rpg-pb-pack-modal" class="rpg-settings-popup is-open" role="dialog" aria-modal="true">
+            <div class="rpg-settings-popup-content" style="max-width: 700px;">
+                <header class="rpg-settings-popup-header">
+                    <h3>
+                        <i class="fa-solid fa-file-import"></i>
+                        <span>Import Prompt Pack</span>
+                    </h3>
+                    <button id="rpg-pb-pack-close" class="rpg-popup-close" type="button">&times;</button>
+                </header>
+
+                <div class="rpg-settings-popup-body">
+                    <div class="rpg-pb-pack-info">
+                        <strong>${escapeHtml(pack.name)}</strong>
+                        <small>Version ${pack.version}${pack.exportDate ? ` · exported ${escapeHtml(new Date(pack.exportDate).toLocaleString())}` : ''}</small>
+                        ${pack.description ? `<p>${escapeHtml(pack.description)}</p>` : ''}
+                        <small>${checksumHtml}</small>
+                    </div>
+                    <p style="font-size: 12px; color: #888;">
+                        New components are imported as they are. Choose how to import components you already configured.
+                    </p>
+                    ${componentsHtml}
+                </div>
+
+                <footer class="rpg-settings-popup-footer">
+                    <button id="rpg-pb-pack-cancel" class="rpg-btn-secondary" type="button">Cancel</button>
+                    <button id="rpg-pb-pack-apply" class="rpg-btn-primary" type="button">
+                        <i class="fa-solid fa-file-import"></i> Import
+                    </button>
+                </footer>
+            </div>
+        </div>
+    `;
+
+    // Remove existing modal if present
+    $('#rpg-pb-pack-modal').remove();
+    $('body').append(modalHtml);
+
+    const closeModal = () => {
+        $('#rpg-pb-pack-modal').removeClass('is-open');
+        setTimeout(() => $('#rpg-pb-pack-modal').remove(), 200);
+    };
+
+    $('#rpg-pb-pack-close, #rpg-pb-pack-cancel').on('click', closeModal);
+
+    $('#rpg-pb-pack-apply').on('click', async () => {
+        const resolutions = {};
+        $('#rpg-pb-pack-modal .rpg-pb-pack-resolution').each(function() {
+            resolutions[$(this).data('component')] = $(this).val();
+        });
+
+        const result = applyPromptPack(extensionSettings, pack, resolutions);
+        saveSettings();
+        closeModal();
+
+        // Reload the open component from the imported settings
+        await switchComponent(currentComponent);
+
+        if (result.applied.length > 0) {
+            toastr.success(`Imported "${escapeHtml(pack.name)}" into ${result.applied.length} components`, 'Prompt Builder');
+        } else {
+            toastr.info('Nothing was imported', 'Prompt Builder');
+        }
+    });
+}
+
 /**
  * Render all sections
  */
@@ -547,9 +773,9 @@ function createSectionElement(section) {
 
     const contentHtml = isSystemSection
         ? `<div class="rpg-pb-section-content-readonly" style="width: 100%; margin-top: 5px; padding: 10px; background: rgba(0,0,0,0.1); border-radius: 5px; font-family: monospace; font-size: 11px; color: #888; min-height: 60px;">
-               ${section.content ? `<em>Auto-generated (${section.content.length} chars)</em><br/>${contentPreview.replace(/\n/g, '<br/>')}` : '<em>No chat context (depth = 0 or no messages)</em>'}
+               ${section.content ? `<em>Auto-generated (${section.content.length} chars)</em><br/>${escapeHtml(contentPreview).replace(/\n/g, '<br/>')}` : '<em>No chat context (depth = 0 or no messages)</em>'}
            </div>`
-        : `<textarea class="rpg-pb-section-content rpg-input" rows="4" style="width: 100%; margin-top: 5px; font-family: monospace; font-size: 12px;">${section.content}</textarea>`;
+        : `<textarea class="rpg-pb-section-content rpg-input" rows="4" style="width: 100%; margin-top: 5px; font-family: monospace; font-size: 12px;">${escapeHtml(section.content)}</textarea>`;
 
     // Determine which button to show: Restore Default for instruction, Delete for others (except system)
     let actionButton = '';
@@ -563,24 +789,34 @@ function createSectionElement(section) {
         </button>`;
     }
 
+    // Truncation policy options (fixed for system sections)
+    const truncationOptions = Object.entries(TRUNCATION_POLICIES)
+        .map(([key, policy]) => `<option value="${key}" ${section.truncation === key ? 'selected' : ''}>${policy.label}</option>`)
+        .join('');
+
     const $section = $(`
-        <div class="rpg-pb-section ${isSystemSection ? 'rpg-pb-section-system' : ''}" data-section-id="${section.id}">
+        <div class="rpg-pb-section ${isSystemSection ? 'rpg-pb-section-system' : ''}" data-section-id="${escapeHtml(section.id)}">
             <div class="rpg-pb-section-header">
                 <div style="display: flex; align-items: center; gap: 10px; flex: 1;">
                     <label class="checkbox_label" style="margin: 0;">
                         <input type="checkbox" class="rpg-pb-section-enabled" ${section.enabled ? 'checked' : ''} />
                         <span></span>
                     </label>
-                    <input type="text" class="rpg-pb-section-label rpg-input" value="${section.label}" style="flex: 1;" ${isSystemSection ? 'readonly' : ''} />
+                    <input type="text" class="rpg-pb-section-label rpg-input" value="${escapeHtml(section.label)}" style="flex: 1;" ${isSystemSection ? 'readonly' : ''} />
                     <label style="margin: 0; display: flex; align-items: center; gap: 5px;">
                         Priority:
-                        <input type="number" class="rpg-pb-section-priority rpg-input" value="${section.priority}" style="width: 80px;" />
+                        <input type="number" class="rpg-pb-section-priority rpg-input" value="${escapeHtml(section.priority)}" style="width: 80px;" />
+                    </label>
+                    <label style="margin: 0; display: flex; align-items: center; gap: 5px;" title="What happens to this section when the prompt is over its token budget">
+                        Over budget:
+                        <select class="rpg-pb-section-truncation rpg-input" style="width: auto;" ${isSystemSection ? 'disabled' : ''}>${truncationOptions}</select>
                     </label>
                 </div>
                 ${actionButton}
             </div>
             ${contentHtml}
-            <small style="display: block; margin-top: 5px; color: #888;">${section.description || 'No description'}</small>
+            <div class="rpg-pb-section-errors"></div>
+            <small style="display: block; margin-top: 5px; color: #888;">${escapeHtml(section.description || 'No description')}</small>
         </div>
     `);
 
@@ -625,8 +861,22 @@ function createSectionElement(section) {
         refreshPreview(true); // Skip render since we just called renderSections
     });
 
+    if (!isSystemSection) {
+        $section.find('.rpg-pb-section-truncation').on('change', function() {
+            section.setTruncation($(this).val());
+            currentBuilder.save();
+            refreshPreview(true); // Skip render since we're already in render cycle
+        });
+    }
+
     // Only allow content editing for non-system sections
     if (!isSystemSection) {
+        showTemplateErrors($section, section.content);
+
+        $section.find('.rpg-pb-section-content').on('input', function() {
+            showTemplateErrors($section, $(this).val());
+        });
+
         $section.find('.rpg-pb-section-content').on('change', function() {
             section.setContent($(this).val());
             currentBuilder.save();
@@ -667,6 +917,21 @@ function createSectionElement(section) {
     return $section;
 }
 
+/**
+ * Show a section's template syntax errors (with line numbers) below its content
+ * @param {jQuery} $section - Section element
+ * @param {string} content - Section content
+ */
+function showTemplateErrors($section, content) {
+    const { errors } = validateTemplate(content);
+    const $errors = $section.find('.rpg-pb-section-errors').empty();
+
+    errors.forEach(error => {
+        $errors.append($('<div class="rpg-pb-section-error"></div>').text(error));
+    });
+    $section.toggleClass('rpg-pb-section-invalid', errors.length > 0);
+}
+
 /**
  * Add a new section
  */
@@ -696,12 +961,25 @@ function refreshPreview(skipRender = false) {
 
     // Build the prompt - this updates chat context and tracker sections
     const prompt = currentBuilder.build();
-    const preview = currentBuilder.assembler.preview();
+    const preview = currentBuilder.preview();
 
+    const budgetText = preview.tokenBudget > 0 ? `/${preview.tokenBudget}` : '';
     $('#rpg-pb-preview').val(prompt);
     $('#rpg-pb-preview-stats').text(
-        `${preview.enabledSections}/${preview.totalSections} sections enabled | ${prompt.length} characters`
-    );
+        `${preview.enabledSections}/${preview.totalSections} sections enabled | ${prompt.length} characters | ~${preview.totalTokens}${budgetText} tokens`
+    ).toggleClass('rpg-pb-over-budget', preview.overBudget);
+
+    // Per-section token breakdown
+    const $breakdown = $('#rpg-pb-preview-tokens').empty();
+    preview.sections
+        .filter(info => info.status !== 'empty')
+        .forEach(info => {
+            const tokens = info.status === 'kept' ? `~${info.tokens}` : `~${info.originalTokens} → ${info.tokens}`;
+            const $row = $('<div class="rpg-pb-token-row"></div>').addClass(`rpg-pb-token-${info.status}`);
+            $row.append($('<span class="rpg-pb-token-label"></span>').text(info.label));
+            $row.append($('<span class="rpg-pb-token-count"></span>').text(`${tokens} tokens${info.status !== 'kept' ? ` (${info.status})` : ''}`));
+            $breakdown.append($row);
+        });
 
     // Re-render sections to show updated content (especially for system sections)
     // Skip if we're already in a render cycle to avoid infinite loops
@@ -123,6 +123,19 @@ Respond with a JSON object containing ONLY updated HP values and new status effe
 
 If all enemies are defeated or escape: add "combatEnd": true, "result": "victory". If all party defeated: add "combatEnd": true, "result": "defeat". It's also possible for the encounter to be interrupted by external interference (e.g., an explosion knocks everyone out, sudden environmental catastrophe, third party intervention, etc.). If this occurs, add "combatEnd": true, "result": "interrupted". Each status (if applied) has a format: {"name": "Status Name", "emoji": "💀", "duration": X}.
 Scale encounter difficulty appropriately based on stakes: {ENCOUNTER_STAKES} stakes encounters should match the narrative weight. Powerful entities should be formidable challenges requiring multiple rounds and strategic play. Weaker opposition should be resolved more quickly, typically 2-4 rounds.`,
+    combatRulesNarrationInstructions: `The dice have already decided the outcome of this round (rules mode). The "Resolved Outcome" above is final and has already been applied to the combat state.
+
+NARRATION RULES:
+- Describe exactly what the resolved outcome says: who hit, who missed, how hard, and who was defeated
+- Misses should read as dodges, parries, or near-misses, critical hits as especially telling blows
+- Do NOT add damage, healing, defeats, new combatants, or status effects that are not in the resolved outcome
+- Do NOT change or contradict any numbers
+- Interpret HP changes according to: {RESOURCE_INTERPRETATION}
+
+Respond with a JSON object containing ONLY the narration:
+{
+  "narrative": "The roleplay description of what happens"
+}`,
     combatSummarySystem: 'You are summarizing a {ENCOUNTER_TYPE} encounter that just concluded.',
     combatSummaryInstructions: `SUMMARY FRAMING:
 - Frame the outcome as: {SUMMARY_FRAMING}
@@ -211,6 +224,7 @@ function openPromptsEditor() {
         encounterInitInstructions: extensionSettings.customEncounterInitInstructionsPrompt || '',
         combatActionSystem: extensionSettings.customCombatActionSystemPrompt || '',
         combatActionInstructions: extensionSettings.customCombatActionInstructionsPrompt || '',
+        combatRulesNarrationInstructions: extensionSettings.customCombatRulesNarrationPrompt || '',
         combatSummarySystem: extensionSettings.customCombatSummarySystemPrompt || '',
         combatSummaryInstructions: extensionSettings.customCombatSummaryInstructionsPrompt || ''
     };
@@ -228,6 +242,7 @@ function openPromptsEditor() {
     $('#rpg-prompt-encounter-init-instructions').val(extensionSettings.customEncounterInitInstructionsPrompt || DEFAULT_PROMPTS.encounterInitInstructions);
     $('#rpg-prompt-combat-action-system').val(extensionSettings.customCombatActionSystemPrompt || DEFAULT_PROMPTS.combatActionSystem);
     $('#rpg-prompt-combat-action-instructions').val(extensionSettings.customCombatActionInstructionsPrompt || DEFAULT_PROMPTS.combatActionInstructions);
+    $('#rpg-prompt-combat-rules-narration-instructions').val(extensionSettings.customCombatRulesNarrationPrompt || DEFAULT_PROMPTS.combatRulesNarrationInstructions);
     $('#rpg-prompt-combat-summary-system').val(extensionSettings.customCombatSummarySystemPrompt || DEFAULT_PROMPTS.combatSummarySystem);
     $('#rpg-prompt-combat-summary-instructions').val(extensionSettings.customCombatSummaryInstructionsPrompt || DEFAULT_PROMPTS.combatSummaryInstructions);
 
@@ -269,6 +284,7 @@ function savePrompts() {
     extensionSettings.customEncounterInitInstructionsPrompt = $('#rpg-prompt-encounter-init-instructions').val().trim();
     extensionSettings.customCombatActionSystemPrompt = $('#rpg-prompt-combat-action-system').val().trim();
     extensionSettings.customCombatActionInstructionsPrompt = $('#rpg-prompt-combat-action-instructions').val().trim();
+    extensionSettings.customCombatRulesNarrationPrompt = $('#rpg-prompt-combat-rules-narration-instructions').val().trim();
     extensionSettings.customCombatSummarySystemPrompt = $('#rpg-prompt-combat-summary-system').val().trim();
     extensionSettings.customCombatSummaryInstructionsPrompt = $('#rpg-prompt-combat-summary-instructions').val().trim();
 
@@ -321,6 +337,9 @@ function restorePromptToDefault(promptType) {
         case 'combatActionInstructions':
             extensionSettings.customCombatActionInstructionsPrompt = '';
             break;
+        case 'combatRulesNarrationInstructions':
+            extensionSettings.customCombatRulesNarrationPrompt = '';
+            break;
         case 'combatSummarySystem':
             extensionSettings.customCombatSummarySystemPrompt = '';
             break;
@@ -350,6 +369,7 @@ function restoreAllToDefaults() {
     $('#rpg-prompt-encounter-init-instructions').val(DEFAULT_PROMPTS.encounterInitInstructions);
     $('#rpg-prompt-combat-action-system').val(DEFAULT_PROMPTS.combatActionSystem);
     $('#rpg-prompt-combat-action-instructions').val(DEFAULT_PROMPTS.combatActionInstructions);
+    $('#rpg-prompt-combat-rules-narration-instructions').val(DEFAULT_PROMPTS.combatRulesNarrationInstructions);
     $('#rpg-prompt-combat-summary-system').val(DEFAULT_PROMPTS.combatSummarySystem);
     $('#rpg-prompt-combat-summary-instructions').val(DEFAULT_PROMPTS.combatSummaryInstructions);
 
@@ -366,6 +386,7 @@ function restoreAllToDefaults() {
     extensionSettings.customEncounterInitInstructionsPrompt = '';
     extensionSettings.customCombatActionSystemPrompt = '';
     extensionSettings.customCombatActionInstructionsPrompt = '';
+    extensionSettings.customCombatRulesNarrationPrompt = '';
     extensionSettings.customCombatSummarySystemPrompt = '';
     extensionSettings.customCombatSummaryInstructionsPrompt = '';
 
@@ -9,6 +9,9 @@ import { renderUserStats } from '../rendering/userStats.js';
 import { renderInfoBox } from '../rendering/infoBox.js';
 import { renderThoughts } from '../rendering/thoughts.js';
 import { showEmojiPicker, hideEmojiPicker } from './emojiMartPicker.js';
+import { getStatRules, hasStatRules } from '../features/statRules.js';
+import { getCalendarConfig } from '../features/calendar.js';
+import { escapeHtml } from '../../utils/security.js';
 
 let $editorModal = null;
 let activeTab = 'userStats';
@@ -329,8 +332,10 @@ function renderUserStatsTab() {
             <div class="rpg-editor-stat-item" data-index="${index}">
                 <input type="checkbox" ${stat.enabled ? 'checked' : ''} class="rpg-stat-toggle" data-index="${index}">
                 <input type="text" value="${stat.name}" class="rpg-stat-name" data-index="${index}" placeholder="Stat Name">
+                <button class="rpg-stat-rules-toggle ${hasStatRules(stat) ? 'active' : ''}" data-index="${index}" title="Stat rules"><i class="fa-solid fa-scale-balanced"></i></button>
                 <button class="rpg-stat-remove" data-index="${index}" title="Remove stat"><i class="fa-solid fa-trash"></i></button>
             </div>
+            ${renderStatRulesEditor(stat, index)}
         `;
     });
 
@@ -421,6 +426,61 @@ function renderUserStatsTab() {
     setupUserStatsListeners();
 }
 
+/**
+ * Renders the (collapsed) rules editor for a custom stat
+ * @param {Object} stat - Stat config
+ * @param {number} index - Stat index
+ * @returns {string} HTML
+ */
+function renderStatRulesEditor(stat, index) {
+    const rules = getStatRules(stat);
+    const numberInput = (rule, value, placeholder) =>
+        `<input type="number" class="rpg-stat-rule" data-index="${index}" data-rule="${rule}" value="${value ?? ''}" placeholder="${placeholder}">`;
+
+    const thresholdsHtml = rules.thresholds.map((threshold, tIndex) => `
+        <div class="rpg-stat-threshold" data-index="${index}" data-threshold="${tIndex}">
+            <select class="rpg-stat-threshold-field" data-index="${index}" data-threshold="${tIndex}" data-field="operator">
+                ${['<', '<=', '>', '>='].map(op => `<option value="${op}" ${threshold.operator === op ? 'selected' : ''}>${op}</option>`).join('')}
+            </select>
+            <input type="number" class="rpg-stat-threshold-field" data-index="${index}" data-threshold="${tIndex}" data-field="value" value="${threshold.value}">
+            <input type="text" class="rpg-stat-threshold-field" data-index="${index}" data-threshold="${tIndex}" data-field="condition" value="${threshold.condition || ''}" placeholder="Condition (e.g. Starving)">
+            <input type="text" class="rpg-stat-threshold-field" data-index="${index}" data-threshold="${tIndex}" data-field="note" value="${threshold.note || ''}" placeholder="Prompt note">
+            <button class="rpg-stat-threshold-remove" data-index="${index}" data-threshold="${tIndex}" title="Remove threshold"><i class="fa-solid fa-times"></i></button>
+        </div>
+    `).join('');
+
+    return `
+        <div class="rpg-stat-rules" id="rpg-stat-rules-${index}" style="display: none;">
+            <div class="rpg-stat-rules-grid">
+                <label>Min ${numberInput('min', rules.min, '0')}</label>
+                <label>Max ${numberInput('max', rules.max, '100')}</label>
+                <label>Max change per response ${numberInput('maxChange', rules.maxChange, 'Unlimited')}</label>
+                <label>Decay per message ${numberInput('decayPerMessage', rules.decayPerMessage || '', '0')}</label>
+                <label>Decay per in-game hour ${numberInput('decayPerHour', rules.decayPerHour || '', '0')}</label>
+            </div>
+            <small class="rpg-editor-note">Thresholds add a status condition and a prompt note while the value matches.</small>
+            ${thresholdsHtml}
+            <button class="rpg-btn-secondary rpg-stat-threshold-add" data-index="${index}"><i class="fa-solid fa-plus"></i> Add Threshold</button>
+        </div>
+    `;
+}
+
+/**
+ * Returns the rules object of a custom stat, creating it if needed
+ * @param {number} index - Stat index
+ * @returns {Object} Mutable rules object
+ */
+function getEditableStatRules(index) {
+    const stat = extensionSettings.trackerConfig.userStats.customStats[index];
+    if (!stat.rules) {
+        stat.rules = { thresholds: [] };
+    }
+    if (!Array.isArray(stat.rules.thresholds)) {
+        stat.rules.thresholds = [];
+    }
+    return stat.rules;
+}
+
 /**
  * Set up event listeners for User Stats tab
  */
@@ -459,6 +519,44 @@ function setupUserStatsListeners() {
         extensionSettings.trackerConfig.userStats.customStats[index].name = $(this).val();
     });
 
+    // Show/hide stat rules
+    $('.rpg-stat-rules-toggle').off('click').on('click', function() {
+        $(`#rpg-stat-rules-${$(this).data('index')}`).toggle();
+    });
+
+    // Edit numeric rule (empty = default)
+    $('.rpg-stat-rule').off('change').on('change', function() {
+        const rules = getEditableStatRules($(this).data('index'));
+        const value = $(this).val();
+        rules[$(this).data('rule')] = value === '' ? null : Number(value);
+    });
+
+    // Add threshold
+    $('.rpg-stat-threshold-add').off('click').on('click', function() {
+        const index = $(this).data('index');
+        getEditableStatRules(index).thresholds.push({ operator: '<', value: 20, condition: '', note: '' });
+        renderUserStatsTab();
+        $(`#rpg-stat-rules-${index}`).show();
+    });
+
+    // Edit threshold
+    $('.rpg-stat-threshold-field').off('change').on('change', function() {
+        const index = $(this).data('index');
+        const threshold = getEditableStatRules(index).thresholds[$(this).data('threshold')];
+        const field = $(this).data('field');
+        if (threshold) {
+            threshold[field] = field === 'value' ? Number($(this).val()) : $(this).val();
+        }
+    });
+
+    // Remove threshold
+    $('.rpg-stat-threshold-remove').off('click').on('click', function() {
+        const index = $(this).data('index');
+        getEditableStatRules(index).thresholds.splice($(this).data('threshold'), 1);
+        renderUserStatsTab();
+        $(`#rpg-stat-rules-${index}`).show();
+    });
+
     // Add attribute
     $('#rpg-add-attr').off('click').on('click', function() {
         // Ensure rpgAttributes array exists with defaults if needed
@@ -602,16 +700,110 @@ function renderInfoBoxTab() {
 
     html += '</div>';
 
+    html += renderCalendarEditor();
+
     $('#rpg-editor-tab-infoBox').html(html);
     setupInfoBoxListeners();
 }
 
+/**
+ * Renders the calendar settings of the Info Box tab
+ * @returns {string} HTML
+ */
+function renderCalendarEditor() {
+    const calendar = getCalendarConfig();
+    const months = calendar.months.map(m => `${m.name}: ${m.days}`).join('\n');
+
+    return `
+        <div class="rpg-editor-section rpg-calendar-editor">
+            <h4><i class="fa-solid fa-calendar-days"></i> Calendar</h4>
+            <p class="rpg-editor-hint">Used to read the Date and Time lines, advance time and measure elapsed in-game time.</p>
+            <div class="rpg-editor-widget-row">
+                <input type="checkbox" id="rpg-calendar-enabled" ${calendar.enabled ? 'checked' : ''}>
+                <label for="rpg-calendar-enabled">Check new tracker output (move the date past midnight)</label>
+            </div>
+            <div class="rpg-editor-widget-row">
+                <input type="checkbox" id="rpg-calendar-prevent-regression" ${calendar.preventRegression ? 'checked' : ''}>
+                <label for="rpg-calendar-prevent-regression">Keep the previous date and time when time goes backwards</label>
+            </div>
+            <div class="rpg-editor-widget-row">
+                <input type="checkbox" id="rpg-calendar-leap-years" ${calendar.leapYears ? 'checked' : ''}>
+                <label for="rpg-calendar-leap-years">Leap years (extra day in the second month)</label>
+            </div>
+            <div class="rpg-calendar-editor-grid">
+                <label>Hours per day <input type="number" id="rpg-calendar-hours" min="1" value="${escapeHtml(calendar.hoursPerDay)}"></label>
+                <label>Era <input type="text" id="rpg-calendar-era" value="${escapeHtml(calendar.era)}" placeholder="e.g. DR"></label>
+                <label>Weekdays <input type="text" id="rpg-calendar-weekdays" value="${escapeHtml(calendar.weekdays.join(', '))}"></label>
+                <label>Year names <input type="text" id="rpg-calendar-year-names" value="${escapeHtml(calendar.yearNames.join(', '))}" placeholder="Cycled by year, comma-separated"></label>
+                <label>Months (one "Name: days" per line) <textarea id="rpg-calendar-months" rows="6">${escapeHtml(months)}</textarea></label>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Returns the stored calendar config, creating it from the current (default) calendar if needed
+ * @returns {Object} Mutable calendar config
+ */
+function getEditableCalendar() {
+    const infoBox = extensionSettings.trackerConfig.infoBox;
+    if (!infoBox.calendar) {
+        infoBox.calendar = JSON.parse(JSON.stringify(getCalendarConfig()));
+    }
+    return infoBox.calendar;
+}
+
+/**
+ * Splits a comma-separated list
+ * @param {string} value - Input value
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+function splitList(value) {
+    return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
 /**
  * Set up event listeners for Info Box tab
  */
 function setupInfoBoxListeners() {
     const widgets = extensionSettings.trackerConfig.infoBox.widgets;
 
+    $('#rpg-calendar-enabled').off('change').on('change', function() {
+        getEditableCalendar().enabled = $(this).is(':checked');
+    });
+
+    $('#rpg-calendar-prevent-regression').off('change').on('change', function() {
+        getEditableCalendar().preventRegression = $(this).is(':checked');
+    });
+
+    $('#rpg-calendar-leap-years').off('change').on('change', function() {
+        getEditableCalendar().leapYears = $(this).is(':checked');
+    });
+
+    $('#rpg-calendar-hours').off('change').on('change', function() {
+        const hours = parseInt($(this).val(), 10);
+        getEditableCalendar().hoursPerDay = hours > 0 ? hours : 24;
+    });
+
+    $('#rpg-calendar-era').off('change').on('change', function() {
+        getEditableCalendar().era = $(this).val().trim();
+    });
+
+    $('#rpg-calendar-weekdays').off('change').on('change', function() {
+        getEditableCalendar().weekdays = splitList($(this).val());
+    });
+
+    $('#rpg-calendar-year-names').off('change').on('change', function() {
+        getEditableCalendar().yearNames = splitList($(this).val());
+    });
+
+    $('#rpg-calendar-months').off('change').on('change', function() {
+        getEditableCalendar().months = $(this).val().split('\n')
+            .map(line => line.match(/^\s*(.+?)\s*:\s*(\d+)\s*$/))
+            .filter(Boolean)
+            .map(match => ({ name: match[1], days: parseInt(match[2], 10) }));
+    });
+
     $('#rpg-widget-date').off('change').on('change', function() {
         widgets.date.enabled = $(this).is(':checked');
     });
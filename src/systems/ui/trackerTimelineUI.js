@@ -0,0 +1,232 @@
+/**
+ * Tracker Timeline UI Module
+ * Modal for browsing per-message tracker snapshots, diffing two points and rolling back
+ */
+
+import { extensionSettings } from '../../core/state.js';
+import {
+    COMMITTED_ENTRY_ID,
+    collectTrackerTimeline,
+    getTimelineSnapshot,
+    diffTrackerSnapshots,
+    restoreTrackerSnapshot
+} from '../features/trackerTimeline.js';
+
+let $timelineModal = null;
+let timelineEntries = [];
+
+/**
+ * Escapes text for safe HTML insertion
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a field value for display
+ * @param {*} value - Field value (string, number or list)
+ * @returns {string} Display text
+ */
+function formatValue(value) {
+    if (value === undefined || value === null || value === '') {
+        return '—';
+    }
+    if (Array.isArray(value)) {
+        return value.length > 0 ? value.join(', ') : 'None';
+    }
+    return String(value);
+}
+
+/**
+ * Initialize the tracker timeline modal
+ */
+export function initTrackerTimeline() {
+    $timelineModal = $('#rpg-tracker-timeline-popup');
+
+    if (!$timelineModal.length) {
+        console.error('[RPG Companion] Tracker timeline modal not found in template');
+        return;
+    }
+
+    // Open button
+    $(document).on('click', '#rpg-open-tracker-timeline', function() {
+        openTrackerTimeline();
+    });
+
+    // Close buttons
+    $(document).on('click', '#rpg-close-tracker-timeline, #rpg-timeline-close', function() {
+        closeTrackerTimeline();
+    });
+
+    // Close on background click
+    $(document).on('click', '#rpg-tracker-timeline-popup', function(e) {
+        if (e.target.id === 'rpg-tracker-timeline-popup') {
+            closeTrackerTimeline();
+        }
+    });
+
+    // Selecting an entry compares it with the entry right before it
+    $(document).on('click', '.rpg-timeline-entry', function() {
+        const entryId = String($(this).data('entry-id'));
+        const index = timelineEntries.findIndex(e => e.id === entryId);
+        const previous = index > 0 ? timelineEntries[index - 1].id : entryId;
+        $('#rpg-timeline-from').val(previous);
+        $('#rpg-timeline-to').val(entryId);
+        renderTimelineDiff();
+    });
+
+    $(document).on('change', '#rpg-timeline-from, #rpg-timeline-to', function() {
+        renderTimelineDiff();
+    });
+
+    // Restore the state of a specific entry
+    $(document).on('click', '.rpg-timeline-restore', function(e) {
+        e.stopPropagation();
+        const entryId = String($(this).data('entry-id'));
+        const entry = timelineEntries.find(e => e.id === entryId);
+        const source = entry ? `message #${entry.messageId}${entry.isPreRestore ? ' (before restore)' : ''}` : `message #${entryId}`;
+        if (!confirm(`Restore tracker state from ${source}? The current trackers will be replaced.`)) {
+            return;
+        }
+        if (restoreTrackerSnapshot(entryId)) {
+            toastr.success(`Tracker state restored from ${source}`);
+            // The replaced snapshot is listed as its own entry
+            openTrackerTimeline();
+        } else {
+            toastr.error('No tracker data found for that message');
+        }
+    });
+}
+
+/**
+ * Open the tracker timeline modal
+ */
+export function openTrackerTimeline() {
+    if (!$timelineModal || !$timelineModal.length) {
+        return;
+    }
+
+    timelineEntries = collectTrackerTimeline();
+    renderTimelineList();
+
+    // Default comparison: latest snapshot vs. the current committed state
+    const options = [`<option value="${COMMITTED_ENTRY_ID}">Current (committed)</option>`]
+        .concat(timelineEntries.map(entry =>
+            `<option value="${entry.id}">#${entry.messageId} – ${escapeHtml(entry.name)}${entry.isPreRestore ? ' (before restore)' : ''}</option>`
+        ))
+        .join('');
+    $('#rpg-timeline-from').html(options);
+    $('#rpg-timeline-to').html(options);
+
+    const lastEntry = timelineEntries[timelineEntries.length - 1];
+    $('#rpg-timeline-from').val(lastEntry ? lastEntry.id : COMMITTED_ENTRY_ID);
+    $('#rpg-timeline-to').val(COMMITTED_ENTRY_ID);
+    renderTimelineDiff();
+
+    const theme = extensionSettings.theme || 'default';
+    $timelineModal.attr('data-theme', theme);
+    $timelineModal.addClass('is-open').css('display', '');
+}
+
+/**
+ * Close the tracker timeline modal
+ */
+function closeTrackerTimeline() {
+    $timelineModal.removeClass('is-open').addClass('is-closing');
+    setTimeout(() => {
+        $timelineModal.removeClass('is-closing').hide();
+    }, 200);
+}
+
+/**
+ * Renders the list of messages that have tracker snapshots (newest first)
+ */
+function renderTimelineList() {
+    const $list = $('#rpg-timeline-list');
+
+    if (timelineEntries.length === 0) {
+        $list.html('<div style="padding: 12px; opacity: 0.7; font-size: 12px;">No tracker snapshots stored in this chat yet.</div>');
+        return;
+    }
+
+    const html = timelineEntries.slice().reverse().map(entry => {
+        const icon = entry.isUser ? 'fa-user' : 'fa-robot';
+        const swipe = entry.swipeId ? ` <span style="opacity: 0.6;">(swipe ${entry.swipeId + 1})</span>` : '';
+        const restored = entry.isPreRestore ? ' <span style="opacity: 0.6;">(before restore)</span>' : '';
+        return `
+            <div class="rpg-timeline-entry" data-entry-id="${entry.id}" style="display: flex; align-items: center; gap: 8px; padding: 6px 8px; border-bottom: 1px solid var(--rpg-border, #444); cursor: pointer;">
+                <i class="fa-solid ${icon}" style="opacity: 0.7; width: 14px;"></i>
+                <div style="flex: 1; min-width: 0;">
+                    <div style="font-size: 12px; font-weight: 600;">#${entry.messageId} – ${escapeHtml(entry.name)}${swipe}${restored}</div>
+                    <div style="font-size: 11px; opacity: 0.7; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${escapeHtml(entry.preview) || '&nbsp;'}</div>
+                </div>
+                <button class="rpg-timeline-restore menu_button" data-entry-id="${entry.id}" title="Restore this state" style="padding: 2px 8px; font-size: 11px; margin: 0;">
+                    <i class="fa-solid fa-clock-rotate-left"></i>
+                </button>
+            </div>
+        `;
+    }).join('');
+
+    $list.html(html);
+}
+
+/**
+ * Renders the field-level diff between the two selected points
+ */
+function renderTimelineDiff() {
+    const fromId = String($('#rpg-timeline-from').val());
+    const toId = String($('#rpg-timeline-to').val());
+    const $diff = $('#rpg-timeline-diff');
+
+    $('.rpg-timeline-entry').css('background', '');
+    $(`.rpg-timeline-entry[data-entry-id="${toId}"]`).css('background', 'rgba(74, 158, 255, 0.15)');
+
+    const fromSnapshot = getTimelineSnapshot(fromId);
+    const toSnapshot = getTimelineSnapshot(toId);
+
+    if (!fromSnapshot || !toSnapshot) {
+        $diff.html('<div style="padding: 12px; opacity: 0.7; font-size: 12px;">Select two points to compare.</div>');
+        return;
+    }
+
+    const changes = diffTrackerSnapshots(fromSnapshot, toSnapshot);
+    if (changes.length === 0) {
+        $diff.html('<div style="padding: 12px; opacity: 0.7; font-size: 12px;">No differences between these points.</div>');
+        return;
+    }
+
+    const colors = { added: '#4caf50', removed: '#e94560', changed: '#4a9eff' };
+    let currentSection = null;
+    let html = '';
+
+    for (const change of changes) {
+        if (change.section !== currentSection) {
+            currentSection = change.section;
+            html += `<div style="font-size: 12px; font-weight: 600; margin: 10px 0 4px; opacity: 0.85;">${escapeHtml(currentSection)}</div>`;
+        }
+
+        let detail;
+        if (change.addedItems.length > 0 || change.removedItems.length > 0) {
+            const added = change.addedItems.map(item => `<span style="color: ${colors.added};">+ ${escapeHtml(item)}</span>`);
+            const removed = change.removedItems.map(item => `<span style="color: ${colors.removed};">− ${escapeHtml(item)}</span>`);
+            detail = added.concat(removed).join('<br>');
+        } else {
+            detail = `<span style="opacity: 0.75;">${escapeHtml(formatValue(change.before))}</span> → <strong>${escapeHtml(formatValue(change.after))}</strong>`;
+        }
+
+        html += `
+            <div style="display: flex; gap: 8px; padding: 3px 0 3px 8px; border-left: 3px solid ${colors[change.type]}; margin-bottom: 2px; font-size: 12px;">
+                <span style="min-width: 110px; opacity: 0.85;">${escapeHtml(change.label)}</span>
+                <span style="flex: 1; word-break: break-word;">${detail}</span>
+            </div>
+        `;
+    }
+
+    $diff.html(html);
+}
@@ -4,6 +4,7 @@
  */
 
 import { extensionSettings, lastGeneratedData, committedTrackerData } from '../../core/state.js';
+import { isNightTime } from '../features/calendar.js';
 
 let weatherContainer = null;
 let currentWeatherType = null;
@@ -201,7 +202,12 @@ export function updateWeatherEffect() {
     }
 
     const weather = getCurrentWeather();
-    const weatherType = parseWeatherType(weather);
+    let weatherType = parseWeatherType(weather);
+
+    // No sunshine at night on the in-game clock
+    if (weatherType === 'sunny' && isNightTime(lastGeneratedData.infoBox || committedTrackerData.infoBox)) {
+        weatherType = 'none';
+    }
 
     // Don't recreate if weather hasn't changed
     if (weatherType === currentWeatherType) {
@@ -3,6 +3,27 @@
  * JSDoc types for RPG Companion inventory system v2
  */
 
+/**
+ * A structured inventory item (v4). One item is one stack: "3x Potion" is a
+ * single item with quantity 3.
+ * @typedef {Object} InventoryItem
+ * @property {string} name - Item name (without quantity)
+ * @property {number} quantity - Stack size (1 or more)
+ * @property {number} weight - Weight of a single unit (0 when unknown)
+ * @property {string} description - Free-form description
+ * @property {string[]} tags - Free-form tags (e.g. "weapon", "consumable")
+ * @property {boolean} equipped - Whether the item is equipped/worn
+ */
+
+/**
+ * Version 4 inventory structure with structured items in every section
+ * @typedef {Object} InventoryV4
+ * @property {number} version - Schema version (always 4)
+ * @property {Object.<string, InventoryItem[]>} onPerson - Items on person organized by location
+ * @property {Object.<string, InventoryItem[]>} stored - Items stored at named locations
+ * @property {InventoryItem[]} assets - Character's vehicles, property, and major possessions
+ */
+
 /**
  * Version 3 inventory structure with categorized storage for all sections
  * @typedef {Object} InventoryV3
@@ -30,9 +51,9 @@
 /**
  * Result of inventory migration operation
  * @typedef {Object} MigrationResult
- * @property {InventoryV2} inventory - The migrated inventory data in v2 format
- * @property {boolean} migrated - Whether migration was performed (true if v1→v2, false if already v2)
- * @property {string} source - Source version ('v1', 'v2', 'null', 'default')
+ * @property {InventoryV4} inventory - The migrated inventory data in v4 format
+ * @property {boolean} migrated - Whether migration was performed (false if already v4)
+ * @property {string} source - Source version ('v1', 'v2', 'v3', 'v4', 'null', 'default')
  */
 
 // Export types for JSDoc consumption (this file has no runtime exports)
@@ -0,0 +1,43 @@
+/**
+ * Quest Type Definitions
+ * JSDoc types for RPG Companion quest log
+ */
+
+/**
+ * Quest status values
+ * @typedef {'active'|'completed'|'failed'|'abandoned'} QuestStatus
+ */
+
+/**
+ * A single objective inside a quest
+ * @typedef {Object} QuestObjective
+ * @property {string} text - Objective description
+ * @property {boolean} done - Whether the objective is completed
+ */
+
+/**
+ * A quest in the quest log
+ * @typedef {Object} Quest
+ * @property {string} id - Unique quest id
+ * @property {string} title - Short quest title (what the model sees and outputs)
+ * @property {'main'|'optional'} type - Main or optional quest
+ * @property {string} description - Longer description
+ * @property {QuestObjective[]} objectives - Objective checklist
+ * @property {QuestStatus} status - Current status
+ * @property {string} giver - NPC who gave the quest
+ * @property {string} reward - Promised reward
+ * @property {number|null} startMessage - Chat message index where the quest started
+ * @property {number|null} endMessage - Chat message index where the quest ended
+ */
+
+/**
+ * Quest data stored in extensionSettings.quests.
+ * `main` and `optional` mirror the active quest titles for the tracker text format.
+ * @typedef {Object} QuestLog
+ * @property {string} main - Title of the active main quest, or "None"
+ * @property {string[]} optional - Titles of the active optional quests
+ * @property {Quest[]} list - Every quest, including archived ones
+ */
+
+// Export types for JSDoc consumption (this file has no runtime exports)
+export {};
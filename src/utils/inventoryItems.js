@@ -0,0 +1,389 @@
+/**
+ * Inventory Items Module
+ * Utilities for the structured v4 inventory items (quantity, weight, properties)
+ * and their conversion to/from the plaintext lists the AI reads and writes.
+ */
+
+import { parseItems } from './itemParser.js';
+import { sanitizeItemName, sanitizeLocationName, MAX_ITEMS_PER_SECTION } from './security.js';
+
+// Type imports
+/** @typedef {import('../types/inventory.js').InventoryItem} InventoryItem */
+/** @typedef {import('../types/inventory.js').InventoryV3} InventoryV3 */
+/** @typedef {import('../types/inventory.js').InventoryV4} InventoryV4 */
+
+/**
+ * Largest quantity a single stack can hold
+ * @constant {number}
+ */
+export const MAX_ITEM_QUANTITY = 9999;
+
+/**
+ * Marker appended to equipped items in the plaintext format
+ * @private
+ */
+const EQUIPPED_REGEX = /\s*\(equipped\)\s*$/i;
+
+/**
+ * Quantity notations: "3x Potion", "3 x Potion", "Potion x3", "Potion (x3)"
+ * @private
+ */
+const LEADING_QUANTITY_REGEX = /^(\d+)\s*[x×]\s+(.+)$/i;
+const TRAILING_QUANTITY_REGEX = /^(.+?)\s+[x×]\s*(\d+)$/i;
+const BRACKET_QUANTITY_REGEX = /^(.+?)\s*\(\s*[x×]\s*(\d+)\s*\)$/i;
+
+/**
+ * Clamps a quantity to a whole number between 1 and MAX_ITEM_QUANTITY
+ * @param {*} value - Raw quantity
+ * @returns {number} Valid quantity
+ */
+function toQuantity(value) {
+    const number = Math.round(Number(value));
+    if (!Number.isFinite(number) || number < 1) {
+        return 1;
+    }
+    return Math.min(number, MAX_ITEM_QUANTITY);
+}
+
+/**
+ * Converts a weight to a non-negative number (0 when unknown)
+ * @param {*} value - Raw weight
+ * @returns {number} Valid weight
+ */
+function toWeight(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? Math.round(number * 100) / 100 : 0;
+}
+
+/**
+ * Creates a complete inventory item from partial data.
+ * Returns null when the name is missing or unsafe.
+ *
+ * @param {Partial<InventoryItem>} fields - Item fields
+ * @returns {InventoryItem|null} Normalized item
+ */
+export function createInventoryItem(fields = {}) {
+    const name = sanitizeItemName(String(fields.name || '').trim());
+    if (!name) {
+        return null;
+    }
+
+    const tags = Array.isArray(fields.tags)
+        ? fields.tags
+        : String(fields.tags || '').split(',');
+
+    return {
+        name,
+        quantity: toQuantity(fields.quantity ?? 1),
+        weight: toWeight(fields.weight),
+        description: String(fields.description || '').trim(),
+        tags: [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))],
+        equipped: Boolean(fields.equipped)
+    };
+}
+
+/**
+ * Parses a single plaintext item entry into an item.
+ *
+ * @param {string} entry - Entry such as "3x Health Potion" or "Sword (equipped)"
+ * @returns {InventoryItem|null} Parsed item, or null if the entry is empty/invalid
+ *
+ * @example
+ * parseItemEntry("3x Health Potion") // { name: "Health Potion", quantity: 3, ... }
+ * parseItemEntry("Arrows x20")       // { name: "Arrows", quantity: 20, ... }
+ * parseItemEntry("Sword (equipped)") // { name: "Sword", quantity: 1, equipped: true, ... }
+ */
+export function parseItemEntry(entry) {
+    let name = String(entry || '').trim();
+    if (!name || name.toLowerCase() === 'none') {
+        return null;
+    }
+
+    const equipped = EQUIPPED_REGEX.test(name);
+    name = name.replace(EQUIPPED_REGEX, '').trim();
+
+    let quantity = 1;
+    const leading = name.match(LEADING_QUANTITY_REGEX);
+    const trailing = !leading && (name.match(BRACKET_QUANTITY_REGEX) || name.match(TRAILING_QUANTITY_REGEX));
+    if (leading) {
+        quantity = leading[1];
+        name = leading[2];
+    } else if (trailing) {
+        quantity = trailing[2];
+        name = trailing[1];
+    }
+
+    return createInventoryItem({ name, quantity, equipped });
+}
+
+/**
+ * Formats an item as a plaintext entry (the inverse of parseItemEntry).
+ * Weight, description and tags are user-side metadata and are not included.
+ *
+ * @param {InventoryItem} item - Item to format
+ * @returns {string} Entry such as "3x Health Potion"
+ */
+export function formatItemEntry(item) {
+    const quantity = item.quantity > 1 ? `${item.quantity}x ` : '';
+    const equipped = item.equipped ? ' (equipped)' : '';
+    return `${quantity}${item.name}${equipped}`;
+}
+
+/**
+ * Merges items with the same name (case-insensitive) into one stack.
+ * The first stack keeps its position and metadata; missing metadata is
+ * filled in from the merged stacks.
+ *
+ * @param {InventoryItem[]} items - Items to merge
+ * @returns {InventoryItem[]} Merged items
+ *
+ * @example
+ * mergeItemStacks([parseItemEntry("3x Potion"), parseItemEntry("Potion")])
+ * // → [{ name: "Potion", quantity: 4, ... }]
+ */
+export function mergeItemStacks(items) {
+    const stacks = new Map();
+
+    for (const item of items) {
+        if (!item) {
+            continue;
+        }
+        const key = item.name.toLowerCase();
+        const stack = stacks.get(key);
+        if (!stack) {
+            stacks.set(key, { ...item, tags: [...item.tags] });
+            continue;
+        }
+        stack.quantity = Math.min(stack.quantity + item.quantity, MAX_ITEM_QUANTITY);
+        stack.weight = stack.weight || item.weight;
+        stack.description = stack.description || item.description;
+        stack.tags = [...new Set([...stack.tags, ...item.tags])];
+        stack.equipped = stack.equipped || item.equipped;
+    }
+
+    return [...stacks.values()];
+}
+
+/**
+ * Parses a plaintext item list into merged item stacks.
+ *
+ * @param {string} itemString - Item list such as "Sword, 3x Potion, Potion"
+ * @returns {InventoryItem[]} Items
+ */
+export function parseItemList(itemString) {
+    return mergeItemStacks(parseItems(itemString).map(parseItemEntry));
+}
+
+/**
+ * Serializes items back into a plaintext list.
+ *
+ * @param {InventoryItem[]} items - Items to serialize
+ * @returns {string} Comma-separated list, or "None" if empty
+ */
+export function serializeItemList(items) {
+    const entries = (items || []).filter(Boolean).map(formatItemEntry);
+    return entries.length > 0 ? entries.join(', ') : 'None';
+}
+
+/**
+ * Normalizes any stored item list (legacy plaintext, strings or item objects)
+ * into clean, merged item stacks. Drops invalid items and enforces the
+ * per-section item limit.
+ *
+ * @param {string|Array<string|Object>} value - Stored item list
+ * @returns {InventoryItem[]} Items
+ */
+export function normalizeItemList(value) {
+    if (typeof value === 'string') {
+        return parseItemList(value);
+    }
+    if (!Array.isArray(value)) {
+        return [];
+    }
+
+    const items = value
+        .map(entry => typeof entry === 'string' ? parseItemEntry(entry) : createInventoryItem(entry || {}))
+        .filter(Boolean)
+        .slice(0, MAX_ITEMS_PER_SECTION);
+    return mergeItemStacks(items);
+}
+
+/**
+ * Normalizes a location map ({ Location: items }), dropping unsafe location names.
+ * Empty locations are kept so users can add items later.
+ *
+ * @param {Object} locations - Raw location map
+ * @returns {Object.<string, InventoryItem[]>} Clean location map
+ */
+export function normalizeItemLocations(locations) {
+    const cleaned = {};
+    if (!locations || typeof locations !== 'object' || Array.isArray(locations)) {
+        return cleaned;
+    }
+
+    for (const key of Object.keys(locations)) {
+        const location = sanitizeLocationName(key);
+        if (location) {
+            cleaned[location] = normalizeItemList(locations[key]);
+        }
+    }
+    return cleaned;
+}
+
+/**
+ * Copies the user-side metadata (weight, description, tags) of previously known
+ * items onto freshly parsed items with the same name, since the AI only writes
+ * names, quantities and the equipped marker.
+ *
+ * @param {InventoryItem[]} items - Freshly parsed items
+ * @param {InventoryItem[]} previousItems - Items known before the update
+ * @returns {InventoryItem[]} Items with metadata restored
+ */
+export function carryItemMetadata(items, previousItems) {
+    const known = new Map();
+    for (const item of previousItems || []) {
+        if (item && item.name && !known.has(item.name.toLowerCase())) {
+            known.set(item.name.toLowerCase(), item);
+        }
+    }
+
+    return items.map(item => {
+        const previous = known.get(item.name.toLowerCase());
+        if (!previous) {
+            return item;
+        }
+        return {
+            ...item,
+            weight: item.weight || previous.weight || 0,
+            description: item.description || previous.description || '',
+            tags: item.tags.length > 0 ? item.tags : [...(previous.tags || [])]
+        };
+    });
+}
+
+/**
+ * Collects every item of a v4 inventory, for name lookups across locations.
+ *
+ * @param {InventoryV4} inventory - Inventory
+ * @returns {InventoryItem[]} All items
+ */
+function getAllItems(inventory) {
+    if (!inventory || typeof inventory !== 'object') {
+        return [];
+    }
+    const fromLocations = (locations) => Object.values(locations || {}).flatMap(items => Array.isArray(items) ? items : []);
+    return [
+        ...fromLocations(inventory.onPerson),
+        ...fromLocations(inventory.stored),
+        ...(Array.isArray(inventory.assets) ? inventory.assets : [])
+    ];
+}
+
+/**
+ * Converts a plaintext (v3-shaped) inventory into the v4 item structure,
+ * merging stacks and restoring metadata from the previous v4 inventory.
+ *
+ * @param {InventoryV3} textInventory - Inventory with plaintext item lists
+ * @param {InventoryV4} [previousInventory] - Inventory before the update
+ * @returns {InventoryV4} Structured inventory
+ */
+export function inventoryTextToItems(textInventory, previousInventory = null) {
+    const previousItems = getAllItems(previousInventory);
+    const convert = (value) => carryItemMetadata(normalizeItemList(value), previousItems);
+    const convertLocations = (locations) => {
+        const result = {};
+        for (const [location, items] of Object.entries(normalizeItemLocations(locations))) {
+            result[location] = carryItemMetadata(items, previousItems);
+        }
+        return result;
+    };
+
+    return {
+        version: 4,
+        onPerson: convertLocations(textInventory?.onPerson),
+        stored: convertLocations(textInventory?.stored),
+        assets: convert(textInventory?.assets)
+    };
+}
+
+/**
+ * Converts a v4 inventory into plaintext item lists (v3 shape), as used by
+ * the tracker text format.
+ *
+ * @param {InventoryV4} inventory - Structured inventory
+ * @returns {InventoryV3} Inventory with plaintext item lists
+ */
+export function inventoryItemsToText(inventory) {
+    const toText = (locations) => {
+        const result = {};
+        for (const [location, items] of Object.entries(locations || {})) {
+            result[location] = serializeItemList(normalizeItemList(items));
+        }
+        return result;
+    };
+
+    return {
+        version: 3,
+        onPerson: toText(inventory?.onPerson),
+        stored: toText(inventory?.stored),
+        assets: serializeItemList(normalizeItemList(inventory?.assets))
+    };
+}
+
+/**
+ * Returns the item array of an inventory field/location for in-place editing,
+ * converting leftover plaintext lists and creating missing locations.
+ * Without a location, the first location of the field is used.
+ *
+ * @param {InventoryV4} inventory - Structured inventory
+ * @param {string} field - Field name ('onPerson', 'stored', 'assets')
+ * @param {string} [location] - Location name (onPerson/stored only)
+ * @returns {InventoryItem[]|null} Item array, or null if the field is invalid
+ */
+export function getItemList(inventory, field, location) {
+    if (!inventory || typeof inventory !== 'object') {
+        return null;
+    }
+
+    if (field === 'assets') {
+        if (!Array.isArray(inventory.assets)) {
+            inventory.assets = normalizeItemList(inventory.assets);
+        }
+        return inventory.assets;
+    }
+
+    if (field !== 'onPerson' && field !== 'stored') {
+        return null;
+    }
+
+    if (!inventory[field] || typeof inventory[field] !== 'object' || Array.isArray(inventory[field])) {
+        inventory[field] = {};
+    }
+    const target = inventory[field];
+    const locationName = location || Object.keys(target)[0] || (field === 'onPerson' ? 'On Person' : 'Home');
+    if (!Array.isArray(target[locationName])) {
+        target[locationName] = normalizeItemList(target[locationName]);
+    }
+    return target[locationName];
+}
+
+/**
+ * Total weight of a list of items (weight × quantity).
+ *
+ * @param {InventoryItem[]} items - Items
+ * @returns {number} Total weight, rounded to two decimals
+ */
+export function getItemsWeight(items) {
+    const total = (items || []).reduce((sum, item) => sum + toWeight(item?.weight) * toQuantity(item?.quantity), 0);
+    return Math.round(total * 100) / 100;
+}
+
+/**
+ * Total weight of every item carried on person, across all locations.
+ *
+ * @param {InventoryV4} inventory - Structured inventory
+ * @returns {number} Carried weight
+ */
+export function getCarriedWeight(inventory) {
+    return getItemsWeight(Object.values(inventory?.onPerson || {}).flatMap(items => Array.isArray(items) ? items : []));
+}
@@ -1,15 +1,20 @@
 /**
  * Inventory Migration Module
- * Handles conversion from v1 (string) to v2 (structured) inventory format
+ * Handles conversion from older inventory formats to the v4 (structured items) format
  */
 
+import { inventoryTextToItems } from './inventoryItems.js';
+
 // Type imports
 /** @typedef {import('../types/inventory.js').InventoryV1} InventoryV1 */
 /** @typedef {import('../types/inventory.js').InventoryV2} InventoryV2 */
+/** @typedef {import('../types/inventory.js').InventoryV3} InventoryV3 */
+/** @typedef {import('../types/inventory.js').InventoryV4} InventoryV4 */
 /** @typedef {import('../types/inventory.js').MigrationResult} MigrationResult */
 
 /**
  * Default v3 inventory structure for new/empty inventories
+ * (converted to v4 by migrateInventory)
  * @type {InventoryV3}
  */
 const DEFAULT_INVENTORY_V3 = {
@@ -32,14 +37,49 @@ const DEFAULT_INVENTORY_V2 = {
 };
 
 /**
- * Migrates inventory data from v1/v2 to v3 format.
+ * Migrates inventory data from v1/v2/v3 to v4 format.
  * v3 changes: onPerson is now an object with locations (like stored) instead of a string
+ * v4 changes: every item list is an array of structured items (quantity, weight, tags...)
+ * instead of a plaintext list; duplicate entries are merged into stacks.
+ * Handles all edge cases: null, undefined, "None", already-migrated data.
+ *
+ * @param {InventoryV1 | InventoryV2 | InventoryV3 | InventoryV4 | null | undefined} inventory - Inventory data to migrate
+ * @returns {MigrationResult} Migration result with v4 inventory and metadata
+ */
+export function migrateInventory(inventory) {
+    // Case 1: Already v4 format
+    if (inventory && typeof inventory === 'object' && inventory.version === 4) {
+        return {
+            inventory: inventory,
+            migrated: false,
+            source: 'v4'
+        };
+    }
+
+    const result = migrateToV3(inventory);
+    if (result.source !== 'v3') {
+        result.inventory = inventoryTextToItems(result.inventory);
+        return result;
+    }
+
+    // v3 format → convert plaintext lists to structured items
+    console.log('[RPG Companion Migration] Migrating v3 to v4: converting item lists to structured items');
+    return {
+        inventory: inventoryTextToItems(inventory),
+        migrated: true,
+        source: 'v3'
+    };
+}
+
+/**
+ * Migrates inventory data from v1/v2 to v3 format.
  * Handles all edge cases: null, undefined, "None", already-migrated data.
  *
  * @param {InventoryV1 | InventoryV2 | InventoryV3 | null | undefined} inventory - Inventory data to migrate
  * @returns {MigrationResult} Migration result with v3 inventory and metadata
+ * @private
  */
-export function migrateInventory(inventory) {
+function migrateToV3(inventory) {
     // Case 1: Already v3 format
     if (inventory && typeof inventory === 'object' && inventory.version === 3) {
         return {
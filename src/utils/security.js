@@ -210,3 +210,22 @@ export function cleanItemString(itemString) {
     // Re-serialize clean items back to string format
     return serializeItems(items);
 }
+
+/**
+ * Escapes text for insertion into HTML (element content or quoted attributes).
+ * Use it for anything that comes from model output, imported files or user input.
+ *
+ * @param {*} text - Text to escape (null/undefined become an empty string)
+ * @returns {string} Escaped text
+ *
+ * @example
+ * escapeHtml('<img onerror="x">') // "&lt;img onerror=&quot;x&quot;&gt;"
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}